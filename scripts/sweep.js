@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Batch parameter sweeps from the command line, e.g.
+//   npm run sweep -- --flow 0.25,0.5,1 --levels.C 0.1:0.4:0.1 --csv > sweep.csv
+// See src/herons_fountain/sweep.js for the parameter names.
+import { parseValues, runSweep, sweepToCSV, sweepToTable, SWEEP_COLUMNS } from '../src/herons_fountain/sweep.js';
+
+const USAGE = `Usage: npm run sweep -- [options] --<parameter> <values> ...
+
+Runs the headless fountain (its default hoses) once for every combination of
+the parameter values and reports time to the first flip, peak air pressure (gauge),
+peak jet height above the nozzle and the mean cycle period.
+
+Parameters:
+  --flow <values>               flow intensity, 0..1
+  --stages <values>             number of stages, 1 (classic) to 4; each extra stage
+                                adds a pair of chambers and raises the jet
+  --levels.<key> <values>       initial fill fraction (A = Fountain Basin,
+                                B = Top Container, C = Air Chamber; with --stages
+                                also B1, C1, B2, ...)
+  --geometry.<path> <values>    geometry value in metres, e.g. geometry.bowl.elevation,
+                                geometry.chamber.height, geometry.pipes.P3.bore
+
+Values are a comma list (0.25,0.5,1) or an inclusive range start:end:step (0.1:0.4:0.1).
+
+Options:
+  --duration <s>   simulated time limit per run (default 1800)
+  --cycles <n>     stop a run after timing this many full cycles (default 3)
+  --csv            print CSV instead of a table
+  --help           show this message
+`;
+
+function parseArgs(argv) {
+    const args = { parameters: {}, options: {}, csv: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        if (name === 'csv' || name === 'help') {
+            args[name] = true;
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for --${name}`);
+        }
+        if (name === 'duration' || name === 'cycles') {
+            const number = Number(value);
+            if (!(number > 0)) throw new Error(`--${name} must be a positive number`);
+            args.options[name] = number;
+        } else {
+            args.parameters[name] = parseValues(value);
+        }
+    }
+    return args;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const columns = [...Object.keys(args.parameters), ...SWEEP_COLUMNS];
+    try {
+        const rows = runSweep(args.parameters, {
+            ...args.options,
+            // Progress goes to stderr so the CSV on stdout can be redirected to a file
+            onResult: (row, index, total) => process.stderr.write(`\rRun ${index + 1}/${total}`)
+        });
+        process.stderr.write('\n');
+        process.stdout.write(args.csv ? sweepToCSV(rows, columns) : sweepToTable(rows, columns));
+    } catch (error) {
+        process.stderr.write('\n');
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
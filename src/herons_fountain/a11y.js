@@ -0,0 +1,149 @@
+// Accessibility helpers: screen-reader announcements through ARIA live regions, camera
+// control from the keyboard, and the reduced-motion preference.
+import * as THREE from 'three';
+
+const HIDDEN_STYLE = `
+    position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0;
+    overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;
+`;
+
+// Two visually hidden live regions: polite for status and notices, assertive for errors
+export class Announcer {
+    constructor() {
+        this.polite = this.createRegion('polite');
+        this.assertive = this.createRegion('assertive');
+    }
+
+    createRegion(politeness) {
+        const region = document.createElement('div');
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        region.style.cssText = HIDDEN_STYLE;
+        document.body.appendChild(region);
+        return region;
+    }
+
+    say(text, urgent = false) {
+        const region = urgent ? this.assertive : this.polite;
+        // Screen readers skip a region whose text did not change, so a repeat gets a trailing space
+        region.textContent = region.textContent === text ? `${text} ` : text;
+    }
+}
+
+const ORBIT_STEP = THREE.MathUtils.degToRad(5); // rad per key press
+const PAN_STEP = 0.05; // fraction of the distance to the target per key press
+const ZOOM_STEP = 1.1; // distance factor per key press
+
+// Arrow keys orbit the camera round the controls' target (Shift+arrows pan), + and -
+// (or Page Up and Page Down) zoom and Home returns to the starting view. The limits
+// set on the OrbitControls apply.
+export class CameraKeys {
+    constructor(camera, controls) {
+        this.camera = camera;
+        this.controls = controls;
+        this.home = { position: camera.position.clone(), target: controls.target.clone() };
+    }
+
+    // Returns true if the key moved the camera
+    handle(event) {
+        switch (event.key) {
+            case 'ArrowLeft':
+                if (event.shiftKey) this.pan(-1, 0);
+                else this.orbit(-ORBIT_STEP, 0);
+                return true;
+            case 'ArrowRight':
+                if (event.shiftKey) this.pan(1, 0);
+                else this.orbit(ORBIT_STEP, 0);
+                return true;
+            case 'ArrowUp':
+                if (event.shiftKey) this.pan(0, 1);
+                else this.orbit(0, -ORBIT_STEP);
+                return true;
+            case 'ArrowDown':
+                if (event.shiftKey) this.pan(0, -1);
+                else this.orbit(0, ORBIT_STEP);
+                return true;
+            case '+':
+            case '=':
+            case 'PageUp':
+                this.zoom(1 / ZOOM_STEP);
+                return true;
+            case '-':
+            case '_':
+            case 'PageDown':
+                this.zoom(ZOOM_STEP);
+                return true;
+            case 'Home':
+                this.camera.position.copy(this.home.position);
+                this.controls.target.copy(this.home.target);
+                this.controls.update();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // Camera position relative to the target, in spherical coordinates
+    spherical() {
+        return new THREE.Spherical().setFromVector3(this.camera.position.clone().sub(this.controls.target));
+    }
+
+    place(spherical) {
+        this.camera.position.setFromSpherical(spherical).add(this.controls.target);
+        this.controls.update();
+    }
+
+    orbit(azimuth, polar) {
+        const controls = this.controls;
+        const spherical = this.spherical();
+        spherical.theta += azimuth;
+        spherical.phi = THREE.MathUtils.clamp(spherical.phi + polar,
+            Math.max(0.01, controls.minPolarAngle), Math.min(Math.PI - 0.01, controls.maxPolarAngle));
+        this.place(spherical);
+    }
+
+    zoom(factor) {
+        const spherical = this.spherical();
+        spherical.radius = THREE.MathUtils.clamp(spherical.radius * factor, this.controls.minDistance, this.controls.maxDistance);
+        this.place(spherical);
+    }
+
+    pan(right, up) {
+        const distance = this.camera.position.distanceTo(this.controls.target);
+        const offset = new THREE.Vector3();
+        const axis = new THREE.Vector3();
+        this.camera.updateMatrixWorld();
+        offset.addScaledVector(axis.setFromMatrixColumn(this.camera.matrixWorld, 0), right * PAN_STEP * distance);
+        offset.addScaledVector(axis.setFromMatrixColumn(this.camera.matrixWorld, 1), up * PAN_STEP * distance);
+        this.camera.position.add(offset);
+        this.controls.target.add(offset);
+        this.controls.update();
+    }
+}
+
+// Follows the system's prefers-reduced-motion setting until the user chooses otherwise
+// with toggle(); a later change to the system setting takes over again.
+export class MotionPreference {
+    constructor(onChange) {
+        this.onChange = onChange;
+        this.override = null; // true/false once toggled
+        this.query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        if (this.query) {
+            this.query.addEventListener('change', () => {
+                this.override = null;
+                this.onChange(this.reduced);
+            });
+        }
+    }
+
+    get reduced() {
+        return this.override ?? (this.query ? this.query.matches : false);
+    }
+
+    toggle() {
+        this.override = !this.reduced;
+        this.onChange(this.reduced);
+        return this.reduced;
+    }
+}
@@ -0,0 +1,215 @@
+// Live time-series charts: container levels and air pressure (percent, left axis)
+// and hose flow rates (chosen units, right axis), with flip and reset events marked.
+import { t, localize, formatNumber, onLocaleChange } from './i18n.js';
+import { convert, unitSymbol, onUnitsChange } from './units.js';
+
+// Legend names are the message keys charts.series.<key>
+const LEVEL_SERIES = [
+    { key: 'containerA', color: '#4CAF50' },
+    { key: 'containerB', color: '#2196F3' },
+    { key: 'containerC', color: '#FF9800' },
+    { key: 'pressure', color: '#E91E63' }
+];
+const FLOW_COLORS = ['#aaddff', '#ce93d8', '#fff59d', '#80cbc4', '#bcaaa4'];
+const EVENT_COLORS = { flip: '#aaddff', reset: '#FF5722' };
+
+export class ChartPanel {
+    constructor(options = {}) {
+        this.windowSeconds = options.windowSeconds || 120; // visible time span
+        this.sampleInterval = options.sampleInterval || 0.1; // s between samples
+        this.width = options.width || 440;
+        this.height = options.height || 220;
+        this.samples = []; // { time, values: {...}, flows: {...} }
+        this.events = []; // { time, type }
+        this.flowKeys = [];
+        this.time = 0; // chart clock; keeps running across resets so events line up
+        this.lastSampleTime = -Infinity;
+        this.lastCounts = null;
+        this.visible = false;
+        this.createPanel();
+        const refresh = () => {
+            this.renderLegend();
+            if (this.visible) this.draw();
+        };
+        onLocaleChange(refresh);
+        onUnitsChange(refresh);
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'chart-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-start: 20px; bottom: 20px;
+            background: rgba(20, 28, 46, 0.96); color: #e6f2ff; border: 1px solid #4a76a8;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#aaddff; margin-bottom:6px; font-size:13px';
+        localize(title, 'charts.title');
+        panel.appendChild(title);
+
+        this.canvas = document.createElement('canvas');
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = this.width * ratio;
+        this.canvas.height = this.height * ratio;
+        this.canvas.style.width = `${this.width}px`;
+        this.canvas.style.height = `${this.height}px`;
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.scale(ratio, ratio);
+        panel.appendChild(this.canvas);
+
+        this.legend = document.createElement('div');
+        this.legend.style.cssText = 'display:flex; flex-wrap:wrap; gap:4px 10px; margin-top:6px';
+        panel.appendChild(this.legend);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.renderLegend();
+    }
+
+    renderLegend() {
+        const items = LEVEL_SERIES.map(s => ({ label: `${t(`charts.series.${s.key}`)} %`, color: s.color, dash: false }))
+            .concat(this.flowKeys.map((key, i) => ({ label: `${key} ${unitSymbol('flow')}`, color: FLOW_COLORS[i % FLOW_COLORS.length], dash: true })));
+        this.legend.innerHTML = '';
+        items.forEach(item => {
+            const entry = document.createElement('span');
+            entry.innerHTML = `<span style="display:inline-block;width:14px;border-top:2px ${item.dash ? 'dashed' : 'solid'} ${item.color};vertical-align:middle;margin-inline-end:4px"></span>`;
+            entry.appendChild(document.createTextNode(item.label));
+            this.legend.appendChild(entry);
+        });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+        if (this.visible) this.draw();
+    }
+
+    mark(type) {
+        this.events.push({ time: this.time, type });
+    }
+
+    clear() {
+        this.samples = [];
+        this.events = [];
+        this.time = 0;
+        this.lastSampleTime = -Infinity;
+    }
+
+    // Advance the chart clock and record a sample from the simulation when due
+    update(deltaTime, simulation) {
+        this.time += deltaTime;
+
+        // Flip/reset counters tell us about events, including automatic flips
+        const counts = { flip: simulation.flipCount, reset: simulation.resetCount };
+        if (this.lastCounts) {
+            if (counts.flip > this.lastCounts.flip) this.mark('flip');
+            if (counts.reset > this.lastCounts.reset) this.mark('reset');
+        }
+        this.lastCounts = counts;
+
+        if (this.time - this.lastSampleTime < this.sampleInterval) return;
+        this.lastSampleTime = this.time;
+
+        const status = simulation.getStatus();
+        const values = {};
+        LEVEL_SERIES.forEach(s => { values[s.key] = status[s.key]; });
+        const flows = {};
+        Object.entries(simulation.getFlows()).forEach(([key, flow]) => {
+            flows[key] = flow; // m³/s
+            if (!this.flowKeys.includes(key)) {
+                this.flowKeys.push(key);
+                this.renderLegend();
+            }
+        });
+        this.samples.push({ time: this.time, values, flows });
+
+        // Drop samples and events that have scrolled out of view
+        const cutoff = this.time - this.windowSeconds;
+        while (this.samples.length && this.samples[0].time < cutoff) this.samples.shift();
+        while (this.events.length && this.events[0].time < cutoff) this.events.shift();
+
+        if (this.visible) this.draw();
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const w = this.width;
+        const h = this.height;
+        const pad = { left: 30, right: 40, top: 8, bottom: 18 };
+        const plotW = w - pad.left - pad.right;
+        const plotH = h - pad.top - pad.bottom;
+        const end = Math.max(this.time, this.windowSeconds);
+        const start = end - this.windowSeconds;
+        const x = t => pad.left + ((t - start) / this.windowSeconds) * plotW;
+        const yLeft = v => pad.top + plotH * (1 - v / 100);
+
+        // Flow axis in the chosen units, topped at 1, 2 or 5 times a power of ten
+        let maxFlow = 1e-6; // m³/s
+        this.samples.forEach(s => Object.values(s.flows).forEach(f => { maxFlow = Math.max(maxFlow, Math.abs(f)); }));
+        maxFlow = convert('flow', maxFlow);
+        const decade = 10 ** Math.floor(Math.log10(maxFlow));
+        maxFlow = [1, 2, 5, 10].map(m => m * decade).find(top => top >= maxFlow * (1 - 1e-9));
+        const flowDigits = Math.max(0, 1 - Math.floor(Math.log10(maxFlow)));
+        const yRight = v => pad.top + plotH * (1 - convert('flow', v) / maxFlow);
+
+        ctx.clearRect(0, 0, w, h);
+
+        // Grid and axes
+        ctx.strokeStyle = 'rgba(170, 221, 255, 0.15)';
+        ctx.fillStyle = '#aaddff';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        for (let v = 0; v <= 100; v += 25) {
+            ctx.beginPath();
+            ctx.moveTo(pad.left, yLeft(v));
+            ctx.lineTo(pad.left + plotW, yLeft(v));
+            ctx.stroke();
+            ctx.textAlign = 'right';
+            ctx.fillText(`${v}%`, pad.left - 4, yLeft(v) + 3);
+            ctx.textAlign = 'left';
+            ctx.fillText(formatNumber(maxFlow * v / 100, flowDigits), pad.left + plotW + 4, yLeft(v) + 3);
+        }
+        ctx.textAlign = 'center';
+        for (let t = Math.ceil(start / 30) * 30; t <= end; t += 30) {
+            ctx.fillText(`${t}s`, x(t), h - 4);
+        }
+
+        // Event markers
+        ctx.setLineDash([4, 3]);
+        this.events.forEach(e => {
+            ctx.strokeStyle = EVENT_COLORS[e.type] || '#ffffff';
+            ctx.beginPath();
+            ctx.moveTo(x(e.time), pad.top);
+            ctx.lineTo(x(e.time), pad.top + plotH);
+            ctx.stroke();
+            ctx.fillStyle = EVENT_COLORS[e.type] || '#ffffff';
+            ctx.fillText(t(`charts.event.${e.type}`), x(e.time), pad.top + 8);
+        });
+
+        // Series, clipped to the plot area (reverse flows dip below the axis)
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, plotW, plotH);
+        ctx.clip();
+        const plot = (get, scale, color, dashed) => {
+            ctx.strokeStyle = color;
+            ctx.setLineDash(dashed ? [5, 3] : []);
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let started = false;
+            this.samples.forEach(s => {
+                const v = get(s);
+                if (v === undefined) { started = false; return; }
+                if (started) ctx.lineTo(x(s.time), scale(v)); else ctx.moveTo(x(s.time), scale(v));
+                started = true;
+            });
+            ctx.stroke();
+        };
+        LEVEL_SERIES.forEach(series => plot(s => s.values[series.key], yLeft, series.color, false));
+        this.flowKeys.forEach((key, i) => plot(s => s.flows[key], yRight, FLOW_COLORS[i % FLOW_COLORS.length], true));
+        ctx.restore();
+        ctx.setLineDash([]);
+    }
+}
@@ -0,0 +1,244 @@
+// Comparison fountains: extra Fountain instances beside the main one, each with
+// its own set-up and status card, for side-by-side experiments such as 25% vs
+// 100% flow or a sealed chamber next to a leaking one. They step with the main
+// fountain but are not part of scenarios or recorded runs.
+import { Fountain } from './fountain.js';
+import { captureScenario, applyScenario } from './scenario.js';
+import { t, localize, onLocaleChange } from './i18n.js';
+import { formatVolume, formatPressure, formatLength } from './units.js';
+
+const SPACING = 9; // scene units between fountains, along -x (to the right from the default camera)
+const MAX_COMPARISONS = 3;
+
+// Each comparison starts as a copy of the main fountain's set-up, then the preset's
+// flow and faults are applied on top. Names are the message keys compare.preset.<id>.
+export const COMPARISON_PRESETS = [
+    { id: 'copy' },
+    { id: 'flow25', flowIntensity: 0.25 },
+    { id: 'flow100', flowIntensity: 1 },
+    { id: 'airLeakC', faults: { airLeak: { C: 0.001 } } },
+    { id: 'waterLeakA', faults: { waterLeak: { B: 0.001 } } },
+    { id: 'clogP3', faults: { clog: { P3: 0.5 } } }
+];
+const STATUS_ROWS = [
+    ['containerA', 'container.A'],
+    ['containerB', 'container.B'],
+    ['containerC', 'container.C'],
+    ['pressure', 'status.pressure'],
+    ['jetHeight', 'quantity.jetHeight'],
+    ['flips', 'quantity.flips']
+];
+
+export class ComparisonPanel {
+    constructor(scene, main, camera, controls, options = {}) {
+        this.scene = scene;
+        this.main = main;
+        this.camera = camera;
+        this.controls = controls;
+        this.onMessage = options.onMessage || (() => {});
+        this.viewport = null; // { height, fov } for new droplet systems
+        this.instances = []; // { fountain, slot, preset, initial, card, values, translate }
+        this.centerX = 0; // x the camera is currently framed on
+        this.reducedMotion = false;
+        this.visible = false;
+        this.createPanel();
+        onLocaleChange(() => this.instances.forEach(instance => instance.translate()));
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'comparison-panel';
+        panel.style.cssText = `
+            position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%);
+            background: rgba(30, 24, 46, 0.96); color: #ede7f6; border: 1px solid #7e57c2;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998; max-width: 90vw;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#b39ddb; margin-bottom:8px; font-size:13px';
+        localize(title, 'compare.title');
+        panel.appendChild(title);
+
+        const picker = document.createElement('div');
+        this.select = document.createElement('select');
+        localize(this.select, 'compare.picker', 'aria-label');
+        COMPARISON_PRESETS.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            localize(option, `compare.preset.${preset.id}`);
+            this.select.appendChild(option);
+        });
+        const add = document.createElement('button');
+        localize(add, 'compare.add');
+        add.addEventListener('click', () => this.add(COMPARISON_PRESETS.find(p => p.id === this.select.value)));
+        picker.append(this.select, add);
+        panel.appendChild(picker);
+
+        const note = document.createElement('div');
+        note.style.cssText = 'margin:6px 0; opacity:0.75';
+        localize(note, 'compare.note');
+        panel.appendChild(note);
+
+        this.cards = document.createElement('div');
+        this.cards.style.cssText = 'display:flex; gap:8px; flex-wrap:wrap';
+        panel.appendChild(this.cards);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+    }
+
+    add(preset) {
+        if (this.instances.length >= MAX_COMPARISONS) {
+            this.onMessage(t('message.tooManyComparisons', { max: MAX_COMPARISONS }), 'error');
+            return null;
+        }
+        // Slots are reused after a removal so fountains stay evenly spaced
+        const slot = [1, 2, 3].find(n => !this.instances.some(i => i.slot === n));
+        // Same plumbing as the main fountain; a cascade's extra chambers need more room
+        const fountain = new Fountain(this.scene, {
+            geometry: this.main.simulation.geometry,
+            network: this.main.simulation.network,
+            seed: (this.main.seed + slot) >>> 0,
+            position: [-(SPACING + this.main.layout.stackWidth) * slot, 0, 0],
+            ground: false
+        });
+        if (this.viewport) fountain.droplets.setViewport(this.viewport.height, this.viewport.fov);
+        fountain.setReducedMotion(this.reducedMotion);
+        const initial = captureScenario(this.main);
+        applyScenario(initial, fountain);
+        if (preset.flowIntensity !== undefined) fountain.setFlowIntensity(preset.flowIntensity);
+        fountain.simulation.setFaults(preset.faults);
+        const instance = { fountain, slot, preset, initial: captureScenario(fountain) };
+        this.createCard(instance);
+        this.instances.push(instance);
+        this.instances.sort((a, b) => a.slot - b.slot);
+        this.cards.append(...this.instances.map(i => i.card));
+        this.frame();
+        return instance;
+    }
+
+    remove(instance) {
+        instance.fountain.dispose();
+        instance.card.remove();
+        this.instances = this.instances.filter(i => i !== instance);
+        this.frame();
+    }
+
+    createCard(instance) {
+        const card = document.createElement('div');
+        card.style.cssText = 'border:1px solid #7e57c2; border-radius:6px; padding:6px 8px; min-width:170px';
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight:600; color:#b39ddb; margin-bottom:4px';
+        card.appendChild(heading);
+
+        instance.values = {};
+        STATUS_ROWS.forEach(([key, label]) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex; justify-content:space-between; gap:8px';
+            const name = document.createElement('span');
+            localize(name, label);
+            const value = document.createElement('span');
+            row.append(name, value);
+            card.appendChild(row);
+            instance.values[key] = value;
+        });
+
+        const flow = document.createElement('label');
+        flow.style.cssText = 'display:block; margin-top:4px';
+        const flowValue = document.createElement('span');
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.style.width = '100%';
+        const showFlow = () => { flowValue.textContent = t('compare.flow', { value: slider.value }); };
+        slider.value = String(Math.round(instance.fountain.simulation.flowIntensity * 100));
+        showFlow();
+        slider.addEventListener('input', () => {
+            instance.fountain.setFlowIntensity(Number(slider.value) / 100);
+            showFlow();
+        });
+        flow.append(flowValue, slider);
+        card.appendChild(flow);
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display:flex; gap:4px; margin-top:4px';
+        const flip = document.createElement('button');
+        localize(flip, 'compare.flip');
+        flip.addEventListener('click', () => instance.fountain.flipSystem());
+        const restart = document.createElement('button');
+        localize(restart, 'compare.restart');
+        localize(restart, 'compare.restart.title', 'title');
+        restart.addEventListener('click', () => {
+            applyScenario(instance.initial, instance.fountain);
+            slider.value = String(Math.round(instance.fountain.simulation.flowIntensity * 100));
+            showFlow();
+        });
+        const remove = document.createElement('button');
+        remove.textContent = '✖';
+        localize(remove, 'compare.remove.title', 'title');
+        localize(remove, 'compare.remove.title', 'aria-label');
+        remove.addEventListener('click', () => this.remove(instance));
+        buttons.append(flip, restart, remove);
+        card.appendChild(buttons);
+        instance.card = card;
+        // Text that is not tagged for translatePage
+        instance.translate = () => {
+            heading.textContent = t('compare.fountain', { number: instance.slot + 1, preset: t(`compare.preset.${instance.preset.id}`) });
+            showFlow();
+        };
+        instance.translate();
+    }
+
+    // Centre the view on all the fountains, keeping the camera's angle
+    frame() {
+        const xs = [0, ...this.instances.map(i => i.fountain.root.position.x)];
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const shift = centerX - this.centerX;
+        this.camera.position.x += shift;
+        this.controls.target.x += shift;
+        this.controls.update();
+        this.centerX = centerX;
+    }
+
+    setViewport(height, fov) {
+        this.viewport = { height, fov };
+        this.instances.forEach(i => i.fountain.droplets.setViewport(height, fov));
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.instances.forEach(i => i.fountain.setReducedMotion(reduced));
+    }
+
+    step(deltaTime) {
+        this.instances.forEach(i => i.fountain.step(deltaTime));
+    }
+
+    render(alpha) {
+        this.instances.forEach(i => i.fountain.render(alpha));
+    }
+
+    update() {
+        if (!this.visible) return;
+        this.instances.forEach(instance => {
+            const status = instance.fountain.getStatus();
+            const text = {
+                containerA: formatVolume(status.volumeA / 1e6),
+                containerB: formatVolume(status.volumeB / 1e6),
+                containerC: formatVolume(status.volumeC / 1e6),
+                pressure: formatPressure(status.pressurePa),
+                jetHeight: formatLength(status.jetHeight),
+                flips: String(instance.fountain.simulation.flipCount)
+            };
+            Object.entries(text).forEach(([key, value]) => {
+                if (instance.values[key].textContent !== value) instance.values[key].textContent = value;
+            });
+        });
+    }
+}
@@ -0,0 +1,12 @@
+// CSV text from rows of objects, one column per key in `columns`; missing values are
+// left empty and cells holding quotes, commas or line breaks are quoted
+export function toCSV(rows, columns) {
+    const escape = value => {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(escape).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => escape(row[c])).join(',')));
+    return lines.join('\n') + '\n';
+}
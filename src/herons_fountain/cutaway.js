@@ -0,0 +1,300 @@
+// Cutaway view: a clipping plane slices the bowl, the chambers and the hoses so the
+// inside can be seen, and each cut face is capped in a solid colour: glass and bowl
+// walls, air (warmer as its pressure rises) and water. Caps use the stencil buffer:
+// the back faces of a closed proxy solid add one and its front faces take one away,
+// so only pixels inside the solid's cross-section are left non-zero, and a quad lying
+// on the plane is drawn through them. The proxies are parented to the meshes they
+// stand for, so the caps follow the chambers while the side pivot turns over.
+import * as THREE from 'three';
+import { WATER_DENSITY, GRAVITY } from './physics.js';
+import { localize, formatNumber, onLocaleChange } from './i18n.js';
+
+const CAP_SIZE = 40; // scene units; the cap quad has to cover the whole fountain
+const RENDER_ORDER = 20; // after the ordinary opaque meshes, whose depth the caps are tested against
+const COLORS = {
+    glass: 0x9cc9ff,
+    bowl: 0x0b2e6d,
+    air: new THREE.Color(0xe8f1f8),
+    pressurisedAir: new THREE.Color(0xffa040), // air at the most pressure the fountain can build
+    water: 0x2f6fd6
+};
+
+export class Cutaway {
+    constructor(fountain) {
+        this.fountain = fountain;
+        this.enabled = false;
+        this.angle = 0; // rad; 0 cuts along x, keeping the half away from the default camera
+        this.offset = 0; // scene units along the plane normal from the fountain's origin
+        this.plane = new THREE.Plane(); // world space, as three.js clipping expects
+        this.basinPlane = new THREE.Plane(); // bowl water surface, world space (keeps what is below)
+        this.solids = []; // { stencils, cap } in drawing order
+        this.hoseSolids = new Map(); // hose -> solid
+        this.clippedMaterials = new Set();
+        this.capGeometry = new THREE.PlaneGeometry(CAP_SIZE, CAP_SIZE);
+        this.group = new THREE.Group(); // the caps, in the fountain's local space
+        this.group.visible = false;
+        this.group.userData.uncut = true;
+        fountain.root.add(this.group);
+        this.createStencilMaterials();
+        this.createContainerSolids();
+    }
+
+    createStencilMaterials() {
+        const base = {
+            colorWrite: false, depthWrite: false, depthTest: false,
+            stencilWrite: true, stencilFunc: THREE.AlwaysStencilFunc,
+            clippingPlanes: [this.plane]
+        };
+        const op = (side, stencilOp) => new THREE.MeshBasicMaterial({
+            ...base, side, stencilFail: stencilOp, stencilZFail: stencilOp, stencilZPass: stencilOp
+        });
+        this.backMaterial = op(THREE.BackSide, THREE.IncrementWrapStencilOp);
+        this.frontMaterial = op(THREE.FrontSide, THREE.DecrementWrapStencilOp);
+    }
+
+    // A closed proxy solid (geometry under `parent`) and the cap that fills its cross-section.
+    // `capPlanes` clips the cap itself, e.g. to the water surface.
+    addSolid(parent, geometry, color, capPlanes = []) {
+        const stencils = [this.backMaterial, this.frontMaterial].map(material => {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.userData.uncut = true;
+            parent.add(mesh);
+            return mesh;
+        });
+        const cap = new THREE.Mesh(this.capGeometry, new THREE.MeshBasicMaterial({
+            color, side: THREE.DoubleSide, clippingPlanes: capPlanes,
+            stencilWrite: true, stencilRef: 0, stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp, stencilZFail: THREE.ReplaceStencilOp, stencilZPass: THREE.ReplaceStencilOp
+        }));
+        // Start the next solid from a clean stencil buffer
+        cap.onAfterRender = renderer => renderer.clearStencil();
+        cap.userData.uncut = true;
+        this.group.add(cap);
+        const solid = { stencils, cap };
+        this.solids.push(solid);
+        this.setVisible(solid, this.enabled);
+        this.updateRenderOrder();
+        return solid;
+    }
+
+    removeSolid(solid) {
+        solid.stencils.forEach(mesh => mesh.removeFromParent());
+        solid.cap.removeFromParent();
+        solid.cap.material.dispose();
+        this.solids = this.solids.filter(s => s !== solid);
+        this.updateRenderOrder();
+    }
+
+    // Each solid's stencil passes, then its cap; later caps on the same plane draw over earlier ones
+    updateRenderOrder() {
+        this.solids.forEach((solid, i) => {
+            solid.stencils.forEach(mesh => { mesh.renderOrder = RENDER_ORDER + 2 * i; });
+            solid.cap.renderOrder = RENDER_ORDER + 2 * i + 1;
+        });
+    }
+
+    setVisible(solid, visible) {
+        solid.stencils.forEach(mesh => { mesh.visible = visible; });
+        solid.cap.visible = visible;
+    }
+
+    // Wall, then the air inside it, then the water, for the bowl and every chamber
+    createContainerSolids() {
+        const { bowl, chamber, wall } = this.fountain.layout;
+        const containers = this.fountain.containers;
+
+        // The bowl's walls are open surfaces, so it gets closed stand-ins: the outer wall from
+        // under the base to just above the rim, and the hollow inside from the floor up
+        const top = bowl.rimY + 0.125;
+        const outer = new THREE.CylinderGeometry(bowl.radius + 2 * wall, bowl.radius + wall, top - (bowl.bottomY - 0.15), 32);
+        outer.translate(0, (top + bowl.bottomY - 0.15) / 2, 0);
+        const inner = new THREE.CylinderGeometry(bowl.radius + wall, bowl.radius - wall, top - bowl.bottomY, 32);
+        inner.translate(0, (top + bowl.bottomY) / 2, 0);
+        this.addSolid(containers.A, outer, COLORS.bowl);
+        this.addSolid(containers.A, inner, COLORS.air.getHex());
+        // The water is the same hollow, capped only below the water surface
+        this.addSolid(containers.A, inner, COLORS.water, [this.basinPlane]);
+
+        this.chamberAir = {};
+        this.fountain.chamberKeys.forEach(key => {
+            this.addSolid(containers[key], containers[key].glass.geometry, COLORS.glass);
+            const hollow = new THREE.CylinderGeometry(chamber.radius, chamber.radius, chamber.height, 32);
+            this.chamberAir[key] = this.addSolid(containers[key], hollow, COLORS.air.getHex());
+            // The water column is already a closed cylinder scaled to the level
+            this.addSolid(containers[key].water, containers[key].water.geometry, COLORS.water);
+        });
+    }
+
+    // Hoses come and go with the editor; their caps show water or air by what the hose carries
+    syncHoses() {
+        const hoses = new Set(this.fountain.hoses.filter(hose => hose.mesh));
+        this.hoseSolids.forEach((solid, hose) => {
+            if (hoses.has(hose)) return;
+            this.removeSolid(solid);
+            this.hoseSolids.delete(hose);
+        });
+        hoses.forEach(hose => {
+            let solid = this.hoseSolids.get(hose);
+            if (!solid) {
+                solid = this.addSolid(hose.mesh, hose.mesh.geometry, COLORS.water);
+                this.hoseSolids.set(hose, solid);
+            }
+            // Hose tubes are rebuilt every frame
+            solid.stencils.forEach(mesh => { mesh.geometry = hose.mesh.geometry; });
+            const carriesAir = hose.link && this.fountain.simulation.isAirLine(hose.link);
+            solid.cap.material.color.set(carriesAir ? COLORS.air : COLORS.water);
+        });
+    }
+
+    // Glass, walls, water and hoses are clipped; overlays (ports, handles, halos, fault
+    // cues), droplets, the floor and this view's own meshes are not
+    clipTargets() {
+        const materials = new Set();
+        this.fountain.root.traverse(object => {
+            if (object.userData.uncut || !object.isMesh) return;
+            const material = object.material;
+            if (material.isMeshBasicMaterial || (material.isShaderMaterial && !material.clipping)) return;
+            materials.add(material);
+        });
+        return materials;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.group.visible = enabled;
+        if (!enabled) {
+            this.clippedMaterials.forEach(material => {
+                material.clippingPlanes = null;
+                material.needsUpdate = true;
+            });
+            this.clippedMaterials.clear();
+        }
+        this.solids.forEach(solid => this.setVisible(solid, enabled));
+        this.update();
+    }
+
+    // Plane direction (degrees about the vertical) and position (scene units along its normal)
+    setPlane(angleDegrees, offset) {
+        this.angle = THREE.MathUtils.degToRad(angleDegrees);
+        this.offset = offset;
+        this.update();
+    }
+
+    // Called every frame: follows the plane, water levels, air pressures and hose changes
+    update() {
+        if (!this.enabled) return;
+        const fountain = this.fountain;
+        this.syncHoses();
+        // New meshes (hoses, the nozzle) pick up the plane the first time they are seen
+        this.clipTargets().forEach(material => {
+            if (this.clippedMaterials.has(material)) return;
+            material.clippingPlanes = [this.plane];
+            material.needsUpdate = true;
+            this.clippedMaterials.add(material);
+        });
+
+        const normal = new THREE.Vector3(Math.sin(this.angle), 0, Math.cos(this.angle));
+        const point = normal.clone().multiplyScalar(this.offset);
+        const world = fountain.root.matrixWorld;
+        this.plane.setFromNormalAndCoplanarPoint(normal, point).applyMatrix4(world);
+        this.group.children.forEach(cap => {
+            cap.position.copy(point);
+            cap.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        });
+
+        const surfaceY = fountain.basinSurface ? fountain.basinSurface.position.y : fountain.layout.bowl.bottomY;
+        this.basinPlane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, -1, 0), new THREE.Vector3(0, surfaceY, 0)).applyMatrix4(world);
+
+        // Air warms towards orange as it is squeezed; each chamber mesh shows the air it holds
+        const sim = fountain.simulation;
+        const maxPressure = WATER_DENSITY * GRAVITY * sim.referenceHead();
+        fountain.chamberKeys.forEach(key => {
+            const pressure = sim.airPressures[fountain.displayKey(key)];
+            const t = Math.max(0, Math.min(1, pressure / maxPressure));
+            this.chamberAir[key].cap.material.color.copy(COLORS.air).lerp(COLORS.pressurisedAir, t);
+        });
+    }
+
+    dispose() {
+        this.setEnabled(false);
+        this.solids.slice().forEach(solid => this.removeSolid(solid));
+        this.capGeometry.dispose();
+        this.backMaterial.dispose();
+        this.frontMaterial.dispose();
+    }
+}
+
+export class CutawayPanel {
+    constructor(cutaway) {
+        this.cutaway = cutaway;
+        this.visible = false;
+        this.createPanel();
+        onLocaleChange(() => this.apply()); // the position uses the language's decimal separator
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'cutaway-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-end: 340px; top: 20px; width: 240px;
+            background: rgba(20, 36, 40, 0.96); color: #e0f7fa; border: 1px solid #4a9aa8;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#80deea; margin-bottom:8px; font-size:13px';
+        localize(title, 'cutaway.title');
+        panel.appendChild(title);
+
+        const note = document.createElement('div');
+        note.style.cssText = 'margin-bottom:6px; opacity:0.8';
+        localize(note, 'cutaway.note');
+        panel.appendChild(note);
+
+        this.angle = this.addSlider(panel, 'cutaway.direction', 0, 180, 5, value => `${value}°`);
+        const extent = this.cutaway.fountain.layout.stack.x + this.cutaway.fountain.layout.chamber.outerRadius + 0.5;
+        this.offset = this.addSlider(panel, 'cutaway.position', -extent, extent, 0.05, value => formatNumber(value, 2));
+        this.angle.slider.value = '0';
+        this.offset.slider.value = '0';
+        this.apply();
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    addSlider(panel, key, min, max, step, format) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display:block; margin-bottom:6px';
+        const caption = document.createElement('div');
+        caption.style.cssText = 'display:flex; justify-content:space-between';
+        const name = document.createElement('span');
+        localize(name, key);
+        const value = document.createElement('span');
+        caption.append(name, value);
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String(step);
+        slider.style.width = '100%';
+        slider.addEventListener('input', () => this.apply());
+        row.append(caption, slider);
+        panel.appendChild(row);
+        return { slider, value, format };
+    }
+
+    apply() {
+        const angle = Number(this.angle.slider.value);
+        const offset = Number(this.offset.slider.value);
+        this.angle.value.textContent = this.angle.format(angle);
+        this.offset.value.textContent = this.offset.format(offset);
+        this.cutaway.setPlane(angle, offset);
+    }
+
+    // Showing the panel turns the cutaway on; hiding it restores the whole fountain
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+        this.cutaway.setEnabled(this.visible);
+    }
+}
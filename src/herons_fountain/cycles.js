@@ -0,0 +1,167 @@
+// Cycle panel: how the fountain is turned over (automatically when it runs out,
+// only by hand, or on a timer) and statistics for each cycle from flip to flip:
+// how long it ran, how much water the jet lifted and the peak air pressure.
+// Mode changes are handed to `onInput` ({ type: 'flipMode', mode, interval }) so
+// they can be logged for replays.
+import { t, localize, formatNumber, onLocaleChange } from './i18n.js';
+import { formatVolume, formatPressure, onUnitsChange } from './units.js';
+import { FLIP_MODES } from './simulation.js';
+
+const TABLE_ROWS = 8; // finished cycles listed, newest first
+const STAT_ROWS = ['duration', 'waterMoved', 'peakPressure'];
+
+const formatSeconds = seconds => `${formatNumber(seconds, 0)} s`;
+const STAT_FORMATS = {
+    duration: formatSeconds,
+    waterMoved: formatVolume,
+    peakPressure: formatPressure
+};
+
+export class CyclePanel {
+    constructor(options = {}) {
+        this.onInput = options.onInput || (() => true);
+        this.visible = false;
+        this.cells = {}; // current cycle's value elements by statistic
+        this.shownCycles = null; // numbers of the cycles in the table, to rebuild only when one finishes
+        this.createPanel();
+        // Redrawn on the next update
+        onLocaleChange(() => { this.shownCycles = null; });
+        onUnitsChange(() => { this.shownCycles = null; });
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'cycle-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-start: 360px; top: 20px; width: 280px;
+            background: rgba(16, 40, 36, 0.96); color: #e0f2f1; border: 1px solid #4a9a8a;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#80cbc4; margin-bottom:8px; font-size:13px';
+        localize(title, 'cycles.title');
+        panel.appendChild(title);
+
+        const mode = document.createElement('div');
+        mode.style.cssText = 'display:flex; gap:6px; align-items:center; flex-wrap:wrap';
+        const modeLabel = document.createElement('label');
+        modeLabel.htmlFor = 'flipModeSelect';
+        localize(modeLabel, 'cycles.mode');
+        this.select = document.createElement('select');
+        this.select.id = 'flipModeSelect';
+        FLIP_MODES.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            localize(option, `cycles.mode.${id}`);
+            this.select.appendChild(option);
+        });
+        this.select.addEventListener('change', () => this.setMode());
+
+        // Seconds between timed flips
+        this.timer = document.createElement('label');
+        this.interval = document.createElement('input');
+        this.interval.type = 'number';
+        this.interval.min = '5';
+        this.interval.max = '600';
+        this.interval.step = '5';
+        this.interval.style.width = '52px';
+        this.interval.addEventListener('change', () => this.setMode());
+        const every = document.createElement('span');
+        localize(every, 'cycles.every');
+        const seconds = document.createElement('span');
+        seconds.textContent = ' s';
+        this.timer.append(every, ' ', this.interval, seconds);
+        mode.append(modeLabel, this.select, this.timer);
+        panel.appendChild(mode);
+
+        this.note = document.createElement('div');
+        this.note.style.cssText = 'margin:4px 0 8px; opacity:0.75';
+        panel.appendChild(this.note);
+
+        this.heading = document.createElement('div');
+        this.heading.style.cssText = 'font-weight:600; color:#80cbc4; margin:4px 0';
+        panel.appendChild(this.heading);
+        STAT_ROWS.forEach(key => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex; justify-content:space-between';
+            const name = document.createElement('span');
+            localize(name, `cycles.${key}`);
+            const value = document.createElement('span');
+            row.append(name, value);
+            panel.appendChild(row);
+            this.cells[key] = value;
+        });
+
+        const finished = document.createElement('div');
+        finished.style.cssText = 'font-weight:600; color:#80cbc4; margin:8px 0 4px';
+        localize(finished, 'cycles.finished');
+        panel.appendChild(finished);
+        this.table = document.createElement('table');
+        this.table.style.cssText = 'width:100%; border-collapse:collapse; text-align:end';
+        panel.appendChild(this.table);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    setMode() {
+        const interval = Number(this.interval.value);
+        this.onInput({ type: 'flipMode', mode: this.select.value, interval: interval > 0 ? interval : undefined });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+    }
+
+    // Follow the simulation, whose mode can also change by loading a scenario or replaying a run
+    update(simulation) {
+        if (!this.visible) return;
+        const { flipMode, flipInterval, cycle, cycles } = simulation;
+        if (this.select.value !== flipMode) this.select.value = flipMode;
+        if (document.activeElement !== this.interval && Number(this.interval.value) !== flipInterval) this.interval.value = String(flipInterval);
+        this.timer.style.display = flipMode === 'timed' ? '' : 'none';
+        this.setText(this.note, t(`cycles.note.${flipMode}`));
+
+        this.setText(this.heading, t('cycles.current', { number: cycle.number }));
+        STAT_ROWS.forEach(key => this.setText(this.cells[key], STAT_FORMATS[key](cycle[key])));
+
+        const recent = cycles.slice(-TABLE_ROWS).reverse();
+        const key = recent.map(c => c.number).join(',');
+        if (key !== this.shownCycles) {
+            this.shownCycles = key;
+            this.renderTable(recent);
+        }
+    }
+
+    renderTable(recent) {
+        this.table.innerHTML = '';
+        if (!recent.length) {
+            const row = this.table.insertRow();
+            const cell = row.insertCell();
+            cell.style.textAlign = 'start';
+            cell.textContent = t('cycles.none');
+            return;
+        }
+        const header = this.table.insertRow();
+        ['number', ...STAT_ROWS, 'trigger'].forEach(key => {
+            const cell = document.createElement('th');
+            cell.style.cssText = 'font-weight:600; padding:0 2px';
+            cell.textContent = t(`cycles.column.${key}`);
+            header.appendChild(cell);
+        });
+        recent.forEach(cycle => {
+            const row = this.table.insertRow();
+            [String(cycle.number), ...STAT_ROWS.map(key => STAT_FORMATS[key](cycle[key])), t(`cycles.trigger.${cycle.trigger}`)].forEach(text => {
+                const cell = row.insertCell();
+                cell.style.padding = '0 2px';
+                cell.textContent = text;
+            });
+        });
+    }
+
+    setText(element, text) {
+        if (element.textContent !== text) element.textContent = text;
+    }
+}
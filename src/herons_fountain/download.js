@@ -0,0 +1,17 @@
+// Offer text content to the user as a file download
+export function downloadText(text, filename, type = 'text/plain') {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    downloadUrl(url, filename);
+    URL.revokeObjectURL(url);
+}
+
+// Offer a URL (an object or data URL) as a file download
+export function downloadUrl(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
@@ -0,0 +1,159 @@
+// Hose editor: pick two ports to join them with a hose, drag a hose's guide
+// handle to reshape it, and select or right-click a hose to delete it.
+// Changes to the plumbing are handed to `onInput` as inputs ({ type: 'connect', ... }
+// and { type: 'disconnect', index }) so the app can log them for replays;
+// moving a guide only changes the drawing, so it is applied directly.
+import * as THREE from 'three';
+import { t } from './i18n.js';
+
+const PICKED_PORT_COLOR = 0xff7043;
+const SELECTED_HOSE_EMISSIVE = 0x335577;
+const CLICK_TOLERANCE = 5; // px the pointer may move between down and up and still count as a click
+
+export class HoseEditor {
+    constructor(fountain, camera, controls, domElement, options = {}) {
+        this.fountain = fountain;
+        this.camera = camera;
+        this.controls = controls;
+        this.domElement = domElement;
+        this.onInput = options.onInput || (() => true);
+        this.onMessage = options.onMessage || (() => {});
+        this.enabled = false;
+        this.pendingPort = null; // { key, port, marker } of the first picked port
+        this.selectedHose = null;
+        this.drag = null; // { hose, plane } while a guide handle is being dragged
+        this.pointerDown = null;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        // Capture phase so a handle drag can switch OrbitControls off before it starts rotating
+        domElement.addEventListener('pointerdown', e => this.handlePointerDown(e), true);
+        domElement.addEventListener('pointermove', e => this.handlePointerMove(e));
+        domElement.addEventListener('pointerup', e => this.handlePointerUp(e));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.fountain.setEditMode(enabled);
+        if (!enabled) {
+            this.cancelPending();
+            this.selectHose(null);
+        }
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    // Objects under the pointer, nearest first
+    intersect(event, objects) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        return this.raycaster.intersectObjects(objects.filter(o => o.visible), false);
+    }
+
+    handlePointerDown(event) {
+        if (!this.enabled || event.button !== 0) return;
+        this.pointerDown = { x: event.clientX, y: event.clientY };
+        const hit = this.intersect(event, this.fountain.getPickTargets().handles)[0];
+        if (!hit) return;
+        // Drag in the plane facing the camera through the handle
+        const normal = this.camera.getWorldDirection(new THREE.Vector3());
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, hit.object.getWorldPosition(new THREE.Vector3()));
+        this.drag = { hose: hit.object.userData.hose, plane };
+        this.controls.enabled = false;
+        this.domElement.setPointerCapture(event.pointerId);
+        this.selectHose(this.drag.hose);
+    }
+
+    handlePointerMove(event) {
+        if (!this.drag) return;
+        this.intersect(event, []);
+        const point = this.raycaster.ray.intersectPlane(this.drag.plane, new THREE.Vector3());
+        if (point) this.fountain.moveHoseGuide(this.drag.hose, point);
+    }
+
+    handlePointerUp(event) {
+        if (this.drag) {
+            this.drag = null;
+            this.controls.enabled = true;
+            this.domElement.releasePointerCapture(event.pointerId);
+            return;
+        }
+        if (!this.enabled || event.button !== 0 || !this.pointerDown) return;
+        const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+        this.pointerDown = null;
+        if (moved > CLICK_TOLERANCE) return; // the camera was being rotated
+        this.handleClick(event);
+    }
+
+    handleClick(event) {
+        const targets = this.fountain.getPickTargets();
+        const portHit = this.intersect(event, targets.ports)[0];
+        if (portHit) {
+            this.pickPort(portHit.object);
+            return;
+        }
+        const hoseHit = this.intersect(event, targets.hoses)[0];
+        this.selectHose(hoseHit ? hoseHit.object.userData.hose : null);
+    }
+
+    // First pick starts a hose, second pick on another port finishes it
+    pickPort(marker) {
+        const { key, port } = marker.userData.port;
+        if (!this.pendingPort) {
+            this.pendingPort = { key, port, marker };
+            marker.material.color.setHex(PICKED_PORT_COLOR);
+            this.onMessage(t('message.portPicked', { port: `${key}.${port}` }), 'info');
+            return;
+        }
+        const from = this.pendingPort;
+        this.cancelPending();
+        if (from.key === key && from.port === port) return; // same port again cancels
+        if (this.fountain.hasConnection(from.key, from.port, key, port)) {
+            this.onMessage(t('message.alreadyConnected', { from: `${from.key}.${from.port}`, to: `${key}.${port}` }), 'error');
+            return;
+        }
+        const input = { type: 'connect', from: from.key, fromPort: from.port, to: key, toPort: port };
+        if (this.onInput(input)) this.onMessage(t('message.hoseAdded', { from: `${from.key}.${from.port}`, to: `${key}.${port}` }), 'success');
+    }
+
+    cancelPending() {
+        if (!this.pendingPort) return;
+        this.pendingPort.marker.material.color.setHex(this.pendingPort.marker.userData.color);
+        this.pendingPort = null;
+    }
+
+    selectHose(hose) {
+        if (this.selectedHose && this.selectedHose.mesh.material.emissive) {
+            this.selectedHose.mesh.material.emissive.setHex(0x000000);
+        }
+        this.selectedHose = hose;
+        if (hose && hose.mesh.material.emissive) hose.mesh.material.emissive.setHex(SELECTED_HOSE_EMISSIVE);
+    }
+
+    deleteHose(hose) {
+        const index = this.fountain.hoses.indexOf(hose);
+        if (index < 0) return;
+        if (hose === this.selectedHose) this.selectHose(null);
+        if (this.onInput({ type: 'disconnect', index })) this.onMessage(t('message.hoseRemoved'), 'info');
+    }
+
+    deleteSelected() {
+        if (this.selectedHose) this.deleteHose(this.selectedHose);
+    }
+
+    // Right-click in edit mode removes the hose under the pointer; returns true if one was hit
+    deleteHoseAt(event) {
+        if (!this.enabled) return false;
+        const hit = this.intersect(event, this.fountain.getPickTargets().hoses)[0];
+        if (!hit) return false;
+        this.deleteHose(hit.object.userData.hose);
+        return true;
+    }
+}
@@ -0,0 +1,148 @@
+// Energy budget panel: where the fountain's energy is stored, how it moves
+// between the falling water, the compressed air and the jet, and where it is
+// lost. The books run from one flip to the next; the simulation works out each
+// loss from its own flow, so start + inputs − losses matches now to within the
+// error of its time step, and the difference is shown as unaccounted.
+import { t, formatNumber, onLocaleChange } from './i18n.js';
+
+// Stored-energy rows; `key` is the simulation's internal container key and `screen`
+// the container's on-screen letter
+const STORED_ROWS = [
+    { key: 'B', screen: 'A' },
+    { key: 'A', screen: 'B' },
+    { key: 'C', screen: 'C' }
+];
+// Row names are the message keys energy.input.<key> and energy.loss.<key>
+const INPUT_ROWS = ['flip', 'external', 'pump'];
+const LOSS_ROWS = ['pipes', 'splash', 'spill', 'leaks', 'vented'];
+
+export function formatEnergy(joules) {
+    if (Math.abs(joules) >= 1) return `${formatNumber(joules, 2)} J`;
+    return `${formatNumber(joules * 1000, 1)} mJ`;
+}
+
+export function formatPower(watts) {
+    if (Math.abs(watts) >= 1) return `${formatNumber(watts, 2)} W`;
+    return `${formatNumber(watts * 1000, 1)} mW`;
+}
+
+export class EnergyPanel {
+    constructor() {
+        this.visible = false;
+        this.cells = {}; // value elements by row id
+        this.names = []; // [element, message key or function giving the text] for every row and heading
+        this.createPanel();
+        onLocaleChange(() => this.translate());
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'energy-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-end: 20px; top: 20px; width: 300px;
+            background: rgba(38, 34, 14, 0.96); color: #fff8e1; border: 1px solid #a8924a;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#ffd54f; margin-bottom:8px; font-size:13px';
+        this.names.push([title, 'energy.title']);
+        panel.appendChild(title);
+
+        this.addHeading(panel, 'energy.storedNow');
+        STORED_ROWS.forEach(row => this.addRow(panel, `stored.${row.key}`, () => t('energy.stored', { container: t(`container.${row.screen}`) })));
+        this.addRow(panel, 'stored.air', 'energy.air');
+        this.addRow(panel, 'stored.total', 'energy.total', true);
+
+        this.cycleHeading = this.addHeading(panel, 'energy.cycle');
+        this.addRow(panel, 'cycle.start', 'energy.start');
+        INPUT_ROWS.forEach(key => this.addRow(panel, `input.${key}`, `energy.input.${key}`));
+        LOSS_ROWS.forEach(key => this.addRow(panel, `loss.${key}`, `energy.loss.${key}`));
+        this.addRow(panel, 'cycle.end', 'energy.now', true);
+        this.addRow(panel, 'cycle.imbalance', 'energy.imbalance');
+
+        this.addHeading(panel, 'energy.passed');
+        this.addRow(panel, 'flow.compression', 'energy.compression');
+        this.addRow(panel, 'flow.air', 'energy.airWork');
+        this.addRow(panel, 'flow.jet', 'energy.jet');
+        this.addRow(panel, 'flow.jetPower', 'energy.jetPower');
+
+        this.addHeading(panel, 'energy.lastCycle');
+        this.lastCycle = document.createElement('div');
+        this.lastCycle.style.cssText = 'color:#ffe082';
+        panel.appendChild(this.lastCycle);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.translate();
+    }
+
+    // Fill in the row and heading names in the current language
+    translate() {
+        this.names.forEach(([element, text]) => {
+            element.textContent = typeof text === 'function' ? text() : t(text);
+        });
+    }
+
+    addHeading(panel, key) {
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight:600; color:#ffd54f; margin:8px 0 4px';
+        this.names.push([heading, key]);
+        panel.appendChild(heading);
+        return heading;
+    }
+
+    // `label` is a message key, or a function that returns the text
+    addRow(panel, id, label, bold = false) {
+        const row = document.createElement('div');
+        row.style.cssText = `display:flex; justify-content:space-between${bold ? '; font-weight:600; border-top:1px solid #a8924a' : ''}`;
+        const name = document.createElement('span');
+        this.names.push([name, label]);
+        const value = document.createElement('span');
+        row.append(name, value);
+        panel.appendChild(row);
+        this.cells[id] = value;
+    }
+
+    set(id, text) {
+        if (this.cells[id].textContent !== text) this.cells[id].textContent = text;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+    }
+
+    update(simulation) {
+        if (!this.visible) return;
+        const { stored, cycle, lastCycle, jetPower } = simulation.getEnergy();
+
+        STORED_ROWS.forEach(row => this.set(`stored.${row.key}`, formatEnergy(stored.potential[row.key])));
+        this.set('stored.air', formatEnergy(stored.air.B + stored.air.C));
+        this.set('stored.total', formatEnergy(stored.total));
+
+        const heading = t('energy.cycleTime', { seconds: cycle.duration.toFixed(0) });
+        if (this.cycleHeading.textContent !== heading) this.cycleHeading.textContent = heading;
+        this.set('cycle.start', formatEnergy(cycle.start));
+        INPUT_ROWS.forEach(key => this.set(`input.${key}`, formatEnergy(cycle.input[key])));
+        LOSS_ROWS.forEach(key => this.set(`loss.${key}`, formatEnergy(cycle.loss[key])));
+        this.set('cycle.end', formatEnergy(cycle.end));
+        this.set('cycle.imbalance', formatEnergy(cycle.imbalance));
+
+        this.set('flow.compression', formatEnergy(cycle.compressionWork));
+        this.set('flow.air', formatEnergy(cycle.airWork));
+        this.set('flow.jet', formatEnergy(cycle.jetKinetic));
+        this.set('flow.jetPower', formatPower(jetPower));
+
+        const text = lastCycle
+            ? t('energy.lastCycleText', {
+                seconds: lastCycle.duration.toFixed(0),
+                input: formatEnergy(lastCycle.input.flip + lastCycle.input.external),
+                lost: formatEnergy(Object.values(lastCycle.loss).reduce((a, b) => a + b, 0)),
+                stored: formatEnergy(lastCycle.end - lastCycle.start),
+                imbalance: formatEnergy(lastCycle.imbalance)
+            })
+            : t('energy.noCycle');
+        if (this.lastCycle.textContent !== text) this.lastCycle.textContent = text;
+    }
+}
@@ -0,0 +1,43 @@
+// Minimal typed event emitter. The event names are fixed when it is created, so
+// subscribing to or emitting a misspelt event throws instead of silently never firing.
+export class EventEmitter {
+    constructor(types) {
+        this.listeners = new Map(types.map(type => [type, new Set()]));
+    }
+
+    listenersFor(type) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) throw new Error(`Unknown event "${type}" (expected one of ${[...this.listeners.keys()].join(', ')})`);
+        return listeners;
+    }
+
+    // Returns a function that unsubscribes the listener
+    on(type, listener) {
+        this.listenersFor(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    once(type, listener) {
+        const off = this.on(type, detail => {
+            off();
+            listener(detail);
+        });
+        return off;
+    }
+
+    off(type, listener) {
+        this.listenersFor(type).delete(listener);
+    }
+
+    // A failing listener is reported but does not stop the others (or the simulation step)
+    emit(type, detail) {
+        [...this.listenersFor(type)].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+        return detail;
+    }
+}
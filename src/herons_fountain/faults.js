@@ -0,0 +1,116 @@
+// Fault panel: sliders that add air leaks, water leaks and pipe clogs to the
+// simulation, for practising diagnosis from the gauges and charts. Changes are
+// handed to `onInput` ({ type: 'fault', fault, target, value } or
+// { type: 'clearFaults' }) so they can be logged for replays.
+import { t, localize, formatNumber, onLocaleChange } from './i18n.js';
+import { formatVolume } from './units.js';
+
+// Leak sizes are hole diameters; the UI shows millimetres, the simulation uses metres.
+// `screen` is the on-screen name of the target: a container letter or a pipe.
+const FAULT_CONTROLS = [
+    { fault: 'airLeak', target: 'B', screen: 'A', max: 3, step: 0.1, unit: 'mm', scale: 1000 },
+    { fault: 'airLeak', target: 'C', screen: 'C', max: 3, step: 0.1, unit: 'mm', scale: 1000 },
+    { fault: 'waterLeak', target: 'B', screen: 'A', max: 3, step: 0.1, unit: 'mm', scale: 1000 },
+    { fault: 'waterLeak', target: 'A', screen: 'B', max: 3, step: 0.1, unit: 'mm', scale: 1000 },
+    { fault: 'waterLeak', target: 'C', screen: 'C', max: 3, step: 0.1, unit: 'mm', scale: 1000 },
+    { fault: 'clog', target: 'P1', screen: 'P1', max: 100, step: 5, unit: '%', scale: 100 },
+    { fault: 'clog', target: 'P2', screen: 'P2', max: 100, step: 5, unit: '%', scale: 100 },
+    { fault: 'clog', target: 'P3', screen: 'P3', max: 100, step: 5, unit: '%', scale: 100 }
+];
+
+function controlLabel(control) {
+    if (control.fault === 'clog') return t('faults.clog', { pipe: control.screen, name: t(`pipe.${control.screen}`) });
+    return t(`faults.${control.fault}`, { container: t(`container.${control.screen}`) });
+}
+
+export class FaultPanel {
+    constructor(options = {}) {
+        this.onInput = options.onInput || (() => true);
+        this.visible = false;
+        this.rows = [];
+        this.createPanel();
+        onLocaleChange(() => {
+            this.rows.forEach(({ control, slider, name, value }) => {
+                name.textContent = controlLabel(control);
+                this.showValue(control, value, Number(slider.value));
+            });
+        });
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'fault-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-end: 20px; bottom: 20px; width: 280px;
+            background: rgba(46, 20, 20, 0.96); color: #ffe6e6; border: 1px solid #a84a4a;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#ffab91; margin-bottom:8px; font-size:13px';
+        localize(title, 'faults.title');
+        panel.appendChild(title);
+
+        FAULT_CONTROLS.forEach(control => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display:block; margin-bottom:6px';
+            const caption = document.createElement('div');
+            caption.style.cssText = 'display:flex; justify-content:space-between';
+            const name = document.createElement('span');
+            name.textContent = controlLabel(control);
+            const value = document.createElement('span');
+            caption.append(name, value);
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = '0';
+            slider.max = String(control.max);
+            slider.step = String(control.step);
+            slider.value = '0';
+            slider.style.width = '100%';
+            slider.addEventListener('input', () => {
+                const applied = this.onInput({ type: 'fault', fault: control.fault, target: control.target, value: Number(slider.value) / control.scale });
+                if (applied) this.showValue(control, value, Number(slider.value));
+            });
+            row.append(caption, slider);
+            panel.appendChild(row);
+            this.rows.push({ control, slider, name, value });
+            this.showValue(control, value, 0);
+        });
+
+        this.readout = document.createElement('div');
+        this.readout.style.cssText = 'margin:8px 0; color:#ffab91';
+        panel.appendChild(this.readout);
+
+        const clear = document.createElement('button');
+        localize(clear, 'faults.clear');
+        clear.addEventListener('click', () => this.onInput({ type: 'clearFaults' }));
+        panel.appendChild(clear);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    showValue(control, element, sliderValue) {
+        if (control.fault === 'clog' && sliderValue >= control.max) element.textContent = t('faults.blocked');
+        else element.textContent = sliderValue > 0 ? `${formatNumber(sliderValue, control.step < 1 ? 1 : 0)} ${control.unit}` : t('faults.none');
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+    }
+
+    // Follow the simulation: faults change when a scenario loads, a replay runs, or a
+    // flip carries a leaky chamber to the other position
+    update(simulation) {
+        if (!this.visible) return;
+        this.rows.forEach(({ control, slider, value }) => {
+            const sliderValue = Number((simulation.faults[control.fault][control.target] * control.scale).toFixed(3));
+            if (Number(slider.value) === sliderValue) return;
+            slider.value = String(sliderValue);
+            this.showValue(control, value, sliderValue);
+        });
+        const text = t('faults.leaked', { volume: formatVolume(simulation.leakedVolume) });
+        if (this.readout.textContent !== text) this.readout.textContent = text;
+    }
+}
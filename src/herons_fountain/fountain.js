@@ -1,27 +1,99 @@
 import * as THREE from 'three';
+import { FountainSimulation, JET_SPREAD } from './simulation.js';
+import { GRAVITY, jetRange } from './physics.js';
+import { chamberSeparation, rimElevation } from './geometry.js';
+import { screenLabels } from './network.js';
+import { createRng, randomSeed } from './rng.js';
+import { DropletSystem, DROPLET_JET, DROPLET_SPLASH } from './particles.js';
+import { EventEmitter } from './events.js';
+import { Cutaway } from './cutaway.js';
+import { Fittings } from './valves.js';
+
+const PORT_COLOR = 0xffd54f;
+const HANDLE_COLOR = 0x80cbc4;
+export const GROUND_Y = -4;
+const PUDDLE_DEPTH = 0.002; // m; leaked water spreads into a film this thick
+const HIGHLIGHT_COLOR = 0xffeb3b;
+const SPOUT_LENGTH = 0.2; // scene units from the hose end to the nozzle tip
+// Droplets fly the true paths of the jet in slow motion: gravity in scene units per s²
+// is a tenth of real, so they take about three times as long
+const DROPLET_GRAVITY = 9.8;
+
+// Events a Fountain emits (see on()). Every event's detail carries `type` and the
+// simulation `time` (s) plus:
+//   flipStart          { orientation, flipCount, auto } - the pair starts turning over (auto: the flip mode did it)
+//   flipEnd            { orientation, flipCount, interrupted } - it has finished (or a reset cut it short)
+//   reset              { resetCount }
+//   cycleComplete      { duration, mode } - the fountain has run itself out; in 'auto' flip mode a flip follows,
+//                      in 'manual' it stalls and in 'timed' it waits for the next scheduled flip
+//   containerEmpty     { container, key, level } - container is the on-screen label, key the internal one
+//   containerFull      { container, key, level }
+//   pressureThreshold  { threshold, pressure, rising } - chamber gauge pressure (Pa) crossed a threshold
+export const FOUNTAIN_EVENTS = [
+    'flipStart', 'flipEnd', 'reset', 'cycleComplete', 'containerEmpty', 'containerFull', 'pressureThreshold'
+];
+const EMPTY_LEVEL = 0.02; // fill fraction at or below which a container counts as empty
+const FULL_LEVEL = 0.98;
+const LEVEL_HYSTERESIS = 0.03; // a level must move this far back before the event can fire again
+const BOWL_PORTS = ['drain', 'left', 'right', 'nozzle'];
+const CHAMBER_PORTS = ['top', 'bottom', 'left', 'right'];
+const PAIR_GAP = 1.2; // scene units between the chamber pairs of a cascade
+
+// Throws unless a Fountain can draw the network: the open bowl A with the nozzle and
+// flip pairs of chambers including B over C, with only the ports the meshes have.
+// The classic fountain and the cascades of buildNetwork are all like this.
+function checkDrawable(network) {
+    const fail = message => { throw new Error(`Cannot draw network: ${message}`); };
+    const { vessels } = network;
+    const chambers = (network.flip || []).flat();
+    if (!vessels.A || !vessels.A.open || !network.nozzle || network.nozzle.vessel !== 'A') fail('the open bowl A must hold the nozzle');
+    if (!chambers.includes('B') || !chambers.includes('C')) fail('chambers B and C must be a flip pair');
+    Object.entries(vessels).forEach(([key, vessel]) => {
+        if (key !== 'A' && chambers.filter(k => k === key).length !== 1) fail(`vessel ${key} must be in one flip pair`);
+        const ports = key === 'A' ? BOWL_PORTS : CHAMBER_PORTS;
+        const missing = Object.keys(vessel.ports).filter(port => !ports.includes(port));
+        if (missing.length) fail(`vessel ${key} has ports the meshes lack: ${missing.join(', ')}`);
+    });
+}
 
 export class Fountain {
-    constructor(scene) {
+    // options.geometry overrides DEFAULT_GEOMETRY (see geometry.js);
+    // options.seed fixes the particle randomness so a run can be replayed;
+    // options.position ([x, y, z]) places the fountain so several can share a scene,
+    // and options.ground = false leaves out the floor (one is enough per scene);
+    // options.pressureThresholds lists gauge pressures (Pa) that emit pressureThreshold;
+    // options.network (see network.js) is drawn instead of the classic fountain, e.g. a
+    // cascade from buildNetwork(geometry, { stages }), its extra chamber pairs beside B and C
+    constructor(scene, options = {}) {
         this.scene = scene;
+        // Everything is built inside this group; positions in this class are local to it
+        this.root = new THREE.Group();
+        if (options.position) this.root.position.fromArray(options.position);
+        this.root.updateMatrixWorld();
+        scene.add(this.root);
+        this.setSeed(options.seed ?? randomSeed());
         this.containers = {};
         this.pipes = {};
         this.hoses = []; // dynamic hoses between containers
         this.pendingHoseStart = null; // key of first selected container
-        this.ports = { A: {}, B: {}, C: {} }; // attachment points on containers
-        this.particles = [];
-        // Start levels to match desired UI example: Top (A) 100%, Basin (B) 75%, Air (C) 26%
+        // Headless model owns levels, pressure and flow; this class renders it.
         // Note: A corresponds to basin internally, B is upper side tank (top container), C is air chamber
-        this.waterLevels = { A: 0.75, B: 1.0, C: 0.26 };
-        this.airPressure = 0.0;
-        this.flowRate = 0.05;
-        this.flowIntensity = 0.25; // 0..1 set via UI
-        this.isActive = true;
-        this.particleSystem = null;
-        this.maxParticles = 400;
+        this.simulation = new FountainSimulation({ geometry: options.geometry, network: options.network });
+        checkDrawable(this.simulation.network);
+        this.geometry = this.simulation.geometry;
+        this.chamberPairs = this.simulation.network.flip; // [upper, lower]; the last is B over C
+        this.chamberKeys = this.chamberPairs.flat();
+        this.flipPartners = Object.fromEntries(this.chamberPairs.flatMap(([upper, lower]) => [[upper, lower], [lower, upper]]));
+        this.screenLabels = screenLabels(this.simulation.network);
+        this.ports = Object.fromEntries(this.simulation.keys.map(key => [key, {}])); // attachment points on containers
+        this.layout = this.computeLayout();
+        this.droplets = null; // DropletSystem pool for the jet and its splashes
+        this.maxParticles = options.maxParticles || 20000;
         this.streamMesh = null;
         this.streamMaterial = null;
         this.time = 0;
         this.spoutTip = null;
+        this.spillDistance = 0; // scene units from the nozzle to where its spilled water lands
         // Basin ripple surface
         this.basinSurface = null;
         this.basinSurfaceMaterial = null;
@@ -29,21 +101,85 @@ export class Fountain {
         this.activeRipples = [];
         this.sideGroup = null; // group that holds the two side containers stacked vertically
         this.isFlipping = false;
-        this.flipOrientation = 0; // multiples of PI on sideGroup.rotation.z
+        this.flipAnimation = null; // { elapsed, duration, from, to } while the side pair turns over
+        this.flipDone = null; // { promise, resolve } for the flip in progress
+        this.ranOut = false; // the fountain has run itself out this cycle (cycleComplete has fired)
+        this.events = new EventEmitter(FOUNTAIN_EVENTS);
+        this.pivotRotation = 0; // side pivot angle (rad) at the current and previous step
+        this.previousPivotRotation = 0;
+        this.previousLevels = this.simulation.waterLevels; // for interpolating between steps
+        this.reducedMotion = false; // see setReducedMotion
         this.defaultPipesEnabled = false; // hide legacy horizontal pipes
-        this.bowlParams = { bottomY: 3.35, height: 1.4, innerBottomR: 1.5, innerTopR: 1.5, absorbY: 3.6 };
+        this.editMode = false; // hose editor: port markers and guide handles shown
+        this.portMarkers = [];
+        const bowl = this.layout.bowl;
+        this.bowlParams = {
+            bottomY: bowl.bottomY,
+            height: bowl.height,
+            innerBottomR: bowl.radius,
+            innerTopR: bowl.radius,
+            absorbY: bowl.bottomY + bowl.height * this.simulation.waterLevels.A
+        };
         
         this.createContainers();
+        this.createPortMarkers();
         if (this.defaultPipesEnabled) this.createPipes();
         this.createParticleSystem();
         this.createBasinWaterSurface();
         // Auto-create default hoses and nozzle so the system runs without manual steps
         this.addDefaultDiagramHoses();
-        this.createGround();
+        if (options.ground !== false) this.createGround();
+        this.createFaultCues();
+        this.createHighlights();
+        this.cutaway = new Cutaway(this); // off until enabled
+        this.fittings = new Fittings(this); // valves on hoses and the hand pump
+        // Start from the current levels and pressure so nothing fires on the first step
+        this.levelStates = this.currentLevelStates();
+        this.setPressureThresholds(options.pressureThresholds || []);
+    }
+
+    // Scene-unit dimensions derived from the geometry config (metres)
+    computeLayout() {
+        const g = this.geometry;
+        const s = g.unitsPerMetre;
+        const bottomY = g.bowl.elevation * s;
+        const height = g.bowl.height * s;
+        const pairSpacing = 2 * (g.chamber.radius + g.wall) * s + PAIR_GAP;
+        return {
+            scale: s,
+            wall: g.wall * s,
+            bowl: {
+                radius: g.bowl.radius * s,
+                height,
+                bottomY,
+                centerY: bottomY + height / 2,
+                rimY: rimElevation(g) * s,
+                nozzleY: (rimElevation(g) + g.bowl.nozzleHeight) * s
+            },
+            chamber: {
+                radius: g.chamber.radius * s,
+                height: g.chamber.height * s,
+                outerRadius: (g.chamber.radius + g.wall) * s,
+                outerHeight: (g.chamber.height + 2 * g.wall) * s,
+                offsetY: chamberSeparation(g) / 2 * s // centre of B above (and C below) the pivot
+            },
+            stack: new THREE.Vector3(g.stack.offset * s, g.stack.elevation * s, 0),
+            // A cascade's earlier stages stand further out beside B and C, one pair apart
+            pairSpacing,
+            stackWidth: (this.chamberPairs.length - 1) * pairSpacing
+        };
+    }
+
+    // Water column inside a chamber fills up from its local bottom
+    placeChamberWater(water, level) {
+        const h = this.layout.chamber.height;
+        water.scale.y = level;
+        water.position.y = -h / 2 + (h / 2) * level;
     }
 
     createContainers() {
-        const containerGeometry = new THREE.CylinderGeometry(1, 1, 2, 32);
+        const { bowl, chamber, wall } = this.layout;
+        const containerGeometry = new THREE.CylinderGeometry(chamber.outerRadius, chamber.outerRadius, chamber.outerHeight, 32);
         const glassMaterial = new THREE.MeshPhysicalMaterial({
             color: 0x7fb8ff,
             transparent: true,
@@ -57,10 +193,10 @@ export class Fountain {
         // Top container (A) - fountain basin (stays in place on the left) - HOLLOW AND OPEN TOP
         this.containers.A = new THREE.Group();
         // Create hollow fountain basin with wider top opening (fountain-like)
-        const fountainOuterRadius = 1.6;
-        const fountainInnerRadius = 1.4; // Hollow interior
-        const fountainHeight = 1.4;
-        const fountainTopRadius = 1.7; // Wider at top for fountain basin effect
+        const fountainOuterRadius = bowl.radius + wall;
+        const fountainInnerRadius = bowl.radius - wall; // Hollow interior
+        const fountainHeight = bowl.height;
+        const fountainTopRadius = bowl.radius + 2 * wall; // Wider at top for fountain basin effect
         
         // Create outer wall (slightly flared at top like a fountain) - OPEN TOP, CLOSED BOTTOM
         // Extend wall height slightly to create visible edges
@@ -105,7 +241,7 @@ export class Fountain {
         });
         const outerWall = new THREE.Mesh(outerWallGeometry, bowlMaterial);
         // Position centered on original basin height, so extended edges are above
-        outerWall.position.y = 4;
+        outerWall.position.y = bowl.centerY;
         outerWall.castShadow = true;
         outerWall.receiveShadow = true;
         this.containers.A.add(outerWall);
@@ -150,7 +286,7 @@ export class Fountain {
         });
         const innerWall = new THREE.Mesh(innerWallGeometry, innerWallMaterial);
         // Position centered on original basin height, so extended edges are above
-        innerWall.position.y = 4;
+        innerWall.position.y = bowl.centerY;
         innerWall.castShadow = false;
         innerWall.receiveShadow = true;
         this.containers.A.add(innerWall);
@@ -165,7 +301,7 @@ export class Fountain {
             32
         );
         const bottomMesh = new THREE.Mesh(bottomGeometry, bowlMaterial);
-        bottomMesh.position.y = 4 - fountainHeight / 2 - bottomThickness / 2;
+        bottomMesh.position.y = bowl.centerY - fountainHeight / 2 - bottomThickness / 2;
         bottomMesh.castShadow = true;
         bottomMesh.receiveShadow = true;
         this.containers.A.add(bottomMesh);
@@ -178,7 +314,7 @@ export class Fountain {
             32
         );
         const innerBottomMesh = new THREE.Mesh(innerBottomGeometry, bowlMaterial);
-        innerBottomMesh.position.y = 4 - fountainHeight / 2 - bottomThickness / 2;
+        innerBottomMesh.position.y = bowl.centerY - fountainHeight / 2 - bottomThickness / 2;
         innerBottomMesh.castShadow = true;
         innerBottomMesh.receiveShadow = true;
         this.containers.A.add(innerBottomMesh);
@@ -189,92 +325,86 @@ export class Fountain {
         // Top is open (no cap) - water can flow in from the top, but walls keep it contained
 
         // Water in container A (legacy cylinder; will be hidden by ripple surface)
-        const waterGeometryA = new THREE.CylinderGeometry(0.9, 0.9, 1.0, 32);
+        const waterGeometryA = new THREE.CylinderGeometry(bowl.radius * 0.6, bowl.radius * 0.6, bowl.height * 0.7, 32);
         const waterMaterialA = new THREE.MeshStandardMaterial({ color: 0x4169E1, metalness: 0.0, roughness: 0.4, side: THREE.DoubleSide, transparent: true, opacity: 0.6 });
         this.containers.A.water = new THREE.Mesh(waterGeometryA, waterMaterialA);
-        this.containers.A.water.position.y = 4;
+        this.containers.A.water.position.y = bowl.centerY;
         this.containers.A.water.visible = false;
         this.containers.A.water.castShadow = true;
 
         // Add a solid bottom inside the bowl so it visually holds water
         const bowlBottom = new THREE.Mesh(new THREE.CylinderGeometry(this.bowlParams.innerTopR, this.bowlParams.innerTopR, 0.06, 32), new THREE.MeshPhysicalMaterial({ color: 0x202535, metalness: 0.2, roughness: 0.6, transparent: true, opacity: 0.6 }));
-        bowlBottom.position.set(0, 3.35, 0);
+        bowlBottom.position.set(0, bowl.bottomY, 0);
         bowlBottom.receiveShadow = true;
-        this.scene.add(bowlBottom);
+        this.root.add(bowlBottom);
 
         // Create a side group that stacks the two side containers vertically (to the right)
         this.sideGroup = new THREE.Group();
-        this.sideGroup.position.set(3.5, 2.5, 0); // closer to bowl; becomes pivot position later
-        this.scene.add(this.sideGroup);
-
-        // Upper side container (B)
-        this.containers.B = new THREE.Group();
-        this.containers.B.position.set(0, 1.5, 0); // local to sideGroup
-        const containerB = new THREE.Mesh(containerGeometry, glassMaterial);
-        containerB.castShadow = true;
-        containerB.receiveShadow = true;
-        this.containers.B.add(containerB);
-
-        // Water in container B
-        const waterGeometryB = new THREE.CylinderGeometry(0.9, 0.9, 1.8, 32);
-        const waterMaterialB = new THREE.MeshStandardMaterial({
-            color: 0x4169E1,
-            metalness: 0.0,
-            roughness: 0.4,
-            side: THREE.DoubleSide
+        this.sideGroup.position.copy(this.layout.stack); // becomes pivot position later
+        this.root.add(this.sideGroup);
+
+        // Chamber pairs, upper over lower: B over C, and a cascade's earlier stages beside them
+        this.chamberPairs.forEach(([upper, lower], i) => {
+            const x = (this.chamberPairs.length - 1 - i) * this.layout.pairSpacing;
+            this.createChamber(upper, new THREE.Vector3(x, chamber.offsetY, 0), containerGeometry, glassMaterial);
+            this.createChamber(lower, new THREE.Vector3(x, -chamber.offsetY, 0), containerGeometry, glassMaterial);
         });
-        this.containers.B.water = new THREE.Mesh(waterGeometryB, waterMaterialB);
-        // position water so it fills from the bottom of the cylinder (local space)
-        this.containers.B.water.position.set(0, -0.9 + 0.9 * this.waterLevels.B, 0);
-        this.containers.B.water.castShadow = true;
-        this.containers.B.add(this.containers.B.water);
-
-        // Lower side container (C)
-        this.containers.C = new THREE.Group();
-        this.containers.C.position.set(0, -1.5, 0); // local to sideGroup
-        const containerC = new THREE.Mesh(containerGeometry, glassMaterial);
-        containerC.castShadow = true;
-        containerC.receiveShadow = true;
-        this.containers.C.add(containerC);
-
-        // Water in container C
-        const waterGeometryC = new THREE.CylinderGeometry(0.9, 0.9, 1.8, 32);
-        const waterMaterialC = new THREE.MeshStandardMaterial({
-            color: 0x4169E1,
-            metalness: 0.0,
-            roughness: 0.4,
-            side: THREE.DoubleSide
-        });
-        this.containers.C.water = new THREE.Mesh(waterGeometryC, waterMaterialC);
-        this.containers.C.water.position.set(0, -0.9 + 0.9 * this.waterLevels.C, 0);
-        this.containers.C.water.castShadow = true;
-        this.containers.C.add(this.containers.C.water);
 
-        // Add basin A to scene directly; add B and C via the sideGroup
-        this.scene.add(this.containers.A);
-        this.scene.add(this.containers.A.water);
-        this.sideGroup.add(this.containers.B);
-        this.sideGroup.add(this.containers.C);
+        // Add basin A to scene directly; the chambers are in the sideGroup
+        this.root.add(this.containers.A);
+        this.root.add(this.containers.A.water);
 
         // Create default attachment ports on containers for hose anchoring
         // Place ports slightly INSIDE the glass so hoses appear to enter
-        this.ports.A.right = this.createPort(this.containers.A, new THREE.Vector3(0.8, 4.0, 0));
-        this.ports.A.left = this.createPort(this.containers.A, new THREE.Vector3(-0.8, 4.0, 0));
+        // Side ports sit at the same relative height the physics uses (geometry.buildVessels)
+        const sidePortY = bowl.bottomY + bowl.height * 0.46;
+        this.ports.A.right = this.createPort(this.containers.A, new THREE.Vector3(bowl.radius * 0.53, sidePortY, 0));
+        this.ports.A.left = this.createPort(this.containers.A, new THREE.Vector3(-bowl.radius * 0.53, sidePortY, 0));
         // Specialized bowl ports: nozzle at top-center, drain near bottom center
-        // Raise nozzle slightly so stream is clearly visible above bowl rim
-        this.ports.A.nozzle = this.createPort(this.containers.A, new THREE.Vector3(0.0, 5.2, 0));
-        this.ports.A.drain = this.createPort(this.containers.A, new THREE.Vector3(0.2, 3.1, 0));
-
-        // Visual curved swan-neck nozzle is created when default hoses (P1,P2,P3) are added
+        // The nozzle's tip sits above the rim so the stream is clearly visible (see placeNozzle)
+        this.ports.A.nozzle = this.createPort(this.containers.A, new THREE.Vector3(0.0, bowl.nozzleY, 0));
+        this.ports.A.drain = this.createPort(this.containers.A, new THREE.Vector3(bowl.radius * 0.13, bowl.bottomY - 2.5 * wall, 0));
+        this.placeNozzle();
+
+        // The nozzle's spout is created when a hose is connected to it (see createNozzle)
+
+        const sideX = chamber.radius - wall / 2;
+        const endY = chamber.height / 2;
+        this.chamberKeys.forEach(key => {
+            this.ports[key].left = this.createPort(this.containers[key], new THREE.Vector3(-sideX, 0.0, 0));
+            this.ports[key].right = this.createPort(this.containers[key], new THREE.Vector3(sideX, 0.0, 0));
+            this.ports[key].top = this.createPort(this.containers[key], new THREE.Vector3(0.0, endY, 0));
+            this.ports[key].bottom = this.createPort(this.containers[key], new THREE.Vector3(0.0, -endY, 0));
+            // Hose ends at the top and bottom are nudged inward to seal (see rebuildTubeForHose)
+            this.ports[key].top.userData.nudge = -0.03;
+            this.ports[key].bottom.userData.nudge = 0.03;
+        });
+    }
 
-        this.ports.B.left = this.createPort(this.containers.B, new THREE.Vector3(-0.85, 0.0, 0));
-        this.ports.B.right = this.createPort(this.containers.B, new THREE.Vector3(0.85, 0.0, 0));
-        this.ports.B.top = this.createPort(this.containers.B, new THREE.Vector3(0.0, 0.9, 0));
-        this.ports.B.bottom = this.createPort(this.containers.B, new THREE.Vector3(0.0, -0.9, 0));
-        this.ports.C.left = this.createPort(this.containers.C, new THREE.Vector3(-0.85, 0.0, 0));
-        this.ports.C.right = this.createPort(this.containers.C, new THREE.Vector3(0.85, 0.0, 0));
-        this.ports.C.top = this.createPort(this.containers.C, new THREE.Vector3(0.0, 0.9, 0));
-        this.ports.C.bottom = this.createPort(this.containers.C, new THREE.Vector3(0.0, -0.9, 0));
+    // One side chamber (in the sideGroup, at `position`) with its water column
+    createChamber(key, position, geometry, glassMaterial) {
+        const { chamber } = this.layout;
+        const group = new THREE.Group();
+        group.position.copy(position); // local to sideGroup
+        const glass = new THREE.Mesh(geometry, glassMaterial);
+        glass.castShadow = true;
+        glass.receiveShadow = true;
+        group.add(glass);
+        group.glass = glass;
+
+        const waterMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4169E1,
+            metalness: 0.0,
+            roughness: 0.4,
+            side: THREE.DoubleSide
+        });
+        group.water = new THREE.Mesh(new THREE.CylinderGeometry(chamber.radius, chamber.radius, chamber.height, 32), waterMaterial);
+        // position water so it fills from the bottom of the cylinder (local space)
+        this.placeChamberWater(group.water, this.simulation.waterLevels[key]);
+        group.water.castShadow = true;
+        group.add(group.water);
+        this.containers[key] = group;
+        this.sideGroup.add(group);
     }
 
     createPipes() {
@@ -301,13 +431,13 @@ export class Fountain {
 
         // Add pipes to scene
         Object.values(this.pipes).forEach(pipe => {
-            this.scene.add(pipe);
+            this.root.add(pipe);
         });
     }
 
     // --- Interactive hose mechanics ---
     setFlowIntensity(value) {
-        this.flowIntensity = Math.max(0, Math.min(1, value));
+        this.simulation.setFlowIntensity(value);
     }
 
     createPort(parentGroup, localPosition) {
@@ -317,6 +447,83 @@ export class Fountain {
         return port;
     }
 
+    // Pickable spheres on every port, shown only while editing hoses
+    createPortMarkers() {
+        const geometry = new THREE.SphereGeometry(0.12, 12, 12);
+        Object.entries(this.ports).forEach(([key, ports]) => {
+            Object.entries(ports).forEach(([port, obj]) => {
+                // Drawn on top so ports inside the glass can still be seen and picked
+                const material = new THREE.MeshBasicMaterial({ color: PORT_COLOR, depthTest: false, transparent: true, opacity: 0.9 });
+                const marker = new THREE.Mesh(geometry, material);
+                marker.renderOrder = 10;
+                marker.visible = this.editMode;
+                marker.userData.port = { key, port };
+                marker.userData.color = PORT_COLOR;
+                obj.add(marker);
+                this.portMarkers.push(marker);
+            });
+        });
+    }
+
+    // Draggable handle on a hose's guide point
+    createHoseHandle(hose) {
+        if (!hose.midObj) return;
+        const material = new THREE.MeshBasicMaterial({ color: HANDLE_COLOR, depthTest: false, transparent: true, opacity: 0.9 });
+        const handle = new THREE.Mesh(new THREE.SphereGeometry(0.1, 12, 12), material);
+        handle.renderOrder = 10;
+        handle.visible = this.editMode;
+        handle.userData.hose = hose;
+        hose.midObj.add(handle);
+        hose.handle = handle;
+    }
+
+    setEditMode(enabled) {
+        this.editMode = enabled;
+        this.portMarkers.forEach(m => { m.visible = enabled; });
+        this.hoses.forEach(h => { if (h.handle) h.handle.visible = enabled; });
+    }
+
+    // Meshes the hose editor raycasts against
+    getPickTargets() {
+        return {
+            ports: this.portMarkers,
+            handles: this.hoses.filter(h => h.handle).map(h => h.handle),
+            hoses: this.hoses.map(h => h.mesh)
+        };
+    }
+
+    // Position of an object in this fountain's own (root) coordinates
+    localPosition(object) {
+        return this.root.worldToLocal(object.getWorldPosition(new THREE.Vector3()));
+    }
+
+    // Take the fountain out of the scene and free its GPU resources
+    dispose() {
+        this.finishFlip(true);
+        this.cutaway.dispose();
+        this.scene.remove(this.root);
+        this.root.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+    }
+
+    // Move a hose's guide point to a world position (the tube re-routes through it)
+    moveHoseGuide(hose, worldPoint) {
+        const parent = hose.midObj.parent;
+        hose.midObj.position.copy(parent ? parent.worldToLocal(worldPoint.clone()) : worldPoint);
+    }
+
+    // True if a hose already joins these two ports, in either direction
+    hasConnection(fromKey, fromPort, toKey, toPort) {
+        return this.simulation.hasHose(fromKey, fromPort, toKey, toPort) || this.simulation.hasHose(toKey, toPort, fromKey, fromPort);
+    }
+
+    removeHose(hose) {
+        this.disposeHose(hose);
+        this.hoses = this.hoses.filter(h => h !== hose);
+    }
+
     findContainerKeyByMesh(mesh) {
         for (const key of Object.keys(this.containers)) {
             if (this.containers[key].children.includes(mesh)) return key;
@@ -338,11 +545,105 @@ export class Fountain {
         this.pendingHoseStart = null;
     }
 
+    findPortName(containerKey, portObj) {
+        const ports = this.ports[containerKey] || {};
+        return Object.keys(ports).find(name => ports[name] === portObj) || null;
+    }
+
+    // Track a visual hose and mirror its topology into the simulation
+    registerHose(hose) {
+        hose.link = this.simulation.addHose(
+            hose.from, this.findPortName(hose.from, hose.startObj),
+            hose.to, this.findPortName(hose.to, hose.endObj),
+            hose.pipe
+        );
+        if (hose.mesh) hose.mesh.userData.hose = hose;
+        this.createHoseHandle(hose);
+        this.hoses.push(hose);
+        return hose;
+    }
+
+    disposeHose(hose) {
+        if (hose.mesh && hose.mesh.parent) hose.mesh.parent.remove(hose.mesh);
+        if (hose.midObj && hose.midObj.parent) hose.midObj.parent.remove(hose.midObj);
+        if (hose.link) this.simulation.removeHose(hose.link);
+        this.fittings.removeValve(hose);
+    }
+
+    removeAllHoses() {
+        this.hoses.forEach(h => this.disposeHose(h));
+        this.hoses = [];
+        this.simulation.clearHoses();
+    }
+
+    // Connect two named ports with a hose whose guide point sits above the span
+    connectPorts(fromKey, fromPort, toKey, toPort, pipe = 'hose') {
+        const startObj = this.ports[fromKey] && this.ports[fromKey][fromPort];
+        const endObj = this.ports[toKey] && this.ports[toKey][toPort];
+        if (!startObj || !endObj) throw new Error(`Unknown port ${fromKey}.${fromPort} or ${toKey}.${toPort}`);
+        const s = this.localPosition(startObj);
+        const e = this.localPosition(endObj);
+        const midObj = new THREE.Object3D();
+        const sideOnly = fromKey !== 'A' && toKey !== 'A';
+        if (sideOnly && this.sidePivot) {
+            // Both ends flip with the side containers, so the guide does too
+            this.sidePivot.add(midObj);
+            midObj.position.copy(this.sidePivot.worldToLocal(this.root.localToWorld(new THREE.Vector3(Math.max(s.x, e.x) + 0.4, (s.y + e.y) / 2, 0))));
+        } else {
+            midObj.position.set(sideOnly ? Math.max(s.x, e.x) + 0.4 : (s.x + e.x) / 2, sideOnly ? (s.y + e.y) / 2 : Math.max(s.y, e.y) + 0.6, 0);
+            this.root.add(midObj);
+        }
+        const hose = this.registerHose(this.createAnchoredHose(fromKey, toKey, startObj, midObj, endObj, pipe));
+        if (toPort === 'nozzle' || fromPort === 'nozzle') this.createNozzle();
+        return hose;
+    }
+
+    // Replace all hoses with a topology list of { from, fromPort, to, toPort, pipe }
+    setHoses(topology) {
+        this.removeAllHoses();
+        topology.forEach(h => {
+            const hose = this.connectPorts(h.from, h.fromPort, h.to, h.toPort, h.pipe);
+            if (h.valve !== undefined && h.valve !== null) this.setValve(hose, h.valve, h.valveAt);
+        });
+    }
+
+    // Hoses with a valve also list its opening and where it sits along the hose (0..1)
+    getHoseTopology() {
+        return this.simulation.hoses.map(link => {
+            const { from, fromPort, to, toPort, pipe, valve } = link;
+            if (valve === null) return { from, fromPort, to, toPort, pipe };
+            const hose = this.hoses.find(h => h.link === link);
+            return { from, fromPort, to, toPort, pipe, valve, valveAt: hose && hose.valveAt !== undefined ? hose.valveAt : 0.5 };
+        });
+    }
+
+    // --- Valves and hand pump ---
+    // Put a valve on a hose (at a fraction `at` of the way along it, the middle by default),
+    // or turn the one it has; see FountainSimulation.setValve
+    setValve(hose, opening, at) {
+        if (!this.hoses.includes(hose)) throw new Error('Unknown hose for valve');
+        if (at !== undefined && !(at >= 0 && at <= 1)) throw new Error(`Invalid valve position: ${at} (expected 0 to 1)`);
+        this.simulation.setValve(hose.link, opening);
+        if (at !== undefined) hose.valveAt = at;
+    }
+
+    removeValve(hose) {
+        this.simulation.removeValve(hose.link);
+        delete hose.valveAt;
+    }
+
+    pumpStroke() {
+        this.simulation.pumpStroke();
+        this.fittings.pressHandle();
+    }
+
+    setPumpVent(open) {
+        this.simulation.setPumpVent(open);
+    }
+
     removeHosesForContainer(containerKey) {
         const toRemove = this.hoses.filter(h => h.from === containerKey || h.to === containerKey);
-        toRemove.forEach(h => {
-            if (h.mesh && h.mesh.parent) h.mesh.parent.remove(h.mesh);
-        });
+        toRemove.forEach(h => this.disposeHose(h));
         this.hoses = this.hoses.filter(h => !(h.from === containerKey || h.to === containerKey));
     }
 
@@ -360,8 +661,8 @@ export class Fountain {
         });
         const mesh = new THREE.Mesh(geometry, material);
         mesh.castShadow = true;
-        this.scene.add(mesh);
-        this.hoses.push({ from: fromKey, to: toKey, curve, mesh });
+        this.root.add(mesh);
+        this.registerHose({ from: fromKey, to: toKey, curve, mesh });
     }
 
     addHoseCurved(fromKey, toKey, getPoints) {
@@ -375,8 +676,8 @@ export class Fountain {
         });
         const mesh = new THREE.Mesh(geometry, material);
         mesh.castShadow = true;
-        this.scene.add(mesh);
-        this.hoses.push({ from: fromKey, to: toKey, curve, mesh, getPoints });
+        this.root.add(mesh);
+        this.registerHose({ from: fromKey, to: toKey, curve, mesh, getPoints });
     }
 
     addFreeformHoseWithPoints(fromKey, toKey, worldPoints) {
@@ -394,33 +695,32 @@ export class Fountain {
             const b = this.getContainerWorldPosition(toKey);
             midObj.position.set((a.x + b.x) / 2, Math.max(a.y, b.y) + 0.2, 0);
         }
-        this.scene.add(midObj);
+        this.root.add(midObj);
 
         // Build mesh and store hose record
         const material = new THREE.MeshPhysicalMaterial({ color: 0x11161c, metalness: 0.25, roughness: 0.35 });
         const dummyCurve = new THREE.CatmullRomCurve3([new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()]);
         const mesh = new THREE.Mesh(new THREE.TubeGeometry(dummyCurve, 64, 0.08, 12, false), material);
         mesh.castShadow = true;
-        this.scene.add(mesh);
+        this.root.add(mesh);
         const hose = { from: fromKey, to: toKey, mesh, startObj, endObj, midObj };
-        this.hoses.push(hose);
+        this.registerHose(hose);
         this.rebuildTubeForHose(hose);
     }
 
     getContainerWorldPosition(key) {
         const group = this.containers[key];
         const worldPos = new THREE.Vector3();
-        group.updateMatrixWorld();
-        group.getWorldPosition(worldPos);
+        worldPos.copy(this.localPosition(group));
         // place hose entry at cylinder side near center vertically for A and at local center for B/C
-        if (key === 'A') worldPos.y = 4; // basin height
+        if (key === 'A') worldPos.y = this.layout.bowl.centerY; // basin height
         return worldPos;
     }
 
     getContainerAttachmentPoint(key, angleRadians = 0, heightOffset = 0) {
         // Returns a point slightly outside the cylinder at the given polar angle around it
         const base = this.getContainerWorldPosition(key);
-        const radius = 1.1; // just outside glass
+        const radius = this.layout.chamber.outerRadius + this.layout.wall; // just outside glass
         const offset = new THREE.Vector3(Math.cos(angleRadians) * radius, 0, Math.sin(angleRadians) * radius);
         base.add(offset);
         base.y += heightOffset;
@@ -465,32 +765,9 @@ export class Fountain {
     }
 
     createParticleSystem() {
-        // Create particle system for fountain spout that drops back into basin A
-        const particleCount = this.maxParticles;
-        const particleGeometry = new THREE.SphereGeometry(0.06, 8, 8);
-        const particleMaterial = new THREE.MeshBasicMaterial({
-            color: 0x66aaff,
-            transparent: true,
-            opacity: 0.85,
-            depthWrite: false
-        });
-        particleMaterial.blending = THREE.AdditiveBlending;
-
-        this.particleSystem = new THREE.Group();
-
-        for (let i = 0; i < particleCount; i++) {
-            const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-            particle.visible = false;
-            this.particleSystem.add(particle);
-            this.particles.push({
-                mesh: particle,
-                velocity: new THREE.Vector3(),
-                life: 0,
-                maxLife: 2 + Math.random() * 2
-            });
-        }
-
-        this.scene.add(this.particleSystem);
+        // Droplets for the fountain spout that drop back into basin A, drawn in one call
+        this.droplets = new DropletSystem({ capacity: this.maxParticles, color: 0x66aaff, size: 0.12 });
+        this.root.add(this.droplets.points);
 
         // Create a ribbon-like stream (thin tube) we can morph per frame for continuous flow
         const curve = new THREE.CatmullRomCurve3([
@@ -502,7 +779,7 @@ export class Fountain {
         this.streamMaterial = this.createStreamShaderMaterial();
         this.streamMesh = new THREE.Mesh(tubeGeo, this.streamMaterial);
         this.streamMesh.visible = false;
-        this.scene.add(this.streamMesh);
+        this.root.add(this.streamMesh);
     }
 
     createBasinWaterSurface() {
@@ -519,14 +796,19 @@ export class Fountain {
             uRippleCount: { value: 0 },
             uAbsorbY: { value: this.bowlParams.absorbY }
         };
+        // The clipping chunks let the cutaway plane slice the surface with the bowl
         const vertex = `
+            #include <clipping_planes_pars_vertex>
             varying vec2 vUv;
             void main(){
               vUv = uv*2.0-1.0; // map to [-1,1]
-              gl_Position = projectionMatrix * modelViewMatrix * vec4(position,1.0);
+              vec4 mvPosition = modelViewMatrix * vec4(position,1.0);
+              gl_Position = projectionMatrix * mvPosition;
+              #include <clipping_planes_vertex>
             }
         `;
         const fragment = `
+            #include <clipping_planes_pars_fragment>
             varying vec2 vUv;
             uniform float uTime;
             uniform vec3 uColorDeep;
@@ -544,6 +826,7 @@ export class Fountain {
               return s * envelope * 0.15;
             }
             void main(){
+              #include <clipping_planes_fragment>
               vec2 p = vUv;
               float h = 0.0;
               for(int i=0;i<${Math.max(1,this.maxRipples)};i++){
@@ -560,12 +843,12 @@ export class Fountain {
               gl_FragColor = vec4(col, alpha);
             }
         `;
-        this.basinSurfaceMaterial = new THREE.ShaderMaterial({ uniforms, vertexShader: vertex, fragmentShader: fragment, transparent: true, depthWrite: true, depthTest: true });
+        this.basinSurfaceMaterial = new THREE.ShaderMaterial({ uniforms, vertexShader: vertex, fragmentShader: fragment, transparent: true, depthWrite: true, depthTest: true, clipping: true });
         const mesh = new THREE.Mesh(geom, this.basinSurfaceMaterial);
         mesh.rotation.x = -Math.PI/2;
         mesh.position.set(0, this.bowlParams.absorbY + 0.005, 0);
         mesh.receiveShadow = true;
-        this.scene.add(mesh);
+        this.root.add(mesh);
         this.basinSurface = mesh;
     }
 
@@ -614,72 +897,387 @@ export class Fountain {
         return new THREE.ShaderMaterial({ uniforms, vertexShader: vertex, fragmentShader: fragment, transparent: true, depthWrite: false });
     }
 
-    createSwanNeckNozzle() {
-        // Remove prior nozzle visual if any
-        if (this.nozzleMesh && this.nozzleMesh.parent) this.nozzleMesh.parent.remove(this.nozzleMesh);
+    // Tip at the nozzle's height above the rim, pointing along its angle. A tilted jet
+    // leans away from the chamber stack, so what it spills lands clear of the chambers.
+    nozzleAim() {
+        const { angle, height } = this.simulation.nozzle;
+        const radians = THREE.MathUtils.degToRad(angle);
+        return {
+            tip: new THREE.Vector3(0, (rimElevation(this.geometry) + height) * this.layout.scale, 0),
+            direction: new THREE.Vector3(-Math.cos(radians), Math.sin(radians), 0)
+        };
+    }
 
-        // Control points: start inside bowl center, curve up and forward, then down
-        // Rotate 90° around Y so the neck curves across the bowl center and pours inward
-        const start = new THREE.Vector3(0.0, 4.95, 0); // near rim inside
-        const arch = new THREE.Vector3(0.25, 5.4, 0.0); // higher arch
-        const tip = new THREE.Vector3(0.05, 5.25, 0.0); // raised tip
-        const curve = new THREE.CatmullRomCurve3([start, arch, tip]);
-        const geom = new THREE.TubeGeometry(curve, 24, 0.05, 10, false);
-        const mat = new THREE.MeshPhysicalMaterial({ color: 0x11161c, metalness: 0.3, roughness: 0.4 });
-        const mesh = new THREE.Mesh(geom, mat);
+    // Angle (degrees), height and bore (m) of the nozzle; see FountainSimulation.setNozzle
+    setNozzle(settings) {
+        this.simulation.setNozzle(settings);
+        this.placeNozzle();
+    }
+
+    // Hoses into the nozzle meet the base of its spout
+    placeNozzle() {
+        const { tip, direction } = this.nozzleAim();
+        this.layout.bowl.nozzleY = tip.y;
+        this.ports.A.nozzle.position.copy(tip).addScaledVector(direction, -SPOUT_LENGTH);
+        if (this.nozzleMesh) this.createNozzle();
+    }
+
+    // A spout on the end of the riser, tapering from the hose to the nozzle's bore (drawn
+    // twice its size so a few millimetres can be seen); droplets leave from its tip
+    createNozzle() {
+        if (this.nozzleMesh) {
+            this.nozzleMesh.parent.remove(this.nozzleMesh);
+            this.nozzleMesh.geometry.dispose();
+        }
+        this.nozzleMaterial = this.nozzleMaterial || new THREE.MeshPhysicalMaterial({ color: 0x11161c, metalness: 0.3, roughness: 0.4 });
+        const { tip, direction } = this.nozzleAim();
+        // Base as wide as the hoses' tubes
+        const geometry = new THREE.CylinderGeometry(this.simulation.nozzle.bore * this.layout.scale, 0.08, SPOUT_LENGTH, 16);
+        geometry.translate(0, -SPOUT_LENGTH / 2, 0); // tip at the origin
+        const mesh = new THREE.Mesh(geometry, this.nozzleMaterial);
+        mesh.position.copy(tip);
+        mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        mesh.castShadow = true;
         this.containers.A.add(mesh);
         this.nozzleMesh = mesh;
 
-        // Spout tip located at end of curve; emit downward
-        const tipObj = new THREE.Object3D();
-        tipObj.position.copy(tip);
-        tipObj.userData = { direction: new THREE.Vector3(0, -1, 0) };
-        this.containers.A.add(tipObj);
-        this.spoutTip = tipObj;
+        if (!this.spoutTip) {
+            this.spoutTip = new THREE.Object3D();
+            this.containers.A.add(this.spoutTip);
+        }
+        this.spoutTip.position.copy(tip);
+        this.spoutTip.userData.direction = direction;
     }
 
     createGround() {
-        const groundGeometry = new THREE.PlaneGeometry(20, 20);
+        // Wide enough for comparison fountains standing beside this one (see compare.js)
+        const groundGeometry = new THREE.PlaneGeometry(60, 60);
         const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
         const ground = new THREE.Mesh(groundGeometry, groundMaterial);
         ground.rotation.x = -Math.PI / 2;
-        ground.position.y = -4;
+        ground.position.y = GROUND_Y;
         ground.receiveShadow = true;
-        this.scene.add(ground);
+        ground.userData.uncut = true; // the cutaway slices the fountain, not the floor
+        this.root.add(ground);
     }
 
+    // --- Fault cues: a hissing jet for air leaks, a trickle and puddle for water
+    // leaks, and a band around a clogged pipe (orange when partly blocked, red when shut) ---
+    createFaultCues() {
+        const { chamber, bowl } = this.layout;
+        const ringMaterial = new THREE.MeshBasicMaterial({ color: 0xff5252 });
+        const ringGeometry = new THREE.TorusGeometry(0.07, 0.02, 8, 16);
+        this.faultCues = { air: {}, water: {}, puddles: {}, clog: {} };
+
+        this.chamberKeys.forEach(key => {
+            // Air hole on the side facing the default camera; the jet widens away from it
+            const hole = new THREE.Group();
+            hole.position.set(0, chamber.height * 0.3, -chamber.outerRadius);
+            hole.add(new THREE.Mesh(ringGeometry, ringMaterial));
+            const jetGeometry = new THREE.ConeGeometry(0.12, 0.6, 12, 1, true);
+            jetGeometry.translate(0, -0.3, 0); // apex at the hole
+            const jet = new THREE.Mesh(jetGeometry, new THREE.MeshBasicMaterial({ color: 0xe0f7ff, transparent: true, opacity: 0.4, depthWrite: false, side: THREE.DoubleSide }));
+            jet.rotation.x = Math.PI / 2;
+            hole.add(jet);
+            hole.visible = false;
+            this.containers[key].add(hole);
+            this.faultCues.air[key] = { hole, jet };
+        });
+
+        const streamMaterial = new THREE.MeshBasicMaterial({ color: 0x4fc3f7, transparent: true, opacity: 0.7, depthWrite: false });
+        const streamGeometry = new THREE.CylinderGeometry(1, 1, 1, 8, 1, true);
+        streamGeometry.translate(0, -0.5, 0); // hangs down from its top
+        this.simulation.keys.forEach(key => {
+            const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+            ring.rotation.x = Math.PI / 2;
+            if (key === 'A') {
+                ring.position.set(bowl.radius * 0.4, bowl.bottomY - 0.16, -bowl.radius * 0.4);
+                this.root.add(ring);
+            } else {
+                ring.position.set(chamber.radius * 0.5, -chamber.outerHeight / 2 - 0.01, -chamber.radius * 0.5);
+                this.containers[key].add(ring);
+            }
+            ring.visible = false;
+            const stream = new THREE.Mesh(streamGeometry, streamMaterial);
+            stream.visible = false;
+            this.root.add(stream);
+            this.faultCues.water[key] = { ring, stream };
+        });
+
+        // One puddle under the bowl, one under the chamber stack (all its pairs) and one
+        // where water the jet spills lands on the floor
+        const puddleMaterial = new THREE.MeshStandardMaterial({ color: 0x3a6ea5, transparent: true, opacity: 0.75, roughness: 0.1 });
+        ['bowl', 'stack', 'spill'].forEach(name => {
+            const puddle = new THREE.Mesh(new THREE.CircleGeometry(1, 32), puddleMaterial);
+            puddle.rotation.x = -Math.PI / 2;
+            puddle.visible = false;
+            this.root.add(puddle);
+            this.faultCues.puddles[name] = puddle;
+        });
+    }
+
+    updateFaultCues() {
+        const sim = this.simulation;
+        const { airLeak, waterLeak, clog } = sim.faults;
+        const s = this.layout.scale;
+
+        Object.entries(this.faultCues.air).forEach(([meshKey, cue]) => {
+            const key = this.displayKey(meshKey);
+            cue.hole.visible = airLeak[key] > 0;
+            const flow = Math.abs(sim.leakFlows.air[key]); // m³/s
+            cue.jet.visible = flow > 1e-7;
+            // Longer, brighter, flickering jet for a faster leak
+            const strength = Math.min(1, flow / 5e-5);
+            cue.jet.scale.set(1, 0.4 + 1.6 * strength * (0.85 + 0.15 * Math.sin(this.time * 60)), 1);
+            cue.jet.material.opacity = 0.2 + 0.5 * strength;
+        });
+
+        const hole = new THREE.Vector3();
+        Object.entries(this.faultCues.water).forEach(([meshKey, cue]) => {
+            const key = this.displayKey(meshKey);
+            cue.ring.visible = waterLeak[key] > 0;
+            const flow = sim.leakFlows.water[key];
+            cue.stream.visible = cue.ring.visible && flow > 0;
+            if (!cue.stream.visible) return;
+            hole.copy(this.localPosition(cue.ring));
+            // Trickle from the hole to the ground, wider for a bigger hole (exaggerated to be seen)
+            const radius = 0.03 + waterLeak[key] * s * 2;
+            cue.stream.position.copy(hole);
+            cue.stream.scale.set(radius, Math.max(0.01, hole.y - GROUND_Y), radius);
+        });
+
+        const puddles = this.faultCues.puddles;
+        const placePuddle = (puddle, volume, x, z) => {
+            puddle.visible = volume > 1e-7;
+            const radius = Math.min(3, Math.sqrt(volume / PUDDLE_DEPTH / Math.PI) * s);
+            puddle.position.set(x, GROUND_Y + 0.01, z);
+            puddle.scale.setScalar(Math.max(0.05, radius));
+        };
+        const bowlRing = this.faultCues.water.A.ring.position;
+        placePuddle(puddles.bowl, sim.leakedVolumes.A, bowlRing.x, bowlRing.z);
+        const stackRing = this.faultCues.water.B.ring.position;
+        const stackLeaked = this.chamberKeys.reduce((total, key) => total + sim.leakedVolumes[key], 0);
+        placePuddle(puddles.stack, stackLeaked, this.layout.stack.x + this.layout.stackWidth / 2 + stackRing.x, this.layout.stack.z + stackRing.z);
+        // The jet leans towards −x (see nozzleAim); its puddle stays where it last came down
+        if (sim.spillFlow > 0) {
+            const drop = (this.layout.bowl.nozzleY - GROUND_Y) / s;
+            this.spillDistance = jetRange(sim.jetVelocity, THREE.MathUtils.degToRad(sim.nozzle.angle), drop) * s;
+        }
+        placePuddle(puddles.spill, sim.spilledVolume, -this.spillDistance, 0);
+
+        // Clog bands sit halfway along the pipe
+        Object.keys(clog).forEach(pipe => {
+            const hose = this.hoses.find(h => h.pipe === pipe);
+            let band = this.faultCues.clog[pipe];
+            const show = Boolean(hose && hose.curve && clog[pipe] > 0);
+            if (!show) {
+                if (band) band.visible = false;
+                return;
+            }
+            if (!band) {
+                band = new THREE.Mesh(new THREE.TorusGeometry(0.13, 0.05, 8, 20), new THREE.MeshBasicMaterial({ color: 0xffa726 }));
+                this.root.add(band);
+                this.faultCues.clog[pipe] = band;
+            }
+            band.visible = true;
+            band.position.copy(hose.curve.getPointAt(0.5));
+            band.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), hose.curve.getTangentAt(0.5));
+            band.material.color.setHex(clog[pipe] >= 1 ? 0xff1744 : 0xffa726);
+            band.scale.setScalar(1 + 0.4 * clog[pipe]);
+        });
+    }
+
+    // --- Highlights (lessons): a pulsing halo around a container, a glow along a pipe ---
+    createHighlights() {
+        const { bowl, chamber, wall } = this.layout;
+        this.highlightMaterial = new THREE.MeshBasicMaterial({ color: HIGHLIGHT_COLOR, transparent: true, opacity: 0.2, depthWrite: false, side: THREE.BackSide });
+        const halo = (radius, height) => {
+            const mesh = new THREE.Mesh(new THREE.CylinderGeometry(radius, radius, height, 32, 1, true), this.highlightMaterial);
+            mesh.visible = false;
+            return mesh;
+        };
+        this.halos = { A: halo(bowl.radius + 4 * wall, bowl.height + 0.6) };
+        this.chamberKeys.forEach(key => { this.halos[key] = halo(chamber.outerRadius * 1.2, chamber.outerHeight * 1.15); });
+        this.halos.A.position.y = bowl.centerY + 0.15; // take in the nozzle above the rim
+        Object.entries(this.halos).forEach(([key, mesh]) => this.containers[key].add(mesh));
+        this.highlighted = [];
+    }
+
+    // Highlight containers (internal keys A, B, C) and pipes (P1, P2, P3); [] clears
+    setHighlights(targets = []) {
+        this.hoses.forEach(h => {
+            if (this.highlighted.includes(h.pipe) && h.mesh.material.emissive) h.mesh.material.emissive.setHex(0x000000);
+        });
+        this.highlighted = [...targets];
+        Object.entries(this.halos).forEach(([key, mesh]) => { mesh.visible = this.highlighted.includes(key); });
+    }
+
+    // Reduced motion changes only what is drawn: fewer droplets, no ripples or stream
+    // shimmer, steady highlights and no turning during a flip
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        this.droplets.reducedMotion = reduced;
+    }
+
+    updateHighlights() {
+        if (!this.highlighted.length) return;
+        // Pulse on the wall clock so highlights stay lively while the simulation is paused;
+        // with reduced motion they hold steady
+        const pulse = this.reducedMotion ? 0.5 : 0.5 + 0.5 * Math.sin(performance.now() / 250);
+        this.highlightMaterial.opacity = 0.1 + 0.2 * pulse;
+        this.hoses.forEach(h => {
+            if (!this.highlighted.includes(h.pipe) || !h.mesh.material.emissive) return;
+            h.mesh.material.emissive.setHex(HIGHLIGHT_COLOR).multiplyScalar(0.3 + 0.4 * pulse);
+        });
+    }
+
+    // Reseed the particle randomness. Live droplets and ripples are cleared so a
+    // given seed always produces the same droplets from this point on.
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.random = createRng(this.seed);
+        if (this.droplets) this.droplets.clear();
+        this.activeRipples = [];
+    }
+
+    // --- Events ---
+
+    // Subscribe to one of FOUNTAIN_EVENTS; returns a function that unsubscribes
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+
+    emit(type, detail = {}) {
+        return this.events.emit(type, { type, time: this.simulation.time, ...detail });
+    }
+
+    // Gauge pressures (Pa) whose crossing in either direction emits pressureThreshold
+    setPressureThresholds(thresholds) {
+        this.pressureThresholds = [...thresholds].sort((a, b) => a - b);
+        this.pressureAbove = this.pressureThresholds.map(threshold => this.simulation.airPressure >= threshold);
+    }
+
+    currentLevelStates() {
+        const levels = this.simulation.waterLevels;
+        const states = {};
+        this.simulation.keys.forEach(key => {
+            states[key] = levels[key] <= EMPTY_LEVEL ? 'empty' : levels[key] >= FULL_LEVEL ? 'full' : null;
+        });
+        return states;
+    }
+
+    // Emit level and pressure events for what changed during the last step
+    checkEvents() {
+        const levels = this.simulation.waterLevels;
+        this.simulation.keys.forEach(key => {
+            const level = levels[key];
+            const state = this.levelStates[key];
+            const detail = { container: this.screenLabels[key], key, level };
+            if (state !== 'empty' && level <= EMPTY_LEVEL) {
+                this.levelStates[key] = 'empty';
+                this.emit('containerEmpty', detail);
+            } else if (state !== 'full' && level >= FULL_LEVEL) {
+                this.levelStates[key] = 'full';
+                this.emit('containerFull', detail);
+            } else if ((state === 'empty' && level > EMPTY_LEVEL + LEVEL_HYSTERESIS) ||
+                       (state === 'full' && level < FULL_LEVEL - LEVEL_HYSTERESIS)) {
+                this.levelStates[key] = null;
+            }
+        });
+
+        const pressure = this.simulation.airPressure;
+        this.pressureThresholds.forEach((threshold, i) => {
+            const above = pressure >= threshold;
+            if (above === this.pressureAbove[i]) return;
+            this.pressureAbove[i] = above;
+            this.emit('pressureThreshold', { threshold, pressure, rising: above });
+        });
+    }
+
+    // Advance one frame and draw it (variable-step callers; main.js uses step + render)
     update(deltaTime) {
-        if (!this.isActive) return;
+        this.step(deltaTime);
+        this.render(1);
+    }
 
-        // Update water flow
-        this.updateWaterFlow(deltaTime);
-        
-        // Update air pressure
-        this.updateAirPressure();
+    // Advance everything that decides what happens next by a fixed dt: the simulation,
+    // the flip animation and the droplets. Same seed + same inputs = same run.
+    step(deltaTime) {
+        this.capturePrevious();
+        this.updateFlipAnimation(deltaTime);
+        if (!this.simulation.isActive) return;
+
+        // Advance water flow and air pressure in the headless model
+        this.simulation.step(deltaTime);
+
+        // Droplets are absorbed at the current basin surface
+        this.bowlParams.absorbY = this.bowlParams.bottomY + this.bowlParams.height * Math.max(0, Math.min(1, this.simulation.waterLevels.A));
+
+        // Visual fountain particles when the riser is jetting into the basin
+        if (this.simulation.jetFlow > 0) this.createFountainParticles();
         
         // Update particles
         this.updateParticles(deltaTime);
-        
-        // Update container water levels
-        this.updateWaterLevels();
 
-        // Auto-flip when the upper fills or the lower empties
+        this.checkEvents();
+
+        // Flip when the flip mode says so (by default when the upper empties or the lower fills)
         this.checkAutoFlip();
 
+        // Advance shader time and cull ripples older than 4s
+        this.time += deltaTime;
+        const now = this.time;
+        this.activeRipples = this.activeRipples.filter(r => now - r.startTime < 4);
+    }
+
+    // Remember the current state as the start of the next step's interpolation.
+    // Also called after jumps (reset, scenario load) so nothing slides into place.
+    capturePrevious() {
+        this.previousLevels = this.simulation.waterLevels;
+        this.previousPivotRotation = this.pivotRotation;
+        this.droplets.capturePrevious();
+    }
+
+    // Draw the state `alpha` (0..1) of the way from the previous step to the current one
+    render(alpha = 1) {
+        const levels = this.simulation.waterLevels;
+        const shown = {};
+        Object.keys(levels).forEach(k => {
+            const key = this.displayKey(k);
+            shown[k] = this.previousLevels[key] + (levels[key] - this.previousLevels[key]) * alpha;
+        });
+        this.updateWaterLevels(shown);
+
+        this.droplets.render(alpha);
+        if (this.sidePivot) {
+            // With reduced motion the pair does not turn on screen; the chambers swap
+            // contents when the (still timed) flip ends
+            this.sidePivot.rotation.x = this.reducedMotion
+                ? 0 : this.previousPivotRotation + (this.pivotRotation - this.previousPivotRotation) * alpha;
+        }
+
         // Update hose geometry (elastic effect toward current endpoints)
         this.updateHoses();
+        this.updateFaultCues();
+        this.updateHighlights();
+        this.cutaway.update();
+        this.fittings.update();
 
-        // Advance stream shader time
-        if (this.streamMaterial) {
-            this.time += deltaTime;
+        // Stream shader time (held still with reduced motion, as are the ripples)
+        if (this.streamMaterial && !this.reducedMotion) {
             this.streamMaterial.uniforms.uTime.value = this.time;
         }
-        // Advance basin ripple time and decay old ripples
+        // Basin ripple time and active ripples
         if (this.basinSurfaceMaterial) {
             this.basinSurfaceMaterial.uniforms.uTime.value = this.time;
-            // Cull ripples older than 4s
-            const now = this.time;
-            this.activeRipples = this.activeRipples.filter(r => now - r.startTime < 4);
             const ripples = this.basinSurfaceMaterial.uniforms.uRipples.value;
             for (let i = 0; i < this.maxRipples; i++) {
                 if (i < this.activeRipples.length) {
@@ -688,91 +1286,29 @@ export class Fountain {
                     ripples[i].set(0, 0, -1000);
                 }
             }
-            this.basinSurfaceMaterial.uniforms.uRippleCount.value = this.activeRipples.length;
+            this.basinSurfaceMaterial.uniforms.uRippleCount.value = this.reducedMotion ? 0 : this.activeRipples.length;
         }
     }
 
-    updateWaterFlow(deltaTime) {
-        // 1) P1: Basin A drains down to bottom of C only if that hose exists
-        const hasDrain = this.hoses.some(h => h.from === 'A' && h.startObj === this.ports.A.drain && h.to === 'C' && h.endObj === this.ports.C.bottom);
-        if (hasDrain) {
-            const drainAmount = 0.6 * this.flowRate * this.flowIntensity * deltaTime;
-            // A's visual level is fixed; assume equivalent volume leaves B to C to conserve mass
-            const actualDrain = Math.min(drainAmount, this.waterLevels.B, 1 - this.waterLevels.C);
-            this.waterLevels.B -= actualDrain;
-            this.waterLevels.C += actualDrain;
-        }
-
-        // 2) P3: Pressurized air in C forces water from bottom of B up to A via riser
-        const hasRiser = this.hoses.some(h => h.from === 'B' && h.startObj === this.ports.B.bottom && h.to === 'A' && h.endObj === this.ports.A.nozzle);
-        if (hasRiser && this.airPressure > 0.05 && this.waterLevels.B > 0) {
-            // Pressure-driven flow through hollow riser (B.bottom -> A.nozzle)
-            const pressureFlow = (this.flowRate * 1.25) * this.flowIntensity * this.airPressure * deltaTime;
-            const actualFlow = Math.min(pressureFlow, this.waterLevels.B);
-            this.waterLevels.B -= actualFlow;
-            // Do not raise A's visual slab; just emit particles to indicate inflow
-
-            // Visual fountain particles when jetting into basin
-            if (actualFlow > 0) this.createFountainParticles();
-        }
-
-        // 3) P2: Air transfer from top of C to top of B if hose exists (affects pressure only)
-        const hasAirLine = this.hoses.some(h => h.from === 'C' && h.startObj === this.ports.C.top && h.to === 'B' && h.endObj === this.ports.B.top);
-        this.airLineConnected = hasAirLine;
-
-        // 4) Custom hoses (user-created only): move water along from->to.
-        // Strengthen gravity effect by boosting base hose flow slightly
-        const baseRate = 0.9 * this.flowRate * this.flowIntensity * deltaTime;
-        this.hoses.forEach(h => {
-            const isBottomPickup = (h.startObj === this.ports.B.bottom || h.startObj === this.ports.C.bottom);
-            const hoseRate = isBottomPickup ? baseRate * 1.6 : baseRate;
-            const from = h.from;
-            const to = h.to;
-            // Prevent water from flowing through the air line P2 (C.top -> B.top)
-            if (h.startObj === this.ports.C.top && h.endObj === this.ports.B.top) {
-                return; // air-only path
-            }
-            const available = this.waterLevels[from];
-            const capacity = 1 - this.waterLevels[to];
-            const moved = Math.max(0, Math.min(hoseRate, available, capacity));
-            if (moved > 0) {
-                this.waterLevels[from] -= moved;
-                this.waterLevels[to] += moved;
-            }
-        });
-        // Do not set isActive to false here; auto-flip will keep the system cycling
-    }
-
-    updateAirPressure() {
-        // Pressure only builds if the air line P2 is present and both B and C are sealed
-        const sealFactor = this.airLineConnected ? 1 : 0.2; // if no air line, weak coupling
-        const heightHead = Math.max(0, this.waterLevels.C - this.waterLevels.B); // proxy for head difference
-        // Add contribution from A→C drain rate to simulate momentum of inflow into C
-        const inflowFactor = Math.min(1, (1 - this.waterLevels.A) + this.waterLevels.C);
-        this.airPressure = Math.max(0, Math.min(1, sealFactor * (heightHead * 2.0 + 0.5 * inflowFactor)));
-    }
-
     updateHoses() {
         // Rebuild tube geometry from anchored objects so hoses follow container motion and rotation
         this.hoses.forEach(h => this.rebuildTubeForHose(h));
         // Keep sideGroup anchored under pivot to minimize stretch
         if (this.sidePivot && this.sideGroup) {
-            this.sideGroup.position.set(5, 2.5, 0);
+            this.sideGroup.position.set(0, 0, 0);
         }
     }
 
     rebuildTubeForHose(hose) {
         // Get world endpoints
-        const s = hose.startObj.getWorldPosition(new THREE.Vector3());
-        const e = hose.endObj.getWorldPosition(new THREE.Vector3());
+        const s = this.localPosition(hose.startObj);
+        const e = this.localPosition(hose.endObj);
         // Nudge endpoints slightly inward along Y for bottom/ top ports to ensure sealing
-        if (hose.startObj === this.ports.C.bottom || hose.startObj === this.ports.B.bottom) s.y += 0.03;
-        if (hose.endObj === this.ports.C.bottom || hose.endObj === this.ports.B.bottom) e.y += 0.03;
-        if (hose.startObj === this.ports.C.top || hose.startObj === this.ports.B.top) s.y -= 0.03;
-        if (hose.endObj === this.ports.C.top || hose.endObj === this.ports.B.top) e.y -= 0.03;
+        s.y += hose.startObj.userData.nudge || 0;
+        e.y += hose.endObj.userData.nudge || 0;
         // sag proportional to length
         const length = s.distanceTo(e);
-        const mid = hose.midObj.getWorldPosition(new THREE.Vector3());
+        const mid = this.localPosition(hose.midObj);
         const sag = Math.min(0.15, 0.05 + length * 0.02);
         mid.y -= sag;
         const curve = new THREE.CatmullRomCurve3([s, mid, e], false, 'catmullrom', 0.1);
@@ -790,71 +1326,60 @@ export class Fountain {
         return ports[side] || Object.values(ports)[0];
     }
 
-    // Create the three default hoses per the diagram and description
+    // Create the network's own hoses: for the classic fountain the three of the diagram
+    // and description, and for a cascade the same kinds of line between its stages
     addDefaultDiagramHoses() {
         // Clear existing hoses to avoid duplicates
-        this.hoses.forEach(h => { if (h.mesh && h.mesh.parent) h.mesh.parent.remove(h.mesh); });
-        this.hoses = [];
+        this.removeAllHoses();
+
+        this.simulation.network.hoses.forEach(([from, fromPort, to, toPort, pipe]) => {
+            const startObj = this.ports[from][fromPort];
+            const endObj = this.ports[to][toPort];
+            const mid = new THREE.Object3D();
+            const s = this.localPosition(startObj);
+            const e = this.localPosition(endObj);
+            if (toPort === 'nozzle') {
+                // P3 – Water riser: mounted to B and the bowl; its guide rotates with the side containers
+                mid.position.set((s.x + e.x) / 2, Math.max(s.y, e.y) + 0.6, 0);
+                if (this.sidePivot) this.sidePivot.add(mid); else this.root.add(mid);
+            } else if (toPort === 'bottom') {
+                // P1 – Water line: bowl drain (or a cascade's upper chamber) down to the bottom
+                // of a receiver, water-sealing the air in it; fixed, it does not rotate
+                mid.position.set((s.x + e.x) / 2, Math.max(s.y, e.y + 0.8), 0);
+                this.root.add(mid);
+            } else {
+                // P2 – Air line: from the top of a receiver to the top of the donor beside it
+                mid.position.set(Math.max(s.x, e.x) + 0.4, (s.y + e.y) / 2, 0);
+                this.root.add(mid);
+            }
+            this.registerHose(this.createAnchoredHose(from, to, startObj, mid, endObj, pipe));
+        });
+
+        // Create the nozzle's spout only when P3 exists
+        this.createNozzle();
+    }
 
-        // 1) P1 – Water line: bowl drain down to bottom of receiver (C)
-        // This hose is fixed relative to the bowl (A) and does not rotate with side containers
-        const start1 = this.ports.A.drain; // inside drain point of bowl
-        const end1 = this.ports.C.bottom;  // bottom of lower tank to water-seal the air in C
-        const mid1 = new THREE.Object3D();
-        const aPos = start1.getWorldPosition(new THREE.Vector3());
-        const cPos = end1.getWorldPosition(new THREE.Vector3());
-        mid1.position.set((aPos.x + cPos.x) / 2, Math.max(aPos.y, cPos.y + 0.8), 0);
-        this.scene.add(mid1);
-        this.hoses.push(this.createAnchoredHose('A', 'C', start1, mid1, end1));
-
-        // 2) P2 – Air line: from top of C to top of B
-        const start2 = this.ports.C.top;    // top of receiver tank C
-        const end2 = this.ports.B.top;      // top of donor tank B
-        const mid2 = new THREE.Object3D();
-        const cR = start2.getWorldPosition(new THREE.Vector3());
-        const bR = end2.getWorldPosition(new THREE.Vector3());
-        const guideX = Math.max(cR.x, bR.x) + 0.4;
-        mid2.position.set(guideX, (cR.y + bR.y) / 2, 0);
-        this.scene.add(mid2);
-        this.hoses.push(this.createAnchoredHose('C', 'B', start2, mid2, end2));
-
-        // 3) P3 – Water riser: this hose is mounted to B and the bowl; it rotates with side containers
-        const start3 = this.ports.B.bottom;  // pick up from bottom of donor tank
-        const end3 = this.ports.A.nozzle;    // nozzle point in bowl
-        const mid3 = new THREE.Object3D();
-        const bL = start3.getWorldPosition(new THREE.Vector3());
-        const aL = end3.getWorldPosition(new THREE.Vector3());
-        mid3.position.set((bL.x + aL.x) / 2, Math.max(bL.y, aL.y) + 0.6, 0);
-        // Parent this guide to the pivot so it follows rotation, while endpoints remain anchored
-        if (this.sidePivot) this.sidePivot.add(mid3); else this.scene.add(mid3);
-        this.hoses.push(this.createAnchoredHose('B', 'A', start3, mid3, end3));
-
-        // Create the visual swan-neck nozzle only when P3 exists
-        this.createSwanNeckNozzle();
-    }
-
-    createAnchoredHose(fromKey, toKey, startObj, midObj, endObj) {
+    // `pipe` names the geometry.pipes entry (bore, length) the physics uses for this hose
+    createAnchoredHose(fromKey, toKey, startObj, midObj, endObj, pipe = 'hose') {
         const material = new THREE.MeshPhysicalMaterial({ color: 0x11161c, metalness: 0.25, roughness: 0.35 });
         const dummyCurve = new THREE.CatmullRomCurve3([new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()]);
         const mesh = new THREE.Mesh(new THREE.TubeGeometry(dummyCurve, 60, 0.08, 12, false), material);
         mesh.castShadow = true;
-        this.scene.add(mesh);
-        const hose = { from: fromKey, to: toKey, mesh, startObj, midObj, endObj };
+        this.root.add(mesh);
+        const hose = { from: fromKey, to: toKey, mesh, startObj, midObj, endObj, pipe };
         this.rebuildTubeForHose(hose);
         return hose;
     }
 
-    updateWaterLevels() {
+    updateWaterLevels(levels = this.simulation.waterLevels) {
         // Update water mesh heights and positions
         const waterA = this.containers.A.water;
-        const waterB = this.containers.B.water;
-        const waterC = this.containers.C.water;
 
         // Fountain basin water level - use actual waterLevels.A (75%)
         // Update basin surface position based on water level
-        const waterLevelA = Math.max(0, Math.min(1, this.waterLevels.A));
+        const waterLevelA = Math.max(0, Math.min(1, levels.A));
         const baseScale = waterLevelA; // Use actual water level (0.75 = 75%)
-        const pulse = 0.02 * this.airPressure;
+        const pulse = 0.02 * this.simulation.pressureRatio;
         waterA.scale.y = baseScale + pulse;
         // Position water surface at the correct height based on water level
         // Use bowlParams for consistent positioning
@@ -869,195 +1394,215 @@ export class Fountain {
             const surfaceY = basinBottomY + basinHeight * waterLevelA;
             this.basinSurface.position.y = surfaceY + 0.005; // Slightly above to avoid z-fighting
         }
-        
-        // Update absorbY to match current water level for particle absorption
-        this.bowlParams.absorbY = waterSurfaceY;
-
-        // Container B water level – clamp and ensure it fills from the bottom
-        this.waterLevels.B = Math.max(0, Math.min(1, this.waterLevels.B));
-        waterB.scale.y = this.waterLevels.B;
-        waterB.position.y = -0.9 + 0.9 * this.waterLevels.B;
 
-        // Container C water level – clamp and ensure it fills from the bottom
-        this.waterLevels.C = Math.max(0, Math.min(1, this.waterLevels.C));
-        waterC.scale.y = this.waterLevels.C;
-        waterC.position.y = -0.9 + 0.9 * this.waterLevels.C;
+        // Side container water levels – the simulation clamps; fill from the bottom
+        this.chamberKeys.forEach(key => this.placeChamberWater(this.containers[key].water, levels[key]));
     }
 
+    // Droplets leave the nozzle's tip along its axis at the simulated exit speed, spread
+    // JET_SPREAD either side like the simulation's, and follow ballistic paths from there
     createFountainParticles() {
-        // Create particles for fountain effect: jet height scales with head and air pressure
         // If nozzle not present (Add Hoses not pressed), do nothing
         if (!this.spoutTip) return;
-        // Only produce stream when P2 and P3 are active and pressure is non-trivial
-        if (!this.airLineConnected) return;
-        if (this.airPressure <= 0.05) return;
-        const fountainHeight = 1.6 + this.airPressure * 4.2; // strong downward stream with pressure
-        const particleCount = Math.max(25, Math.floor((0.5 + this.flowIntensity) * this.airPressure * 120));
-
+        const { jetVelocity, jetFlow } = this.simulation;
+        if (jetVelocity <= 0) return;
+        // Same path in scene units at droplet gravity: v'²/g' = (v²/g)·scale
+        const speed = jetVelocity * Math.sqrt(DROPLET_GRAVITY * this.layout.scale / GRAVITY);
+        const particleCount = Math.max(10, Math.round(jetFlow * 1e6)); // one per mL/s
+        const tip = this.localPosition(this.spoutTip);
+        const direction = this.spoutTip.userData.direction;
         for (let i = 0; i < particleCount; i++) {
-            const availableParticle = this.particles.find(p => !p.mesh.visible);
-            if (availableParticle) {
-                availableParticle.mesh.visible = true;
-                // Emit from the spoutTip pointing strictly downward
-                const tip = this.spoutTip.getWorldPosition(new THREE.Vector3());
-                const dir = new THREE.Vector3(0, -1, 0);
-                // Bias spawn further toward bowl center and reduce lateral jitter to avoid any droplets near or outside the rim
-                const bowlCenter = new THREE.Vector3(0, this.bowlParams.absorbY, 0);
-                const spawn = tip.clone().lerp(bowlCenter, 0.22);
-                availableParticle.mesh.position.copy(spawn).add(new THREE.Vector3((Math.random()-0.5)*0.01, 0, (Math.random()-0.5)*0.01));
-                const tangentJitter = new THREE.Vector3((Math.random()-0.5)*0.02, (Math.random()-0.5)*0.04, (Math.random()-0.5)*0.02);
-                const initialVel = dir.clone().multiplyScalar(fountainHeight * (1.0 + Math.random()*0.3)).add(tangentJitter);
-                availableParticle.velocity.copy(initialVel);
-                availableParticle.life = 0;
-                availableParticle.maxLife = 0.9 + Math.random() * 0.8;
-            }
+            const x = tip.x + (this.random()-0.5)*0.01;
+            const z = tip.z + (this.random()-0.5)*0.01;
+            const v = speed * (1 - JET_SPREAD + 2 * JET_SPREAD * this.random());
+            const jitterX = (this.random()-0.5)*0.02, jitterZ = (this.random()-0.5)*0.02;
+            // Long enough to reach the floor; droplets are released where they land
+            const maxLife = 4;
+            if (this.droplets.spawn(x, tip.y, z, direction.x * v + jitterX, direction.y * v, direction.z * v + jitterZ, maxLife, DROPLET_JET) < 0) return;
         }
     }
 
     updateParticles(deltaTime) {
-        this.particles.forEach(particle => {
-            if (particle.mesh.visible) {
-                // Update position
-                particle.mesh.position.add(particle.velocity.clone().multiplyScalar(deltaTime));
-                
-                // Apply gravity
-                particle.velocity.y -= 9.8 * deltaTime;
-                
-                // Update life
-                particle.life += deltaTime;
-                
-                // Fade out
-                const lifeRatio = particle.life / particle.maxLife;
-                particle.mesh.material.opacity = 0.7 * (1 - lifeRatio);
-
-                // Absorb into bowl if particle crosses bowl plane and falls within bowl radius
-                const p = particle.mesh.position;
-                const withinRadius = (p.x*p.x + p.z*p.z) <= (this.bowlParams.innerTopR * this.bowlParams.innerTopR);
-                
-                // Prevent particles from falling through the bottom - use actual bottom position
-                const basinBottomY = this.bowlParams.bottomY;
-                const bottomCollisionY = basinBottomY - 0.2; // Account for bottom thickness + margin
-                if (p.y <= bottomCollisionY && withinRadius) {
-                    // Particle hit the bottom - stop it and make it invisible
-                    particle.mesh.visible = false;
-                    particle.velocity.set(0, 0, 0);
-                    return;
-                }
-                
-                // Hard cull any particle that drifts outside a slightly expanded boundary near the basin to ensure no droplets appear outside top container visually
-                const outsideCullRadius = (this.bowlParams.innerTopR + 0.15) * (this.bowlParams.innerTopR + 0.15);
-                if ((p.x*p.x + p.z*p.z) > outsideCullRadius && p.y <= (this.bowlParams.absorbY + 0.2)) {
-                    particle.mesh.visible = false;
-                    return;
-                }
-                
-                // Absorb particles that hit the water surface
-                if (p.y <= this.bowlParams.absorbY && withinRadius) {
-                    // Trigger a small splash burst
-                    this.spawnSplash(p.clone());
-                    // Add a ripple at impact point projected into basin surface UV space
-                    if (this.basinSurfaceMaterial) {
-                        // Map world x,z to surface [-1,1] based on innerTopR radius
-                        const uvx = THREE.MathUtils.clamp(p.x / this.bowlParams.innerTopR, -1, 1);
-                        const uvy = THREE.MathUtils.clamp(p.z / this.bowlParams.innerTopR, -1, 1);
-                        this.activeRipples.unshift({ center: new THREE.Vector2(uvx, uvy), startTime: this.time, strength: 1 });
-                        if (this.activeRipples.length > this.maxRipples) this.activeRipples.pop();
-                    }
-                    particle.mesh.visible = false;
-                }
-                
-                // Hide when life expires
-                if (particle.life >= particle.maxLife) {
-                    particle.mesh.visible = false;
+        const d = this.droplets;
+        const { position, velocity, life, maxLife, kind, active } = d;
+        const rimR2 = this.bowlParams.innerTopR * this.bowlParams.innerTopR;
+        // Prevent particles from falling through the bottom - use actual bottom position
+        const bottomCollisionY = this.bowlParams.bottomY - 0.2; // Account for bottom thickness + margin
+        const absorbY = this.bowlParams.absorbY;
+        // Backwards, because releasing a droplet moves the last live one into its slot
+        for (let slot = d.count - 1; slot >= 0; slot--) {
+            const id = active[slot];
+            const i3 = id * 3;
+            // Update position, then apply gravity
+            position[i3] += velocity[i3] * deltaTime;
+            position[i3 + 1] += velocity[i3 + 1] * deltaTime;
+            position[i3 + 2] += velocity[i3 + 2] * deltaTime;
+            velocity[i3 + 1] -= DROPLET_GRAVITY * deltaTime;
+            life[id] += deltaTime;
+
+            const x = position[i3], y = position[i3 + 1], z = position[i3 + 2];
+            const r2 = x*x + z*z;
+            const withinRadius = r2 <= rimR2;
+            if (y <= bottomCollisionY && withinRadius) {
+                d.release(slot);
+                continue;
+            }
+            // Water that missed the bowl lands on the floor (the simulation counts it as spilled)
+            if (!withinRadius && y <= GROUND_Y) {
+                if (kind[id] === DROPLET_JET) this.spawnSplash(x, GROUND_Y, z);
+                d.release(slot);
+                continue;
+            }
+
+            // Absorb particles that hit the water surface
+            if (y <= absorbY && withinRadius) {
+                // Jet droplets kick up a small splash; splash droplets just sink, so splashes never cascade
+                if (kind[id] === DROPLET_JET) {
+                    this.spawnSplash(x, y, z);
+                    this.addRipple(x, z);
                 }
+                d.release(slot);
+                continue;
             }
-        });
+
+            // Retire when life expires
+            if (life[id] >= maxLife[id]) d.release(slot);
+        }
     }
 
-    spawnSplash(position) {
-        const count = 6 + Math.floor(Math.random()*6);
+    // Add a ripple at an impact point projected into basin surface UV space
+    addRipple(x, z) {
+        if (!this.basinSurfaceMaterial) return;
+        // Map world x,z to surface [-1,1] based on innerTopR radius
+        const uvx = THREE.MathUtils.clamp(x / this.bowlParams.innerTopR, -1, 1);
+        const uvy = THREE.MathUtils.clamp(z / this.bowlParams.innerTopR, -1, 1);
+        this.activeRipples.unshift({ center: new THREE.Vector2(uvx, uvy), startTime: this.time, strength: 1 });
+        if (this.activeRipples.length > this.maxRipples) this.activeRipples.pop();
+    }
+
+    spawnSplash(x, y, z) {
+        const count = 6 + Math.floor(this.random()*6);
         for (let i = 0; i < count; i++) {
-            const p = this.particles.find(pp => !pp.mesh.visible);
-            if (!p) return;
-            p.mesh.visible = true;
-            p.mesh.position.copy(position.clone().add(new THREE.Vector3((Math.random()-0.5)*0.2, 0.02, (Math.random()-0.5)*0.2)));
-            const angle = Math.random()*Math.PI*2;
-            const speed = 0.8 + Math.random()*0.6;
-            p.velocity.set(Math.cos(angle)*0.3, speed, Math.sin(angle)*0.3);
-            p.life = 0;
-            p.maxLife = 0.3 + Math.random()*0.4;
+            const px = x + (this.random()-0.5)*0.2;
+            const pz = z + (this.random()-0.5)*0.2;
+            const angle = this.random()*Math.PI*2;
+            const speed = 0.8 + this.random()*0.6;
+            const maxLife = 0.3 + this.random()*0.4;
+            if (this.droplets.spawn(px, y + 0.02, pz, Math.cos(angle)*0.3, speed, Math.sin(angle)*0.3, maxLife, DROPLET_SPLASH) < 0) return;
         }
     }
 
-    flipSystem() {
-        if (this.isFlipping) return;
+    // Returns a promise for the flipEnd detail, resolved when the turn-over animation
+    // finishes. The animation runs on step(), so it waits while the simulation is paused.
+    // Asking again mid-flip returns the same promise without flipping twice.
+    flipSystem({ auto = false } = {}) {
+        if (this.flipDone) return this.flipDone.promise;
+
+        // Swap the side container levels, vent the air and reactivate
+        this.simulation.flip(auto ? this.simulation.flipMode : 'manual');
+        this.ranOut = false;
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        this.flipDone = { promise, resolve };
+        this.emit('flipStart', { orientation: this.simulation.flipOrientation, flipCount: this.simulation.flipCount, auto });
 
-        // Swap the side container levels (simulate physical flip)
-        const tempLevel = this.waterLevels.B;
-        this.waterLevels.B = this.waterLevels.C;
-        this.waterLevels.C = tempLevel;
-        
-        // Reset air pressure and reactivate
-        this.airPressure = 0;
-        this.isActive = true;
-        
         // Animate the flip of the side group
         this.animateFlip();
+        this.capturePrevious(); // the swap is shown by the turning meshes, not interpolated
+        if (!this.flipAnimation) this.finishFlip(); // nothing to animate
+        return promise;
+    }
+
+    // End the flip in progress, if any: emit flipEnd and settle flipSystem()'s promise
+    finishFlip(interrupted = false) {
+        const done = this.flipDone;
+        if (!done) return;
+        this.flipDone = null;
+        done.resolve(this.emit('flipEnd', { orientation: this.simulation.flipOrientation, flipCount: this.simulation.flipCount, interrupted }));
     }
 
     animateFlip() {
         if (!this.sideGroup) return;
 
         this.isFlipping = true;
-        const duration = 1000; // ms
-        const start = performance.now();
-        // Rotate around a custom pivot to avoid hose stretch: wrap sideGroup in a pivot group
+        this.ensureSidePivot();
+        // Rotate around X (along the hose direction) so the pair flips side-to-side parallel to the fountain.
+        // Driven by step() rather than requestAnimationFrame so a replay turns over on the same frame.
+        this.flipAnimation = { elapsed: 0, duration: 1.0, from: 0, to: Math.PI };
+    }
+
+    updateFlipAnimation(deltaTime) {
+        const anim = this.flipAnimation;
+        if (!anim) return;
+        anim.elapsed += deltaTime;
+        const t = Math.min(anim.elapsed / anim.duration, 1);
+        // ease in/out
+        const eased = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+        this.pivotRotation = anim.from + (anim.to - anim.from) * eased;
+        if (t >= 1) {
+            // The chambers are identical, so the turned-over pair is drawn the right way up
+            // again with each mesh showing its own container (see displayKey)
+            this.flipAnimation = null;
+            this.isFlipping = false;
+            this.pivotRotation = 0;
+            this.previousPivotRotation = 0;
+            this.finishFlip();
+        }
+    }
+
+    // Simulation container shown by a chamber mesh. While the pairs are turning over the
+    // simulation has already swapped each pair, so each mesh keeps showing the water it held.
+    displayKey(meshKey) {
+        if (!this.flipAnimation) return meshKey;
+        return this.flipPartners[meshKey] || meshKey;
+    }
+
+    // Rotate around a custom pivot to avoid hose stretch: wrap sideGroup in a pivot group
+    ensureSidePivot() {
         if (!this.sidePivot) {
             this.sidePivot = new THREE.Group();
             this.sidePivot.position.copy(this.sideGroup.position.clone());
-            this.scene.add(this.sidePivot);
+            this.root.add(this.sidePivot);
             this.sideGroup.position.set(0, 0, 0);
             this.sidePivot.add(this.sideGroup);
         } else {
             // keep pivot aligned with desired anchor near bowl
-            this.sidePivot.position.set(3.5, 2.5, 0);
+            this.sidePivot.position.copy(this.layout.stack);
         }
-        // Rotate around X (along the hose direction) so the pair flips side-to-side parallel to the fountain
-        const startRotation = this.sidePivot.rotation.x;
-        const endRotation = startRotation + Math.PI; // swap top/bottom parallel to bowl pipe
-
-        const step = (now) => {
-            const t = Math.min((now - start) / duration, 1);
-            // ease in/out
-            const eased = t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-            this.sidePivot.rotation.x = startRotation + (endRotation - startRotation) * eased;
-            if (t < 1) {
-                requestAnimationFrame(step);
-            } else {
-                this.sidePivot.rotation.x = endRotation;
-                this.isFlipping = false;
-            }
-        };
+        return this.sidePivot;
+    }
 
-        requestAnimationFrame(step);
+    // Jump straight to a flip orientation (0 = as built, 1 = turned over) without animating.
+    // The chambers are identical, so both orientations are drawn the same way up.
+    setFlipOrientation(orientation) {
+        if (!this.sideGroup) return;
+        this.pivotRotation = 0;
+        this.ensureSidePivot().rotation.set(0, 0, 0);
+        this.simulation.flipOrientation = orientation % 2;
+        this.flipAnimation = null;
+        this.isFlipping = false;
+        this.finishFlip(true);
+        this.capturePrevious();
     }
 
     checkAutoFlip() {
         if (this.isFlipping) return;
-        // Rotate when the receiving (lower) container is nearly full
-        const lowerFull = this.waterLevels.C >= 0.98;
-        const upperEmpty = this.waterLevels.B <= 0.02;
-        if (lowerFull || upperEmpty) {
-            this.flipSystem();
-        }
+        const sim = this.simulation;
+        // The receiving (lower) container is nearly full or the upper one is dry: say so once,
+        // whether or not the flip mode turns the pair over
+        const ranOut = sim.shouldAutoFlip();
+        if (ranOut && !this.ranOut) this.emit('cycleComplete', { duration: sim.cycle.duration, mode: sim.flipMode });
+        this.ranOut = ranOut;
+        if (sim.flipDue()) this.flipSystem({ auto: true });
     }
 
+    // Returns a promise for the reset event's detail; the reset itself is immediate
     resetSystem() {
+        this.finishFlip(true); // a flip in progress ends here, before the clock goes back to zero
         // Reset all water levels (Top A 100%, Basin B 75%, Air C 26% in UI terms)
         // Internal mapping: A=bowl (UI B), B=top container (UI A), C=air chamber (UI C)
-        this.waterLevels = { A: 0.75, B: 1.0, C: 0.26 };
-        this.airPressure = 0;
-        this.isActive = true;
+        this.simulation.reset();
+        this.ranOut = false;
         
         // Reset rotations
         if (this.sidePivot) {
@@ -1066,20 +1611,16 @@ export class Fountain {
         Object.values(this.containers).forEach(container => {
             container.rotation.set(0, 0, 0);
         });
+        this.pivotRotation = 0;
+        this.flipAnimation = null;
         this.isFlipping = false;
+        this.capturePrevious();
         // Remove all user hoses upon reset
-        this.hoses.forEach(h => { if (h.mesh && h.mesh.parent) h.mesh.parent.remove(h.mesh); });
-        this.hoses = [];
+        this.removeAllHoses();
+        return Promise.resolve(this.emit('reset', { resetCount: this.simulation.resetCount }));
     }
 
     getStatus() {
-        // Map to UI labels: Top Container (A) is internal B; Fountain Basin (B) is internal A; Air Chamber (C) is internal C
-        return {
-            containerA: Math.round(this.waterLevels.B * 100),
-            containerB: Math.round(this.waterLevels.A * 100),
-            containerC: Math.round(this.waterLevels.C * 100),
-            pressure: Math.round(this.airPressure * 100),
-            isActive: this.isActive
-        };
+        return this.simulation.getStatus();
     }
 } 
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Fountain geometry config. All lengths are in metres; the scene is drawn at
+// `unitsPerMetre` scene units per metre. Meshes, hose ports and the physics
+// all derive from one config so a lab-built fountain can be modelled by
+// measuring it and overriding the values below.
+
+export const DEFAULT_GEOMETRY = {
+    unitsPerMetre: 10,
+    wall: 0.01, // glass wall thickness
+    // Open bowl (A): inner radius and depth, elevation of its inside bottom above the table,
+    // and how far the nozzle tip starts above the rim (it can be raised or lowered at run time)
+    bowl: { radius: 0.15, height: 0.14, elevation: 0.335, nozzleHeight: 0.05 },
+    // Sealed chambers (B upper, C lower). They share one size so the pair can be flipped.
+    chamber: { radius: 0.09, height: 0.18 },
+    // Side stack: horizontal distance of its axis from the bowl axis, elevation of its
+    // centre (the flip pivot), and the vertical gap between the two chambers
+    stack: { offset: 0.35, elevation: 0.25, spacing: 0.1 },
+    // Pipe bore (inner diameter) and length. Friction (Darcy f) and minor losses (K)
+    // default to zero so results match the ideal Torricelli hand calculation.
+    pipes: {
+        P1: { bore: 0.008, length: 0.6, friction: 0, minorLoss: 0 },
+        P2: { bore: 0.008, length: 0.4, friction: 0, minorLoss: 0 },
+        P3: { bore: 0.006, length: 0.6, friction: 0, minorLoss: 0 },
+        hose: { bore: 0.008, length: 0.6, friction: 0, minorLoss: 0 } // user-made hoses
+    }
+};
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+function merge(base, overrides) {
+    const out = { ...base };
+    Object.keys(overrides || {}).forEach(key => {
+        out[key] = isObject(base[key]) && isObject(overrides[key]) ? merge(base[key], overrides[key]) : overrides[key];
+    });
+    return out;
+}
+
+// Fill any missing values from DEFAULT_GEOMETRY
+export function resolveGeometry(overrides = {}) {
+    const geometry = merge(DEFAULT_GEOMETRY, overrides);
+    const { bowl, chamber, stack } = geometry;
+    [bowl.radius, bowl.height, chamber.radius, chamber.height, geometry.unitsPerMetre].forEach(value => {
+        if (!(value > 0)) throw new Error(`Invalid fountain geometry: dimensions must be positive (got ${value})`);
+    });
+    if (stack.spacing < 0) throw new Error('Invalid fountain geometry: stack spacing cannot be negative');
+    return geometry;
+}
+
+// Vertical distance between the centres of the two chambers
+export function chamberSeparation(geometry) {
+    return geometry.chamber.height + 2 * geometry.wall + geometry.stack.spacing;
+}
+
+// Elevation (m) of the bowl rim
+export function rimElevation(geometry) {
+    return geometry.bowl.elevation + geometry.bowl.height;
+}
+
+// Vessels as the simulation sees them: inner radius, height, inside-bottom
+// elevation and port heights measured from that bottom (all metres)
+export function buildVessels(geometry) {
+    const { bowl, chamber, stack } = geometry;
+    const half = chamberSeparation(geometry) / 2;
+    const chamberPorts = { bottom: 0, left: chamber.height / 2, right: chamber.height / 2, top: chamber.height };
+    return {
+        A: {
+            open: true,
+            radius: bowl.radius,
+            height: bowl.height,
+            elevation: bowl.elevation,
+            ports: { drain: 0, left: bowl.height * 0.46, right: bowl.height * 0.46, nozzle: bowl.height + bowl.nozzleHeight }
+        },
+        B: { open: false, radius: chamber.radius, height: chamber.height, elevation: stack.elevation + half - chamber.height / 2, ports: { ...chamberPorts } },
+        C: { open: false, radius: chamber.radius, height: chamber.height, elevation: stack.elevation - half - chamber.height / 2, ports: { ...chamberPorts } }
+    };
+}
+
+export function vesselCapacity(vessel) {
+    return Math.PI * vessel.radius * vessel.radius * vessel.height;
+}
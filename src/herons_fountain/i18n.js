@@ -0,0 +1,120 @@
+// Translated UI text. t('key', { name: value }) looks a message up in the current
+// language's catalogue (locales/) and fills its {name} placeholders; a key a
+// catalogue leaves out falls back to English. With a numeric `count` parameter the
+// plural form is picked from 'key.one', 'key.few', ... by the language's rules.
+//
+// Text fixed at start-up is tagged rather than set: localize() stores the key in a
+// data-i18n attribute and translatePage() fills every tagged element again when the
+// language changes. Text that is rebuilt as the fountain runs calls t() each time, and
+// anything in between listens with onLocaleChange().
+import { CATALOGUES } from './locales/index.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALES = Object.entries(CATALOGUES).map(([code, catalogue]) => ({ code, name: catalogue.name, dir: catalogue.dir || 'ltr' }));
+const STORAGE_KEY = 'heronsFountain.locale';
+// Element property or attribute each data attribute fills
+const TARGETS = {
+    'data-i18n': 'textContent',
+    'data-i18n-html': 'innerHTML',
+    'data-i18n-title': 'title',
+    'data-i18n-aria-label': 'aria-label'
+};
+
+let current = DEFAULT_LOCALE;
+const listeners = new Set();
+const numberFormats = new Map();
+
+export function getLocale() {
+    return current;
+}
+
+function lookup(key) {
+    return CATALOGUES[current].messages[key] ?? CATALOGUES[DEFAULT_LOCALE].messages[key];
+}
+
+export function t(key, params = {}) {
+    let text;
+    if (typeof params.count === 'number') {
+        const rule = new Intl.PluralRules(current).select(params.count);
+        text = lookup(`${key}.${rule}`) ?? lookup(`${key}.other`);
+    }
+    text = text ?? lookup(key);
+    if (text === undefined) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Fixed-point number with the language's decimal separator
+export function formatNumber(value, digits = 0) {
+    const id = `${current}:${digits}`;
+    if (!numberFormats.has(id)) {
+        numberFormats.set(id, new Intl.NumberFormat(current, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false }));
+    }
+    return numberFormats.get(id).format(value);
+}
+
+// Tag an element with a message key and fill it now. `target` is 'text', 'html',
+// 'title' or 'aria-label'; returns the element.
+export function localize(element, key, target = 'text') {
+    const attribute = target === 'text' ? 'data-i18n' : `data-i18n-${target}`;
+    element.setAttribute(attribute, key);
+    apply(element, attribute);
+    return element;
+}
+
+function apply(element, attribute) {
+    const key = element.getAttribute(attribute);
+    const property = TARGETS[attribute];
+    if (property === 'textContent' || property === 'innerHTML' || property === 'title') element[property] = t(key);
+    else element.setAttribute(property, t(key));
+}
+
+// Fill every tagged element under `root` in the current language
+export function translatePage(root = document) {
+    const selector = Object.keys(TARGETS).map(attribute => `[${attribute}]`).join(', ');
+    root.querySelectorAll(selector).forEach(element => {
+        Object.keys(TARGETS).forEach(attribute => {
+            if (element.hasAttribute(attribute)) apply(element, attribute);
+        });
+    });
+}
+
+// Returns a function that unsubscribes the listener
+export function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// Saved choice first, then the browser's languages, then English
+export function detectLocale() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        // Storage can be disabled; the browser's languages still apply
+    }
+    const wanted = [saved, ...(typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [])];
+    for (const tag of wanted) {
+        if (!tag) continue;
+        const code = tag.toLowerCase().split('-')[0];
+        if (CATALOGUES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export function setLocale(code, { save = true } = {}) {
+    if (!CATALOGUES[code]) throw new Error(`Unknown language "${code}" (expected one of ${Object.keys(CATALOGUES).join(', ')})`);
+    current = code;
+    if (save) {
+        try {
+            localStorage.setItem(STORAGE_KEY, code);
+        } catch (error) {
+            // Not remembered for next time, but the page still switches
+        }
+    }
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = code;
+        document.documentElement.dir = CATALOGUES[code].dir || 'ltr';
+        translatePage(document);
+    }
+    listeners.forEach(listener => listener(code));
+}
@@ -0,0 +1,161 @@
+// In-scene labels: A, B and C on the containers and P1, P2 and P3 on the pipes, with
+// live water volume, air pressure and flow. Labels use the on-screen names, never the
+// simulation's internal keys. The chamber labels hang from the chamber meshes, so they
+// ride round with the glass during a flip; each shows the container that glass is
+// becoming, with the water it holds. A cascade's other chambers are A1, C1 and so on,
+// shown and hidden with A and C. Drawn by a CSS2DRenderer over the WebGL canvas.
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import { t, localize } from './i18n.js';
+import { formatVolume, formatPressure, formatFlow } from './units.js';
+
+// Label ids, with the message key of each one's name
+export const LABELS = [
+    { id: 'A', title: 'containerName.A' },
+    { id: 'B', title: 'containerName.B' },
+    { id: 'C', title: 'containerName.C' },
+    { id: 'P1', title: 'pipe.P1' },
+    { id: 'P2', title: 'pipe.P2' },
+    { id: 'P3', title: 'pipe.P3' }
+];
+const TITLES = Object.fromEntries(LABELS.map(label => [label.id, label.title]));
+
+export class SceneLabels {
+    constructor(fountain) {
+        this.fountain = fountain;
+        this.visible = Object.fromEntries(LABELS.map(label => [label.id, true]));
+        this.enabled = false;
+        this.items = {}; // by label id: { object, name, value }
+        this.createLabels();
+    }
+
+    createLabel(id, parent, position, center) {
+        const element = document.createElement('div');
+        element.style.cssText = `
+            background: rgba(20, 28, 46, 0.85); color: #e6f2ff; border: 1px solid #4a76a8;
+            border-radius: 6px; padding: 3px 7px; font-size: 11px; line-height: 1.35;
+            white-space: nowrap; pointer-events: none;
+        `;
+        const name = document.createElement('div');
+        name.style.cssText = 'font-weight:600; color:#88ccff';
+        const value = document.createElement('div');
+        element.append(name, value);
+        const object = new CSS2DObject(element);
+        object.position.fromArray(position);
+        object.center.set(center[0], center[1]);
+        object.visible = false;
+        parent.add(object);
+        this.items[id] = { object, name, value };
+    }
+
+    createLabels() {
+        const { bowl, chamber } = this.fountain.layout;
+        const containers = this.fountain.containers;
+        // Containers: the bowl's label sits to its left, the chambers' to their right
+        this.createLabel('A:bowl', containers.A, [-bowl.radius - 0.6, bowl.centerY, 0], [1, 0.5]);
+        this.fountain.chamberKeys.forEach(mesh => {
+            this.createLabel(`${mesh}:chamber`, containers[mesh], [chamber.outerRadius + 0.4, 0, 0], [0, 0.5]);
+        });
+        // Pipes: placed at the middle of their hose each frame
+        ['P1', 'P2', 'P3'].forEach(pipe => this.createLabel(pipe, this.fountain.root, [0, 0, 0], [0.5, 1]));
+    }
+
+    setVisible(id, visible) {
+        this.visible[id] = visible;
+        this.update();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.update();
+    }
+
+    // `label` is what the item is called on screen when it is not its id (a cascade's A1, C1, ...)
+    show(item, id, title, value, label = id) {
+        const visible = this.enabled && this.visible[id];
+        item.object.visible = visible;
+        if (!visible) return;
+        const name = `${label} · ${t(title)}`;
+        if (item.name.textContent !== name) item.name.textContent = name;
+        if (item.value.textContent !== value) item.value.textContent = value;
+    }
+
+    // Called every frame after the fountain has been drawn
+    update() {
+        const fountain = this.fountain;
+        const sim = fountain.simulation;
+
+        // Each label names the container its glass holds right now
+        const containerText = key => {
+            const level = t('labels.level', { volume: formatVolume(sim.volumes[key]) });
+            return sim.vessels[key].open ? level : `${level} · ${formatPressure(sim.airPressures[key])}`;
+        };
+        this.show(this.items['A:bowl'], 'B', TITLES.B, containerText('A'));
+        fountain.chamberKeys.forEach(mesh => {
+            const key = fountain.displayKey(mesh);
+            const label = fountain.screenLabels[key];
+            const id = label[0]; // A or C, whichever stage
+            this.show(this.items[`${mesh}:chamber`], id, TITLES[id], containerText(key), label);
+        });
+
+        // Pipes that have been removed in the hose editor have no label
+        ['P1', 'P2', 'P3'].forEach(pipe => {
+            const item = this.items[pipe];
+            const hose = fountain.hoses.find(h => h.pipe === pipe && h.curve);
+            if (!hose) {
+                item.object.visible = false;
+                return;
+            }
+            item.object.position.copy(hose.curve.getPoint(0.5));
+            const value = hose.link && sim.isAirLine(hose.link)
+                ? t('labels.air', { pressure: formatPressure(Math.max(sim.airPressures[hose.link.from], sim.airPressures[hose.link.to])) })
+                : t('labels.water', { flow: formatFlow(Math.abs(hose.link ? hose.link.flow : 0)) });
+            this.show(item, pipe, TITLES[pipe], value);
+        });
+    }
+}
+
+export class LabelPanel {
+    constructor(labels) {
+        this.labels = labels;
+        this.visible = false;
+        this.createPanel();
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'label-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-end: 340px; bottom: 20px; width: 200px;
+            background: rgba(20, 28, 46, 0.96); color: #e6f2ff; border: 1px solid #4a76a8;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#88ccff; margin-bottom:8px; font-size:13px';
+        localize(title, 'labels.title');
+        panel.appendChild(title);
+
+        LABELS.forEach(label => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display:block; margin-bottom:4px; cursor:pointer';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = this.labels.visible[label.id];
+            box.addEventListener('change', () => this.labels.setVisible(label.id, box.checked));
+            const name = document.createElement('span');
+            localize(name, label.title);
+            row.append(box, ` ${label.id} · `, name);
+            panel.appendChild(row);
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    // Showing the panel shows the labels; each can then be switched off on its own
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+        this.labels.setEnabled(this.visible);
+    }
+}
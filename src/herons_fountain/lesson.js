@@ -0,0 +1,432 @@
+// Guided lessons: a lesson is a JSON data file with a list of steps that run
+// against the live fountain. A step can show text, highlight containers and
+// pipes, pause/resume/flip/reset, ask a multiple-choice question and wait for
+// a condition on getStatus() (or for a flip or reset) before moving on.
+//
+// {
+//   "version": 1, "title": "...", "summary": "...",
+//   "scenario": { ... },                      optional start state (see scenario.js)
+//   "steps": [{
+//     "title": "...", "text": "...",
+//     "highlight": ["A", "P1"],               UI labels: A top, B basin, C air chamber, P1-P3
+//     "actions": ["pause"],                   pause | resume | flip | reset
+//     "flow": 0.6,                            optional flow intensity 0..1
+//     "question": { "prompt": "...", "choices": ["...", "..."], "answer": 1, "explain": "..." },
+//     "until": { "containerC": { ">=": 60 }, "event": "flip" },
+//     "hint": "..."                           optional text shown while waiting
+//   }],
+//   "translations": {                         optional, by language code
+//     "es": { "title": "...", "summary": "...",
+//             "steps": [{ "title", "text", "hint", "question": { "prompt", "choices", "explain" } }] }
+//   }
+// }
+// A translation replaces only the text it gives, step by step in order, so a partial
+// one falls back to the lesson's own language.
+import { validateScenario } from './scenario.js';
+import { t, localize, getLocale, onLocaleChange } from './i18n.js';
+import { formatVolume, formatPressure, formatFlow, formatLength } from './units.js';
+
+export const LESSON_VERSION = 1;
+const ACTIONS = ['pause', 'resume', 'flip', 'reset'];
+const EVENTS = ['flip', 'reset'];
+const HIGHLIGHTS = ['A', 'B', 'C', 'P1', 'P2', 'P3'];
+// UI container labels to the simulation's internal keys (A=bowl, B=top container)
+const CONTAINER_KEYS = { A: 'B', B: 'A', C: 'C' };
+const COMPARE = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b
+};
+// Message key of each status value's name, and how a value is shown (in the
+// chosen units where it has one)
+const percent = value => `${value}%`;
+const STATUS_LABELS = {
+    containerA: ['container.A', percent],
+    containerB: ['container.B', percent],
+    containerC: ['container.C', percent],
+    volumeA: ['container.A', value => formatVolume(value / 1e6)],
+    volumeB: ['container.B', value => formatVolume(value / 1e6)],
+    volumeC: ['container.C', value => formatVolume(value / 1e6)],
+    pressure: ['status.pressure', percent],
+    pressurePa: ['status.pressure', formatPressure],
+    jetHeight: ['quantity.jetHeight', formatLength],
+    jetFlow: ['quantity.jetFlow', value => formatFlow(value / 1e6)],
+    isActive: ['quantity.running', String],
+    cycle: ['quantity.cycle', String],
+    spilled: ['quantity.spilled', value => formatVolume(value / 1e6)]
+};
+const TEXT_FIELDS = ['title', 'text', 'hint'];
+
+// Throws if the data is not a lesson this version understands
+export function validateLesson(data) {
+    if (!data || typeof data !== 'object') throw new Error('Invalid lesson: expected an object');
+    if (data.version !== LESSON_VERSION) throw new Error(`Unsupported lesson version: ${data.version}`);
+    if (typeof data.title !== 'string' || !data.title) throw new Error('Invalid lesson: missing title');
+    if (data.scenario !== undefined) validateScenario(data.scenario);
+    if (!Array.isArray(data.steps) || !data.steps.length) throw new Error('Invalid lesson: steps must be a non-empty list');
+    data.steps.forEach((step, i) => {
+        const where = `step ${i + 1}`;
+        if (typeof step.text !== 'string') throw new Error(`Invalid lesson: ${where} has no text`);
+        (step.highlight || []).forEach(target => {
+            if (!HIGHLIGHTS.includes(target)) throw new Error(`Invalid lesson: ${where} highlights unknown "${target}"`);
+        });
+        (step.actions || []).forEach(action => {
+            if (!ACTIONS.includes(action)) throw new Error(`Invalid lesson: ${where} has unknown action "${action}"`);
+        });
+        if (step.flow !== undefined && !(step.flow >= 0 && step.flow <= 1)) throw new Error(`Invalid lesson: ${where} flow must be 0..1`);
+        if (step.question) {
+            const q = step.question;
+            if (typeof q.prompt !== 'string' || !Array.isArray(q.choices) || q.choices.length < 2) {
+                throw new Error(`Invalid lesson: ${where} question needs a prompt and at least two choices`);
+            }
+            if (!Number.isInteger(q.answer) || q.answer < 0 || q.answer >= q.choices.length) {
+                throw new Error(`Invalid lesson: ${where} answer must be the index of a choice`);
+            }
+        }
+        Object.entries(step.until || {}).forEach(([key, test]) => {
+            if (key === 'event') {
+                if (!EVENTS.includes(test)) throw new Error(`Invalid lesson: ${where} waits for unknown event "${test}"`);
+                return;
+            }
+            const ok = test && typeof test === 'object' && Object.keys(test).length &&
+                Object.entries(test).every(([op, value]) => COMPARE[op] && ['number', 'boolean'].includes(typeof value));
+            if (!ok) throw new Error(`Invalid lesson: ${where} condition on ${key} must map <, <=, >, >= or == to a value`);
+        });
+    });
+    Object.entries(data.translations || {}).forEach(([code, translation]) => {
+        const where = `translation "${code}"`;
+        if (!translation || typeof translation !== 'object') throw new Error(`Invalid lesson: ${where} must be an object`);
+        const steps = translation.steps || [];
+        if (!Array.isArray(steps) || steps.length > data.steps.length) {
+            throw new Error(`Invalid lesson: ${where} steps must be a list no longer than the lesson's`);
+        }
+        steps.forEach((step, i) => {
+            const choices = step && step.question && step.question.choices;
+            if (choices && (!data.steps[i].question || choices.length !== data.steps[i].question.choices.length)) {
+                throw new Error(`Invalid lesson: ${where} step ${i + 1} must give one choice for each of the lesson's`);
+            }
+        });
+    });
+    return data;
+}
+
+// The lesson's text in the given language, where it has a translation
+export function localizeLesson(lesson, code) {
+    const translation = (lesson.translations || {})[code];
+    if (!translation) return lesson;
+    const pick = (own, translated, fields) => {
+        const result = { ...own };
+        fields.forEach(field => {
+            if (translated && translated[field] !== undefined) result[field] = translated[field];
+        });
+        return result;
+    };
+    return {
+        ...pick(lesson, translation, ['title', 'summary']),
+        steps: lesson.steps.map((step, i) => {
+            const translated = (translation.steps || [])[i];
+            const result = pick(step, translated, TEXT_FIELDS);
+            if (step.question) result.question = pick(step.question, translated && translated.question, ['prompt', 'choices', 'explain']);
+            return result;
+        })
+    };
+}
+
+export function lessonFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid lesson file: ${err.message}`);
+    }
+    return validateLesson(data);
+}
+
+export function readLessonFile(file) {
+    return file.text().then(lessonFromJSON);
+}
+
+// Plain-language version of a step's wait condition, e.g. "Air Chamber (C) ≥ 60%"
+export function describeCondition(until) {
+    return Object.entries(until || {}).map(([key, test]) => {
+        if (key === 'event') return t(`lessons.event.${test}`);
+        const [label, format] = STATUS_LABELS[key] || [key, String];
+        return Object.entries(test).map(([op, value]) => `${t(label)} ${op.replace('>=', '≥').replace('<=', '≤')} ${format(value)}`).join(', ');
+    }).join(t('lessons.and'));
+}
+
+// Runs a lesson against a host that owns the fountain:
+//   getStatus()         the fountain's getStatus()
+//   getCounts()         { flip, reset } counters, to notice flips and resets
+//   perform(action, v)  pause | resume | flip | reset | flow (v) | scenario (v)
+//   highlight(targets)  internal container keys and pipe names to highlight
+// `onChange` is called whenever the step or its progress changes.
+export class LessonRunner {
+    constructor(lesson, host, onChange = () => {}) {
+        this.lesson = validateLesson(lesson);
+        this.host = host;
+        this.onChange = onChange;
+        this.index = -1;
+        this.done = false;
+        this.answers = []; // per question step: { choice, correct, firstTry }
+    }
+
+    get step() {
+        return this.lesson.steps[this.index] || null;
+    }
+
+    start() {
+        if (this.lesson.scenario) this.host.perform('scenario', this.lesson.scenario);
+        this.enterStep(0);
+    }
+
+    enterStep(index) {
+        if (index >= this.lesson.steps.length) {
+            this.finish();
+            return;
+        }
+        this.index = index;
+        const step = this.step;
+        this.answer = null; // { choice, correct } once answered
+        this.tries = 0;
+        this.conditionMet = !step.until;
+        this.counts = this.host.getCounts();
+        this.host.highlight((step.highlight || []).map(t => CONTAINER_KEYS[t] || t));
+        (step.actions || []).forEach(action => this.host.perform(action));
+        if (step.flow !== undefined) this.host.perform('flow', step.flow);
+        this.onChange();
+    }
+
+    // Call every frame: checks the wait condition and moves on once it holds
+    update() {
+        if (this.done || this.conditionMet) return;
+        if (!this.checkCondition(this.step.until)) return;
+        this.conditionMet = true;
+        // A step that only waits moves on by itself; after a question the reader presses Next
+        if (!this.step.question) this.next();
+        else this.onChange();
+    }
+
+    checkCondition(until) {
+        const status = this.host.getStatus();
+        const counts = this.host.getCounts();
+        return Object.entries(until).every(([key, test]) => {
+            if (key === 'event') return counts[test] > this.counts[test];
+            return Object.entries(test).every(([op, value]) => COMPARE[op](status[key], value));
+        });
+    }
+
+    // Returns true when the choice is right; a wrong choice can be retried
+    choose(choice) {
+        const question = this.step && this.step.question;
+        if (!question || (this.answer && this.answer.correct)) return false;
+        const correct = choice === question.answer;
+        this.tries++;
+        this.answer = { choice, correct };
+        if (correct) this.answers.push({ step: this.index, firstTry: this.tries === 1 });
+        this.onChange();
+        return correct;
+    }
+
+    get canAdvance() {
+        if (this.done) return false;
+        const answered = !this.step.question || (this.answer && this.answer.correct);
+        return Boolean(answered && this.conditionMet);
+    }
+
+    next() {
+        if (this.canAdvance) this.enterStep(this.index + 1);
+    }
+
+    get score() {
+        return { firstTry: this.answers.filter(a => a.firstTry).length, questions: this.lesson.steps.filter(s => s.question).length };
+    }
+
+    finish() {
+        this.done = true;
+        this.host.highlight([]);
+        this.onChange();
+    }
+
+    stop() {
+        if (!this.done) this.finish();
+    }
+}
+
+// Panel that picks a lesson and walks through it
+export class LessonPanel {
+    constructor(lessons, host, options = {}) {
+        this.lessons = lessons;
+        this.host = host;
+        this.onMessage = options.onMessage || (() => {});
+        this.runner = null;
+        this.visible = false;
+        this.createPanel();
+        onLocaleChange(() => {
+            this.options.forEach((option, i) => { option.textContent = localizeLesson(this.lessons[i], getLocale()).title; });
+            this.render();
+        });
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'lesson-panel';
+        panel.style.cssText = `
+            position: fixed; left: 50%; top: 20px; transform: translateX(-50%); width: 420px;
+            background: rgba(20, 40, 30, 0.96); color: #e8f5e9; border: 1px solid #4aa86a;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 13px; line-height: 1.5; display: none; z-index: 999;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#a5d6a7; margin-bottom:8px; font-size:14px';
+        localize(title, 'lessons.title');
+        panel.appendChild(title);
+
+        // Lesson picker
+        this.picker = document.createElement('div');
+        this.select = document.createElement('select');
+        this.select.style.cssText = 'max-width:220px';
+        localize(this.select, 'lessons.picker', 'aria-label');
+        this.options = this.lessons.map((lesson, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = localizeLesson(lesson, getLocale()).title;
+            this.select.appendChild(option);
+            return option;
+        });
+        const start = document.createElement('button');
+        localize(start, 'lessons.start');
+        start.addEventListener('click', () => this.start(this.lessons[Number(this.select.value)]));
+        const open = document.createElement('button');
+        localize(open, 'lessons.open');
+        localize(open, 'lessons.open.title', 'title');
+        const file = document.createElement('input');
+        file.type = 'file';
+        file.accept = 'application/json,.json';
+        file.hidden = true;
+        open.addEventListener('click', () => file.click());
+        file.addEventListener('change', () => {
+            if (!file.files[0]) return;
+            readLessonFile(file.files[0])
+                .then(lesson => this.start(lesson))
+                .catch(err => this.onMessage(t('message.error', { message: err.message }), 'error'));
+            file.value = '';
+        });
+        this.picker.append(this.select, start, open, file);
+        panel.appendChild(this.picker);
+
+        // Current step
+        this.body = document.createElement('div');
+        this.body.style.cssText = 'margin-top:8px';
+        panel.appendChild(this.body);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+    }
+
+    start(lesson) {
+        if (this.runner) this.runner.stop();
+        try {
+            this.runner = new LessonRunner(lesson, this.host, () => this.render());
+        } catch (err) {
+            this.onMessage(t('message.error', { message: err.message }), 'error');
+            return;
+        }
+        this.runner.start();
+    }
+
+    stop() {
+        if (!this.runner) return;
+        this.runner.stop();
+        this.runner = null;
+        this.render();
+    }
+
+    update() {
+        if (this.runner) this.runner.update();
+    }
+
+    render() {
+        const runner = this.runner;
+        this.body.innerHTML = '';
+        this.picker.style.display = runner && !runner.done ? 'none' : 'block';
+        if (!runner) return;
+        const lesson = localizeLesson(runner.lesson, getLocale());
+
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight:600; color:#a5d6a7';
+        heading.textContent = lesson.title;
+        this.body.appendChild(heading);
+
+        if (runner.done) {
+            const { firstTry, questions } = runner.score;
+            const summary = document.createElement('div');
+            summary.textContent = questions ? t('lessons.score', { firstTry, questions }) : t('lessons.complete');
+            this.body.appendChild(summary);
+            return;
+        }
+
+        const step = lesson.steps[runner.index];
+        const counter = document.createElement('div');
+        counter.style.cssText = 'font-size:11px; opacity:0.75; margin-bottom:4px';
+        counter.textContent = `${t('lessons.step', { number: runner.index + 1, total: lesson.steps.length })}${step.title ? ` · ${step.title}` : ''}`;
+        const text = document.createElement('div');
+        text.textContent = step.text;
+        this.body.append(counter, text);
+
+        if (step.question) this.renderQuestion(step.question);
+
+        if (!runner.conditionMet) {
+            const waiting = document.createElement('div');
+            waiting.style.cssText = 'margin-top:8px; color:#ffe082';
+            waiting.textContent = `⏳ ${step.hint || t('lessons.waiting', { condition: describeCondition(step.until) })}`;
+            this.body.appendChild(waiting);
+        }
+
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'margin-top:10px; display:flex; gap:6px';
+        const next = document.createElement('button');
+        next.textContent = t(runner.index === lesson.steps.length - 1 ? 'lessons.finish' : 'lessons.next');
+        next.disabled = !runner.canAdvance;
+        next.addEventListener('click', () => runner.next());
+        const stop = document.createElement('button');
+        localize(stop, 'lessons.stop');
+        stop.addEventListener('click', () => this.stop());
+        buttons.append(next, stop);
+        this.body.appendChild(buttons);
+    }
+
+    renderQuestion(question) {
+        const runner = this.runner;
+        const prompt = document.createElement('div');
+        prompt.style.cssText = 'margin-top:8px; font-weight:600';
+        prompt.textContent = `❓ ${question.prompt}`;
+        this.body.appendChild(prompt);
+        const solved = runner.answer && runner.answer.correct;
+        question.choices.forEach((choice, i) => {
+            const button = document.createElement('button');
+            button.style.cssText = 'display:block; width:100%; text-align:start; margin-top:4px';
+            button.textContent = choice;
+            if (runner.answer && runner.answer.choice === i) {
+                button.style.background = runner.answer.correct ? '#2e7d32' : '#c62828';
+            }
+            button.disabled = Boolean(solved);
+            button.addEventListener('click', () => runner.choose(i));
+            this.body.appendChild(button);
+        });
+        if (!runner.answer) return;
+        const feedback = document.createElement('div');
+        feedback.style.cssText = 'margin-top:6px';
+        feedback.textContent = runner.answer.correct
+            ? `✅ ${question.explain || t('lessons.correct')}`
+            : t('lessons.wrong');
+        this.body.appendChild(feedback);
+    }
+}
@@ -0,0 +1,6 @@
+// Built-in lessons, in the order the lesson picker lists them. Each is a plain
+// data file in the format described in lesson.js; teachers can also open their own.
+import firstCycle from './first-cycle.json';
+import airPressure from './air-pressure.json';
+
+export const LESSONS = [firstCycle, airPressure];
@@ -0,0 +1,307 @@
+// Greek
+export default {
+    name: 'Ελληνικά',
+    dir: 'ltr',
+    messages: {
+        'app.title': 'Προσομοίωση της κρήνης του Ήρωνα',
+        'app.heading': '🏗️ Η κρήνη του Ήρωνα',
+        'app.intro': 'Μια επίδειξη της αρχής του Ήρωνα με δυναμική ρευστών και προσομοίωση φυσικής.',
+        'app.language': 'Γλώσσα',
+        'app.canvas': 'Τρισδιάστατη όψη της κρήνης. Τα βέλη περιστρέφουν την κάμερα, Shift και βέλη τη μετακινούν, συν και πλην κάνουν ζουμ, το Home επαναφέρει την αρχική όψη.',
+
+        'button.flip': '🔄 Αναστροφή',
+        'button.reset': '🔄 Επαναφορά',
+        'button.pause': '⏸️ Παύση',
+        'button.resume': '▶️ Συνέχεια',
+        'button.charts': '📈 Διαγράμματα',
+        'button.faults': '⚠️ Βλάβες',
+        'button.faults.title': 'Προσθέστε διαρροές και φραξίματα για εξάσκηση στη διάγνωση της κρήνης',
+        'button.energy': '⚡ Ενέργεια',
+        'button.energy.title': 'Πού αποθηκεύεται, μεταφέρεται και χάνεται η ενέργεια της κρήνης',
+        'button.cycles': '🔁 Κύκλοι',
+        'button.cycles.title': 'Επιλέξτε πότε αναστρέφεται η κρήνη και δείτε στατιστικά για κάθε κύκλο',
+        'button.nozzle': '🎯 Ακροφύσιο',
+        'button.nozzle.title': 'Στρέψτε το ακροφύσιο και αλλάξτε το ύψος και τη διάμετρό του',
+        'button.valves': '🚰 Βαλβίδες',
+        'button.valves.title': 'Βάλτε βαλβίδες στους σωλήνες και χειριστείτε την αντλία χειρός του θαλάμου C',
+        'button.lessons': '🎓 Μαθήματα',
+        'button.lessons.title': 'Καθοδηγούμενα μαθήματα βήμα προς βήμα με ερωτήσεις',
+        'button.compare': '⚖️ Σύγκριση',
+        'button.compare.title': 'Λειτουργήστε κι άλλες κρήνες δίπλα σε αυτήν με άλλες ρυθμίσεις',
+        'button.cutaway': '✂️ Τομή',
+        'button.cutaway.title': 'Κόψτε την κρήνη για να δείτε το νερό και τον αέρα μέσα της',
+        'button.labels': '🏷️ Ετικέτες',
+        'button.labels.title': 'Ονόματα δοχείων και σωλήνων μέσα στη σκηνή, με ζωντανές τιμές',
+        'button.motion': '🐢 Λιγότερη κίνηση',
+        'button.motion.title': 'Λιγότερα σταγονίδια, χωρίς περιστροφή στην αναστροφή και σταθερά μηνύματα (ακολουθεί τη ρύθμιση του συστήματος)',
+        'button.editHoses': '🔧 Επεξεργασία σωλήνων',
+        'button.doneEditing': '✅ Τέλος επεξεργασίας',
+        'button.editHoses.title': 'Επιλέξτε θύρες για να προσθέσετε σωλήνες, σύρετε τις λαβές για να τους διαμορφώσετε, δεξί κλικ για αφαίρεση',
+        'button.save': '💾 Αποθήκευση',
+        'button.save.title': 'Λήψη της τρέχουσας διάταξης ως αρχείο JSON',
+        'button.load': '📂 Άνοιγμα',
+        'button.load.title': 'Άνοιγμα αποθηκευμένου αρχείου σεναρίου',
+        'button.share': '🔗 Κοινοποίηση συνδέσμου',
+        'button.share.title': 'Αντιγραφή συνδέσμου που ανοίγει αυτή τη διάταξη',
+        'flow.label': 'Ένταση ροής νερού',
+
+        'telemetry.record': '⏺️ Καταγραφή',
+        'telemetry.stop': '⏹️ Διακοπή',
+        'telemetry.record.title': 'Καταγραφή στάθμης, πίεσης και ροής των σωλήνων',
+        'telemetry.at': 'στα',
+        'telemetry.samples.one': '{count} δείγμα',
+        'telemetry.samples.other': '{count} δείγματα',
+        'telemetry.csv': '⬇️ CSV',
+        'telemetry.json': '⬇️ JSON',
+        'telemetry.clear': '🗑️ Εκκαθάριση',
+
+        'run.record': '🎬 Καταγραφή εκτέλεσης',
+        'run.stop': '⏹️ Διακοπή εκτέλεσης',
+        'run.record.title': 'Καταγράφει τον σπόρο και κάθε ενέργεια ώστε η εκτέλεση να επαναληφθεί ακριβώς',
+        'run.replay': '⏯️ Επανάληψη',
+        'run.stopReplay': '⏹️ Διακοπή επανάληψης',
+        'run.replay.title': 'Επανάληψη της τελευταίας καταγεγραμμένης ή φορτωμένης εκτέλεσης',
+        'run.save': '💾 Αποθήκευση εκτέλεσης',
+        'run.save.title': 'Λήψη της τελευταίας εκτέλεσης ως αρχείο JSON',
+        'run.load': '📂 Άνοιγμα εκτέλεσης',
+        'run.load.title': 'Άνοιγμα αρχείου εκτέλεσης και επανάληψή της',
+
+        'status.group': 'Στάθμες και πίεση',
+        'status.pressure': 'Πίεση αέρα',
+        'help.controls': '<strong>Χειρισμός:</strong><br>' +
+            '• Ποντίκι: περιστροφή κάμερας<br>' +
+            '• Ροδέλα: ζουμ<br>' +
+            '• Tab στην τρισδιάστατη όψη, μετά βέλη: περιστροφή (Shift+βέλη μετακίνηση, +/− ζουμ, Home επαναφορά)<br>' +
+            '• R: αναστροφή συστήματος<br>' +
+            '• Space: παύση/συνέχεια<br>' +
+            '• G: εμφάνιση/απόκρυψη διαγραμμάτων<br>' +
+            '• F: εμφάνιση/απόκρυψη βλαβών<br>' +
+            '• N: εμφάνιση/απόκρυψη ενεργειακού ισοζυγίου<br>' +
+            '• L: εμφάνιση/απόκρυψη μαθημάτων<br>' +
+            '• C: σύγκριση κρηνών δίπλα δίπλα<br>' +
+            '• X: όψη σε τομή<br>' +
+            '• T: ετικέτες δοχείων και σωλήνων<br>' +
+            '• S: ανάγνωση στάθμης και πίεσης<br>' +
+            '• M: λιγότερη κίνηση<br>' +
+            '• U: αλλαγή μονάδων<br>' +
+            '• Y: τρόπος αναστροφής και στατιστικά κύκλων<br>' +
+            '• J: στόχευση του ακροφυσίου<br>' +
+            '• V: βαλβίδες και αντλία χειρός<br>' +
+            '• E: επεξεργασία σωλήνων (Delete αφαιρεί τον επιλεγμένο σωλήνα, Esc ακύρωση)',
+
+        'container.A': 'Πάνω δοχείο (A)',
+        'container.B': 'Λεκάνη κρήνης (B)',
+        'container.C': 'Θάλαμος αέρα (C)',
+        'containerName.A': 'Πάνω δοχείο',
+        'containerName.B': 'Λεκάνη κρήνης',
+        'containerName.C': 'Θάλαμος αέρα',
+        'pipe.P1': 'αποχέτευση λεκάνης',
+        'pipe.P2': 'αγωγός αέρα',
+        'pipe.P3': 'σωλήνας ακροφυσίου',
+        'quantity.jetHeight': 'Ύψος πίδακα',
+        'quantity.jetFlow': 'Παροχή πίδακα',
+        'quantity.flips': 'Αναστροφές',
+        'quantity.running': 'Σε λειτουργία',
+        'quantity.cycle': 'Κύκλος',
+        'quantity.spilled': 'Χυμένο νερό',
+
+        'message.error': '❌ {message}',
+        'message.flipping': '🔄 Αναστροφή του συστήματος...',
+        'message.flipped': '✅ Το σύστημα αναστράφηκε! Η κρήνη θα ξαναρχίσει.',
+        'message.reset': '✅ Το σύστημα επανήλθε! Η κρήνη θα ξαναρχίσει.',
+        'message.cycleComplete': '✅ Ο κύκλος ολοκληρώθηκε! Αναστροφή των θαλάμων...',
+        'message.stalled': '⏸️ Η κρήνη σταμάτησε: αναστρέψτε την (R) για να ξαναρχίσει',
+        'message.stalledTimed': '⏸️ Η κρήνη σταμάτησε: θα αναστραφεί στην επόμενη χρονομετρημένη αναστροφή',
+        'message.replayBusy': '⏯️ Επανάληψη σε εξέλιξη: σταματήστε τη για να πάρετε τον έλεγχο',
+        'message.scenarioSaved': '💾 Το σενάριο αποθηκεύτηκε',
+        'message.scenarioLoaded': '📂 Το σενάριο φορτώθηκε',
+        'message.linkCopied': '🔗 Ο σύνδεσμος αντιγράφηκε στο πρόχειρο',
+        'message.linkInAddressBar': '🔗 Ο σύνδεσμος βρίσκεται στη γραμμή διευθύνσεων',
+        'message.runRecording': '⏺️ Καταγραφή εκτέλεσης (σπόρος {seed})',
+        'message.runRecorded': '⏹️ Η εκτέλεση καταγράφηκε: {steps} βήματα, {inputs} ενέργειες',
+        'message.replaying': '⏯️ Επανάληψη εκτέλεσης (σπόρος {seed}, {steps} βήματα)',
+        'message.replayDiverged': '❌ Η επανάληψη απέκλινε ({fields})',
+        'message.replayMatched': '✅ Η επανάληψη ταυτίζεται ακριβώς με την καταγραφή',
+        'message.replayStopped': '⏹️ Η επανάληψη σταμάτησε',
+        'message.noRun': '❌ Δεν υπάρχει ακόμη εκτέλεση: πατήστε Καταγραφή εκτέλεσης ή ανοίξτε αρχείο εκτέλεσης',
+        'message.nothingRecorded': '❌ Δεν έχει καταγραφεί τίποτα: πατήστε πρώτα Καταγραφή',
+        'message.editHoses': '🔧 Κάντε κλικ σε δύο θύρες για να τις ενώσετε, σύρετε μια λαβή για διαμόρφωση, δεξί κλικ σε σωλήνα για αφαίρεση',
+        'message.portPicked': '🔧 Επιλέχθηκε {port}: διαλέξτε τώρα το άλλο άκρο',
+        'message.alreadyConnected': '❌ Τα {from} και {to} είναι ήδη συνδεδεμένα',
+        'message.hoseAdded': '🔧 Προστέθηκε σωλήνας {from} → {to}',
+        'message.hoseRemoved': '🗑️ Ο σωλήνας αφαιρέθηκε',
+        'message.tooManyComparisons': '❌ Το πολύ {max} κρήνες σύγκρισης',
+        'message.units': '📏 Μονάδες: {name}',
+        'message.valvePlace': '🚰 Κάντε κλικ σε έναν σωλήνα για να του βάλετε βαλβίδα',
+        'message.valveAdded': '🚰 Προστέθηκε βαλβίδα στον {hose}',
+        'message.valveSet': '🚰 Βαλβίδα στον {hose} ανοιχτή {opening}%',
+        'message.valveRemoved': '🗑️ Αφαιρέθηκε η βαλβίδα από τον {hose}',
+
+        'announce.status': '{name} {value}',
+
+        'about.hint': 'Πατήστε I για πληροφορίες',
+        'about.title': 'Σχετικά με την κρήνη του Ήρωνα',
+        'about.origins.title': 'Προέλευση',
+        'about.origins': 'Η κρήνη του Ήρωνα είναι υδραυλική διάταξη που επινόησε ο αρχαίος Έλληνας μαθηματικός ' +
+            'και μηχανικός <strong>Ήρων ο Αλεξανδρεύς</strong> γύρω στο 62 μ.Χ. Ο Ήρων ήταν εξέχουσα μορφή ' +
+            'της ελληνιστικής περιόδου και θεωρείται από τους σπουδαιότερους πειραματιστές της αρχαιότητας.',
+        'about.works.title': 'Πώς λειτουργεί',
+        'about.works': 'Η κρήνη αποτελείται από τρία δοχεία: <strong>A</strong> (λεκάνη κρήνης), ' +
+            '<strong>B</strong> (απόθεμα νερού) και <strong>C</strong> (απόθεμα αέρα). Τρεις σωλήνες τα συνδέουν:' +
+            '<ul style="margin:8px 0; padding-inline-start:20px">' +
+            '<li><strong>P1</strong>: οδηγεί το νερό από το A στον πυθμένα του C</li>' +
+            '<li><strong>P2</strong>: οδηγεί τον αέρα από το πάνω μέρος του C στο πάνω μέρος του B</li>' +
+            '<li><strong>P3</strong>: οδηγεί το νερό από τον πυθμένα του B σε ακροφύσιο στο A</li>' +
+            '</ul>' +
+            'Τα B και C πρέπει να είναι αεροστεγή· το A μπορεί να είναι ανοιχτό. Καθώς το νερό πέφτει από το A ' +
+            'στο C, συμπιέζει τον αέρα του C, ο οποίος πιέζει το νερό του B να ανέβει από τον P3 ' +
+            'και δημιουργεί συνεχή πίδακα.',
+        'about.significance.title': 'Ιστορική σημασία',
+        'about.significance': 'Η διάταξη δείχνει αρχές πνευματικής και υδραυλικής που ήταν επαναστατικές ' +
+            'για την εποχή τους. Το έργο του Ήρωνα, μαζί με αυτή την κρήνη, επηρέασε μεταγενέστερες εξελίξεις ' +
+            'στη μηχανική και τη φυσική. Η κρήνη μοιάζει με αεικίνητο, στην πραγματικότητα όμως στηρίζεται ' +
+            'στη δυναμική ενέργεια του νερού στα υπερυψωμένα δοχεία. Πατήστε <strong>N</strong> για να ' +
+            'ακολουθήσετε αυτή την ενέργεια από το νερό που πέφτει στον συμπιεσμένο αέρα και στον πίδακα.',
+        'about.toggle': 'Πατήστε <strong>I</strong> ή <strong>?</strong> για εμφάνιση ή απόκρυψη αυτού του πίνακα.',
+
+        'units.label': 'Μονάδες',
+        'units.title': 'Μονάδες των ενδείξεων (U)· απομνημονεύονται για την επόμενη φορά',
+        'units.metric': 'Μετρικές (mL, kPa, cm)',
+        'units.water': 'Μετρικές (mL, cm H₂O, cm)',
+        'units.imperial': 'Αγγλοσαξονικές (fl oz, psi, in)',
+
+        'charts.title': 'Στάθμες, πίεση και ροή',
+        'charts.series.containerA': 'Πάνω (A)',
+        'charts.series.containerB': 'Λεκάνη (B)',
+        'charts.series.containerC': 'Αέρας (C)',
+        'charts.series.pressure': 'Πίεση',
+        'charts.event.flip': 'αναστροφή',
+        'charts.event.reset': 'επαναφορά',
+
+        'faults.title': '⚠️ Βλάβες',
+        'faults.airLeak': 'Διαρροή αέρα: {container}',
+        'faults.waterLeak': 'Διαρροή νερού: {container}',
+        'faults.clog': 'Φράξιμο: {pipe} ({name})',
+        'faults.blocked': 'φραγμένος',
+        'faults.none': 'καμία',
+        'faults.leaked': 'Νερό χαμένο από διαρροές: {volume}',
+        'faults.clear': '🧰 Διόρθωση όλων των βλαβών',
+
+        'energy.title': '⚡ Ενεργειακό ισοζύγιο',
+        'energy.storedNow': 'Αποθηκευμένη τώρα',
+        'energy.stored': 'Νερό: {container}',
+        'energy.air': 'Συμπιεσμένος αέρας',
+        'energy.total': 'Σύνολο',
+        'energy.cycle': 'Αυτός ο κύκλος',
+        'energy.cycleTime': 'Αυτός ο κύκλος ({seconds} s)',
+        'energy.start': 'Στην αρχή',
+        'energy.input.flip': '+ Ανύψωση του νερού (αναστροφή)',
+        'energy.input.external': '+ Στάθμες/πιέσεις που ορίστηκαν με το χέρι',
+        'energy.input.pump': '+ Λειτουργία της αντλίας χειρός',
+        'energy.loss.pipes': '− Απώλειες σε σωλήνες',
+        'energy.loss.splash': '− Πιτσίλισμα του πίδακα στη λεκάνη',
+        'energy.loss.spill': '− Πίδακας που πέφτει έξω από τη λεκάνη',
+        'energy.loss.leaks': '− Διαρροές',
+        'energy.loss.vented': '− Αέρας που εκτονώθηκε στην αναστροφή',
+        'energy.now': '= Τώρα',
+        'energy.imbalance': 'Ανεξήγητη',
+        'energy.passed': 'Ενέργεια που μεταφέρθηκε σε αυτόν τον κύκλο',
+        'energy.compression': 'Νερό που πέφτει → αέρας (C)',
+        'energy.airWork': 'Συμπιεσμένος αέρας → νερό (A)',
+        'energy.jet': 'Κινητική ενέργεια πίδακα',
+        'energy.jetPower': 'Ισχύς πίδακα τώρα',
+        'energy.lastCycle': 'Τελευταίος πλήρης κύκλος',
+        'energy.lastCycleText': '{seconds} s: εισροή {input}, απώλεια {lost}, αποθήκευση {stored}, ανεξήγητη {imbalance}',
+        'energy.noCycle': 'Κανένας ακόμη: αναστρέψτε την κρήνη για να κλείσει ένας κύκλος.',
+
+        'cycles.title': '🔁 Κύκλοι',
+        'cycles.mode': 'Αναστροφή',
+        'cycles.mode.auto': 'αυτόματα',
+        'cycles.mode.manual': 'μόνο με το χέρι',
+        'cycles.mode.timed': 'με χρονόμετρο',
+        'cycles.every': 'κάθε',
+        'cycles.note.auto': 'Αναστρέφεται μόλις η κρήνη σταματήσει.',
+        'cycles.note.manual': 'Μένει σταματημένη μέχρι να την αναστρέψετε.',
+        'cycles.note.timed': 'Αναστρέφεται με το χρονόμετρο, είτε έχει σταματήσει είτε όχι.',
+        'cycles.status': '{number} · {seconds} s',
+        'cycles.current': 'Κύκλος {number} μέχρι τώρα',
+        'cycles.duration': 'Χρόνος λειτουργίας',
+        'cycles.waterMoved': 'Νερό από το ακροφύσιο',
+        'cycles.peakPressure': 'Μέγιστη πίεση αέρα',
+        'cycles.finished': 'Ολοκληρωμένοι κύκλοι',
+        'cycles.none': 'Κανένας ακόμη: ένας κύκλος τελειώνει όταν αναστραφεί η κρήνη.',
+        'cycles.column.number': '#',
+        'cycles.column.duration': 'Χρόνος',
+        'cycles.column.waterMoved': 'Νερό',
+        'cycles.column.peakPressure': 'Μέγιστη',
+        'cycles.column.trigger': 'Τέλος',
+        'cycles.trigger.auto': 'άδειασε',
+        'cycles.trigger.manual': 'με το χέρι',
+        'cycles.trigger.timed': 'χρονόμετρο',
+
+        'nozzle.title': '🎯 Ακροφύσιο',
+        'nozzle.angle': 'Γωνία',
+        'nozzle.height': 'Ύψος πάνω από το χείλος',
+        'nozzle.bore': 'Διάμετρος',
+        'nozzle.default': 'Κατακόρυφα',
+        'nozzle.readout': 'Ύψος πίδακα {height}: χύθηκαν {spilled}',
+
+        'valves.title': '🚰 Βαλβίδες και αντλία',
+        'valves.place': '➕ Τοποθέτηση βαλβίδας',
+        'valves.hint': 'Κάντε κλικ σε μια βαλβίδα στη σκηνή για να τη γυρίσετε· δεξί κλικ για να την αφαιρέσετε',
+        'valves.none': 'Δεν υπάρχουν ακόμη βαλβίδες',
+        'valves.opening': 'Άνοιγμα της βαλβίδας στον {hose}',
+        'valves.shut': 'Κλειστή',
+        'valves.remove': 'Αφαίρεση βαλβίδας',
+        'valves.pump': 'Αντλία χειρός στον C',
+        'valves.pumpStatus': '{strokes} εμβολισμοί: C στα {pressure}',
+        'valves.stroke': '⬇️ Άντληση',
+        'valves.vent': '💨 Άνοιγμα εξαερισμού',
+        'valves.seal': '🔒 Κλείσιμο εξαερισμού',
+
+        'lessons.title': '🎓 Μαθήματα',
+        'lessons.picker': 'Μάθημα',
+        'lessons.start': '▶️ Έναρξη',
+        'lessons.open': '📂 Άνοιγμα…',
+        'lessons.open.title': 'Άνοιγμα αρχείου μαθήματος',
+        'lessons.complete': '✅ Το μάθημα ολοκληρώθηκε.',
+        'lessons.score': '✅ Το μάθημα ολοκληρώθηκε: {firstTry} από {questions} ερωτήσεις σωστές με την πρώτη.',
+        'lessons.step': 'Βήμα {number} από {total}',
+        'lessons.waiting': 'Αναμονή μέχρι {condition}…',
+        'lessons.finish': '🏁 Τέλος',
+        'lessons.next': 'Επόμενο ▶',
+        'lessons.stop': '⏹️ Διακοπή μαθήματος',
+        'lessons.correct': 'Σωστά!',
+        'lessons.wrong': '❌ Όχι ακριβώς: δοκιμάστε ξανά.',
+        'lessons.event.flip': 'να αναστρέψετε την κρήνη',
+        'lessons.event.reset': 'να επαναφέρετε την κρήνη',
+        'lessons.and': ' και ',
+
+        'compare.title': '⚖️ Σύγκριση κρηνών',
+        'compare.picker': 'Ρύθμιση νέας κρήνης',
+        'compare.add': '➕ Προσθήκη κρήνης',
+        'compare.note': 'Οι νέες κρήνες ξεκινούν από την τρέχουσα διάταξη της κύριας κρήνης και εμφανίζονται στα δεξιά της.',
+        'compare.preset.copy': 'Αντίγραφο της κύριας κρήνης',
+        'compare.preset.flow25': 'Ροή 25%',
+        'compare.preset.flow100': 'Ροή 100%',
+        'compare.preset.airLeakC': 'Διαρροή αέρα στον θάλαμο αέρα (C)',
+        'compare.preset.waterLeakA': 'Διαρροή νερού στο πάνω δοχείο (A)',
+        'compare.preset.clogP3': 'Μισοφραγμένος σωλήνας ακροφυσίου (P3)',
+        'compare.fountain': 'Κρήνη {number}: {preset}',
+        'compare.flow': 'Ροή {value}%',
+        'compare.flip': '🔄 Αναστροφή',
+        'compare.restart': '↺ Από την αρχή',
+        'compare.restart.title': 'Επιστροφή στη διάταξη με την οποία ξεκίνησε αυτή η κρήνη',
+        'compare.remove.title': 'Αφαίρεση αυτής της κρήνης',
+
+        'cutaway.title': '✂️ Τομή',
+        'cutaway.note': 'Επιφάνειες τομής: μπλε είναι το νερό, ανοιχτό ο αέρας (πορτοκαλί όταν συμπιέζεται).',
+        'cutaway.direction': 'Κατεύθυνση',
+        'cutaway.position': 'Θέση',
+
+        'labels.title': '🏷️ Ετικέτες',
+        'labels.level': '{volume} νερό',
+        'labels.water': 'νερό · {flow}',
+        'labels.air': 'αέρας · {pressure}'
+    }
+};
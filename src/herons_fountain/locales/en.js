@@ -0,0 +1,325 @@
+// English: the source catalogue. Every key used in the app is defined here; the other
+// catalogues fall back to these strings for anything they leave out.
+export default {
+    name: 'English',
+    dir: 'ltr',
+    messages: {
+        // Page and #info panel
+        'app.title': "Heron's Fountain Simulation",
+        'app.heading': "🏗️ Heron's Fountain",
+        'app.intro': "A demonstration of Heron's principle using fluid dynamics and physics simulation.",
+        'app.language': 'Language',
+        'app.canvas': '3D view of the fountain. Arrow keys orbit the camera, Shift and arrow keys pan, plus and minus zoom, Home returns to the starting view.',
+
+        'button.flip': '🔄 Flip System',
+        'button.reset': '🔄 Reset',
+        'button.pause': '⏸️ Pause',
+        'button.resume': '▶️ Resume',
+        'button.charts': '📈 Charts',
+        'button.faults': '⚠️ Faults',
+        'button.faults.title': 'Add leaks and clogs to practise diagnosing the fountain',
+        'button.energy': '⚡ Energy',
+        'button.energy.title': "Where the fountain's energy is stored, passed along and lost",
+        'button.cycles': '🔁 Cycles',
+        'button.cycles.title': 'Choose when the fountain turns over and see statistics for each cycle',
+        'button.nozzle': '🎯 Nozzle',
+        'button.nozzle.title': 'Aim the nozzle and change its height and bore',
+        'button.valves': '🚰 Valves',
+        'button.valves.title': 'Put valves on hoses and work the hand pump on chamber C',
+        'button.lessons': '🎓 Lessons',
+        'button.lessons.title': 'Step-by-step guided lessons with questions',
+        'button.compare': '⚖️ Compare',
+        'button.compare.title': 'Run more fountains beside this one with different settings',
+        'button.cutaway': '✂️ Cutaway',
+        'button.cutaway.title': 'Slice the fountain open to see the water and air inside',
+        'button.labels': '🏷️ Labels',
+        'button.labels.title': 'Name the containers and pipes in the scene, with live values',
+        'button.motion': '🐢 Reduce Motion',
+        'button.motion.title': 'Fewer droplets, no turning during flips and still messages (follows your system setting)',
+        'button.editHoses': '🔧 Edit Hoses',
+        'button.doneEditing': '✅ Done Editing',
+        'button.editHoses.title': 'Pick ports to add hoses, drag handles to reshape, right-click to remove',
+        'button.save': '💾 Save',
+        'button.save.title': 'Download the current set-up as a JSON file',
+        'button.load': '📂 Load',
+        'button.load.title': 'Open a saved scenario file',
+        'button.share': '🔗 Share Link',
+        'button.share.title': 'Copy a link that opens this set-up',
+        'flow.label': 'Water flow intensity',
+
+        'telemetry.record': '⏺️ Record',
+        'telemetry.stop': '⏹️ Stop',
+        'telemetry.record.title': 'Record levels, pressure and hose flows',
+        'telemetry.at': 'at',
+        'telemetry.samples.one': '{count} sample',
+        'telemetry.samples.other': '{count} samples',
+        'telemetry.csv': '⬇️ CSV',
+        'telemetry.json': '⬇️ JSON',
+        'telemetry.clear': '🗑️ Clear',
+
+        'run.record': '🎬 Record Run',
+        'run.stop': '⏹️ Stop Run',
+        'run.record.title': 'Record the seed and every input so the run can be replayed exactly',
+        'run.replay': '⏯️ Replay',
+        'run.stopReplay': '⏹️ Stop Replay',
+        'run.replay.title': 'Replay the last recorded or loaded run',
+        'run.save': '💾 Save Run',
+        'run.save.title': 'Download the last run as a JSON file',
+        'run.load': '📂 Load Run',
+        'run.load.title': 'Open a run file and replay it',
+
+        'status.group': 'Levels and pressure',
+        'status.pressure': 'Air Pressure',
+        'help.controls': '<strong>Controls:</strong><br>' +
+            '• Mouse: Rotate camera<br>' +
+            '• Scroll: Zoom<br>' +
+            '• Tab to the 3D view, then arrows: Orbit (Shift+arrows pan, +/− zoom, Home resets)<br>' +
+            '• R: Flip system<br>' +
+            '• Space: Pause/Resume<br>' +
+            '• G: Show/hide charts<br>' +
+            '• F: Show/hide faults<br>' +
+            '• N: Show/hide energy budget<br>' +
+            '• L: Show/hide lessons<br>' +
+            '• C: Compare fountains side by side<br>' +
+            '• X: Cutaway view<br>' +
+            '• T: Container and pipe labels<br>' +
+            '• S: Read out levels and pressure<br>' +
+            '• M: Reduce motion<br>' +
+            '• U: Switch units<br>' +
+            '• Y: Flip mode and cycle statistics<br>' +
+            '• J: Aim the nozzle<br>' +
+            '• V: Valves and hand pump<br>' +
+            '• E: Edit hoses (Delete removes the selected hose, Esc cancels)',
+
+        // Names used throughout; containers by their on-screen letter
+        'container.A': 'Top Container (A)',
+        'container.B': 'Fountain Basin (B)',
+        'container.C': 'Air Chamber (C)',
+        'containerName.A': 'Top Container',
+        'containerName.B': 'Fountain Basin',
+        'containerName.C': 'Air Chamber',
+        'pipe.P1': 'basin drain',
+        'pipe.P2': 'air line',
+        'pipe.P3': 'nozzle riser',
+        'quantity.jetHeight': 'Jet height',
+        'quantity.jetFlow': 'Jet flow',
+        'quantity.flips': 'Flips',
+        'quantity.running': 'Running',
+        'quantity.cycle': 'Cycle',
+        'quantity.spilled': 'Spilled',
+
+        // Messages
+        'message.error': '❌ {message}',
+        'message.flipping': '🔄 Flipping system...',
+        'message.flipped': '✅ System flipped! Fountain will restart.',
+        'message.reset': '✅ System reset! Fountain will restart.',
+        'message.cycleComplete': '✅ System cycle complete! Turning the chambers over...',
+        'message.stalled': '⏸️ The fountain has run out - flip it (R) to start it again',
+        'message.stalledTimed': '⏸️ The fountain has run out - it turns over at the next timed flip',
+        'message.replayBusy': '⏯️ Replay in progress - stop it to take control',
+        'message.scenarioSaved': '💾 Scenario saved',
+        'message.scenarioLoaded': '📂 Scenario loaded',
+        'message.linkCopied': '🔗 Link copied to clipboard',
+        'message.linkInAddressBar': '🔗 Link is in the address bar',
+        'message.runRecording': '⏺️ Recording run (seed {seed})',
+        'message.runRecorded': '⏹️ Run recorded: {steps} steps, {inputs} inputs',
+        'message.replaying': '⏯️ Replaying run (seed {seed}, {steps} steps)',
+        'message.replayDiverged': '❌ Replay diverged ({fields})',
+        'message.replayMatched': '✅ Replay matched the recording exactly',
+        'message.replayStopped': '⏹️ Replay stopped',
+        'message.noRun': '❌ No run yet - press Record Run or load a run file',
+        'message.nothingRecorded': '❌ Nothing recorded yet - press Record first',
+        'message.editHoses': '🔧 Click two ports to join them, drag a handle to reshape, right-click a hose to remove it',
+        'message.portPicked': '🔧 {port} picked - now pick the other end',
+        'message.alreadyConnected': '❌ {from} and {to} are already connected',
+        'message.hoseAdded': '🔧 Hose {from} → {to} added',
+        'message.hoseRemoved': '🗑️ Hose removed',
+        'message.tooManyComparisons': '❌ At most {max} comparison fountains',
+        'message.units': '📏 Units: {name}',
+        'message.valvePlace': '🚰 Click a hose to put a valve on it',
+        'message.valveAdded': '🚰 Valve added on {hose}',
+        'message.valveSet': '🚰 Valve on {hose} {opening}% open',
+        'message.valveRemoved': '🗑️ Valve removed from {hose}',
+
+        // Spoken status
+        'announce.status': '{name} {value}',
+
+        // About panel
+        'about.hint': 'Press I for info',
+        'about.title': "About Heron's Fountain",
+        'about.origins.title': 'Origins',
+        'about.origins': "Heron's Fountain (also known as Heron's Aeolipile or Hero's Fountain) is a hydraulic device " +
+            'invented by the ancient Greek mathematician and engineer <strong>Hero of Alexandria</strong> ' +
+            '(also known as Heron) around 62 CE. Hero was a prominent figure in the Hellenistic period ' +
+            'and is considered one of the greatest experimenters of antiquity.',
+        'about.works.title': 'How It Works',
+        'about.works': 'The fountain consists of three containers: <strong>A</strong> (bowl/fountain basin), ' +
+            '<strong>B</strong> (water supply), and <strong>C</strong> (air supply). Three pipes connect them:' +
+            '<ul style="margin:8px 0; padding-inline-start:20px">' +
+            '<li><strong>P1</strong>: Drains water from A to the bottom of C</li>' +
+            '<li><strong>P2</strong>: Transfers air from the top of C to the top of B</li>' +
+            '<li><strong>P3</strong>: Carries water from the bottom of B to a nozzle in A</li>' +
+            '</ul>' +
+            'Containers B and C must be airtight, while A can be open. As water falls from A into C, ' +
+            'it pressurizes the air in C, which pushes on the water in B, forcing water up through P3 ' +
+            'and creating a continuous fountain effect.',
+        'about.significance.title': 'Historical Significance',
+        'about.significance': 'This device demonstrates principles of pneumatics and hydraulics that were revolutionary ' +
+            "for their time. Hero's work, including this fountain, influenced later developments in " +
+            'engineering and physics. The fountain appears to create perpetual motion, but actually ' +
+            'relies on the potential energy stored in the elevated water containers. Press <strong>N</strong> ' +
+            'to follow that energy from the falling water into the compressed air and out through the jet.',
+        'about.toggle': 'Press <strong>I</strong> or <strong>?</strong> to toggle this panel.',
+
+        // Units
+        'units.label': 'Units',
+        'units.title': 'Units for the readouts (U); remembered for next time',
+        'units.metric': 'Metric (mL, kPa, cm)',
+        'units.water': 'Metric (mL, cm H₂O, cm)',
+        'units.imperial': 'US customary (fl oz, psi, in)',
+
+        // Charts
+        'charts.title': 'Levels, Pressure & Flow',
+        'charts.series.containerA': 'Top (A)',
+        'charts.series.containerB': 'Basin (B)',
+        'charts.series.containerC': 'Air (C)',
+        'charts.series.pressure': 'Pressure',
+        'charts.event.flip': 'flip',
+        'charts.event.reset': 'reset',
+
+        // Faults
+        'faults.title': '⚠️ Faults',
+        'faults.airLeak': 'Air leak: {container}',
+        'faults.waterLeak': 'Water leak: {container}',
+        'faults.clog': 'Clog: {pipe} ({name})',
+        'faults.blocked': 'blocked',
+        'faults.none': 'none',
+        'faults.leaked': 'Water lost to leaks: {volume}',
+        'faults.clear': '🧰 Clear all faults',
+
+        // Energy budget
+        'energy.title': '⚡ Energy Budget',
+        'energy.storedNow': 'Stored now',
+        'energy.stored': 'Water in {container}',
+        'energy.air': 'Compressed air',
+        'energy.total': 'Total',
+        'energy.cycle': 'This cycle',
+        'energy.cycleTime': 'This cycle ({seconds} s)',
+        'energy.start': 'At the start',
+        'energy.input.flip': '+ Lifting the water (flip)',
+        'energy.input.external': '+ Levels/pressures set by hand',
+        'energy.input.pump': '+ Working the hand pump',
+        'energy.loss.pipes': '− Pipe and hose losses',
+        'energy.loss.splash': '− Jet splashing into the basin',
+        'energy.loss.spill': '− Jet landing outside the bowl',
+        'energy.loss.leaks': '− Leaks',
+        'energy.loss.vented': '− Air vented at the flip',
+        'energy.now': '= Now',
+        'energy.imbalance': 'Unaccounted',
+        'energy.passed': 'Energy passed along this cycle',
+        'energy.compression': 'Falling water → air (C)',
+        'energy.airWork': 'Compressed air → water (A)',
+        'energy.jet': 'Kinetic energy of the jet',
+        'energy.jetPower': 'Jet power now',
+        'energy.lastCycle': 'Last full cycle',
+        'energy.lastCycleText': '{seconds} s: put in {input}, lost {lost}, stored {stored}, unaccounted {imbalance}',
+        'energy.noCycle': 'None yet - flip the fountain to close a cycle.',
+
+        // Cycles
+        'cycles.title': '🔁 Cycles',
+        'cycles.mode': 'Flip',
+        'cycles.mode.auto': 'automatically',
+        'cycles.mode.manual': 'by hand only',
+        'cycles.mode.timed': 'on a timer',
+        'cycles.every': 'every',
+        'cycles.note.auto': 'Turns over as soon as the fountain runs out.',
+        'cycles.note.manual': 'Stalls when it runs out until you flip it.',
+        'cycles.note.timed': 'Turns over on the timer, whether it has run out or not.',
+        'cycles.status': '{number} · {seconds} s',
+        'cycles.current': 'Cycle {number} so far',
+        'cycles.duration': 'Running time',
+        'cycles.waterMoved': 'Water through the jet',
+        'cycles.peakPressure': 'Peak air pressure',
+        'cycles.finished': 'Finished cycles',
+        'cycles.none': 'None yet - a cycle ends when the fountain is flipped.',
+        'cycles.column.number': '#',
+        'cycles.column.duration': 'Time',
+        'cycles.column.waterMoved': 'Water',
+        'cycles.column.peakPressure': 'Peak',
+        'cycles.column.trigger': 'Ended',
+        'cycles.trigger.auto': 'ran out',
+        'cycles.trigger.manual': 'by hand',
+        'cycles.trigger.timed': 'timer',
+
+        // Nozzle
+        'nozzle.title': '🎯 Nozzle',
+        'nozzle.angle': 'Angle',
+        'nozzle.height': 'Height above the rim',
+        'nozzle.bore': 'Bore',
+        'nozzle.default': 'Straight up',
+        'nozzle.readout': 'Jet height {height} - spilled {spilled}',
+
+        // Valves and hand pump
+        'valves.title': '🚰 Valves and pump',
+        'valves.place': '➕ Place a valve',
+        'valves.hint': 'Click a valve in the scene to turn it; right-click it to take it off',
+        'valves.none': 'No valves yet',
+        'valves.opening': 'Opening of the valve on {hose}',
+        'valves.shut': 'Shut',
+        'valves.remove': 'Remove valve',
+        'valves.pump': 'Hand pump on C',
+        'valves.pumpStatus': '{strokes} strokes - C at {pressure}',
+        'valves.stroke': '⬇️ Pump',
+        'valves.vent': '💨 Open vent',
+        'valves.seal': '🔒 Close vent',
+
+        // Lessons
+        'lessons.title': '🎓 Lessons',
+        'lessons.picker': 'Lesson',
+        'lessons.start': '▶️ Start',
+        'lessons.open': '📂 Open…',
+        'lessons.open.title': 'Open a lesson file',
+        'lessons.complete': '✅ Lesson complete.',
+        'lessons.score': '✅ Lesson complete - {firstTry} of {questions} questions right first time.',
+        'lessons.step': 'Step {number} of {total}',
+        'lessons.waiting': 'Waiting until {condition}…',
+        'lessons.finish': '🏁 Finish',
+        'lessons.next': 'Next ▶',
+        'lessons.stop': '⏹️ Stop lesson',
+        'lessons.correct': 'Correct!',
+        'lessons.wrong': '❌ Not quite - try again.',
+        'lessons.event.flip': 'flip the fountain',
+        'lessons.event.reset': 'reset the fountain',
+        'lessons.and': ' and ',
+
+        // Comparisons
+        'compare.title': '⚖️ Compare Fountains',
+        'compare.picker': 'Set-up for the new fountain',
+        'compare.add': '➕ Add fountain',
+        'compare.note': "New fountains start from the main fountain's current set-up and appear to its right.",
+        'compare.preset.copy': 'Copy of the main fountain',
+        'compare.preset.flow25': '25% flow',
+        'compare.preset.flow100': '100% flow',
+        'compare.preset.airLeakC': 'Air leak in Air Chamber (C)',
+        'compare.preset.waterLeakA': 'Water leak in Top Container (A)',
+        'compare.preset.clogP3': 'Half-clogged riser (P3)',
+        'compare.fountain': 'Fountain {number}: {preset}',
+        'compare.flow': 'Flow {value}%',
+        'compare.flip': '🔄 Flip',
+        'compare.restart': '↺ Restart',
+        'compare.restart.title': 'Back to the set-up this fountain started with',
+        'compare.remove.title': 'Remove this fountain',
+
+        // Cutaway
+        'cutaway.title': '✂️ Cutaway',
+        'cutaway.note': 'Cut faces: blue is water, pale is air (orange when compressed).',
+        'cutaway.direction': 'Direction',
+        'cutaway.position': 'Position',
+
+        // Labels
+        'labels.title': '🏷️ Labels',
+        'labels.level': '{volume} of water',
+        'labels.water': 'water · {flow}',
+        'labels.air': 'air · {pressure}'
+    }
+};
@@ -0,0 +1,306 @@
+// Spanish
+export default {
+    name: 'Español',
+    dir: 'ltr',
+    messages: {
+        'app.title': 'Simulación de la fuente de Herón',
+        'app.heading': '🏗️ Fuente de Herón',
+        'app.intro': 'Una demostración del principio de Herón mediante dinámica de fluidos y simulación física.',
+        'app.language': 'Idioma',
+        'app.canvas': 'Vista 3D de la fuente. Las flechas giran la cámara, Mayús y las flechas la desplazan, más y menos acercan y alejan, Inicio vuelve a la vista de partida.',
+
+        'button.flip': '🔄 Voltear sistema',
+        'button.reset': '🔄 Reiniciar',
+        'button.pause': '⏸️ Pausa',
+        'button.resume': '▶️ Continuar',
+        'button.charts': '📈 Gráficas',
+        'button.faults': '⚠️ Averías',
+        'button.faults.title': 'Añade fugas y obstrucciones para practicar el diagnóstico de la fuente',
+        'button.energy': '⚡ Energía',
+        'button.energy.title': 'Dónde se almacena, se transmite y se pierde la energía de la fuente',
+        'button.cycles': '🔁 Ciclos',
+        'button.cycles.title': 'Elige cuándo se da la vuelta a la fuente y consulta las estadísticas de cada ciclo',
+        'button.nozzle': '🎯 Boquilla',
+        'button.nozzle.title': 'Apunta la boquilla y cambia su altura y su diámetro',
+        'button.valves': '🚰 Válvulas',
+        'button.valves.title': 'Pon válvulas en las mangueras y acciona la bomba de mano de la cámara C',
+        'button.lessons': '🎓 Lecciones',
+        'button.lessons.title': 'Lecciones guiadas paso a paso con preguntas',
+        'button.compare': '⚖️ Comparar',
+        'button.compare.title': 'Pon en marcha más fuentes junto a esta con otros ajustes',
+        'button.cutaway': '✂️ Corte',
+        'button.cutaway.title': 'Corta la fuente para ver el agua y el aire de dentro',
+        'button.labels': '🏷️ Etiquetas',
+        'button.labels.title': 'Nombra los recipientes y tubos de la escena, con sus valores en directo',
+        'button.motion': '🐢 Reducir movimiento',
+        'button.motion.title': 'Menos gotas, sin giro al voltear y mensajes quietos (sigue el ajuste del sistema)',
+        'button.editHoses': '🔧 Editar mangueras',
+        'button.doneEditing': '✅ Terminar edición',
+        'button.editHoses.title': 'Elige puertos para añadir mangueras, arrastra los tiradores para darles forma, clic derecho para quitarlas',
+        'button.save': '💾 Guardar',
+        'button.save.title': 'Descarga la configuración actual como archivo JSON',
+        'button.load': '📂 Abrir',
+        'button.load.title': 'Abre un archivo de escenario guardado',
+        'button.share': '🔗 Compartir enlace',
+        'button.share.title': 'Copia un enlace que abre esta configuración',
+        'flow.label': 'Intensidad del caudal de agua',
+
+        'telemetry.record': '⏺️ Grabar',
+        'telemetry.stop': '⏹️ Detener',
+        'telemetry.record.title': 'Graba niveles, presión y caudales de las mangueras',
+        'telemetry.at': 'a',
+        'telemetry.samples.one': '{count} muestra',
+        'telemetry.samples.other': '{count} muestras',
+        'telemetry.csv': '⬇️ CSV',
+        'telemetry.json': '⬇️ JSON',
+        'telemetry.clear': '🗑️ Borrar',
+
+        'run.record': '🎬 Grabar sesión',
+        'run.stop': '⏹️ Detener sesión',
+        'run.record.title': 'Graba la semilla y cada acción para poder repetir la sesión exactamente',
+        'run.replay': '⏯️ Repetir',
+        'run.stopReplay': '⏹️ Detener repetición',
+        'run.replay.title': 'Repite la última sesión grabada o abierta',
+        'run.save': '💾 Guardar sesión',
+        'run.save.title': 'Descarga la última sesión como archivo JSON',
+        'run.load': '📂 Abrir sesión',
+        'run.load.title': 'Abre un archivo de sesión y repítela',
+
+        'status.group': 'Niveles y presión',
+        'status.pressure': 'Presión del aire',
+        'help.controls': '<strong>Controles:</strong><br>' +
+            '• Ratón: girar la cámara<br>' +
+            '• Rueda: zoom<br>' +
+            '• Tab hasta la vista 3D y luego flechas: girar (Mayús+flechas desplaza, +/− zoom, Inicio restablece)<br>' +
+            '• R: voltear el sistema<br>' +
+            '• Espacio: pausa/continuar<br>' +
+            '• G: mostrar/ocultar gráficas<br>' +
+            '• F: mostrar/ocultar averías<br>' +
+            '• N: mostrar/ocultar balance de energía<br>' +
+            '• L: mostrar/ocultar lecciones<br>' +
+            '• C: comparar fuentes lado a lado<br>' +
+            '• X: vista en corte<br>' +
+            '• T: etiquetas de recipientes y tubos<br>' +
+            '• S: leer en voz alta niveles y presión<br>' +
+            '• M: reducir movimiento<br>' +
+            '• U: cambiar unidades<br>' +
+            '• Y: modo de volteo y estadísticas de ciclos<br>' +
+            '• J: apuntar la boquilla<br>' +
+            '• V: válvulas y bomba de mano<br>' +
+            '• E: editar mangueras (Supr quita la manguera seleccionada, Esc cancela)',
+
+        'container.A': 'Recipiente superior (A)',
+        'container.B': 'Pila de la fuente (B)',
+        'container.C': 'Cámara de aire (C)',
+        'containerName.A': 'Recipiente superior',
+        'containerName.B': 'Pila de la fuente',
+        'containerName.C': 'Cámara de aire',
+        'pipe.P1': 'desagüe de la pila',
+        'pipe.P2': 'conducto de aire',
+        'pipe.P3': 'tubo de la boquilla',
+        'quantity.jetHeight': 'Altura del chorro',
+        'quantity.jetFlow': 'Caudal del chorro',
+        'quantity.flips': 'Volteos',
+        'quantity.running': 'En marcha',
+        'quantity.cycle': 'Ciclo',
+        'quantity.spilled': 'Derramada',
+
+        'message.error': '❌ {message}',
+        'message.flipping': '🔄 Volteando el sistema...',
+        'message.flipped': '✅ ¡Sistema volteado! La fuente volverá a arrancar.',
+        'message.reset': '✅ ¡Sistema reiniciado! La fuente volverá a arrancar.',
+        'message.cycleComplete': '✅ ¡Ciclo completo! Dando la vuelta a las cámaras...',
+        'message.stalled': '⏸️ La fuente se ha agotado: dale la vuelta (R) para que vuelva a empezar',
+        'message.stalledTimed': '⏸️ La fuente se ha agotado: se dará la vuelta en el próximo volteo programado',
+        'message.replayBusy': '⏯️ Repetición en curso: detenla para tomar el control',
+        'message.scenarioSaved': '💾 Escenario guardado',
+        'message.scenarioLoaded': '📂 Escenario abierto',
+        'message.linkCopied': '🔗 Enlace copiado al portapapeles',
+        'message.linkInAddressBar': '🔗 El enlace está en la barra de direcciones',
+        'message.runRecording': '⏺️ Grabando sesión (semilla {seed})',
+        'message.runRecorded': '⏹️ Sesión grabada: {steps} pasos, {inputs} acciones',
+        'message.replaying': '⏯️ Repitiendo sesión (semilla {seed}, {steps} pasos)',
+        'message.replayDiverged': '❌ La repetición se desvió ({fields})',
+        'message.replayMatched': '✅ La repetición coincide exactamente con la grabación',
+        'message.replayStopped': '⏹️ Repetición detenida',
+        'message.noRun': '❌ Aún no hay sesión: pulsa Grabar sesión o abre un archivo de sesión',
+        'message.nothingRecorded': '❌ Aún no se ha grabado nada: pulsa primero Grabar',
+        'message.editHoses': '🔧 Haz clic en dos puertos para unirlos, arrastra un tirador para dar forma, clic derecho en una manguera para quitarla',
+        'message.portPicked': '🔧 {port} elegido: ahora elige el otro extremo',
+        'message.alreadyConnected': '❌ {from} y {to} ya están conectados',
+        'message.hoseAdded': '🔧 Manguera {from} → {to} añadida',
+        'message.hoseRemoved': '🗑️ Manguera quitada',
+        'message.tooManyComparisons': '❌ Como máximo {max} fuentes de comparación',
+        'message.units': '📏 Unidades: {name}',
+        'message.valvePlace': '🚰 Haz clic en una manguera para ponerle una válvula',
+        'message.valveAdded': '🚰 Válvula añadida en {hose}',
+        'message.valveSet': '🚰 Válvula en {hose} abierta al {opening}%',
+        'message.valveRemoved': '🗑️ Válvula quitada de {hose}',
+
+        'announce.status': '{name} {value}',
+
+        'about.hint': 'Pulsa I para más información',
+        'about.title': 'Acerca de la fuente de Herón',
+        'about.origins.title': 'Orígenes',
+        'about.origins': 'La fuente de Herón es un dispositivo hidráulico inventado por el matemático e ingeniero ' +
+            'griego <strong>Herón de Alejandría</strong> hacia el año 62 d. C. Herón fue una figura destacada ' +
+            'del periodo helenístico y se le considera uno de los mayores experimentadores de la Antigüedad.',
+        'about.works.title': 'Cómo funciona',
+        'about.works': 'La fuente consta de tres recipientes: <strong>A</strong> (cuenco/pila de la fuente), ' +
+            '<strong>B</strong> (reserva de agua) y <strong>C</strong> (reserva de aire). Tres tubos los unen:' +
+            '<ul style="margin:8px 0; padding-inline-start:20px">' +
+            '<li><strong>P1</strong>: lleva el agua de A al fondo de C</li>' +
+            '<li><strong>P2</strong>: lleva el aire de la parte alta de C a la parte alta de B</li>' +
+            '<li><strong>P3</strong>: lleva el agua del fondo de B a una boquilla en A</li>' +
+            '</ul>' +
+            'B y C deben ser herméticos; A puede estar abierto. Al caer el agua de A a C, comprime el aire ' +
+            'de C, que empuja el agua de B y la obliga a subir por P3, creando una fuente continua.',
+        'about.significance.title': 'Importancia histórica',
+        'about.significance': 'Este dispositivo muestra principios de neumática e hidráulica que fueron revolucionarios ' +
+            'en su época. La obra de Herón, incluida esta fuente, influyó en avances posteriores de la ' +
+            'ingeniería y la física. La fuente parece un movimiento perpetuo, pero en realidad depende de ' +
+            'la energía potencial almacenada en los recipientes de agua elevados. Pulsa <strong>N</strong> ' +
+            'para seguir esa energía desde el agua que cae hasta el aire comprimido y el chorro.',
+        'about.toggle': 'Pulsa <strong>I</strong> o <strong>?</strong> para mostrar u ocultar este panel.',
+
+        'units.label': 'Unidades',
+        'units.title': 'Unidades de las lecturas (U); se recuerdan para la próxima vez',
+        'units.metric': 'Métricas (mL, kPa, cm)',
+        'units.water': 'Métricas (mL, cm H₂O, cm)',
+        'units.imperial': 'Anglosajonas (fl oz, psi, in)',
+
+        'charts.title': 'Niveles, presión y caudal',
+        'charts.series.containerA': 'Superior (A)',
+        'charts.series.containerB': 'Pila (B)',
+        'charts.series.containerC': 'Aire (C)',
+        'charts.series.pressure': 'Presión',
+        'charts.event.flip': 'volteo',
+        'charts.event.reset': 'reinicio',
+
+        'faults.title': '⚠️ Averías',
+        'faults.airLeak': 'Fuga de aire: {container}',
+        'faults.waterLeak': 'Fuga de agua: {container}',
+        'faults.clog': 'Obstrucción: {pipe} ({name})',
+        'faults.blocked': 'bloqueado',
+        'faults.none': 'ninguna',
+        'faults.leaked': 'Agua perdida por fugas: {volume}',
+        'faults.clear': '🧰 Quitar todas las averías',
+
+        'energy.title': '⚡ Balance de energía',
+        'energy.storedNow': 'Almacenada ahora',
+        'energy.stored': 'Agua en {container}',
+        'energy.air': 'Aire comprimido',
+        'energy.total': 'Total',
+        'energy.cycle': 'Este ciclo',
+        'energy.cycleTime': 'Este ciclo ({seconds} s)',
+        'energy.start': 'Al principio',
+        'energy.input.flip': '+ Elevar el agua (volteo)',
+        'energy.input.external': '+ Niveles/presiones fijados a mano',
+        'energy.input.pump': '+ Accionar la bomba de mano',
+        'energy.loss.pipes': '− Pérdidas en tubos y mangueras',
+        'energy.loss.splash': '− El chorro salpicando en la pila',
+        'energy.loss.spill': '− Chorro que cae fuera de la pila',
+        'energy.loss.leaks': '− Fugas',
+        'energy.loss.vented': '− Aire liberado al voltear',
+        'energy.now': '= Ahora',
+        'energy.imbalance': 'Sin explicar',
+        'energy.passed': 'Energía transmitida en este ciclo',
+        'energy.compression': 'Agua que cae → aire (C)',
+        'energy.airWork': 'Aire comprimido → agua (A)',
+        'energy.jet': 'Energía cinética del chorro',
+        'energy.jetPower': 'Potencia del chorro ahora',
+        'energy.lastCycle': 'Último ciclo completo',
+        'energy.lastCycleText': '{seconds} s: aportado {input}, perdido {lost}, almacenado {stored}, sin explicar {imbalance}',
+        'energy.noCycle': 'Ninguno aún: voltea la fuente para cerrar un ciclo.',
+
+        'cycles.title': '🔁 Ciclos',
+        'cycles.mode': 'Voltear',
+        'cycles.mode.auto': 'automáticamente',
+        'cycles.mode.manual': 'solo a mano',
+        'cycles.mode.timed': 'con temporizador',
+        'cycles.every': 'cada',
+        'cycles.note.auto': 'Se da la vuelta en cuanto la fuente se agota.',
+        'cycles.note.manual': 'Se queda parada al agotarse hasta que le des la vuelta.',
+        'cycles.note.timed': 'Se da la vuelta con el temporizador, se haya agotado o no.',
+        'cycles.status': '{number} · {seconds} s',
+        'cycles.current': 'Ciclo {number} hasta ahora',
+        'cycles.duration': 'Tiempo en marcha',
+        'cycles.waterMoved': 'Agua por el surtidor',
+        'cycles.peakPressure': 'Presión de aire máxima',
+        'cycles.finished': 'Ciclos terminados',
+        'cycles.none': 'Ninguno todavía: un ciclo termina al dar la vuelta a la fuente.',
+        'cycles.column.number': 'N.º',
+        'cycles.column.duration': 'Tiempo',
+        'cycles.column.waterMoved': 'Agua',
+        'cycles.column.peakPressure': 'Máx.',
+        'cycles.column.trigger': 'Fin',
+        'cycles.trigger.auto': 'se agotó',
+        'cycles.trigger.manual': 'a mano',
+        'cycles.trigger.timed': 'temporizador',
+
+        'nozzle.title': '🎯 Boquilla',
+        'nozzle.angle': 'Ángulo',
+        'nozzle.height': 'Altura sobre el borde',
+        'nozzle.bore': 'Diámetro',
+        'nozzle.default': 'Hacia arriba',
+        'nozzle.readout': 'Altura del chorro {height}: derramada {spilled}',
+
+        'valves.title': '🚰 Válvulas y bomba',
+        'valves.place': '➕ Poner una válvula',
+        'valves.hint': 'Haz clic en una válvula de la escena para girarla; clic derecho para quitarla',
+        'valves.none': 'Aún no hay válvulas',
+        'valves.opening': 'Apertura de la válvula en {hose}',
+        'valves.shut': 'Cerrada',
+        'valves.remove': 'Quitar la válvula',
+        'valves.pump': 'Bomba de mano en C',
+        'valves.pumpStatus': '{strokes} emboladas: C a {pressure}',
+        'valves.stroke': '⬇️ Bombear',
+        'valves.vent': '💨 Abrir el respiradero',
+        'valves.seal': '🔒 Cerrar el respiradero',
+
+        'lessons.title': '🎓 Lecciones',
+        'lessons.picker': 'Lección',
+        'lessons.start': '▶️ Empezar',
+        'lessons.open': '📂 Abrir…',
+        'lessons.open.title': 'Abre un archivo de lección',
+        'lessons.complete': '✅ Lección completada.',
+        'lessons.score': '✅ Lección completada: {firstTry} de {questions} preguntas acertadas a la primera.',
+        'lessons.step': 'Paso {number} de {total}',
+        'lessons.waiting': 'Esperando hasta que {condition}…',
+        'lessons.finish': '🏁 Terminar',
+        'lessons.next': 'Siguiente ▶',
+        'lessons.stop': '⏹️ Detener lección',
+        'lessons.correct': '¡Correcto!',
+        'lessons.wrong': '❌ No exactamente: inténtalo de nuevo.',
+        'lessons.event.flip': 'voltees la fuente',
+        'lessons.event.reset': 'reinicies la fuente',
+        'lessons.and': ' y ',
+
+        'compare.title': '⚖️ Comparar fuentes',
+        'compare.picker': 'Configuración de la nueva fuente',
+        'compare.add': '➕ Añadir fuente',
+        'compare.note': 'Las nuevas fuentes parten de la configuración actual de la fuente principal y aparecen a su derecha.',
+        'compare.preset.copy': 'Copia de la fuente principal',
+        'compare.preset.flow25': 'Caudal al 25%',
+        'compare.preset.flow100': 'Caudal al 100%',
+        'compare.preset.airLeakC': 'Fuga de aire en la cámara de aire (C)',
+        'compare.preset.waterLeakA': 'Fuga de agua en el recipiente superior (A)',
+        'compare.preset.clogP3': 'Tubo de la boquilla medio obstruido (P3)',
+        'compare.fountain': 'Fuente {number}: {preset}',
+        'compare.flow': 'Caudal {value}%',
+        'compare.flip': '🔄 Voltear',
+        'compare.restart': '↺ Reiniciar',
+        'compare.restart.title': 'Vuelve a la configuración con la que empezó esta fuente',
+        'compare.remove.title': 'Quitar esta fuente',
+
+        'cutaway.title': '✂️ Corte',
+        'cutaway.note': 'Caras cortadas: azul es agua, claro es aire (naranja cuando está comprimido).',
+        'cutaway.direction': 'Dirección',
+        'cutaway.position': 'Posición',
+
+        'labels.title': '🏷️ Etiquetas',
+        'labels.level': '{volume} de agua',
+        'labels.water': 'agua · {flow}',
+        'labels.air': 'aire · {pressure}'
+    }
+};
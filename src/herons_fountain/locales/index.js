@@ -0,0 +1,8 @@
+// Message catalogues by language code, in the order the language switcher lists them.
+// Each is { name (in its own language), dir: 'ltr' | 'rtl', messages: { key: text } };
+// see en.js for every key.
+import en from './en.js';
+import el from './el.js';
+import es from './es.js';
+
+export const CATALOGUES = { en, el, es };
@@ -1,8 +1,39 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { Fountain } from './fountain.js';
 import { UI } from './ui.js';
 import { Reset } from './reset.js';
+import { ChartPanel } from './charts.js';
+import { TelemetryRecorder } from './telemetry.js';
+import { HoseEditor } from './editor.js';
+import { FaultPanel } from './faults.js';
+import { EnergyPanel } from './energy.js';
+import { CyclePanel } from './cycles.js';
+import { NozzlePanel } from './nozzle.js';
+import { FittingControls, ValvePanel } from './valves.js';
+import { LessonPanel } from './lesson.js';
+import { LESSONS } from './lessons/index.js';
+import { ComparisonPanel } from './compare.js';
+import { CutawayPanel } from './cutaway.js';
+import { SceneLabels, LabelPanel } from './labels.js';
+import { CameraKeys, MotionPreference } from './a11y.js';
+import { t, localize, setLocale, detectLocale, getLocale, onLocaleChange, LOCALES } from './i18n.js';
+import { UNIT_SYSTEMS, setUnits, detectUnits, getUnits, onUnitsChange } from './units.js';
+import { randomSeed } from './rng.js';
+import { buildNetwork, MAX_STAGES } from './network.js';
+import { resolveGeometry } from './geometry.js';
+import { createScriptingApi } from './scripting.js';
+import {
+    RunRecorder, RunPlayer, captureRunState, compareRunState, downloadRun, readRunFile
+} from './replay.js';
+import {
+    captureScenario, applyScenario, applyCameraView, downloadScenario, readScenarioFile,
+    scenarioToHash, scenarioFromHash
+} from './scenario.js';
+
+const FIXED_DT = 1 / 60; // s per simulation step, independent of the display frame rate
+const MAX_FRAME_TIME = 0.25; // s; a long stall (tab in background) is not caught up in full
 
 class HeronsFountain {
     constructor() {
@@ -15,6 +46,10 @@ class HeronsFountain {
         this.reset = null;
         this.isPaused = false;
         this.clock = new THREE.Clock();
+        this.accumulator = 0; // unstepped time carried to the next frame
+        this.recorder = new RunRecorder();
+        this.player = null; // RunPlayer while a replay is running
+        this.lastRun = null;
         
         this.init();
         this.setupEventListeners();
@@ -22,6 +57,10 @@ class HeronsFountain {
     }
 
     init() {
+        // Pick the language and units before any text is built
+        setLocale(detectLocale(), { save: false });
+        setUnits(detectUnits(), { save: false });
+
         // Create scene
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x1a1a2e);
@@ -36,7 +75,9 @@ class HeronsFountain {
         this.camera.position.set(1.084, 17.044, -9.549);
 
         // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        // The cutaway view caps its cut faces through the stencil buffer and clips per material
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true });
+        this.renderer.localClippingEnabled = true;
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
@@ -44,6 +85,17 @@ class HeronsFountain {
         
         const container = document.getElementById('canvas-container');
         container.appendChild(this.renderer.domElement);
+        // The 3D view takes keyboard focus so the camera can be moved without a mouse
+        const canvas = this.renderer.domElement;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        localize(canvas, 'app.canvas', 'aria-label');
+
+        // In-scene labels are HTML drawn over the canvas; clicks and drags pass through
+        this.labelRenderer = new CSS2DRenderer();
+        this.labelRenderer.domElement.style.cssText = 'position:absolute; top:0; left:0; pointer-events:none';
+        this.labelRenderer.setSize(window.innerWidth, window.innerHeight);
+        container.appendChild(this.labelRenderer.domElement);
 
         // Setup controls
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
@@ -52,6 +104,7 @@ class HeronsFountain {
         this.controls.maxDistance = 50;
         this.controls.minDistance = 2;
         this.controls.target.set(2.444, 2.047, -0.717);
+        this.cameraKeys = new CameraKeys(this.camera, this.controls);
         
         // Configure mouse buttons: Left = Rotate, Right = Pan, Middle = Zoom
         this.controls.mouseButtons = {
@@ -63,8 +116,19 @@ class HeronsFountain {
         // Setup lighting
         this.setupLighting();
 
-        // Create fountain
-        this.fountain = new Fountain(this.scene);
+        // Create fountain (?seed=123 in the URL fixes the droplet randomness, ?stages=2 builds a cascade)
+        this.fountain = new Fountain(this.scene, { seed: this.seedFromUrl() ?? randomSeed(), network: this.networkFromUrl() });
+        // Take in a cascade's extra chambers beside the first pair
+        this.camera.position.x += this.fountain.layout.stackWidth / 2;
+        this.controls.target.x += this.fountain.layout.stackWidth / 2;
+        this.controls.update();
+        this.fountain.droplets.setViewport(window.innerHeight * this.renderer.getPixelRatio(), this.camera.fov);
+
+        // Extra fountains for side-by-side comparisons (none until added)
+        this.comparisons = new ComparisonPanel(this.scene, this.fountain, this.camera, this.controls, {
+            onMessage: (text, type) => this.ui.showMessage(text, type)
+        });
+        this.comparisons.setViewport(window.innerHeight * this.renderer.getPixelRatio(), this.camera.fov);
         
         // Create UI
         this.ui = new UI();
@@ -72,6 +136,56 @@ class HeronsFountain {
         // Create reset system
         this.reset = new Reset(this.fountain, this.ui);
 
+        // Time-series chart panel (hidden until toggled)
+        this.charts = new ChartPanel();
+
+        // Telemetry recorder for CSV/JSON export
+        this.telemetry = new TelemetryRecorder({ sampleRate: 10 });
+
+        // Fault injection panel (hidden until toggled)
+        this.faults = new FaultPanel({ onInput: input => this.dispatch(input) });
+
+        // Energy budget panel (hidden until toggled)
+        this.energy = new EnergyPanel();
+
+        // Flip mode and cycle statistics panel (hidden until toggled)
+        this.cycles = new CyclePanel({ onInput: input => this.dispatch(input) });
+
+        // Nozzle angle, height and bore panel (hidden until toggled)
+        this.nozzle = new NozzlePanel({ onInput: input => this.dispatch(input) });
+
+        // Cutaway view of the main fountain (off until toggled)
+        this.cutaway = new CutawayPanel(this.fountain.cutaway);
+
+        // Labels on the main fountain's containers and pipes (hidden until toggled)
+        this.labels = new SceneLabels(this.fountain);
+        this.labelPanel = new LabelPanel(this.labels);
+
+        // Guided lessons; their actions go through dispatch like any other input
+        this.lessons = new LessonPanel(LESSONS, {
+            getStatus: () => this.fountain.getStatus(),
+            getCounts: () => ({ flip: this.fountain.simulation.flipCount, reset: this.fountain.simulation.resetCount }),
+            perform: (action, value) => this.performLessonAction(action, value),
+            highlight: targets => this.fountain.setHighlights(targets)
+        }, {
+            onMessage: (text, type) => this.ui.showMessage(text, type)
+        });
+
+        // Hose editor (off until toggled); plumbing changes go through dispatch
+        this.editor = new HoseEditor(this.fountain, this.camera, this.controls, this.renderer.domElement, {
+            onInput: input => this.dispatch(input),
+            onMessage: (text, type) => this.ui.showMessage(text, type)
+        });
+
+        // Valves and the hand pump, clicked in the scene or worked from their panel (hidden
+        // until toggled); placing a valve and editing hoses take turns with the pointer
+        this.fittingControls = new FittingControls(this.fountain, this.camera, this.renderer.domElement, {
+            onInput: input => this.dispatch(input),
+            onMessage: (text, type) => this.ui.showMessage(text, type),
+            onPlacingChange: placing => { if (placing && this.editor.enabled) this.toggleHoseEditor(); }
+        });
+        this.valves = new ValvePanel(this.fountain, this.fittingControls, { onInput: input => this.dispatch(input) });
+
         // Forward initial flow intensity from slider
         const slider = document.getElementById('flowSlider');
         const flowValue = document.getElementById('flowValue');
@@ -79,11 +193,294 @@ class HeronsFountain {
             const setFlow = () => {
                 const value = Number(slider.value) / 100; // 0..1
                 flowValue.textContent = `${slider.value}%`;
-                this.fountain.setFlowIntensity(value);
+                this.dispatch({ type: 'flow', value });
             };
             slider.addEventListener('input', setFlow);
             setFlow();
         }
+
+        // Reduced motion follows the system setting until the Reduce Motion button is used
+        this.motion = new MotionPreference(reduced => this.setReducedMotion(reduced));
+        this.setReducedMotion(this.motion.reduced);
+
+        // Open the scenario shared in the link, if any
+        this.loadScenarioFromHash();
+    }
+
+    // Fewer droplets, no turning during flips, no camera glide and no toast animation
+    setReducedMotion(reduced) {
+        this.fountain.setReducedMotion(reduced);
+        this.comparisons.setReducedMotion(reduced);
+        this.ui.setReducedMotion(reduced);
+        this.controls.enableDamping = !reduced;
+        const button = document.getElementById('motionBtn');
+        if (button) button.setAttribute('aria-pressed', String(reduced));
+    }
+
+    // Panel buttons say whether their panel is open; the panels are named regions
+    setupPanelButtons() {
+        this.panelButtons = [
+            ['chartsBtn', this.charts],
+            ['faultsBtn', this.faults],
+            ['energyBtn', this.energy],
+            ['cyclesBtn', this.cycles],
+            ['nozzleBtn', this.nozzle],
+            ['valvesBtn', this.valves],
+            ['lessonsBtn', this.lessons],
+            ['compareBtn', this.comparisons],
+            ['cutawayBtn', this.cutaway],
+            ['labelsBtn', this.labelPanel]
+        ].map(([id, panel]) => {
+            const button = document.getElementById(id);
+            panel.panel.setAttribute('role', 'region');
+            if (panel.panel.id) button.setAttribute('aria-controls', panel.panel.id);
+            return { button, panel };
+        });
+        this.syncPanelButtons();
+    }
+
+    syncPanelButtons() {
+        this.panelButtons.forEach(({ button, panel }) => {
+            button.setAttribute('aria-expanded', String(panel.visible));
+            panel.panel.setAttribute('aria-label', button.textContent.replace(/^\S+\s+/, ''));
+        });
+    }
+
+    // Keys a focused control handles itself: anything typed into a list or text field,
+    // and Space or Enter on a button, checkbox or slider
+    isControlKey(event) {
+        const target = event.target;
+        if (!target || !target.matches) return false;
+        if (target.matches('select, textarea, input:not([type=range]):not([type=checkbox])')) return true;
+        return (event.code === 'Space' || event.code === 'Enter') && target.matches('button, input, a[href]');
+    }
+
+    // Reflect the simulation's flow intensity in the slider (after loading a scenario)
+    syncFlowSlider() {
+        const slider = document.getElementById('flowSlider');
+        const flowValue = document.getElementById('flowValue');
+        if (!slider || !flowValue) return;
+        const percent = Math.round(this.fountain.simulation.flowIntensity * 100);
+        slider.value = String(percent);
+        flowValue.textContent = `${percent}%`;
+    }
+
+    // --- Inputs ---
+    // Every user action that changes the simulation goes through here so a run
+    // recording can log it against the step it was applied before
+    // Returns false if the input was refused
+    dispatch(input) {
+        if (this.player) {
+            this.ui.showMessage(t('message.replayBusy'), 'info');
+            this.syncFlowSlider();
+            return false;
+        }
+        let applied = true;
+        if (input.type === 'flip') {
+            applied = this.reset.flipSystem();
+        } else if (input.type === 'reset') {
+            applied = this.reset.resetSystem();
+        } else {
+            this.applyInput(input);
+        }
+        if (applied) this.recorder.log(input);
+        return applied;
+    }
+
+    // Apply an input without logging it (also used to play back a recorded run)
+    applyInput(input) {
+        switch (input.type) {
+            case 'flip':
+                this.fountain.flipSystem();
+                break;
+            case 'reset':
+                this.fountain.resetSystem();
+                break;
+            case 'flow':
+                this.fountain.setFlowIntensity(input.value);
+                this.syncFlowSlider();
+                break;
+            case 'scenario':
+                applyScenario(input.scenario, this.fountain);
+                this.syncFlowSlider();
+                break;
+            case 'connect':
+                this.fountain.connectPorts(input.from, input.fromPort, input.to, input.toPort);
+                break;
+            case 'disconnect':
+                if (this.fountain.hoses[input.index]) this.fountain.removeHose(this.fountain.hoses[input.index]);
+                break;
+            case 'disconnectContainer':
+                this.fountain.removeHosesForContainer(input.container);
+                break;
+            case 'fault':
+                this.fountain.simulation.setFault(input.fault, input.target, input.value);
+                break;
+            case 'clearFaults':
+                this.fountain.simulation.clearFaults();
+                break;
+            case 'flipMode':
+                this.fountain.simulation.setFlipMode(input.mode, input.interval);
+                break;
+            case 'nozzle':
+                this.fountain.setNozzle(input.nozzle);
+                break;
+            case 'valve':
+                if (this.fountain.hoses[input.index]) this.fountain.setValve(this.fountain.hoses[input.index], input.opening, input.at);
+                break;
+            case 'removeValve':
+                if (this.fountain.hoses[input.index]) this.fountain.removeValve(this.fountain.hoses[input.index]);
+                break;
+            case 'pump':
+                if (input.action === 'stroke') this.fountain.pumpStroke();
+                else this.fountain.setPumpVent(input.action === 'vent');
+                break;
+            case 'levels':
+                this.fountain.simulation.setLevels(input.levels);
+                this.fountain.capturePrevious(); // jump to the new levels instead of sliding to them
+                break;
+        }
+    }
+
+    // Lesson steps pause, resume, flip, reset, set the flow or load their start scenario
+    performLessonAction(action, value) {
+        switch (action) {
+            case 'pause':
+                if (!this.isPaused) this.togglePause();
+                return true;
+            case 'resume':
+                if (this.isPaused) this.togglePause();
+                return true;
+            case 'flow':
+                return this.dispatch({ type: 'flow', value });
+            case 'scenario':
+                return this.applyScenario(value);
+            default:
+                return this.dispatch({ type: action });
+        }
+    }
+
+    // --- Scenarios ---
+    applyScenario(scenario) {
+        // The camera is not part of the simulation, so it is applied here but not logged
+        const { camera, ...state } = scenario;
+        if (!this.dispatch({ type: 'scenario', scenario: state })) return false;
+        if (camera) applyCameraView(camera, this.camera, this.controls);
+        return true;
+    }
+
+    saveScenario() {
+        downloadScenario(captureScenario(this.fountain, this.camera, this.controls));
+        this.ui.showMessage(t('message.scenarioSaved'), 'success');
+    }
+
+    loadScenarioFile(file) {
+        return readScenarioFile(file)
+            .then(scenario => {
+                if (this.applyScenario(scenario)) this.ui.showMessage(t('message.scenarioLoaded'), 'success');
+            })
+            .catch(err => this.ui.showMessage(t('message.error', { message: err.message }), 'error'));
+    }
+
+    loadScenarioFromHash() {
+        try {
+            const scenario = scenarioFromHash(window.location.hash);
+            if (scenario) this.applyScenario(scenario);
+        } catch (err) {
+            this.ui.showMessage(t('message.error', { message: err.message }), 'error');
+        }
+    }
+
+    shareScenario() {
+        const hash = scenarioToHash(captureScenario(this.fountain, this.camera, this.controls));
+        // replaceState does not fire hashchange, so the scene is not reloaded
+        window.history.replaceState(null, '', hash);
+        const url = window.location.href;
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.ui.showMessage(t('message.linkCopied'), 'success'))
+                .catch(() => this.ui.showMessage(t('message.linkInAddressBar'), 'info'));
+        } else {
+            this.ui.showMessage(t('message.linkInAddressBar'), 'info');
+        }
+    }
+
+    // --- Run recording and replay ---
+    seedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed !== null && /^\d+$/.test(seed) ? Number(seed) >>> 0 : null;
+    }
+
+    // ?stages=2 to 4 gives a cascade, as in `npm run sweep -- --stages`; the classic fountain otherwise
+    networkFromUrl() {
+        const stages = Number(new URLSearchParams(window.location.search).get('stages'));
+        return Number.isInteger(stages) && stages > 1 && stages <= MAX_STAGES ? buildNetwork(resolveGeometry(), { stages }) : undefined;
+    }
+
+    startRunRecording() {
+        const seed = this.seedFromUrl() ?? randomSeed();
+        // Start from exactly the state a replay will rebuild: the (rounded) scenario and a fresh seed
+        const initial = captureScenario(this.fountain);
+        applyScenario(initial, this.fountain);
+        this.fountain.setSeed(seed);
+        this.accumulator = 0;
+        this.recorder.start({ seed, fixedDt: FIXED_DT, initial });
+        this.updateRunButtons();
+        this.ui.showMessage(t('message.runRecording', { seed }), 'info');
+    }
+
+    stopRunRecording() {
+        this.lastRun = this.recorder.stop(captureRunState(this.fountain));
+        this.updateRunButtons();
+        this.ui.showMessage(t('message.runRecorded', { steps: this.lastRun.steps, inputs: this.lastRun.inputs.length }), 'success');
+    }
+
+    replayRun(run) {
+        if (this.recorder.isRecording) this.stopRunRecording();
+        this.player = new RunPlayer(run);
+        this.applyInput({ type: 'scenario', scenario: run.initial });
+        this.fountain.setSeed(run.seed);
+        this.accumulator = 0;
+        if (this.isPaused) this.togglePause();
+        this.updateRunButtons();
+        this.ui.showMessage(t('message.replaying', { seed: run.seed, steps: run.steps }), 'info');
+    }
+
+    finishReplay() {
+        const run = this.player.run;
+        this.player = null;
+        this.updateRunButtons();
+        if (!run.final) return;
+        const diverged = compareRunState(run.final, captureRunState(this.fountain));
+        if (diverged.length) {
+            this.ui.showMessage(t('message.replayDiverged', { fields: diverged.join(', ') }), 'error');
+        } else {
+            this.ui.showMessage(t('message.replayMatched'), 'success');
+        }
+    }
+
+    stopReplay() {
+        this.player = null;
+        this.updateRunButtons();
+        this.ui.showMessage(t('message.replayStopped'), 'info');
+    }
+
+    loadRunFile(file) {
+        return readRunFile(file)
+            .then(run => {
+                this.lastRun = run;
+                this.replayRun(run);
+            })
+            .catch(err => this.ui.showMessage(t('message.error', { message: err.message }), 'error'));
+    }
+
+    updateRunButtons() {
+        const recordRunBtn = document.getElementById('recordRunBtn');
+        const replayBtn = document.getElementById('replayBtn');
+        if (!recordRunBtn || !replayBtn) return;
+        recordRunBtn.textContent = t(this.recorder.isRecording ? 'run.stop' : 'run.record');
+        replayBtn.textContent = t(this.player ? 'run.stopReplay' : 'run.replay');
+        document.getElementById('saveRunBtn').disabled = !this.lastRun;
     }
 
     setupLighting() {
@@ -119,13 +516,22 @@ class HeronsFountain {
             this.camera.aspect = window.innerWidth / window.innerHeight;
             this.camera.updateProjectionMatrix();
             this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.labelRenderer.setSize(window.innerWidth, window.innerHeight);
+            this.fountain.droplets.setViewport(window.innerHeight * this.renderer.getPixelRatio(), this.camera.fov);
+            this.comparisons.setViewport(window.innerHeight * this.renderer.getPixelRatio(), this.camera.fov);
         });
 
         // Keyboard controls
         document.addEventListener('keydown', (event) => {
+            // Leave browser shortcuts (Ctrl+R and the like) and focused controls alone
+            if (event.ctrlKey || event.metaKey || event.altKey || this.isControlKey(event)) return;
+            if (event.target === this.renderer.domElement && this.cameraKeys.handle(event)) {
+                event.preventDefault(); // the arrow keys would scroll the page
+                return;
+            }
             switch(event.code) {
                 case 'KeyR':
-                    this.reset.flipSystem();
+                    this.dispatch({ type: 'flip' });
                     break;
                 case 'Slash':
                 case 'QuestionMark':
@@ -136,29 +542,86 @@ class HeronsFountain {
                     event.preventDefault();
                     this.togglePause();
                     break;
+                case 'KeyG':
+                    this.charts.toggle();
+                    break;
+                case 'KeyE':
+                    this.toggleHoseEditor();
+                    break;
+                case 'KeyF':
+                    this.faults.toggle();
+                    break;
+                case 'KeyN':
+                    this.energy.toggle();
+                    break;
+                case 'KeyL':
+                    this.lessons.toggle();
+                    break;
+                case 'KeyC':
+                    this.comparisons.toggle();
+                    break;
+                case 'KeyX':
+                    this.cutaway.toggle();
+                    break;
+                case 'KeyT':
+                    this.labelPanel.toggle();
+                    break;
+                case 'KeyS':
+                    this.ui.announceStatus(this.fountain.getStatus(), true);
+                    break;
+                case 'KeyM':
+                    this.motion.toggle();
+                    break;
+                case 'KeyU':
+                    this.cycleUnits();
+                    break;
+                case 'KeyY':
+                    this.cycles.toggle();
+                    break;
+                case 'KeyJ':
+                    this.nozzle.toggle();
+                    break;
+                case 'KeyV':
+                    this.valves.toggle();
+                    break;
+                case 'Escape':
+                    this.editor.cancelPending();
+                    if (this.fittingControls.placing) this.fittingControls.setPlacing(false);
+                    break;
+                case 'Delete':
+                case 'Backspace':
+                    if (this.editor.enabled) this.editor.deleteSelected();
+                    break;
                 case 'Backslash':
                     // Dev feature: Print camera position and controls target
                     this.printCameraPosition();
                     break;
             }
+            this.syncPanelButtons();
         });
 
         // Remove manual hose drawing/interaction for simplified UX
 
-        // Right-click: remove hoses connected to a container (only if clicking on a container)
+        // Right-click: in edit mode remove the hose under the pointer; otherwise remove
+        // the hoses connected to a container (only if clicking on a container)
         // Only handle if clicking on the canvas, not on other elements (like dev tools)
         this.renderer.domElement.addEventListener('contextmenu', (event) => {
             // Only process if the event target is the canvas itself
             if (event.target !== this.renderer.domElement) {
                 return;
             }
-            const hits = getIntersections(event);
+            if (this.editor.deleteHoseAt(event) || this.fittingControls.removeValveAt(event)) {
+                event.preventDefault();
+                return;
+            }
+            const containerMeshes = Object.values(this.fountain.containers).flatMap(c => c.children);
+            const hits = this.editor.intersect(event, containerMeshes);
             if (hits.length) {
                 event.preventDefault(); // Only prevent default if we hit something
                 const mesh = hits[0].object;
                 const containerKey = this.fountain.findContainerKeyByMesh(mesh);
                 if (containerKey) {
-                    this.fountain.removeHosesForContainer(containerKey);
+                    this.dispatch({ type: 'disconnectContainer', container: containerKey });
                 }
             }
             // If no hits, allow OrbitControls to handle right-click panning
@@ -166,24 +629,203 @@ class HeronsFountain {
 
         // UI button controls
         document.getElementById('flipBtn').addEventListener('click', () => {
-            this.reset.flipSystem();
+            this.dispatch({ type: 'flip' });
         });
 
         document.getElementById('resetBtn').addEventListener('click', () => {
-            this.reset.resetSystem();
+            this.dispatch({ type: 'reset' });
         });
 
         document.getElementById('pauseBtn').addEventListener('click', () => {
             this.togglePause();
         });
 
+        document.getElementById('chartsBtn').addEventListener('click', () => {
+            this.charts.toggle();
+        });
+
+        document.getElementById('editHosesBtn').addEventListener('click', () => {
+            this.toggleHoseEditor();
+        });
+
+        document.getElementById('faultsBtn').addEventListener('click', () => {
+            this.faults.toggle();
+        });
+
+        document.getElementById('energyBtn').addEventListener('click', () => {
+            this.energy.toggle();
+        });
+
+        document.getElementById('cyclesBtn').addEventListener('click', () => {
+            this.cycles.toggle();
+        });
+
+        document.getElementById('nozzleBtn').addEventListener('click', () => {
+            this.nozzle.toggle();
+        });
+
+        document.getElementById('valvesBtn').addEventListener('click', () => {
+            this.valves.toggle();
+        });
+
+        document.getElementById('lessonsBtn').addEventListener('click', () => {
+            this.lessons.toggle();
+        });
+
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            this.comparisons.toggle();
+        });
+
+        document.getElementById('cutawayBtn').addEventListener('click', () => {
+            this.cutaway.toggle();
+        });
+
+        document.getElementById('labelsBtn').addEventListener('click', () => {
+            this.labelPanel.toggle();
+        });
+
+        document.getElementById('motionBtn').addEventListener('click', () => {
+            this.motion.toggle();
+        });
+
+        // Clicks reach here after the button's own handler has opened or closed its panel
+        document.getElementById('info').addEventListener('click', () => this.syncPanelButtons());
+        this.setupPanelButtons();
+
+        // Telemetry recording and export
+        const recordBtn = document.getElementById('recordBtn');
+        const sampleRate = document.getElementById('sampleRate');
+        recordBtn.addEventListener('click', () => {
+            if (this.telemetry.isRecording) this.telemetry.stop();
+            else this.telemetry.start();
+            this.updateRecordButton();
+        });
+        sampleRate.addEventListener('change', () => {
+            this.telemetry.setSampleRate(Number(sampleRate.value));
+        });
+        document.getElementById('csvBtn').addEventListener('click', () => this.exportTelemetry('csv'));
+        document.getElementById('jsonBtn').addEventListener('click', () => this.exportTelemetry('json'));
+        document.getElementById('clearTelemetryBtn').addEventListener('click', () => {
+            this.telemetry.clear();
+            this.updateTelemetryCount();
+        });
+
+        // Scenario save/load/share
+        const scenarioFile = document.getElementById('scenarioFile');
+        document.getElementById('saveBtn').addEventListener('click', () => this.saveScenario());
+        document.getElementById('loadBtn').addEventListener('click', () => scenarioFile.click());
+        document.getElementById('shareBtn').addEventListener('click', () => this.shareScenario());
+        scenarioFile.addEventListener('change', () => {
+            if (scenarioFile.files.length) this.loadScenarioFile(scenarioFile.files[0]);
+            scenarioFile.value = '';
+        });
+        window.addEventListener('hashchange', () => this.loadScenarioFromHash());
+
+        // Run recording (seed + input log) and frame-exact replay
+        const runFile = document.getElementById('runFile');
+        document.getElementById('recordRunBtn').addEventListener('click', () => {
+            if (this.recorder.isRecording) this.stopRunRecording();
+            else if (!this.player) this.startRunRecording();
+        });
+        document.getElementById('replayBtn').addEventListener('click', () => {
+            if (this.player) this.stopReplay();
+            else if (this.recorder.isRecording) this.stopRunRecording();
+            else if (this.lastRun) this.replayRun(this.lastRun);
+            else this.ui.showMessage(t('message.noRun'), 'error');
+        });
+        document.getElementById('saveRunBtn').addEventListener('click', () => {
+            if (this.lastRun) downloadRun(this.lastRun);
+        });
+        document.getElementById('loadRunBtn').addEventListener('click', () => runFile.click());
+        runFile.addEventListener('change', () => {
+            if (runFile.files.length) this.loadRunFile(runFile.files[0]);
+            runFile.value = '';
+        });
+        this.updateRunButtons();
+
+        // Language switcher; every text that is not tagged for translatePage is refreshed here
+        const languageSelect = document.getElementById('languageSelect');
+        LOCALES.forEach(({ code, name }) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = name;
+            languageSelect.appendChild(option);
+        });
+        languageSelect.value = getLocale();
+        languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+        onLocaleChange(() => this.refreshText());
+        this.refreshText();
+
+        // Units for the readouts
+        const unitsSelect = document.getElementById('unitsSelect');
+        Object.keys(UNIT_SYSTEMS).forEach(system => {
+            const option = document.createElement('option');
+            option.value = system;
+            localize(option, `units.${system}`);
+            unitsSelect.appendChild(option);
+        });
+        unitsSelect.value = getUnits();
+        unitsSelect.addEventListener('change', () => setUnits(unitsSelect.value));
+        onUnitsChange(system => { unitsSelect.value = system; });
+
         // Add hoses button removed; hoses are created by default inside Fountain
     }
 
+    exportTelemetry(format) {
+        if (!this.telemetry.samples.length) {
+            this.ui.showMessage(t('message.nothingRecorded'), 'error');
+            return;
+        }
+        this.telemetry.download(format);
+    }
+
+    updateTelemetryCount() {
+        const count = document.getElementById('sampleCount');
+        if (count) count.textContent = t('telemetry.samples', { count: this.telemetry.samples.length });
+    }
+
+    updateRecordButton() {
+        document.getElementById('recordBtn').textContent = t(this.telemetry.isRecording ? 'telemetry.stop' : 'telemetry.record');
+    }
+
+    updateEditorButton() {
+        document.getElementById('editHosesBtn').textContent = t(this.editor.enabled ? 'button.doneEditing' : 'button.editHoses');
+    }
+
+    updatePauseButton() {
+        document.getElementById('pauseBtn').textContent = t(this.isPaused ? 'button.resume' : 'button.pause');
+    }
+
+    // Buttons whose text follows their state, in the current language
+    refreshText() {
+        document.getElementById('languageSelect').value = getLocale();
+        this.updatePauseButton();
+        this.updateEditorButton();
+        this.updateRecordButton();
+        this.updateRunButtons();
+        this.updateTelemetryCount();
+        this.syncPanelButtons();
+    }
+
+    // Next unit system, for the U key
+    cycleUnits() {
+        const systems = Object.keys(UNIT_SYSTEMS);
+        const next = systems[(systems.indexOf(getUnits()) + 1) % systems.length];
+        setUnits(next);
+        this.ui.showMessage(t('message.units', { name: t(`units.${next}`) }), 'info');
+    }
+
+    toggleHoseEditor() {
+        const enabled = this.editor.toggle();
+        if (enabled && this.fittingControls.placing) this.fittingControls.setPlacing(false);
+        this.updateEditorButton();
+        if (enabled) this.ui.showMessage(t('message.editHoses'), 'info');
+    }
+
     togglePause() {
         this.isPaused = !this.isPaused;
-        const pauseBtn = document.getElementById('pauseBtn');
-        pauseBtn.textContent = this.isPaused ? '▶️ Resume' : '⏸️ Pause';
+        this.updatePauseButton();
     }
 
     printCameraPosition() {
@@ -220,26 +862,78 @@ class HeronsFountain {
         console.log('═══════════════════════════════════════');
     }
 
+    // One fixed simulation step. Everything that can change the outcome happens
+    // here, so a run replays identically whatever the display frame rate.
+    fixedStep(deltaTime) {
+        if (this.player) {
+            this.player.takeDueInputs().forEach(input => this.applyInput(input));
+            if (this.player.done) {
+                this.finishReplay();
+                return;
+            }
+        }
+
+        this.fountain.step(deltaTime);
+        this.comparisons.step(deltaTime);
+        this.charts.update(deltaTime, this.fountain.simulation);
+        if (this.telemetry.isRecording) this.telemetry.update(deltaTime, this.fountain.simulation);
+
+        this.recorder.tick();
+        if (this.player) this.player.tick();
+    }
+
+    // Readouts and panels that follow the simulation
+    updatePanels() {
+        this.ui.update(this.fountain.getStatus());
+        this.faults.update(this.fountain.simulation);
+        this.energy.update(this.fountain.simulation);
+        this.cycles.update(this.fountain.simulation);
+        this.nozzle.update(this.fountain.simulation);
+        this.comparisons.update();
+        if (this.telemetry.isRecording) this.updateTelemetryCount();
+    }
+
+    // Run whole fixed steps now, paused or not (the scripting API's step)
+    advance(steps) {
+        const stepDt = this.player ? this.player.run.fixedDt : FIXED_DT;
+        for (let i = 0; i < steps; i++) this.fixedStep(stepDt);
+        this.updatePanels();
+    }
+
     animate() {
         requestAnimationFrame(() => this.animate());
 
+        // Always read the clock so resuming from pause does not jump ahead
+        const frameTime = Math.min(this.clock.getDelta(), MAX_FRAME_TIME);
+        const stepDt = this.player ? this.player.run.fixedDt : FIXED_DT;
+
         if (!this.isPaused) {
-            const deltaTime = this.clock.getDelta();
-            
-            // Update fountain
-            this.fountain.update(deltaTime);
-            
-            // Update UI
-            this.ui.update(this.fountain.getStatus());
+            this.accumulator += frameTime;
+            while (this.accumulator >= stepDt) {
+                this.fixedStep(stepDt);
+                this.accumulator -= stepDt;
+            }
+
+            this.updatePanels();
         }
+        // Lessons also wait on flips made while paused
+        this.lessons.update();
+        // Valves can be turned and the pump worked while paused
+        this.valves.update();
+
+        // Draw the fountain part-way between the last two steps
+        this.fountain.render(this.accumulator / stepDt);
+        this.comparisons.render(this.accumulator / stepDt);
+        this.labels.update();
 
         // Update controls
         this.controls.update();
 
         // Render
         this.renderer.render(this.scene, this.camera);
+        this.labelRenderer.render(this.scene, this.camera);
     }
 }
 
-// Initialize the application
-new HeronsFountain(); 
\ No newline at end of file
+// Initialize the application; window.heron scripts it (see scripting.js)
+window.heron = createScriptingApi(new HeronsFountain()); 
\ No newline at end of file
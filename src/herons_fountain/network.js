@@ -0,0 +1,124 @@
+// Hydraulic networks as data: the vessels, the pipes, the hoses joining their ports
+// and how the fountain is turned over. FountainSimulation runs any network; the
+// classic fountain and multi-stage cascades are built from a geometry here.
+//
+// A network is:
+//   vessels  { key: { open, radius, height, elevation, ports: { name: height above bottom } } } (m)
+//   pipes    { name: { bore, length, friction, minorLoss } }; `hose` is used for unnamed hoses
+//   hoses    default plumbing, as [from, fromPort, to, toPort, pipe]
+//   levels   initial fill fraction of each vessel
+//   flip     [upper, lower] pairs of sealed vessels swapped when the fountain is turned over
+//   gauge    the sealed vessel whose air pressure is reported
+//   nozzle   { vessel, pipe }: the open vessel with the `nozzle` port the jet leaves from,
+//            and the pipe whose bore the standard nozzle has
+//   pump     the sealed vessel a hand pump can pressurise or vent (optional)
+import { buildVessels } from './geometry.js';
+
+// Initial fill as a fraction of each vessel's capacity.
+// Internal mapping: A=bowl (UI B), B=top container (UI A), C=air chamber (UI C)
+export const INITIAL_LEVELS = { A: 0.75, B: 1.0, C: 0.26 };
+
+// The classic plumbing, as [from, fromPort, to, toPort, pipe]: P1 drains the bowl into
+// the bottom of C, P2 joins the air of C and B, P3 lifts water from B to the nozzle
+export const DEFAULT_HOSES = [
+    ['A', 'drain', 'C', 'bottom', 'P1'],
+    ['C', 'top', 'B', 'top', 'P2'],
+    ['B', 'bottom', 'A', 'nozzle', 'P3']
+];
+
+export const MAX_STAGES = 4;
+
+export const SCREEN_LABELS = { A: 'B', B: 'A', C: 'C' }; // internal container key -> on-screen label
+
+// On-screen label of every vessel: the bowl is B and each pair's upper chamber A and lower
+// C, numbered by stage in a cascade (B1 -> A1, C1 -> C1)
+export function screenLabels(network) {
+    const labels = { A: SCREEN_LABELS.A };
+    (network.flip || []).forEach(([upper, lower]) => {
+        labels[upper] = SCREEN_LABELS.B + upper.slice(1);
+        labels[lower] = SCREEN_LABELS.C + lower.slice(1);
+    });
+    return labels;
+}
+
+// The fountain for a geometry. One stage is the classic fountain. With more, water
+// from the bowl first falls into the receiver of stage 1 (C1), whose air pushes on a
+// second full chamber up beside B (B1); that water falls in turn into the next
+// receiver, and so on, so each stage adds its drop to the air pressure driving the
+// jet. The last stage keeps the classic names: C is the last receiver, B feeds the
+// nozzle. P1 drains the bowl; P1.s drains stage s's upper chamber into the next
+// receiver and P2.s joins stage s's air, with the same bores as P1 and P2.
+export function buildNetwork(geometry, options = {}) {
+    const stages = options.stages === undefined ? 1 : options.stages;
+    if (!Number.isInteger(stages) || stages < 1 || stages > MAX_STAGES) {
+        throw new Error(`Invalid stage count: ${stages} (expected 1 to ${MAX_STAGES})`);
+    }
+    const classic = buildVessels(geometry);
+    const vessels = { A: classic.A };
+    const pipes = { ...geometry.pipes };
+    const levels = { A: INITIAL_LEVELS.A };
+    const hoses = [];
+    const flip = [];
+    let drain = ['A', 'drain', 'P1']; // where the water falling into the next receiver comes from
+    for (let s = 1; s <= stages; s++) {
+        const last = s === stages;
+        const upper = last ? 'B' : `B${s}`;
+        const lower = last ? 'C' : `C${s}`;
+        const airPipe = last ? 'P2' : `P2.${s}`;
+        vessels[upper] = { ...classic.B, ports: { ...classic.B.ports } };
+        vessels[lower] = { ...classic.C, ports: { ...classic.C.ports } };
+        levels[upper] = INITIAL_LEVELS.B;
+        levels[lower] = INITIAL_LEVELS.C;
+        pipes[airPipe] = { ...geometry.pipes.P2 };
+        hoses.push([drain[0], drain[1], lower, 'bottom', drain[2]], [lower, 'top', upper, 'top', airPipe]);
+        flip.push([upper, lower]);
+        if (!last) {
+            pipes[`P1.${s}`] = { ...geometry.pipes.P1 };
+            drain = [upper, 'bottom', `P1.${s}`];
+        }
+    }
+    hoses.push(['B', 'bottom', 'A', 'nozzle', 'P3']);
+    return { vessels, pipes, hoses, levels, flip, gauge: 'C', nozzle: { vessel: 'A', pipe: 'P3' }, pump: 'C' };
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Throws if the network is not one the simulation can run
+export function validateNetwork(network) {
+    const fail = message => { throw new Error(`Invalid network: ${message}`); };
+    if (!network || typeof network !== 'object') fail('expected an object');
+    const { vessels, pipes, hoses, levels, flip, gauge, nozzle, pump } = network;
+    if (!vessels || typeof vessels !== 'object' || !Object.keys(vessels).length) fail('needs at least one vessel');
+    Object.entries(vessels).forEach(([key, v]) => {
+        if (!(v.radius > 0 && v.height > 0) || !isNumber(v.elevation)) fail(`vessel ${key} needs a positive radius and height and an elevation`);
+        if (!v.ports || !Object.values(v.ports).every(isNumber)) fail(`vessel ${key} needs its port heights in metres`);
+    });
+    const sealed = key => vessels[key] && !vessels[key].open;
+    if (!pipes || !pipes.hose) fail('needs a `hose` pipe for hoses without a named pipe');
+    Object.entries(pipes).forEach(([name, pipe]) => {
+        if (!(pipe.bore > 0 && pipe.length >= 0)) fail(`pipe ${name} needs a positive bore and a length`);
+    });
+    (hoses || []).forEach(([from, fromPort, to, toPort, pipe]) => {
+        [[from, fromPort], [to, toPort]].forEach(([key, port]) => {
+            if (!vessels[key] || !(port in vessels[key].ports)) fail(`hose end ${key}.${port} is not a port`);
+        });
+        if (pipe !== undefined && !pipes[pipe]) fail(`hose ${from}.${fromPort}->${to}.${toPort} names unknown pipe ${pipe}`);
+    });
+    Object.entries(levels || {}).forEach(([key, level]) => {
+        if (!vessels[key] || !(level >= 0 && level <= 1)) fail(`level for ${key} must be a fill fraction of a vessel`);
+    });
+    (flip || []).forEach(([upper, lower]) => {
+        if (!sealed(upper) || !sealed(lower)) fail(`flip pair ${upper}/${lower} must be two sealed vessels`);
+        if (vessels[upper].radius !== vessels[lower].radius || vessels[upper].height !== vessels[lower].height) {
+            fail(`flip pair ${upper}/${lower} must be the same size`);
+        }
+    });
+    if (gauge !== undefined && !sealed(gauge)) fail(`gauge ${gauge} must be a sealed vessel`);
+    if (pump !== undefined && !sealed(pump)) fail(`pump ${pump} must be on a sealed vessel`);
+    if (nozzle) {
+        const vessel = vessels[nozzle.vessel];
+        if (!vessel || !vessel.open || !('nozzle' in vessel.ports)) fail(`nozzle vessel ${nozzle.vessel} must be open with a nozzle port`);
+        if (!pipes[nozzle.pipe]) fail(`nozzle names unknown pipe ${nozzle.pipe}`);
+    }
+    return network;
+}
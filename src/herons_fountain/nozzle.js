@@ -0,0 +1,98 @@
+// Nozzle panel: sliders for the nozzle's angle, its height above the bowl rim and its
+// bore, with the jet height and the water spilled so far. Changes are handed to
+// `onInput` ({ type: 'nozzle', nozzle: { angle | height | bore } }) so they can be
+// logged for replays.
+import { t, localize, formatNumber, onLocaleChange } from './i18n.js';
+import { formatLength, formatVolume, onUnitsChange } from './units.js';
+import { NOZZLE_LIMITS } from './simulation.js';
+
+// The simulation uses degrees and metres; `scale` converts to the slider's units.
+// Heights follow the chosen units; the bore is in millimetres, like the fault holes.
+const NOZZLE_CONTROLS = [
+    { key: 'angle', step: 1, scale: 1, format: value => `${formatNumber(value, 0)}°` },
+    { key: 'height', step: 0.5, scale: 100, format: value => formatLength(value / 100) },
+    { key: 'bore', step: 0.5, scale: 1000, format: value => `${formatNumber(value, 1)} mm` }
+];
+
+export class NozzlePanel {
+    constructor(options = {}) {
+        this.onInput = options.onInput || (() => true);
+        this.visible = false;
+        this.rows = [];
+        this.createPanel();
+        const refresh = () => this.rows.forEach(({ control, slider, value }) => { value.textContent = control.format(Number(slider.value)); });
+        onLocaleChange(refresh);
+        onUnitsChange(refresh);
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'nozzle-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-end: 340px; top: 220px; width: 240px;
+            background: rgba(14, 34, 48, 0.96); color: #e1f5fe; border: 1px solid #4a8ab0;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#81d4fa; margin-bottom:8px; font-size:13px';
+        localize(title, 'nozzle.title');
+        panel.appendChild(title);
+
+        NOZZLE_CONTROLS.forEach(control => {
+            const [min, max] = NOZZLE_LIMITS[control.key];
+            const row = document.createElement('label');
+            row.style.cssText = 'display:block; margin-bottom:6px';
+            const caption = document.createElement('div');
+            caption.style.cssText = 'display:flex; justify-content:space-between';
+            const name = document.createElement('span');
+            localize(name, `nozzle.${control.key}`);
+            const value = document.createElement('span');
+            caption.append(name, value);
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = String(min * control.scale);
+            slider.max = String(max * control.scale);
+            slider.step = String(control.step);
+            slider.style.width = '100%';
+            slider.addEventListener('input', () => {
+                const applied = this.onInput({ type: 'nozzle', nozzle: { [control.key]: Number(slider.value) / control.scale } });
+                if (applied) value.textContent = control.format(Number(slider.value));
+            });
+            row.append(caption, slider);
+            panel.appendChild(row);
+            this.rows.push({ control, slider, value });
+        });
+
+        this.readout = document.createElement('div');
+        this.readout.style.cssText = 'margin:8px 0; color:#81d4fa';
+        panel.appendChild(this.readout);
+
+        const straighten = document.createElement('button');
+        localize(straighten, 'nozzle.default');
+        straighten.addEventListener('click', () => this.onInput({ type: 'nozzle', nozzle: this.defaultNozzle }));
+        panel.appendChild(straighten);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+    }
+
+    // Follow the simulation: the nozzle also changes when a scenario loads or a replay runs
+    update(simulation) {
+        if (!this.visible) return;
+        this.defaultNozzle = simulation.defaultNozzle();
+        this.rows.forEach(({ control, slider, value }) => {
+            const sliderValue = Number((simulation.nozzle[control.key] * control.scale).toFixed(3));
+            if (Number(slider.value) === sliderValue) return;
+            slider.value = String(sliderValue);
+            value.textContent = control.format(sliderValue);
+        });
+        const text = t('nozzle.readout', { height: formatLength(simulation.jetHeight), spilled: formatVolume(simulation.spilledVolume) });
+        if (this.readout.textContent !== text) this.readout.textContent = text;
+    }
+}
@@ -0,0 +1,143 @@
+// Droplet pool drawn as a single THREE.Points object. State lives in typed
+// arrays indexed by droplet id; free ids sit on a stack and live ids in a dense
+// list, so spawning and retiring are O(1) and updates touch only live droplets.
+import * as THREE from 'three';
+
+export const DROPLET_JET = 0; // thrown up by the nozzle
+export const DROPLET_SPLASH = 1; // kicked up where a jet droplet lands
+
+export class DropletSystem {
+    constructor(options = {}) {
+        const capacity = options.capacity || 20000;
+        this.capacity = capacity;
+        this.position = new Float32Array(capacity * 3);
+        this.previous = new Float32Array(capacity * 3); // position at the previous step, for interpolation
+        this.velocity = new Float32Array(capacity * 3);
+        this.life = new Float32Array(capacity);
+        this.maxLife = new Float32Array(capacity);
+        this.kind = new Uint8Array(capacity);
+        this.free = new Int32Array(capacity); // stack of unused ids
+        this.active = new Int32Array(capacity); // live ids, densely packed
+        this.count = 0;
+        this.reducedMotion = false; // draw fewer droplets; see render()
+        this.clear();
+        this.createPoints(options);
+    }
+
+    createPoints(options) {
+        // Render buffers hold live droplets only, packed in `active` order
+        const geometry = new THREE.BufferGeometry();
+        this.renderPositions = new THREE.BufferAttribute(new Float32Array(this.capacity * 3), 3).setUsage(THREE.DynamicDrawUsage);
+        this.renderAlpha = new THREE.BufferAttribute(new Float32Array(this.capacity), 1).setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('position', this.renderPositions);
+        geometry.setAttribute('aAlpha', this.renderAlpha);
+        geometry.setDrawRange(0, 0);
+
+        const vertex = `
+            attribute float aAlpha;
+            uniform float uSize;
+            uniform float uScale;
+            varying float vAlpha;
+            void main(){
+              vAlpha = aAlpha;
+              vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+              gl_PointSize = uSize * uScale / -mvPosition.z;
+              gl_Position = projectionMatrix * mvPosition;
+            }
+        `;
+        const fragment = `
+            uniform vec3 uColor;
+            varying float vAlpha;
+            void main(){
+              // Round, soft-edged droplet
+              vec2 c = gl_PointCoord - 0.5;
+              float d = dot(c, c);
+              if (d > 0.25) discard;
+              gl_FragColor = vec4(uColor, vAlpha * (1.0 - d * 4.0));
+            }
+        `;
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uColor: { value: new THREE.Color(options.color || 0x66aaff) },
+                uSize: { value: options.size || 0.12 }, // droplet diameter, scene units
+                uScale: { value: 400 } // viewport height / (2·tan(fov/2)), see setViewport
+            },
+            vertexShader: vertex,
+            fragmentShader: fragment,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        this.points = new THREE.Points(geometry, this.material);
+        this.points.frustumCulled = false; // droplets move every frame; the bounds are never current
+    }
+
+    // Keep droplets the same world size whatever the canvas size and field of view;
+    // `height` is in drawing-buffer pixels (CSS height × pixel ratio)
+    setViewport(height, fovDegrees) {
+        this.material.uniforms.uScale.value = height / (2 * Math.tan(THREE.MathUtils.degToRad(fovDegrees) / 2));
+    }
+
+    clear() {
+        // Ids come off the stack lowest first, so a cleared pool always spawns in the same order
+        for (let i = 0; i < this.capacity; i++) this.free[i] = this.capacity - 1 - i;
+        this.freeTop = this.capacity;
+        this.count = 0;
+    }
+
+    // Returns the new droplet's id, or -1 when the pool is full
+    spawn(x, y, z, vx, vy, vz, maxLife, kind = DROPLET_JET) {
+        if (this.freeTop === 0) return -1;
+        const id = this.free[--this.freeTop];
+        const i3 = id * 3;
+        this.position[i3] = this.previous[i3] = x;
+        this.position[i3 + 1] = this.previous[i3 + 1] = y;
+        this.position[i3 + 2] = this.previous[i3 + 2] = z;
+        this.velocity[i3] = vx;
+        this.velocity[i3 + 1] = vy;
+        this.velocity[i3 + 2] = vz;
+        this.life[id] = 0;
+        this.maxLife[id] = maxLife;
+        this.kind[id] = kind;
+        this.active[this.count++] = id;
+        return id;
+    }
+
+    // Retire the droplet at position `slot` of the active list. The last live droplet
+    // moves into the slot, so loops that retire while iterating should run backwards.
+    release(slot) {
+        const id = this.active[slot];
+        this.active[slot] = this.active[--this.count];
+        this.free[this.freeTop++] = id;
+    }
+
+    capturePrevious() {
+        this.previous.set(this.position);
+    }
+
+    // Write live droplets into the render buffers, `alpha` of the way from the previous step
+    render(alpha = 1) {
+        const out = this.renderPositions.array;
+        const fade = this.renderAlpha.array;
+        for (let slot = 0; slot < this.count; slot++) {
+            const id = this.active[slot];
+            const i3 = id * 3;
+            const o3 = slot * 3;
+            out[o3] = this.previous[i3] + (this.position[i3] - this.previous[i3]) * alpha;
+            out[o3 + 1] = this.previous[i3 + 1] + (this.position[i3 + 1] - this.previous[i3 + 1]) * alpha;
+            out[o3 + 2] = this.previous[i3 + 2] + (this.position[i3 + 2] - this.previous[i3 + 2]) * alpha;
+            // Reduced motion hides the splashes and two jet droplets in three, leaving a thin
+            // stream; every droplet is still simulated, so a run is the same either way
+            const hidden = this.reducedMotion && (this.kind[id] !== DROPLET_JET || id % 3 !== 0);
+            fade[slot] = hidden ? 0 : 0.7 * Math.max(0, 1 - this.life[id] / this.maxLife[id]);
+        }
+        // Upload only the live part of the buffers
+        this.renderPositions.clearUpdateRanges();
+        this.renderPositions.addUpdateRange(0, this.count * 3);
+        this.renderPositions.needsUpdate = true;
+        this.renderAlpha.clearUpdateRanges();
+        this.renderAlpha.addUpdateRange(0, this.count);
+        this.renderAlpha.needsUpdate = true;
+        this.points.geometry.setDrawRange(0, this.count);
+    }
+}
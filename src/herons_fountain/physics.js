@@ -0,0 +1,97 @@
+// Physical constants and closed-form relations used by the simulation.
+// SI units throughout: metres, seconds, pascals, cubic metres.
+
+export const GRAVITY = 9.81; // m/s²
+export const WATER_DENSITY = 1000; // kg/m³
+export const ATMOSPHERIC_PRESSURE = 101325; // Pa (absolute)
+
+// Gauge pressure at a depth below a free surface: p = ρ·g·h
+export function hydrostaticPressure(depth) {
+    return WATER_DENSITY * GRAVITY * depth;
+}
+
+// Height of water column that balances a gauge pressure: h = p / (ρ·g)
+export function pressureHead(gaugePressure) {
+    return gaugePressure / (WATER_DENSITY * GRAVITY);
+}
+
+// Boyle's law (isothermal): p·V stays constant for a sealed pocket of air.
+// `airContent` is that product in Pa·m³; returns absolute pressure at `volume`.
+export function boylePressure(airContent, volume) {
+    return airContent / Math.max(volume, 1e-9);
+}
+
+export function pipeArea(bore) {
+    return Math.PI * bore * bore / 4;
+}
+
+// Exit velocity of a pipe or orifice driven by `head` metres of water.
+// Torricelli v = √(2gh), reduced by friction f·L/D and minor losses K:
+// v = √(2gh / (1 + K + f·L/D)). With f = K = 0 this is the textbook result.
+export function pipeVelocity(head, pipe) {
+    if (head <= 0) return 0;
+    const resistance = 1 + (pipe.minorLoss || 0) + (pipe.friction || 0) * pipe.length / pipe.bore;
+    return Math.sqrt(2 * GRAVITY * head / resistance);
+}
+
+// Volumetric flow in m³/s; `opening` (0..1) scales the effective bore area like a valve
+export function pipeFlow(head, pipe, opening = 1) {
+    return pipeArea(pipe.bore) * opening * pipeVelocity(head, pipe);
+}
+
+// Height a vertical jet rises with exit velocity v: h = v² / (2g)
+export function jetHeight(velocity) {
+    return velocity * velocity / (2 * GRAVITY);
+}
+
+// Exit velocity of a pipe that ends in a nozzle of bore d. The water in the pipe moves
+// slower than the jet by the ratio of the areas, so its friction and minor losses count
+// for less: v = √(2gh / (1 + (K + f·L/D)·(d/D)⁴)). A nozzle as wide as the pipe is just its end.
+export function nozzleVelocity(head, pipe, nozzleBore) {
+    if (head <= 0) return 0;
+    const ratio = Math.min(1, nozzleBore / pipe.bore) ** 2;
+    const losses = (pipe.minorLoss || 0) + (pipe.friction || 0) * pipe.length / pipe.bore;
+    return Math.sqrt(2 * GRAVITY * head / (1 + losses * ratio * ratio));
+}
+
+// Volumetric flow in m³/s out of a pipe through a nozzle; `opening` as for pipeFlow
+export function nozzleFlow(head, pipe, nozzleBore, opening = 1) {
+    return pipeArea(Math.min(nozzleBore, pipe.bore)) * opening * nozzleVelocity(head, pipe, nozzleBore);
+}
+
+// Horizontal distance (m) a jet launched at `velocity` and `angle` radians above the
+// horizontal travels before it has fallen `drop` metres below the nozzle
+export function jetRange(velocity, angle, drop) {
+    const up = velocity * Math.sin(angle);
+    return velocity * Math.cos(angle) * (up + Math.sqrt(Math.max(0, up * up + 2 * GRAVITY * drop))) / GRAVITY;
+}
+
+// The inverse: launch speed (m/s) at which a jet tilted `angle` radians above the horizontal comes down
+// `distance` metres away, `drop` metres below the nozzle. From x = v·cosθ·t and
+// y = v·sinθ·t − ½gt² = −drop: v² = g·x² / (2cosθ·(x·sinθ + drop·cosθ)).
+// Infinite for a vertical jet or a target it cannot reach.
+export function launchSpeedForRange(distance, angle, drop) {
+    const cos = Math.cos(angle);
+    const denominator = 2 * cos * (distance * Math.sin(angle) + drop * cos);
+    if (!(denominator > 1e-12)) return Infinity;
+    return Math.sqrt(GRAVITY * distance * distance / denominator);
+}
+
+export const AIR_DENSITY = 1.2; // kg/m³ near atmospheric pressure
+export const DISCHARGE_COEFFICIENT = 0.6; // sharp-edged hole
+
+// Flow in m³/s through a small hole of diameter `bore` under a pressure drop (Pa):
+// Q = Cd·A·√(2Δp/ρ). Used for leaks of both air and water.
+export function orificeFlow(bore, pressureDrop, density) {
+    if (pressureDrop <= 0) return 0;
+    return DISCHARGE_COEFFICIENT * pipeArea(bore) * Math.sqrt(2 * pressureDrop / density);
+}
+
+// Work a sealed pocket of air can do on its surroundings as it expands isothermally
+// back to atmospheric pressure (its exergy), in J. `airContent` is p·V in Pa·m³.
+// X = pV·ln(p/p₀) − (p − p₀)·V, so squeezing the pocket by dV stores p_gauge·dV.
+export function airExergy(airContent, volume) {
+    if (!(airContent > 0)) return ATMOSPHERIC_PRESSURE * volume;
+    const p = boylePressure(airContent, volume);
+    return airContent * Math.log(p / ATMOSPHERIC_PRESSURE) - (p - ATMOSPHERIC_PRESSURE) * volume;
+}
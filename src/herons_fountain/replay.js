@@ -0,0 +1,199 @@
+// Record a run as a seed, a starting scenario and a log of user inputs, each
+// stamped with the fixed step it was applied before, then play it back
+// frame-exact. The run file also holds the final state so a replay can check
+// that it ended in exactly the same place.
+import { downloadText } from './download.js';
+import { validateScenario } from './scenario.js';
+import { FLIP_MODES, NOZZLE_LIMITS, noFaults } from './simulation.js';
+import { buildNetwork } from './network.js';
+import { DEFAULT_GEOMETRY } from './geometry.js';
+
+export const RUN_VERSION = 1;
+const INPUT_TYPES = ['flip', 'reset', 'flow', 'scenario', 'connect', 'disconnect', 'disconnectContainer', 'fault', 'clearFaults', 'flipMode', 'nozzle', 'valve', 'removeValve', 'pump', 'levels'];
+const PUMP_ACTIONS = ['stroke', 'vent', 'seal'];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isFraction = value => isNumber(value) && value >= 0 && value <= 1;
+const isIndex = value => Number.isInteger(value) && value >= 0;
+
+// Outcome of a run: exact (unrounded) volumes and pressures plus the live droplet count
+export function captureRunState(fountain) {
+    const sim = fountain.simulation;
+    return {
+        volumes: { ...sim.volumes },
+        airPressures: { ...sim.airPressures },
+        flipOrientation: sim.flipOrientation,
+        droplets: fountain.droplets.count
+    };
+}
+
+// Names of the state entries that differ (empty when the replay matched)
+export function compareRunState(expected, actual) {
+    return Object.keys(expected).filter(key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]));
+}
+
+export class RunRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.run = null;
+    }
+
+    start({ seed, fixedDt, initial }) {
+        this.run = {
+            version: RUN_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed,
+            fixedDt,
+            initial,
+            steps: 0,
+            inputs: []
+        };
+        this.isRecording = true;
+    }
+
+    // Inputs are applied between steps; `step` is how many steps had run when it arrived
+    log(input) {
+        if (!this.isRecording) return;
+        this.run.inputs.push({ step: this.run.steps, ...input });
+    }
+
+    tick() {
+        if (this.isRecording) this.run.steps++;
+    }
+
+    stop(final) {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+        this.run.final = final;
+        return this.run;
+    }
+}
+
+export class RunPlayer {
+    constructor(run) {
+        this.run = validateRun(run);
+        this.step = 0;
+        this.nextInput = 0;
+    }
+
+    // Inputs to apply before the next step
+    takeDueInputs() {
+        const due = [];
+        const inputs = this.run.inputs;
+        while (this.nextInput < inputs.length && inputs[this.nextInput].step <= this.step) {
+            due.push(inputs[this.nextInput++]);
+        }
+        return due;
+    }
+
+    tick() {
+        this.step++;
+    }
+
+    get done() {
+        return this.step >= this.run.steps;
+    }
+
+    get progress() {
+        return this.run.steps ? this.step / this.run.steps : 1;
+    }
+}
+
+// Throws if the data is not a run this version understands
+export function validateRun(data) {
+    if (!data || typeof data !== 'object') throw new Error('Invalid run: expected an object');
+    if (data.version !== RUN_VERSION) throw new Error(`Unsupported run version: ${data.version}`);
+    if (!Number.isInteger(data.seed) || data.seed < 0) throw new Error('Invalid run: seed must be a non-negative integer');
+    if (!(data.fixedDt > 0)) throw new Error('Invalid run: fixedDt must be positive');
+    if (!Number.isInteger(data.steps) || data.steps < 0) throw new Error('Invalid run: steps must be a non-negative integer');
+    validateScenario(data.initial);
+    if (!Array.isArray(data.inputs)) throw new Error('Invalid run: inputs must be a list');
+    // Inputs name the vessels, ports and pipes of the fountain the run starts with
+    const stages = data.initial.stages === undefined ? 1 : data.initial.stages;
+    const network = buildNetwork(DEFAULT_GEOMETRY, { stages });
+    data.inputs.forEach((input, i) => {
+        if (!input || typeof input !== 'object') throw new Error(`Invalid run: input ${i} must be an object`);
+        if (!INPUT_TYPES.includes(input.type)) throw new Error(`Invalid run: unknown input type "${input.type}" at ${i}`);
+        if (!Number.isInteger(input.step) || input.step < 0 || input.step > data.steps) {
+            throw new Error(`Invalid run: input ${i} has no valid step`);
+        }
+        if (i > 0 && input.step < data.inputs[i - 1].step) throw new Error('Invalid run: inputs are out of order');
+        const problem = inputProblem(input, network, stages);
+        if (problem) throw new Error(`Invalid run: ${input.type} input ${i} ${problem}`);
+    });
+    return data;
+}
+
+// What is wrong with an input's fields, or undefined when nothing is (see HeronsFountain.applyInput)
+function inputProblem(input, network, stages) {
+    const { vessels } = network;
+    const isPort = (key, port) => Object.hasOwn(vessels, key) && Object.hasOwn(vessels[key].ports, port);
+    switch (input.type) {
+        case 'flow':
+            return isFraction(input.value) ? undefined : 'needs a value from 0 to 1';
+        case 'scenario':
+            try {
+                validateScenario(input.scenario);
+            } catch (error) {
+                return `has an invalid scenario (${error.message})`;
+            }
+            return (input.scenario.stages === undefined ? 1 : input.scenario.stages) === stages ? undefined : 'is for a different number of stages';
+        case 'connect':
+            if (!isPort(input.from, input.fromPort)) return `starts at ${input.from}.${input.fromPort}, which is not a port`;
+            return isPort(input.to, input.toPort) ? undefined : `ends at ${input.to}.${input.toPort}, which is not a port`;
+        case 'disconnect':
+        case 'removeValve':
+            return isIndex(input.index) ? undefined : 'needs a hose index';
+        case 'disconnectContainer':
+            return Object.hasOwn(vessels, input.container) ? undefined : `names unknown container ${input.container}`;
+        case 'fault': {
+            const table = noFaults(network);
+            if (!Object.hasOwn(table, input.fault) || !Object.hasOwn(table[input.fault], input.target)) {
+                return `names unknown fault ${input.fault} on ${input.target}`;
+            }
+            const max = input.fault === 'clog' ? 1 : Infinity;
+            return isNumber(input.value) && input.value >= 0 && input.value <= max ? undefined : 'has an invalid size';
+        }
+        case 'flipMode':
+            if (!FLIP_MODES.includes(input.mode)) return `needs a mode of ${FLIP_MODES.join(', ')}`;
+            return input.interval === undefined || (isNumber(input.interval) && input.interval > 0) ? undefined : 'needs an interval above zero';
+        case 'nozzle': {
+            const nozzle = input.nozzle;
+            const ok = nozzle && typeof nozzle === 'object' && Object.entries(nozzle).every(([key, value]) =>
+                NOZZLE_LIMITS[key] && isNumber(value) && value >= NOZZLE_LIMITS[key][0] && value <= NOZZLE_LIMITS[key][1]);
+            return ok ? undefined : `must set ${Object.keys(NOZZLE_LIMITS).join(', ')} within their limits`;
+        }
+        case 'valve':
+            if (!isIndex(input.index)) return 'needs a hose index';
+            if (!isFraction(input.opening)) return 'needs an opening from 0 to 1';
+            return input.at === undefined || isFraction(input.at) ? undefined : 'needs a position from 0 to 1';
+        case 'pump':
+            return PUMP_ACTIONS.includes(input.action) ? undefined : `needs an action of ${PUMP_ACTIONS.join(', ')}`;
+        case 'levels': {
+            const levels = input.levels;
+            const ok = levels && typeof levels === 'object' && Object.entries(levels).every(([key, level]) => Object.hasOwn(vessels, key) && isFraction(level));
+            return ok ? undefined : 'must give fill fractions from 0 to 1 for known containers';
+        }
+        default:
+            return undefined; // flip, reset and clearFaults carry nothing else
+    }
+}
+
+export function runFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid run file: ${err.message}`);
+    }
+    return validateRun(data);
+}
+
+export function downloadRun(run) {
+    const stamp = run.recordedAt.replace(/[:.]/g, '-');
+    downloadText(JSON.stringify(run, null, 2), `heron-run-${stamp}.json`, 'application/json');
+}
+
+export function readRunFile(file) {
+    return file.text().then(runFromJSON);
+}
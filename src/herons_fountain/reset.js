@@ -1,51 +1,35 @@
+import { t } from './i18n.js';
+
 export class Reset {
     constructor(fountain, ui) {
         this.fountain = fountain;
         this.ui = ui;
         this.isAnimating = false;
+        // The fountain says when its cycle is over (and whether it turns itself over)
+        fountain.on('cycleComplete', ({ mode }) => this.ui.showSystemComplete(mode));
     }
 
+    // Returns true if the flip was started (false while another action is animating)
     flipSystem() {
-        if (this.isAnimating) return;
+        if (this.isAnimating || this.fountain.isFlipping) return false;
         
         this.isAnimating = true;
         this.ui.showFlipAnimation();
         
-        // Perform the flip
-        this.fountain.flipSystem();
-        
-        // Wait for animation to complete
-        setTimeout(() => {
+        // Perform the flip; the promise settles when the animation has finished
+        this.fountain.flipSystem().then(({ interrupted }) => {
             this.isAnimating = false;
-            this.ui.showMessage('✅ System flipped! Fountain will restart.', 'success');
-        }, 1500);
+            if (!interrupted) this.ui.showMessage(t('message.flipped'), 'success');
+        });
+        return true;
     }
 
+    // Always applies: a flip in progress (even one paused half way) is cut short
     resetSystem() {
-        if (this.isAnimating) return;
-        
-        this.isAnimating = true;
-        this.ui.showResetAnimation();
-        
-        // Perform the reset
-        this.fountain.resetSystem();
-        
-        // Wait for animation to complete
-        setTimeout(() => {
-            this.isAnimating = false;
-            this.ui.showMessage('✅ System reset! Fountain will restart.', 'success');
-        }, 1000);
-    }
-
-    // Check if system is complete and suggest flip
-    checkSystemComplete() {
-        const status = this.fountain.getStatus();
-        
-        if (!status.isActive && status.containerA === 0 && status.containerC === 0) {
-            // System has completed a cycle
-            setTimeout(() => {
-                this.ui.showSystemComplete();
-            }, 1000);
-        }
+        // Perform the reset (immediate, so there is no progress message)
+        this.fountain.resetSystem().then(() => {
+            this.ui.showMessage(t('message.reset'), 'success');
+        });
+        return true;
     }
 } 
\ No newline at end of file
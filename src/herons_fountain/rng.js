@@ -0,0 +1,17 @@
+// Small seedable pseudo-random generator (mulberry32) so particle effects
+// repeat exactly for the same seed. Returns floats in [0, 1) like Math.random.
+export function createRng(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh 32-bit seed for runs that don't specify one
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
@@ -0,0 +1,222 @@
+// Save and restore simulation set-ups as JSON files or URL hashes.
+// A scenario holds water levels (fill fractions), chamber air pressure (gauge Pa),
+// flow intensity, hose topology, flip orientation, any faults, the flip mode when it
+// is not automatic, the nozzle when it is not the standard upright one, the hand
+// pump's vent when it is open and the camera pose. Hoses with a valve list its
+// opening and position. A cascade's scenario also gives its number of stages, with a
+// level for each of its chambers; it only loads into a fountain with as many.
+import { downloadText } from './download.js';
+import { FLIP_MODES, DEFAULT_FLIP_INTERVAL, NOZZLE_LIMITS, noFaults } from './simulation.js';
+import { buildNetwork, MAX_STAGES } from './network.js';
+import { DEFAULT_GEOMETRY } from './geometry.js';
+import { ATMOSPHERIC_PRESSURE } from './physics.js';
+
+export const SCENARIO_VERSION = 1;
+const HASH_KEY = 'scenario';
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+// Stage count of a simulation's network: 1 for the classic fountain
+const stagesOf = sim => (sim.network.flip || []).length;
+
+export function captureScenario(fountain, camera, controls) {
+    const sim = fountain.simulation;
+    const levels = sim.waterLevels;
+    const sealed = sim.keys.filter(key => !sim.vessels[key].open);
+    const scenario = {
+        version: SCENARIO_VERSION,
+        levels: Object.fromEntries(sim.keys.map(key => [key, round(levels[key])])),
+        pressure: Object.fromEntries(sealed.map(key => [key, round(sim.airPressures[key], 1)])),
+        flowIntensity: round(sim.flowIntensity, 3),
+        hoses: fountain.getHoseTopology(),
+        flipOrientation: sim.flipOrientation
+    };
+    if (stagesOf(sim) > 1) scenario.stages = stagesOf(sim);
+    if (sim.hasFaults()) scenario.faults = sim.getFaults();
+    if (sim.flipMode !== 'auto') scenario.flipMode = sim.flipMode;
+    if (sim.flipMode === 'timed') scenario.flipInterval = sim.flipInterval;
+    if (!sim.hasDefaultNozzle()) scenario.nozzle = sim.getNozzle();
+    if (sim.pump.vent) scenario.pumpVent = true;
+    if (camera && controls) {
+        scenario.camera = {
+            position: camera.position.toArray().map(v => round(v, 3)),
+            target: controls.target.toArray().map(v => round(v, 3))
+        };
+    }
+    return scenario;
+}
+
+// Throws if the data is not a scenario this version understands. Levels, pressures,
+// hoses and faults are checked against the vessels, ports, pipes and fault table of the
+// simulation's network (without one, of the fountain the scenario's stages describe),
+// so that applyScenario never stops half way through with the fountain half loaded.
+export function validateScenario(data, simulation = null) {
+    if (!data || typeof data !== 'object') throw new Error('Invalid scenario: expected an object');
+    if (data.version !== SCENARIO_VERSION) throw new Error(`Unsupported scenario version: ${data.version}`);
+    const stages = data.stages === undefined ? 1 : data.stages;
+    if (!(Number.isInteger(stages) && stages >= 1 && stages <= MAX_STAGES)) {
+        throw new Error(`Invalid scenario: stages must be a whole number from 1 to ${MAX_STAGES}`);
+    }
+    if (simulation && stagesOf(simulation) !== stages) {
+        const count = n => (n === 1 ? '1 stage' : `${n} stages`);
+        throw new Error(`Invalid scenario: made for ${count(stages)} but this fountain has ${count(stagesOf(simulation))} (open the app with ?stages=${stages})`);
+    }
+    const network = simulation ? simulation.network : buildNetwork(DEFAULT_GEOMETRY, { stages });
+    Object.keys(network.vessels).forEach(key => {
+        if (!isNumber(data.levels && data.levels[key])) throw new Error(`Invalid scenario: missing level for ${key}`);
+    });
+    if (data.pressure !== undefined) {
+        // Gauge pressures, only for the sealed vessels and never below a vacuum
+        if (!data.pressure || typeof data.pressure !== 'object') throw new Error('Invalid scenario: pressure must map vessels to gauge pressures');
+        const sealed = Object.keys(network.vessels).filter(key => !network.vessels[key].open);
+        Object.entries(data.pressure).forEach(([key, value]) => {
+            if (!sealed.includes(key)) throw new Error(`Invalid scenario: no air pressure on ${key} (expected one of ${sealed.join(', ')})`);
+            if (!(isNumber(value) && value > -ATMOSPHERIC_PRESSURE)) {
+                throw new Error(`Invalid scenario: pressure on ${key} must be a number of pascals above -${ATMOSPHERIC_PRESSURE}`);
+            }
+        });
+    }
+    if (data.flowIntensity !== undefined && !(isNumber(data.flowIntensity) && data.flowIntensity >= 0 && data.flowIntensity <= 1)) {
+        throw new Error('Invalid scenario: flowIntensity must be from 0 to 1');
+    }
+    if (data.flipOrientation !== undefined && data.flipOrientation !== 0 && data.flipOrientation !== 1) {
+        throw new Error('Invalid scenario: flipOrientation must be 0 or 1');
+    }
+    if (data.hoses !== undefined && !Array.isArray(data.hoses)) throw new Error('Invalid scenario: hoses must be a list');
+    (data.hoses || []).forEach(hose => {
+        if (!hose || typeof hose !== 'object') throw new Error('Invalid scenario: each hose must be an object');
+        [[hose.from, hose.fromPort], [hose.to, hose.toPort]].forEach(([key, port]) => {
+            const vessel = Object.hasOwn(network.vessels, key) && network.vessels[key];
+            if (!vessel || !Object.hasOwn(vessel.ports, port)) throw new Error(`Invalid scenario: hose end ${key}.${port} is not a port`);
+        });
+        if (hose.pipe !== undefined && !Object.hasOwn(network.pipes, hose.pipe)) {
+            throw new Error(`Invalid scenario: hose ${hose.from}.${hose.fromPort}->${hose.to}.${hose.toPort} names unknown pipe ${hose.pipe}`);
+        }
+        const fraction = value => value === undefined || (isNumber(value) && value >= 0 && value <= 1);
+        if (!fraction(hose.valve) || !fraction(hose.valveAt)) {
+            throw new Error('Invalid scenario: a valve\'s opening and position must be from 0 to 1');
+        }
+    });
+    if (data.faults !== undefined) {
+        // Air leaks only on sealed vessels, water leaks on any, clogs on the named pipes
+        const table = noFaults(network);
+        const ok = data.faults && typeof data.faults === 'object' && Object.values(data.faults).every(targets => targets && typeof targets === 'object');
+        if (!ok) throw new Error('Invalid scenario: faults must map each fault to its targets');
+        Object.entries(data.faults).forEach(([type, targets]) => {
+            if (!Object.hasOwn(table, type)) throw new Error(`Invalid scenario: unknown fault ${type} (expected ${Object.keys(table).join(', ')})`);
+            Object.entries(targets).forEach(([target, value]) => {
+                if (!Object.hasOwn(table[type], target)) {
+                    throw new Error(`Invalid scenario: no ${type} on ${target} (expected one of ${Object.keys(table[type]).join(', ')})`);
+                }
+                const max = type === 'clog' ? 1 : Infinity;
+                if (!(isNumber(value) && value >= 0 && value <= max)) {
+                    throw new Error(`Invalid scenario: ${type} on ${target} must be ${type === 'clog' ? 'from 0 to 1' : 'zero or more'}`);
+                }
+            });
+        });
+    }
+    if (data.flipMode !== undefined && !FLIP_MODES.includes(data.flipMode)) {
+        throw new Error(`Invalid scenario: flipMode must be one of ${FLIP_MODES.join(', ')}`);
+    }
+    if (data.flipInterval !== undefined && !(isNumber(data.flipInterval) && data.flipInterval > 0)) {
+        throw new Error('Invalid scenario: flipInterval must be a number of seconds above zero');
+    }
+    if (data.nozzle !== undefined) {
+        const ok = data.nozzle && typeof data.nozzle === 'object' && Object.entries(data.nozzle).every(([key, value]) =>
+            NOZZLE_LIMITS[key] && isNumber(value) && value >= NOZZLE_LIMITS[key][0] && value <= NOZZLE_LIMITS[key][1]);
+        if (!ok) throw new Error(`Invalid scenario: nozzle must set ${Object.keys(NOZZLE_LIMITS).join(', ')} within their limits`);
+    }
+    if (data.pumpVent !== undefined && typeof data.pumpVent !== 'boolean') throw new Error('Invalid scenario: pumpVent must be true or false');
+    if (data.camera) {
+        const ok = ['position', 'target'].every(k => Array.isArray(data.camera[k]) && data.camera[k].length === 3 && data.camera[k].every(isNumber));
+        if (!ok) throw new Error('Invalid scenario: camera needs position and target as [x, y, z]');
+    }
+    return data;
+}
+
+export function applyScenario(scenario, fountain, camera, controls) {
+    validateScenario(scenario, fountain.simulation);
+    const sim = fountain.simulation;
+    // Place the nozzle first so hoses run to where it now is; a scenario without one
+    // has the standard upright nozzle
+    fountain.setNozzle({ ...sim.defaultNozzle(), ...scenario.nozzle });
+    if (scenario.hoses) fountain.setHoses(scenario.hoses);
+    fountain.setFlipOrientation(scenario.flipOrientation || 0);
+    sim.setLevels(scenario.levels);
+    sim.ventAir();
+    if (scenario.pressure) sim.setAirPressures(scenario.pressure);
+    sim.setPumpVent(Boolean(scenario.pumpVent));
+    if (isNumber(scenario.flowIntensity)) fountain.setFlowIntensity(scenario.flowIntensity);
+    // A scenario without faults describes a sound fountain
+    sim.clearFaults();
+    sim.setFaults(scenario.faults);
+    // ... and one that flips itself when it runs out
+    sim.setFlipMode(scenario.flipMode || 'auto', scenario.flipInterval || DEFAULT_FLIP_INTERVAL);
+    sim.isActive = true;
+    fountain.capturePrevious(); // jump straight to the loaded state instead of interpolating to it
+
+    if (scenario.camera && camera && controls) applyCameraView(scenario.camera, camera, controls);
+}
+
+// Move the camera to a saved { position, target } view
+export function applyCameraView(view, camera, controls) {
+    camera.position.fromArray(view.position);
+    controls.target.fromArray(view.target);
+    controls.update();
+}
+
+// --- JSON files ---
+
+export function scenarioToJSON(scenario) {
+    return JSON.stringify(scenario, null, 2);
+}
+
+export function scenarioFromJSON(text, source = 'scenario file') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid ${source}: ${err.message}`);
+    }
+    return validateScenario(data);
+}
+
+export function downloadScenario(scenario, filename = 'heron-scenario.json') {
+    downloadText(scenarioToJSON(scenario), filename, 'application/json');
+}
+
+export function readScenarioFile(file) {
+    return file.text().then(scenarioFromJSON);
+}
+
+// --- URL hash (base64url-encoded JSON) ---
+
+export function encodeScenario(scenario) {
+    const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeScenario(encoded) {
+    let text;
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        text = new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    } catch (err) {
+        throw new Error('Invalid scenario link: could not decode');
+    }
+    return scenarioFromJSON(text, 'scenario link');
+}
+
+export function scenarioToHash(scenario) {
+    return `#${HASH_KEY}=${encodeScenario(scenario)}`;
+}
+
+// Returns the scenario in a location hash, or null when the hash has none
+export function scenarioFromHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    return encoded ? decodeScenario(encoded) : null;
+}
@@ -0,0 +1,170 @@
+// Scripting API for demos and tests, installed as `window.heron`. Every command
+// returns a chain: commands called on it run once the earlier ones have finished, and
+// awaiting it (or its done()) gives the last command's result. A command that fails
+// rejects the chain and the rest of it does not run; a failure nobody awaits or catches
+// is logged to the console.
+//
+//   await heron.pause().setLevels({ A: 100, B: 40 }).setFlow(60).step(600).getStatus();
+//
+// Levels and the flow are percentages and use the on-screen container letters, like
+// getStatus(). Changes go through the app's inputs, so they are recorded in runs.
+import { applyCameraView } from './scenario.js';
+import { downloadUrl } from './download.js';
+
+export const SCRIPT_COMMANDS = [
+    'setLevels', 'setFlow', 'step', 'pause', 'resume', 'flip', 'reset', 'getStatus', 'setCamera', 'screenshot'
+];
+const MAX_STEPS = 60 * 3600; // one simulated hour at the app's step rate
+const FLIP_STEP_LIMIT = 60 * 60; // steps a paused flip may take to finish turning over
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// The commands themselves, run against a HeronsFountain app
+class ScriptCommands {
+    constructor(app) {
+        this.app = app;
+    }
+
+    // Hand an input to the app as if it came from its controls
+    dispatch(input) {
+        if (!this.app.dispatch(input)) throw new Error(`Input refused: ${input.type} (a replay is running or a flip is in progress)`);
+    }
+
+    // { A, B, C } in percent of each container, on-screen letters (a cascade's other
+    // chambers are A1, C1, ...); missing ones are left as they are
+    setLevels(levels) {
+        if (!levels || typeof levels !== 'object') throw new Error('setLevels expects { A, B, C } in percent');
+        const labels = this.app.fountain.screenLabels;
+        const unknown = Object.keys(levels).filter(label => !Object.values(labels).includes(label));
+        if (unknown.length) throw new Error(`Unknown container: ${unknown.join(', ')}`);
+        const internal = {};
+        Object.entries(labels).forEach(([key, label]) => {
+            const level = levels[label];
+            if (level === undefined) return;
+            if (!(isNumber(level) && level >= 0 && level <= 100)) throw new Error(`Invalid level for ${label}: ${level} (expected 0 to 100)`);
+            internal[key] = level / 100;
+        });
+        this.dispatch({ type: 'levels', levels: internal });
+    }
+
+    // Flow intensity in percent, as on the slider
+    setFlow(percent) {
+        if (!(isNumber(percent) && percent >= 0 && percent <= 100)) throw new Error(`Invalid flow: ${percent} (expected 0 to 100)`);
+        this.dispatch({ type: 'flow', value: percent / 100 });
+    }
+
+    // Run `steps` fixed simulation steps now, paused or not
+    step(steps = 1) {
+        if (!(Number.isInteger(steps) && steps > 0 && steps <= MAX_STEPS)) throw new Error(`Invalid step count: ${steps} (expected 1 to ${MAX_STEPS})`);
+        this.app.advance(steps);
+    }
+
+    pause() {
+        if (!this.app.isPaused) this.app.togglePause();
+    }
+
+    resume() {
+        if (this.app.isPaused) this.app.togglePause();
+    }
+
+    // Resolves with the flipEnd detail once the chambers have turned over. While paused,
+    // the flip steps the simulation itself until the turn is done.
+    flip() {
+        const fountain = this.app.fountain;
+        let end = null;
+        const stopListening = fountain.once('flipEnd', detail => { end = detail; });
+        try {
+            this.dispatch({ type: 'flip' });
+        } catch (error) {
+            stopListening();
+            throw error;
+        }
+        if (this.app.isPaused) {
+            for (let i = 0; fountain.isFlipping && i < FLIP_STEP_LIMIT; i++) this.app.advance(1);
+        }
+        // Already over (or nothing to animate): no need to wait
+        if (!fountain.isFlipping) {
+            stopListening();
+            return end;
+        }
+        stopListening();
+        return new Promise(resolve => fountain.once('flipEnd', resolve));
+    }
+
+    reset() {
+        this.dispatch({ type: 'reset' });
+    }
+
+    getStatus() {
+        return this.app.fountain.getStatus();
+    }
+
+    // { position: [x, y, z], target: [x, y, z] }, as saved in scenarios
+    setCamera(view) {
+        const ok = view && ['position', 'target'].every(k => Array.isArray(view[k]) && view[k].length === 3 && view[k].every(isNumber));
+        if (!ok) throw new Error('setCamera expects { position: [x, y, z], target: [x, y, z] }');
+        applyCameraView(view, this.app.camera, this.app.controls);
+    }
+
+    // PNG data URL of the 3D view (labels and panels are not in it); with a file name it
+    // is also downloaded
+    screenshot(filename) {
+        const { renderer, scene, camera } = this.app;
+        // Drawn again now: the canvas keeps its last frame only until it is shown
+        renderer.render(scene, camera);
+        const url = renderer.domElement.toDataURL('image/png');
+        if (filename) downloadUrl(url, filename);
+        return url;
+    }
+}
+
+// Commands queued after a promise. The chain is thenable, so awaiting it waits for the
+// last command (a flip until the chambers have turned over); done() gives the promise itself.
+export class ScriptChain {
+    constructor(commands, promise) {
+        this.commands = commands;
+        this.promise = promise;
+        this.handled = false; // continued, awaited or caught: its failure is someone else's to report
+        promise.catch(error => {
+            if (!this.handled) console.error('heron: script command failed:', error);
+        });
+    }
+
+    then(onFulfilled, onRejected) {
+        this.handled = true;
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        this.handled = true;
+        return this.promise.catch(onRejected);
+    }
+
+    // Promise for the last command's result, rejected if a command in the chain failed
+    done() {
+        this.handled = true;
+        return this.promise;
+    }
+}
+
+// The `window.heron` object: each command starts a chain. It is not thenable itself, so
+// awaiting it (or returning it from a browser test's page.evaluate) gives back the API.
+export class ScriptApi {
+    constructor(commands) {
+        this.commands = commands;
+    }
+}
+
+SCRIPT_COMMANDS.forEach(name => {
+    ScriptChain.prototype[name] = function (...args) {
+        this.handled = true;
+        return new ScriptChain(this.commands, this.promise.then(() => this.commands[name](...args)));
+    };
+    ScriptApi.prototype[name] = function (...args) {
+        return new ScriptChain(this.commands, Promise.resolve().then(() => this.commands[name](...args)));
+    };
+});
+
+export function createScriptingApi(app) {
+    return new ScriptApi(new ScriptCommands(app));
+}
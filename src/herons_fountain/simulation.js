@@ -0,0 +1,835 @@
+// Headless fountain model: water levels, air pressure and hose flows.
+// Has no Three.js dependency so it can run in Node scripts and tests;
+// the Fountain in fountain.js drives it each frame and renders its state.
+//
+// The vessels, pipes and hoses come from a network (network.js): the classic
+// fountain by default, or any other graph of open and sealed vessels.
+//
+// Physics (SI units): water moves through each hose with Torricelli pipe flow
+// driven by the difference in piezometric head (elevation + p/ρg) between its
+// two ports. Sealed air pockets obey Boyle's law; a hose whose ends are both
+// above water joins the air of the two containers (P2 shares B and C's air).
+// Faults (leaks and clogs) are modelled as small holes and narrowed bores, and a valve
+// on a hose narrows it like a clog. A hand pump can push air into C or vent it.
+// The riser ends in a nozzle whose tilt, height and bore can be set; the jet leaves it at
+// the speed its head allows and flies ballistically, and what lands outside the bowl is spilled.
+// An energy ledger books the energy put in and works out each loss from its own flow
+// (head lost × volume × ρg in the hoses), so the books only balance if the model
+// conserves energy; each cycle (flip to flip) keeps its duration, water moved and peak pressure.
+import {
+    ATMOSPHERIC_PRESSURE, WATER_DENSITY, AIR_DENSITY, GRAVITY,
+    boylePressure, pressureHead, hydrostaticPressure, pipeFlow, pipeArea, orificeFlow, jetHeight, airExergy,
+    nozzleFlow, launchSpeedForRange
+} from './physics.js';
+import { resolveGeometry, vesselCapacity } from './geometry.js';
+import { buildNetwork, validateNetwork, screenLabels } from './network.js';
+
+export { INITIAL_LEVELS, DEFAULT_HOSES } from './network.js';
+
+const MAX_SUBSTEP = 1 / 240; // s; keeps the explicit pressure/flow coupling stable
+
+// When the pair is turned over without being asked: 'auto' as soon as the fountain has
+// run itself out, 'timed' every flipInterval seconds, never in 'manual' (it stalls)
+export const FLIP_MODES = ['auto', 'manual', 'timed'];
+export const DEFAULT_FLIP_INTERVAL = 60; // s
+const CYCLE_HISTORY = 20; // finished cycles kept for the statistics
+
+// Settings the nozzle accepts: `angle` in degrees above the horizontal (90 shoots straight
+// up), the `height` of its tip above the bowl rim and its `bore`, both in metres
+export const NOZZLE_LIMITS = { angle: [20, 90], height: [0, 0.15], bore: [0.002, 0.012] };
+// The jet breaks up into droplets whose speeds spread this fraction either side of the
+// exit velocity, so a jet that comes down near the rim spills part of its water
+export const JET_SPREAD = 0.08;
+
+// Air one stroke of the hand pump pushes into its chamber, measured at atmospheric pressure
+export const PUMP_STROKE_VOLUME = 2e-5; // m³ (20 mL)
+
+// Statistics of one cycle, from a flip (or reset) to the next flip
+function newCycle(number) {
+    return {
+        number, // 1 for the cycle after a reset
+        duration: 0, // s of running
+        waterMoved: 0, // m³ lifted through the nozzle
+        peakPressure: 0 // highest gauge pressure in C, Pa
+    };
+}
+
+// Leaks are hole diameters in metres (0 = sound); clogs are the blocked fraction
+// of a pipe's bore area (0 = clear, 1 = fully blocked). Sealed vessels can leak air,
+// every vessel water, and every named pipe of the default plumbing can clog.
+export function noFaults(network) {
+    const zeros = keys => Object.fromEntries(keys.map(key => [key, 0]));
+    const vessels = Object.keys(network.vessels);
+    return {
+        airLeak: zeros(vessels.filter(key => !network.vessels[key].open)),
+        waterLeak: zeros(vessels),
+        clog: zeros(network.hoses.map(hose => hose[4]).filter(pipe => pipe && pipe !== 'hose'))
+    };
+}
+
+// Energy books for one cycle (flip to flip), in joules. Inputs and losses between
+// them explain every change in stored energy since `start`.
+function newEnergyCycle(start) {
+    return {
+        start,
+        duration: 0, // s
+        input: { flip: 0, external: 0, pump: 0 }, // lifting the water when flipping; levels or pressures set by hand; the hand pump
+        loss: { pipes: 0, splash: 0, spill: 0, leaks: 0, vented: 0 },
+        compressionWork: 0, // done on sealed air by water flowing in below it
+        airWork: 0, // done by sealed air pushing water out
+        jetKinetic: 0 // carried out of the nozzle by the jet
+    };
+}
+
+function sum(values) {
+    return Object.values(values).reduce((total, v) => total + v, 0);
+}
+
+// Energy the cycle's books cannot explain (J): zero, up to rounding, when they balance
+export function energyImbalance(cycle, end) {
+    return cycle.start + sum(cycle.input) - sum(cycle.loss) - end;
+}
+
+export class FountainSimulation {
+    // `network` describes the vessels and plumbing (see network.js); without one the
+    // classic fountain is built from `geometry`
+    constructor(options = {}) {
+        this.geometry = resolveGeometry(options.geometry);
+        this.network = validateNetwork(options.network || buildNetwork(this.geometry));
+        this.keys = Object.keys(this.network.vessels);
+        // Copied, as moving the nozzle moves its port
+        this.vessels = {};
+        this.keys.forEach(k => {
+            const v = this.network.vessels[k];
+            this.vessels[k] = { ...v, ports: { ...v.ports } };
+        });
+        this.pipes = this.network.pipes;
+        this.volumes = Object.fromEntries(this.keys.map(k => [k, 0])); // water in each vessel, m³
+        this.setLevels(this.network.levels || {});
+        this.airContent = {}; // p·V of each sealed air pocket (Pa·m³)
+        this.airPressures = Object.fromEntries(this.keys.map(k => [k, 0])); // gauge, Pa
+        this.airPressure = 0.0; // gauge pressure in the gauge chamber (C), Pa
+        this.flowIntensity = 0.25; // 0..1, valve opening on the water lines
+        this.isActive = true;
+        this.flipOrientation = 0; // number of flips since reset, mod 2
+        this.flipCount = 0; // flips since construction (reset does not clear these counters)
+        this.resetCount = 0;
+        this.hoses = []; // { from, fromPort, to, toPort, pipe, flow, valve }
+        this.airLineConnected = false;
+        this.jetFlow = 0; // m³/s leaving the nozzle
+        this.jetVelocity = 0; // m/s at the nozzle exit
+        this.jetHead = 0; // m, head difference driving the nozzle
+        this.time = 0;
+        this.faults = noFaults(this.network);
+        this.leakFlows = { air: { ...this.faults.airLeak }, water: { ...this.faults.waterLeak } }; // m³/s out of each vessel
+        this.leakedVolumes = { ...this.faults.waterLeak }; // m³ of water lost through each vessel's leak since reset
+        this.jetPower = 0; // W of kinetic energy leaving the nozzle
+        this.splashPower = 0; // W the jet loses landing in the bowl
+        this.spillPower = 0; // W carried off by jet water landing outside the bowl
+        this.nozzle = this.defaultNozzle();
+        this.spillFlow = 0; // m³/s of the jet landing outside the bowl
+        this.spilledVolume = 0; // m³ spilled since reset
+        // Hand pump on the network's pump chamber: strokes since reset, and whether its vent is held open
+        this.pump = { strokes: 0, vent: false };
+        this.ventAir();
+        this.energy = newEnergyCycle(this.totalEnergy()); // books for the cycle in progress
+        this.lastEnergyCycle = null; // closed books of the previous cycle, with its `end` energy
+        this.flipMode = 'auto';
+        this.flipInterval = DEFAULT_FLIP_INTERVAL;
+        this.cycle = newCycle(1); // statistics of the cycle in progress
+        this.cycles = []; // finished cycles, oldest first, each with how it ended (`trigger`)
+    }
+
+    setFlowIntensity(value) {
+        this.flowIntensity = Math.max(0, Math.min(1, value));
+    }
+
+    // `interval` (s) is kept when left out; it only matters in 'timed' mode
+    setFlipMode(mode, interval = this.flipInterval) {
+        if (!FLIP_MODES.includes(mode)) throw new Error(`Unknown flip mode "${mode}" (expected one of ${FLIP_MODES.join(', ')})`);
+        if (!(interval > 0)) throw new Error(`Invalid flip interval: ${interval}`);
+        this.flipMode = mode;
+        this.flipInterval = interval;
+    }
+
+    // --- Nozzle ---
+    // The vessel the jet plays into, or undefined when the network has no nozzle
+    get jetVessel() {
+        return this.network.nozzle && this.vessels[this.network.nozzle.vessel];
+    }
+
+    // Upright, with the network's tip height and its riser's bore
+    defaultNozzle() {
+        const { vessel, pipe } = this.network.nozzle || { vessel: 'A', pipe: 'P3' };
+        const v = this.network.vessels[vessel];
+        const height = v ? v.ports.nozzle - v.height : this.geometry.bowl.nozzleHeight;
+        return { angle: 90, height, bore: (this.pipes[pipe] || this.pipes.hose).bore };
+    }
+
+    // Change any of angle (degrees), height and bore (m); the others are kept
+    setNozzle(settings) {
+        const nozzle = { ...this.nozzle, ...settings };
+        Object.entries(NOZZLE_LIMITS).forEach(([key, [min, max]]) => {
+            if (!(nozzle[key] >= min && nozzle[key] <= max)) throw new Error(`Invalid nozzle ${key}: ${nozzle[key]} (expected ${min} to ${max})`);
+        });
+        this.nozzle = nozzle;
+        // The tip is the port the jet leaves from
+        const vessel = this.jetVessel;
+        if (vessel) vessel.ports.nozzle = vessel.height + nozzle.height;
+    }
+
+    getNozzle() {
+        return { ...this.nozzle };
+    }
+
+    hasDefaultNozzle() {
+        const nozzle = this.defaultNozzle();
+        return Object.keys(nozzle).every(key => this.nozzle[key] === nozzle[key]);
+    }
+
+    // Fraction of the jet that comes down outside the bowl: the droplets slower than the
+    // speed that just reaches the rim land inside, the faster ones beyond it
+    spillFraction() {
+        if (this.jetVelocity <= 0 || !this.jetVessel) return 0;
+        const edge = launchSpeedForRange(this.jetVessel.radius, this.nozzle.angle * Math.PI / 180, this.nozzle.height);
+        const fastest = this.jetVelocity * (1 + JET_SPREAD);
+        return Math.max(0, Math.min(1, (fastest - edge) / (2 * JET_SPREAD * this.jetVelocity)));
+    }
+
+    // Fill fractions (0..1) derived from the stored volumes
+    get waterLevels() {
+        const levels = {};
+        this.keys.forEach(k => { levels[k] = this.volumes[k] / this.capacity(k); });
+        return levels;
+    }
+
+    // Set water by fill fraction; missing keys keep their current volume
+    setLevels(levels) {
+        this.account('input', 'external', () => {
+            this.keys.forEach(k => {
+                if (levels[k] === undefined) return;
+                this.volumes[k] = Math.max(0, Math.min(1, levels[k])) * this.capacity(k);
+            });
+        });
+    }
+
+    // Set gauge pressure (Pa) of sealed air pockets, e.g. when loading a saved scenario
+    setAirPressures(pressures) {
+        this.account('input', 'external', () => {
+            this.keys.forEach(k => {
+                if (pressures[k] === undefined || this.vessels[k].open) return;
+                this.airContent[k] = (ATMOSPHERIC_PRESSURE + pressures[k]) * this.airVolume(k);
+            });
+            this.updateAirPressure();
+        });
+    }
+
+    // Hoses are described by container keys and port names, e.g. A.drain -> C.bottom.
+    // `pipe` names an entry in geometry.pipes (P1, P2, P3); anything else is a plain hose.
+    // `valve` is the opening (0..1) of a valve on the hose, or null when it has none.
+    addHose(from, fromPort, to, toPort, pipe = 'hose') {
+        const hose = { from, fromPort, to, toPort, pipe, flow: 0, valve: null };
+        this.hoses.push(hose);
+        return hose;
+    }
+
+    // The network's own plumbing (P1, P2 and P3 for the classic fountain)
+    addDefaultHoses() {
+        this.network.hoses.forEach(hose => this.addHose(...hose));
+    }
+
+    removeHose(hose) {
+        this.hoses = this.hoses.filter(h => h !== hose);
+    }
+
+    clearHoses() {
+        this.hoses = [];
+    }
+
+    hasHose(from, fromPort, to, toPort) {
+        return this.hoses.some(h => h.from === from && h.fromPort === fromPort && h.to === to && h.toPort === toPort);
+    }
+
+    // --- Faults ---
+    setFault(type, target, value) {
+        const group = this.faults[type];
+        if (!group || !(target in group)) throw new Error(`Unknown fault: ${type} on ${target}`);
+        if (!(value >= 0)) throw new Error(`Invalid ${type} size: ${value}`);
+        group[target] = type === 'clog' ? Math.min(1, value) : value;
+    }
+
+    // Apply a { airLeak, waterLeak, clog } set; missing entries are left as they are
+    setFaults(faults) {
+        Object.entries(faults || {}).forEach(([type, targets]) => {
+            Object.entries(targets).forEach(([target, value]) => this.setFault(type, target, value));
+        });
+    }
+
+    clearFaults() {
+        this.faults = noFaults(this.network);
+    }
+
+    getFaults() {
+        const copy = {};
+        Object.entries(this.faults).forEach(([type, targets]) => { copy[type] = { ...targets }; });
+        return copy;
+    }
+
+    hasFaults() {
+        return Object.values(this.faults).some(targets => Object.values(targets).some(v => v > 0));
+    }
+
+    clogFor(hose) {
+        return this.faults.clog[hose.pipe] || 0;
+    }
+
+    // Fraction of a hose's bore closed by a clog and its valve together (0 = clear, 1 = shut)
+    blockageFor(hose) {
+        const valve = hose.valve === null || hose.valve === undefined ? 1 : hose.valve;
+        return 1 - (1 - this.clogFor(hose)) * valve;
+    }
+
+    // --- Valves and hand pump ---
+    // Put a valve on a hose, or turn the one it has, to `opening` (0 = shut, 1 = fully open)
+    setValve(hose, opening) {
+        if (!this.hoses.includes(hose)) throw new Error('Unknown hose for valve');
+        if (!(opening >= 0 && opening <= 1)) throw new Error(`Invalid valve opening: ${opening} (expected 0 to 1)`);
+        hose.valve = opening;
+    }
+
+    removeValve(hose) {
+        hose.valve = null;
+    }
+
+    get pumpVessel() {
+        return this.network.pump;
+    }
+
+    // Push `strokes` strokes of atmospheric air into the pump's chamber; whoever works
+    // the handle puts in the energy the squeezed air stores
+    pumpStroke(strokes = 1) {
+        const key = this.pumpVessel;
+        if (!key) throw new Error('This network has no hand pump');
+        if (!(strokes > 0)) throw new Error(`Invalid pump strokes: ${strokes}`);
+        this.account('input', 'pump', () => {
+            this.airContent[key] += ATMOSPHERIC_PRESSURE * PUMP_STROKE_VOLUME * strokes;
+            this.updateAirPressure();
+        });
+        this.pump.strokes += strokes;
+    }
+
+    // Hold the pump's vent open (the chamber's air, and any joined to it, escapes) or close it
+    setPumpVent(open) {
+        if (!this.pumpVessel) throw new Error('This network has no hand pump');
+        this.pump.vent = Boolean(open);
+        if (open) this.account('loss', 'vented', () => this.updateAirPressure());
+    }
+
+    // --- Geometry helpers ---
+    capacity(key) {
+        return vesselCapacity(this.vessels[key]);
+    }
+
+    waterVolume(key) {
+        return this.volumes[key];
+    }
+
+    fillFraction(key) {
+        return this.volumes[key] / this.capacity(key);
+    }
+
+    airVolume(key) {
+        return Math.max(1e-9, this.capacity(key) - this.waterVolume(key));
+    }
+
+    surfaceElevation(key) {
+        const v = this.vessels[key];
+        return v.elevation + this.volumes[key] / (Math.PI * v.radius * v.radius);
+    }
+
+    portElevation(key, port) {
+        const v = this.vessels[key];
+        const offset = v.ports[port];
+        return v.elevation + (offset === undefined ? v.height / 2 : offset);
+    }
+
+    isSubmerged(key, port) {
+        return this.volumes[key] > 0 && this.portElevation(key, port) < this.surfaceElevation(key);
+    }
+
+    // Piezometric head (m) of the fluid at a port: elevation + gauge pressure / ρg
+    portHead(key, port) {
+        const airHead = pressureHead(this.airPressures[key]);
+        if (this.isSubmerged(key, port)) return this.surfaceElevation(key) + airHead;
+        return this.portElevation(key, port) + airHead;
+    }
+
+    pipeFor(hose) {
+        return this.pipes[hose.pipe] || this.pipes.hose;
+    }
+
+    isAirLine(hose) {
+        return !this.isSubmerged(hose.from, hose.fromPort) && !this.isSubmerged(hose.to, hose.toPort);
+    }
+
+    // --- Stepping ---
+    step(deltaTime) {
+        if (!this.isActive || deltaTime <= 0) return;
+        const substeps = Math.max(1, Math.ceil(deltaTime / MAX_SUBSTEP));
+        const dt = deltaTime / substeps;
+        for (let i = 0; i < substeps; i++) {
+            this.bookAirLosses(this.updateAirPressure());
+            this.updateWaterFlow(dt); // books the head lost in the hoses
+            // The jet's kinetic energy is lost where it lands, not in the pipe
+            this.energy.loss.splash += this.splashPower * dt;
+            this.energy.loss.spill += this.spillPower * dt;
+            this.account('loss', 'leaks', () => this.updateLeaks(dt));
+            this.time += dt;
+            this.cycle.waterMoved += this.jetFlow * dt;
+            this.cycle.peakPressure = Math.max(this.cycle.peakPressure, this.airPressure);
+        }
+        this.bookAirLosses(this.updateAirPressure());
+        this.energy.duration += deltaTime;
+        this.cycle.duration += deltaTime;
+    }
+
+    // Air pockets evening out through an air line lose the difference in their exergy
+    // (like water, in the hoses); those joined to the atmosphere lose all of it
+    bookAirLosses({ joined, vented }) {
+        this.energy.loss.pipes += joined;
+        this.energy.loss.vented += vented;
+    }
+
+    // Returns the exergy (J) lost by sealed pockets evening out with each other (`joined`)
+    // and by those let out to the atmosphere (`vented`)
+    updateAirPressure() {
+        const lost = { joined: 0, vented: 0 };
+        // Group containers whose air is joined by hoses above the water line
+        const group = {};
+        this.keys.forEach(k => { group[k] = k; });
+        const find = k => (group[k] === k ? k : (group[k] = find(group[k])));
+        // A partly clogged or closed air line passes air at a finite rate instead (see updateLeaks)
+        this.hoses.forEach(h => {
+            if (this.isAirLine(h) && this.blockageFor(h) === 0) group[find(h.from)] = find(h.to);
+        });
+
+        const members = {};
+        this.keys.forEach(k => { (members[find(k)] = members[find(k)] || []).push(k); });
+        Object.values(members).forEach(keys => {
+            // Anything joined to an open vessel, or to the pump's open vent, is vented to the atmosphere
+            const vented = keys.some(k => this.vessels[k].open || (this.pump.vent && k === this.pumpVessel));
+            const totalVolume = keys.reduce((sum, k) => sum + this.airVolume(k), 0);
+            const totalContent = keys.reduce((sum, k) => sum + (this.airContent[k] || 0), 0);
+            const absolute = vented ? ATMOSPHERIC_PRESSURE : boylePressure(totalContent, totalVolume);
+            // Reckoned at the pressures last evened out: the water that moved since is booked
+            // as head lost at those pressures, so pockets that were already even lose nothing
+            const sealed = keys.filter(k => !this.vessels[k].open);
+            const content = k => (ATMOSPHERIC_PRESSURE + this.airPressures[k]) * this.airVolume(k);
+            const before = sealed.reduce((sum, k) => sum + airExergy(content(k), this.airVolume(k)), 0);
+            if (vented) {
+                lost.vented += before;
+            } else if (keys.length > 1) {
+                lost.joined += before - airExergy(keys.reduce((sum, k) => sum + content(k), 0), totalVolume);
+            }
+            keys.forEach(k => {
+                this.airContent[k] = absolute * this.airVolume(k);
+                this.airPressures[k] = absolute - ATMOSPHERIC_PRESSURE;
+            });
+        });
+
+        // The gauge chamber's air reaches another sealed chamber, freely or through a partly clogged line
+        const gauge = this.network.gauge;
+        this.airLineConnected = this.keys.some(k => k !== gauge && this.isSealed(k) && find(k) === find(gauge)) ||
+            this.hoses.some(h => this.isAirLine(h) && this.blockageFor(h) < 1 && h.from !== h.to && this.isSealed(h.from) && this.isSealed(h.to));
+        this.airPressure = gauge ? this.airPressures[gauge] : 0;
+        return lost;
+    }
+
+    updateWaterFlow(dt) {
+        this.jetFlow = 0;
+        this.jetVelocity = 0;
+        this.jetHead = 0;
+        this.jetPower = 0;
+        this.splashPower = 0;
+        this.spillPower = 0;
+        this.spillFlow = 0;
+        this.hoses.forEach(h => {
+            h.flow = 0;
+            if (this.isAirLine(h)) return;
+            // The flow slider opens every water line; a clog or a valve narrows this one further
+            const opening = this.flowIntensity * (1 - this.blockageFor(h));
+            const head = this.portHead(h.from, h.fromPort) - this.portHead(h.to, h.toPort);
+            const forward = head >= 0;
+            const source = forward ? h.from : h.to;
+            const sourcePort = forward ? h.fromPort : h.toPort;
+            const target = forward ? h.to : h.from;
+            const targetPort = forward ? h.toPort : h.fromPort;
+            const pipe = this.pipeFor(h);
+            // Water only leaves through a port that is below the surface; from an air
+            // port the hose can only blow bubbles into the water at the other end
+            if (!this.isSubmerged(source, sourcePort)) {
+                this.bubbleAir(source, target, targetPort, pipe, opening, dt);
+                return;
+            }
+
+            // A hose into the nozzle runs out through the nozzle's bore
+            const toNozzle = this.isNozzle(target, targetPort);
+            const requested = (toNozzle ? nozzleFlow(Math.abs(head), pipe, this.nozzle.bore, opening) : pipeFlow(Math.abs(head), pipe, opening)) * dt;
+            const available = this.waterVolume(source);
+            const room = this.capacity(target) - this.waterVolume(target);
+            const moved = Math.max(0, Math.min(requested, available, room));
+            if (moved <= 0) return;
+            // The whole head between the ports is lost in the hose (friction, bends and the
+            // speed the water leaves with), and so is the drop from a port above the water
+            // to the surface; the jet's fall is booked where it lands instead
+            const drop = toNozzle || this.isSubmerged(target, targetPort) ? 0 : this.portElevation(target, targetPort) - this.surfaceElevation(target);
+            this.energy.loss.pipes += WATER_DENSITY * GRAVITY * (Math.abs(head) + drop) * moved;
+
+            this.volumes[source] -= moved;
+            this.volumes[target] += moved;
+            h.flow = (forward ? 1 : -1) * moved / dt;
+            // Gauge pressure work: sealed air squeezed by incoming water, or pushing water out
+            if (!this.vessels[target].open) this.energy.compressionWork += this.airPressures[target] * moved;
+            if (!this.vessels[source].open) this.energy.airWork += this.airPressures[source] * moved;
+
+            if (toNozzle) {
+                this.jetFlow += moved / dt;
+                this.jetVelocity = (moved / dt) / (pipeArea(Math.min(this.nozzle.bore, pipe.bore)) * Math.max(opening, 1e-9));
+                this.jetHead = Math.abs(head);
+                // What lands outside the bowl is gone from the fountain
+                const spilled = moved * this.spillFraction();
+                this.volumes[target] -= spilled;
+                this.spilledVolume += spilled;
+                this.spillFlow += spilled / dt;
+                // ½ρv² per unit volume leaves the nozzle; landing, it also gives up the fall to the
+                // surface, or for spilled water all its height above the table
+                const kinetic = 0.5 * WATER_DENSITY * this.jetVelocity * this.jetVelocity;
+                const tip = this.portElevation(target, targetPort);
+                const fall = WATER_DENSITY * GRAVITY * (tip - this.surfaceElevation(target));
+                this.jetPower += kinetic * moved / dt;
+                this.energy.loss.pipes -= kinetic * moved; // carried off by the jet
+                this.splashPower += (kinetic + Math.max(0, fall)) * (moved - spilled) / dt;
+                this.spillPower += (kinetic + WATER_DENSITY * GRAVITY * tip) * spilled / dt;
+                this.energy.jetKinetic += kinetic * moved;
+            }
+        });
+        this.clampVolumes();
+    }
+
+    isNozzle(key, port) {
+        return port === 'nozzle' && this.network.nozzle !== undefined && key === this.network.nozzle.vessel;
+    }
+
+    // Air pushed down a hose into a submerged port rises through the water as bubbles
+    // once its pressure beats the water column above that port (e.g. a miswired air line)
+    bubbleAir(source, target, targetPort, pipe, opening, dt) {
+        const depth = this.surfaceElevation(target) - this.portElevation(target, targetPort);
+        const drive = pressureHead(this.airPressures[source] - this.airPressures[target]) - depth;
+        if (drive <= 0) return;
+        // Volume of air at the source pressure, moved like water would be under the same head
+        const volume = pipeFlow(drive, pipe, opening) * dt;
+        const content = (ATMOSPHERIC_PRESSURE + this.airPressures[source]) * volume;
+        const before = this.airExergyOf(source) + this.airExergyOf(target);
+        // Open vessels exchange with the atmosphere, which never runs out
+        if (!this.vessels[source].open) this.airContent[source] = Math.max(0, this.airContent[source] - content);
+        if (!this.vessels[target].open) this.airContent[target] += content;
+        this.energy.loss.pipes += before - this.airExergyOf(source) - this.airExergyOf(target);
+    }
+
+    updateLeaks(dt) {
+        // Partly clogged or closed air lines pass air through the narrowed bore
+        this.hoses.forEach(h => {
+            const clog = this.blockageFor(h);
+            if (clog <= 0 || clog >= 1 || !this.isAirLine(h)) return;
+            this.exchangeAir(h.from, h.to, this.pipeFor(h).bore * Math.sqrt(1 - clog), dt);
+        });
+        Object.keys(this.faults.airLeak).forEach(k => {
+            const bore = this.faults.airLeak[k];
+            this.leakFlows.air[k] = bore > 0 ? this.exchangeAir(k, null, bore, dt) : 0;
+        });
+        Object.keys(this.faults.waterLeak).forEach(k => {
+            this.leakFlows.water[k] = this.leakWater(k, dt);
+        });
+    }
+
+    isSealed(key) {
+        return key !== null && !this.vessels[key].open;
+    }
+
+    // Move air through a hole between two pockets, or between a pocket and the
+    // atmosphere when `to` is null. Returns the volume flow (m³/s) out of `from`.
+    exchangeAir(from, to, bore, dt) {
+        const pressureOf = k => (this.isSealed(k) ? boylePressure(this.airContent[k], this.airVolume(k)) : ATMOSPHERIC_PRESSURE);
+        const pFrom = pressureOf(from);
+        const pTo = pressureOf(to);
+        const flow = orificeFlow(bore, Math.abs(pFrom - pTo), AIR_DENSITY);
+        if (flow <= 0) return 0;
+        const [source, target] = pFrom > pTo ? [from, to] : [to, from];
+
+        // Air leaves at the upstream pressure, but never more than evens the two out
+        let limit;
+        if (this.isSealed(source) && this.isSealed(target)) {
+            const vs = this.airVolume(source);
+            const vt = this.airVolume(target);
+            limit = (this.airContent[source] * vt - this.airContent[target] * vs) / (vs + vt);
+        } else {
+            const sealed = this.isSealed(source) ? source : target;
+            limit = Math.abs(pFrom - pTo) * this.airVolume(sealed);
+        }
+        const content = Math.min(Math.max(pFrom, pTo) * flow * dt, limit);
+        if (this.isSealed(source)) this.airContent[source] -= content;
+        if (this.isSealed(target)) this.airContent[target] += content;
+        return source === from ? flow : -flow;
+    }
+
+    // Water running out of a hole in a vessel's bottom; returns the loss in m³/s
+    leakWater(key, dt) {
+        const bore = this.faults.waterLeak[key];
+        if (!(bore > 0) || this.volumes[key] <= 0) return 0;
+        const depth = this.surfaceElevation(key) - this.vessels[key].elevation;
+        const drop = hydrostaticPressure(depth) + this.airPressures[key];
+        if (drop < 0) {
+            // A partial vacuum above the water draws air in through the hole instead
+            const content = ATMOSPHERIC_PRESSURE * orificeFlow(bore, -drop, AIR_DENSITY) * dt;
+            this.airContent[key] += Math.min(content, -drop * this.airVolume(key));
+            return 0;
+        }
+        const moved = Math.min(orificeFlow(bore, drop, WATER_DENSITY) * dt, this.volumes[key]);
+        this.volumes[key] -= moved;
+        this.leakedVolumes[key] += moved;
+        return moved / dt;
+    }
+
+    clampVolumes() {
+        this.keys.forEach(key => {
+            this.volumes[key] = Math.max(0, Math.min(this.capacity(key), this.volumes[key]));
+        });
+    }
+
+    // Re-open the sealed chambers: every air pocket returns to atmospheric pressure
+    ventAir() {
+        this.keys.forEach(k => {
+            this.airContent[k] = ATMOSPHERIC_PRESSURE * this.airVolume(k);
+            this.airPressures[k] = 0;
+        });
+        this.airPressure = 0;
+    }
+
+    // True when a receiving (lower) chamber is nearly full or an upper one has run dry,
+    // and turning the pairs over would put more water on top (a miswired fountain can leave
+    // both chambers empty, which must not flip forever)
+    shouldAutoFlip() {
+        const pairs = this.network.flip || [];
+        if (!pairs.length) return false;
+        const lowerFull = pairs.some(([, lower]) => this.fillFraction(lower) >= 0.98);
+        const upperEmpty = pairs.some(([upper]) => this.fillFraction(upper) <= 0.02);
+        const fill = index => pairs.reduce((total, pair) => total + this.fillFraction(pair[index]), 0);
+        return (lowerFull || upperEmpty) && fill(1) > fill(0);
+    }
+
+    // True when the flip mode turns the pair over now
+    flipDue() {
+        if (this.flipMode === 'timed') return this.cycle.duration >= this.flipInterval;
+        return this.flipMode === 'auto' && this.shouldAutoFlip();
+    }
+
+    // `trigger` records what ended the cycle: 'manual', or the flip mode that flipped it
+    flip(trigger = 'manual') {
+        // Each flip closes one energy cycle and starts the next
+        this.closeEnergyCycle();
+        this.cycles.push({ ...this.cycle, trigger });
+        if (this.cycles.length > CYCLE_HISTORY) this.cycles.shift();
+        this.cycle = newCycle(this.cycle.number + 1);
+        // Swap each pair's volumes (the chambers of a pair are identical, so this is the physical
+        // flip); whoever turns the pairs over does the work of lifting the water. The air goes with its glass.
+        const pairs = this.network.flip || [];
+        this.account('input', 'flip', () => {
+            pairs.forEach(([upper, lower]) => {
+                [this.volumes[upper], this.volumes[lower]] = [this.volumes[lower], this.volumes[upper]];
+                [this.airContent[upper], this.airContent[lower]] = [this.airContent[lower], this.airContent[upper]];
+            });
+        });
+        // Leaks belong to the glass, so they change places too
+        ['airLeak', 'waterLeak'].forEach(type => {
+            const leaks = this.faults[type];
+            pairs.forEach(([upper, lower]) => { [leaks[upper], leaks[lower]] = [leaks[lower], leaks[upper]]; });
+        });
+        this.flipOrientation = (this.flipOrientation + 1) % 2;
+        this.flipCount++;
+
+        // Chambers are opened while turning them over, then resealed at atmospheric pressure
+        this.account('loss', 'vented', () => this.ventAir());
+        this.isActive = true;
+    }
+
+    reset() {
+        this.setLevels(this.network.levels || {});
+        this.ventAir();
+        this.isActive = true;
+        this.flipOrientation = 0;
+        this.resetCount++;
+        this.jetFlow = 0;
+        this.jetVelocity = 0;
+        this.jetHead = 0;
+        this.time = 0;
+        this.leakedVolumes = Object.fromEntries(this.keys.map(k => [k, 0]));
+        const sound = noFaults(this.network); // no leak is flowing until the next step
+        this.leakFlows = { air: sound.airLeak, water: sound.waterLeak };
+        this.spilledVolume = 0;
+        this.spillFlow = 0;
+        this.jetPower = 0;
+        this.splashPower = 0;
+        this.spillPower = 0;
+        this.pump = { strokes: 0, vent: false };
+        this.energy = newEnergyCycle(this.totalEnergy());
+        this.lastEnergyCycle = null;
+        this.cycle = newCycle(1);
+        this.cycles = [];
+    }
+
+    // --- Energy ---
+
+    // Stored energy (J): potential energy of the water in each vessel, measured from
+    // the table top, and the work each sealed air pocket can do expanding to atmospheric
+    storedEnergy() {
+        const potential = {};
+        const air = {};
+        this.keys.forEach(k => {
+            const v = this.vessels[k];
+            const depth = this.volumes[k] / (Math.PI * v.radius * v.radius);
+            potential[k] = WATER_DENSITY * GRAVITY * this.volumes[k] * (v.elevation + depth / 2);
+            air[k] = this.airExergyOf(k);
+        });
+        return { potential, air, total: sum(potential) + sum(air) };
+    }
+
+    totalEnergy() {
+        return this.storedEnergy().total;
+    }
+
+    // Work the air in a vessel could do expanding to atmospheric pressure (J); none in an open one
+    airExergyOf(key) {
+        return this.vessels[key].open ? 0 : airExergy(this.airContent[key], this.airVolume(key));
+    }
+
+    // Run `change` and book the stored energy it adds (an input) or removes (a loss)
+    account(side, category, change) {
+        if (!this.energy) {
+            change(); // still constructing
+            return;
+        }
+        const before = this.totalEnergy();
+        change();
+        const gained = this.totalEnergy() - before;
+        if (side === 'input') this.energy.input[category] += gained;
+        else this.energy.loss[category] -= gained;
+    }
+
+    closeEnergyCycle() {
+        const end = this.totalEnergy();
+        this.lastEnergyCycle = { ...this.energy, end, imbalance: energyImbalance(this.energy, end) };
+        this.energy = newEnergyCycle(end);
+    }
+
+    // Stored energy now, the books of the cycle in progress and of the last complete one
+    getEnergy() {
+        const stored = this.storedEnergy();
+        return {
+            stored,
+            cycle: { ...this.energy, end: stored.total, imbalance: energyImbalance(this.energy, stored.total) },
+            lastCycle: this.lastEnergyCycle,
+            jetPower: this.jetPower
+        };
+    }
+
+    // --- Derived quantities ---
+
+    // Largest head the fountain can develop: bowl rim down to the bottom of C, once for
+    // each stage of a cascade
+    referenceHead() {
+        const a = this.jetVessel || this.vessels.A;
+        const c = this.vessels[this.network.gauge];
+        if (!a || !c) return 1;
+        return (a.elevation + a.height - c.elevation) * Math.max(1, (this.network.flip || []).length);
+    }
+
+    // Gauge pressure as a fraction of the largest pressure the fountain can build
+    get pressureRatio() {
+        const max = WATER_DENSITY * GRAVITY * this.referenceHead();
+        return Math.max(0, Math.min(1, this.airPressure / max));
+    }
+
+    // Total water (m³) lost through leaks since reset
+    get leakedVolume() {
+        return this.keys.reduce((sum, k) => sum + this.leakedVolumes[k], 0);
+    }
+
+    // Height (m) the jet rises above the nozzle, from the upward part of its speed
+    get jetHeight() {
+        return jetHeight(this.jetVelocity * Math.sin(this.nozzle.angle * Math.PI / 180));
+    }
+
+    // Signed flow (m³/s) through each hose during the last step, keyed by pipe name
+    // (P1, P2, P3) or `from.port->to.port` for other hoses
+    getFlows() {
+        const flows = {};
+        this.hoses.forEach(h => {
+            const key = h.pipe && h.pipe !== 'hose' ? h.pipe : `${h.from}.${h.fromPort}->${h.to}.${h.toPort}`;
+            flows[key] = (flows[key] || 0) + h.flow;
+        });
+        return flows;
+    }
+
+    getState() {
+        return {
+            time: this.time,
+            volumes: { ...this.volumes },
+            waterLevels: this.waterLevels,
+            airPressures: { ...this.airPressures },
+            airPressure: this.airPressure,
+            flowIntensity: this.flowIntensity,
+            isActive: this.isActive,
+            flipOrientation: this.flipOrientation,
+            airLineConnected: this.airLineConnected,
+            jetFlow: this.jetFlow,
+            jetVelocity: this.jetVelocity,
+            jetHead: this.jetHead,
+            jetHeight: this.jetHeight,
+            hoses: this.hoses.map(h => ({ ...h })),
+            faults: this.getFaults(),
+            leakFlows: { air: { ...this.leakFlows.air }, water: { ...this.leakFlows.water } },
+            leakedVolume: this.leakedVolume,
+            nozzle: this.getNozzle(),
+            pump: { ...this.pump },
+            spillFlow: this.spillFlow,
+            spilledVolume: this.spilledVolume,
+            flipMode: this.flipMode,
+            flipInterval: this.flipInterval,
+            cycle: { ...this.cycle }
+        };
+    }
+
+    getStatus() {
+        // Map to UI labels: Top Container (A) is internal B; Fountain Basin (B) is internal A; Air Chamber (C) is internal C.
+        // A cascade's other chambers follow as A1, C1, ... (see screenLabels); a vessel with no
+        // on-screen label keeps its key. Levels and pressure are percentages; volumes (and the
+        // water spilled since reset) are in mL, the jet's flow in mL/s and cycleTime is the
+        // seconds the current cycle has run.
+        const levels = this.waterLevels;
+        const millilitres = m3 => Number((m3 * 1e6).toFixed(1));
+        const labels = screenLabels(this.network);
+        const vessels = this.keys.map(key => [labels[key] || key, key]).sort(([a], [b]) => (a < b ? -1 : 1));
+        return {
+            ...Object.fromEntries(vessels.map(([label, key]) => [`container${label}`, Math.round(levels[key] * 100)])),
+            ...Object.fromEntries(vessels.map(([label, key]) => [`volume${label}`, millilitres(this.volumes[key])])),
+            pressure: Math.round(this.pressureRatio * 100),
+            pressurePa: Math.round(this.airPressure),
+            jetHeight: Number(this.jetHeight.toFixed(3)),
+            jetFlow: millilitres(this.jetFlow),
+            spilled: millilitres(this.spilledVolume),
+            cycle: this.cycle.number,
+            cycleTime: Number(this.cycle.duration.toFixed(1)),
+            isActive: this.isActive
+        };
+    }
+}
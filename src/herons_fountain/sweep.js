@@ -0,0 +1,139 @@
+// Parameter sweeps on the headless model: run the default fountain once for every
+// combination of flow intensity, stage count, initial levels and geometry values, and
+// measure what a builder would check on the bench. Used by scripts/sweep.js; no Three.js.
+//
+// Parameter names are dotted paths:
+//   flow                      flow intensity, 0..1
+//   stages                    number of stages, 1 (classic) to MAX_STAGES (see network.js)
+//   levels.<key>              initial fill fractions, internal keys as in scenarios
+//                             (A = Fountain Basin, B = Top Container, C = Air Chamber,
+//                             and a cascade's B1, C1, ... up to its stage count)
+//   geometry.<path>           any DEFAULT_GEOMETRY value in metres, e.g. geometry.pipes.P3.bore
+import { FountainSimulation } from './simulation.js';
+import { resolveGeometry, DEFAULT_GEOMETRY } from './geometry.js';
+import { buildNetwork } from './network.js';
+import { toCSV } from './csv.js';
+
+export const SWEEP_COLUMNS = ['first_flip_s', 'peak_pressure_Pa', 'peak_jet_m', 'cycle_period_s', 'flips'];
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// "0.25,0.5,1" lists values; "0.2:1:0.2" is an inclusive range start:end:step
+export function parseValues(text) {
+    const range = String(text).split(':');
+    if (range.length === 3) {
+        const [start, end, step] = range.map(Number);
+        if (![start, end, step].every(Number.isFinite) || step <= 0 || end < start) {
+            throw new Error(`Invalid range "${text}": expected start:end:step with end >= start and step > 0`);
+        }
+        const values = [];
+        // Count steps rather than accumulate, so 0.1 steps land on round numbers
+        const count = Math.floor((end - start) / step + 1e-9);
+        for (let i = 0; i <= count; i++) values.push(round(start + i * step, 10));
+        return values;
+    }
+    return String(text).split(',').map(part => {
+        const value = Number(part);
+        if (part.trim() === '' || !Number.isFinite(value)) throw new Error(`Invalid value "${part}" in "${text}"`);
+        return value;
+    });
+}
+
+// Every combination of the parameter values, as [{ name: value, ... }], first parameter slowest
+export function expandGrid(parameters) {
+    return Object.entries(parameters).reduce((combos, [name, values]) =>
+        combos.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))), [{}]);
+}
+
+// Turn one { 'levels.C': 0.3, 'geometry.bowl.radius': 0.12 } combination into simulation options
+export function trialSettings(combo) {
+    const settings = { levels: {}, geometry: {} };
+    Object.entries(combo).forEach(([name, value]) => {
+        const [group, ...path] = name.split('.');
+        if (group === 'flow' && !path.length) {
+            settings.flow = value;
+        } else if (group === 'stages' && !path.length) {
+            settings.stages = value;
+        } else if (group === 'levels' && path.length === 1) {
+            settings.levels[path[0]] = value;
+        } else if (group === 'geometry' && path.length) {
+            let target = settings.geometry;
+            path.slice(0, -1).forEach(key => { target = target[key] = target[key] || {}; });
+            target[path[path.length - 1]] = value;
+        } else {
+            throw new Error(`Unknown sweep parameter: ${name} (expected flow, stages, levels.<container> or geometry.<path>)`);
+        }
+    });
+    // Level keys are the vessels of the network the trial builds (the geometry does not change them)
+    const keys = Object.keys(buildNetwork(DEFAULT_GEOMETRY, { stages: settings.stages }).vessels);
+    const unknown = Object.keys(settings.levels).filter(key => !keys.includes(key));
+    if (unknown.length) {
+        const stages = settings.stages === undefined ? 1 : settings.stages;
+        throw new Error(`Unknown container for levels: ${unknown.join(', ')} (with ${stages} stage${stages === 1 ? '' : 's'}: ${keys.join(', ')})`);
+    }
+    return settings;
+}
+
+// Run one fountain with its default hoses, flipping it whenever it would flip in the
+// app, until `cycles` full cycles have been timed or `duration` seconds have passed.
+// Times are simulated seconds; cells that never happened (no flip yet) are null.
+export function runTrial(combo, options = {}) {
+    const duration = options.duration || 1800; // s
+    const cycles = options.cycles || 3;
+    const dt = options.dt || 1 / 60;
+    const settings = trialSettings(combo);
+
+    const geometry = resolveGeometry(settings.geometry);
+    const sim = new FountainSimulation({ geometry, network: buildNetwork(geometry, { stages: settings.stages }) });
+    sim.addDefaultHoses();
+    sim.setLevels(settings.levels);
+    sim.ventAir(); // start from atmospheric air over the new levels
+    if (settings.flow !== undefined) sim.setFlowIntensity(settings.flow);
+
+    const flips = [];
+    let peakPressure = 0;
+    let peakJet = 0;
+    const steps = Math.ceil(duration / dt);
+    for (let i = 0; i < steps && flips.length <= cycles; i++) {
+        sim.step(dt);
+        peakPressure = Math.max(peakPressure, sim.airPressure);
+        peakJet = Math.max(peakJet, sim.jetHeight);
+        if (sim.shouldAutoFlip()) {
+            flips.push(sim.time);
+            sim.flip('auto');
+        }
+    }
+
+    return {
+        ...combo,
+        first_flip_s: flips.length ? round(flips[0], 2) : null,
+        peak_pressure_Pa: round(peakPressure, 1),
+        peak_jet_m: round(peakJet, 4),
+        // Mean time between flips, so the first (partial) cycle from the initial levels is left out
+        cycle_period_s: flips.length > 1 ? round((flips[flips.length - 1] - flips[0]) / (flips.length - 1), 2) : null,
+        flips: flips.length
+    };
+}
+
+// Run every combination; `onResult(row, index, total)` reports progress
+export function runSweep(parameters, options = {}) {
+    const combos = expandGrid(parameters);
+    return combos.map((combo, index) => {
+        const row = runTrial(combo, options);
+        if (options.onResult) options.onResult(row, index, combos.length);
+        return row;
+    });
+}
+
+export function sweepToCSV(rows, columns) {
+    return toCSV(rows, columns);
+}
+
+// Plain-text table with right-aligned columns; null cells show as '-'
+export function sweepToTable(rows, columns) {
+    const cells = [columns, ...rows.map(row => columns.map(c => (row[c] === null || row[c] === undefined ? '-' : String(row[c]))))];
+    const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+    const lines = cells.map(line => line.map((cell, i) => cell.padStart(widths[i])).join('  '));
+    lines.splice(1, 0, widths.map(w => '-'.repeat(w)).join('  '));
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,89 @@
+// Telemetry recorder: samples getStatus() plus the flow through every hose at a
+// fixed rate, for export as CSV (spreadsheets) or JSON (notebooks).
+import { downloadText } from './download.js';
+import { toCSV } from './csv.js';
+
+export class TelemetryRecorder {
+    constructor(options = {}) {
+        this.setSampleRate(options.sampleRate || 10); // Hz
+        this.samples = [];
+        this.columns = ['time'];
+        this.isRecording = false;
+        this.elapsed = 0; // s since recording started (paused time excluded)
+        this.sinceLastSample = 0;
+        this.startedAt = null;
+    }
+
+    setSampleRate(hz) {
+        if (!(hz > 0)) throw new Error(`Invalid telemetry sample rate: ${hz}`);
+        this.sampleRate = hz;
+    }
+
+    start() {
+        if (this.isRecording) return;
+        if (!this.samples.length) {
+            this.elapsed = 0;
+            this.startedAt = new Date().toISOString();
+        }
+        this.sinceLastSample = 1 / this.sampleRate; // take a sample on the first update
+        this.isRecording = true;
+    }
+
+    stop() {
+        this.isRecording = false;
+    }
+
+    clear() {
+        this.samples = [];
+        this.columns = ['time'];
+        this.elapsed = 0;
+        this.startedAt = null;
+    }
+
+    update(deltaTime, simulation) {
+        if (!this.isRecording) return;
+        this.elapsed += deltaTime;
+        this.sinceLastSample += deltaTime;
+        const interval = 1 / this.sampleRate;
+        if (this.sinceLastSample < interval) return;
+        // Carry the remainder so samples stay on the requested grid; never queue a burst
+        this.sinceLastSample = Math.min(this.sinceLastSample - interval, interval);
+        this.record(simulation);
+    }
+
+    record(simulation) {
+        const row = { time: Number(this.elapsed.toFixed(4)), simTime: Number(simulation.time.toFixed(4)) };
+        Object.assign(row, simulation.getStatus());
+        Object.entries(simulation.getFlows()).forEach(([key, flow]) => {
+            row[`flow_${key}_mLs`] = Number((flow * 1e6).toFixed(3)); // m³/s -> mL/s
+        });
+        Object.keys(row).forEach(key => {
+            if (!this.columns.includes(key)) this.columns.push(key);
+        });
+        this.samples.push(row);
+        return row;
+    }
+
+    toCSV() {
+        return toCSV(this.samples, this.columns);
+    }
+
+    toJSON() {
+        return {
+            startedAt: this.startedAt,
+            sampleRate: this.sampleRate,
+            units: { time: 's', simTime: 's', pressurePa: 'Pa', jetHeight: 'm', jetFlow: 'mL/s', flow: 'mL/s', volumes: 'mL', levels: '% of capacity' },
+            columns: this.columns,
+            samples: this.samples
+        };
+    }
+
+    download(format = 'csv') {
+        const stamp = (this.startedAt || new Date().toISOString()).replace(/[:.]/g, '-');
+        if (format === 'json') {
+            downloadText(JSON.stringify(this.toJSON(), null, 2), `heron-telemetry-${stamp}.json`, 'application/json');
+        } else {
+            downloadText(this.toCSV(), `heron-telemetry-${stamp}.csv`, 'text/csv');
+        }
+    }
+}
@@ -1,14 +1,57 @@
+import { Announcer } from './a11y.js';
+import { t, localize, translatePage, onLocaleChange, formatNumber } from './i18n.js';
+import { formatVolume, formatPressure, formatLength, formatFlow, onUnitsChange } from './units.js';
+
+// Status values and the message key of their name
+const STATUS_LABELS = [
+    ['containerA', 'container.A'],
+    ['containerB', 'container.B'],
+    ['containerC', 'container.C'],
+    ['pressure', 'status.pressure']
+];
+// Text of each readout in the chosen units (getStatus() gives mL and mL/s); the
+// percentages still pick the readout's colour
+const READOUTS = {
+    containerA: status => formatVolume(status.volumeA / 1e6),
+    containerB: status => formatVolume(status.volumeB / 1e6),
+    containerC: status => formatVolume(status.volumeC / 1e6),
+    pressure: status => formatPressure(status.pressurePa),
+    jetHeight: status => formatLength(status.jetHeight),
+    jetFlow: status => formatFlow(status.jetFlow / 1e6),
+    cycle: status => t('cycles.status', { number: status.cycle, seconds: formatNumber(status.cycleTime, 0) }),
+    spilled: status => formatVolume(status.spilled / 1e6)
+};
+const STATUS_INTERVAL = 15000; // ms; at most one spoken status update this often
+const STATUS_CHANGE = 10; // percentage points a value must move before it is spoken again
+
 export class UI {
     constructor() {
         this.elements = {
             containerA: document.getElementById('containerA'),
             containerB: document.getElementById('containerB'),
             containerC: document.getElementById('containerC'),
-            pressure: document.getElementById('pressure')
+            pressure: document.getElementById('pressure'),
+            jetHeight: document.getElementById('jetHeight'),
+            jetFlow: document.getElementById('jetFlow'),
+            cycle: document.getElementById('cycle'),
+            spilled: document.getElementById('spilled')
         };
         
         this.lastStatus = null;
+        this.announcer = new Announcer();
+        this.spokenStatus = null; // values last read out, and when
+        this.spokenAt = 0;
+        this.reducedMotion = false;
         this.createAboutPanel();
+        // Show the readouts again in the new units or number format
+        const refresh = () => {
+            if (!this.lastStatus) return;
+            const status = JSON.parse(this.lastStatus);
+            this.lastStatus = null;
+            this.update(status);
+        };
+        onUnitsChange(refresh);
+        onLocaleChange(refresh);
     }
 
     update(status) {
@@ -18,14 +61,42 @@ export class UI {
 
         this.lastStatus = JSON.stringify(status);
 
-        // Update water levels
-        this.elements.containerA.textContent = `${status.containerA}%`;
-        this.elements.containerB.textContent = `${status.containerB}%`;
-        this.elements.containerC.textContent = `${status.containerC}%`;
-        this.elements.pressure.textContent = `${status.pressure}%`;
+        // Update water volumes, pressure and the jet
+        Object.entries(READOUTS).forEach(([key, format]) => {
+            this.elements[key].textContent = format(status);
+        });
 
         // Update visual indicators
         this.updateVisualIndicators(status);
+        this.announceStatus(status);
+    }
+
+    statusText(status) {
+        return STATUS_LABELS.map(([key, label]) => t('announce.status', { name: t(label), value: READOUTS[key](status) })).join(', ');
+    }
+
+    // Read the levels and pressure out when they have changed noticeably, but not more
+    // often than every STATUS_INTERVAL; `now` reads them out straight away
+    announceStatus(status, now = false) {
+        const time = performance.now();
+        if (!this.spokenStatus && !now) {
+            // The starting values are on screen; only changes are spoken
+            this.spokenStatus = status;
+            this.spokenAt = time;
+            return;
+        }
+        if (!now) {
+            if (time - this.spokenAt < STATUS_INTERVAL) return;
+            const moved = STATUS_LABELS.some(([key]) => Math.abs(status[key] - this.spokenStatus[key]) >= STATUS_CHANGE);
+            if (!moved) return;
+        }
+        this.spokenStatus = status;
+        this.spokenAt = time;
+        this.announcer.say(this.statusText(status));
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
     }
 
     updateVisualIndicators(status) {
@@ -74,8 +145,15 @@ export class UI {
     }
 
     showMessage(message, type = 'info') {
+        // Screen readers hear the message through the live region (without the leading emoji),
+        // so the toast itself is hidden from them
+        this.announcer.say(message.replace(/^[^\p{L}\p{N}]+/u, ''), type === 'error');
+        // Longer messages stay up long enough to read
+        const duration = Math.max(2000, message.length * 60); // ms
+
         // Create temporary message
         const messageDiv = document.createElement('div');
+        messageDiv.setAttribute('aria-hidden', 'true');
         messageDiv.style.cssText = `
             position: fixed;
             top: 50%;
@@ -88,7 +166,7 @@ export class UI {
             font-size: 16px;
             z-index: 1000;
             box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-            animation: fadeInOut 2s ease-in-out;
+            animation: ${this.reducedMotion ? 'none' : `fadeInOut ${duration}ms ease-in-out`};
         `;
         
         messageDiv.textContent = message;
@@ -114,19 +192,17 @@ export class UI {
             if (messageDiv.parentNode) {
                 messageDiv.parentNode.removeChild(messageDiv);
             }
-        }, 2000);
+        }, duration);
     }
 
     showFlipAnimation() {
-        this.showMessage('🔄 Flipping system...', 'info');
+        this.showMessage(t('message.flipping'), 'info');
     }
 
-    showResetAnimation() {
-        this.showMessage('🔄 Resetting system...', 'info');
-    }
-
-    showSystemComplete() {
-        this.showMessage('✅ System cycle complete! Press R to flip.', 'success');
+    // The fountain has run itself out; what happens next depends on the flip mode
+    showSystemComplete(mode = 'auto') {
+        if (mode === 'auto') this.showMessage(t('message.cycleComplete'), 'success');
+        else this.showMessage(t(mode === 'timed' ? 'message.stalledTimed' : 'message.stalled'), 'info');
     }
 
     createAboutPanel() {
@@ -134,14 +210,14 @@ export class UI {
         const infoHint = document.createElement('div');
         infoHint.id = 'info-hint';
         infoHint.style.cssText = `
-            position: fixed; right: 20px; bottom: 20px;
+            position: fixed; inset-inline-end: 20px; bottom: 20px;
             background: rgba(20, 28, 46, 0.7); color: #aaddff;
             border: 1px solid #4a76a8; border-radius: 6px;
             padding: 8px 12px; font-size: 12px;
             pointer-events: none; z-index: 999;
             transition: opacity 0.3s ease;
         `;
-        infoHint.textContent = 'Press I for info';
+        localize(infoHint, 'about.hint');
         document.body.appendChild(infoHint);
         this.infoHint = infoHint;
 
@@ -149,55 +225,26 @@ export class UI {
         const panel = document.createElement('div');
         panel.id = 'about-panel';
         panel.style.cssText = `
-            position: fixed; right: 20px; bottom: 20px; width: 400px; max-height: 80vh;
+            position: fixed; inset-inline-end: 20px; bottom: 20px; width: 400px; max-height: 80vh;
             background: rgba(20, 28, 46, 0.96); color: #e6f2ff; border: 1px solid #4a76a8;
             border-radius: 10px; padding: 20px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
             font-size: 13px; line-height: 1.6; display: none; z-index: 1000;
             overflow-y: auto;
         `;
-        panel.innerHTML = `
-            <div style="font-weight:600; color:#aaddff; margin-bottom:12px; font-size:16px">About Heron's Fountain</div>
-            
+        // Filled from the catalogue, here and whenever the language changes
+        const section = (title, text) => `
             <div style="margin-bottom:12px">
-                <div style="font-weight:600; color:#aaddff; margin-bottom:6px">Origins</div>
-                <div>
-                    Heron's Fountain (also known as Heron's Aeolipile or Hero's Fountain) is a hydraulic device 
-                    invented by the ancient Greek mathematician and engineer <strong>Hero of Alexandria</strong> 
-                    (also known as Heron) around 62 CE. Hero was a prominent figure in the Hellenistic period 
-                    and is considered one of the greatest experimenters of antiquity.
-                </div>
-            </div>
-
-            <div style="margin-bottom:12px">
-                <div style="font-weight:600; color:#aaddff; margin-bottom:6px">How It Works</div>
-                <div>
-                    The fountain consists of three containers: <strong>A</strong> (bowl/fountain basin), 
-                    <strong>B</strong> (water supply), and <strong>C</strong> (air supply). Three pipes connect them:
-                    <ul style="margin:8px 0; padding-left:20px">
-                        <li><strong>P1</strong>: Drains water from A to the bottom of C</li>
-                        <li><strong>P2</strong>: Transfers air from the top of C to the top of B</li>
-                        <li><strong>P3</strong>: Carries water from the bottom of B to a nozzle in A</li>
-                    </ul>
-                    Containers B and C must be airtight, while A can be open. As water falls from A into C, 
-                    it pressurizes the air in C, which pushes on the water in B, forcing water up through P3 
-                    and creating a continuous fountain effect.
-                </div>
-            </div>
-
-            <div style="margin-bottom:12px">
-                <div style="font-weight:600; color:#aaddff; margin-bottom:6px">Historical Significance</div>
-                <div>
-                    This device demonstrates principles of pneumatics and hydraulics that were revolutionary 
-                    for their time. Hero's work, including this fountain, influenced later developments in 
-                    engineering and physics. The fountain appears to create perpetual motion, but actually 
-                    relies on the potential energy stored in the elevated water containers.
-                </div>
-            </div>
-
-            <div style="margin-top:12px; padding-top:12px; border-top:1px solid #4a76a8; opacity:0.85; font-size:11px">
-                Press <strong>I</strong> or <strong>?</strong> to toggle this panel.
-            </div>
+                <div style="font-weight:600; color:#aaddff; margin-bottom:6px" data-i18n="${title}"></div>
+                <div data-i18n-html="${text}"></div>
+            </div>`;
+        panel.innerHTML = `
+            <div style="font-weight:600; color:#aaddff; margin-bottom:12px; font-size:16px" data-i18n="about.title"></div>
+            ${section('about.origins.title', 'about.origins')}
+            ${section('about.works.title', 'about.works')}
+            ${section('about.significance.title', 'about.significance')}
+            <div style="margin-top:12px; padding-top:12px; border-top:1px solid #4a76a8; opacity:0.85; font-size:11px" data-i18n-html="about.toggle"></div>
         `;
+        translatePage(panel);
         document.body.appendChild(panel);
         this.aboutPanel = panel;
     }
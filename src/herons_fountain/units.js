@@ -0,0 +1,85 @@
+// Units for the readouts. The simulation works in SI (m³, Pa, m³/s, m); these
+// helpers convert a value to the chosen system's unit and format it for display,
+// e.g. formatPressure(2940) is '2.94 kPa', '30.0 cm H₂O' or '0.426 psi'.
+import { formatNumber } from './i18n.js';
+
+export const DEFAULT_UNITS = 'metric';
+const STORAGE_KEY = 'heronsFountain.units';
+// Each quantity's unit: its symbol, its size in SI units and the decimals shown.
+// Names are the message keys units.<system>.
+export const UNIT_SYSTEMS = {
+    metric: {
+        volume: { symbol: 'mL', size: 1e-6, digits: 0 },
+        pressure: { symbol: 'kPa', size: 1000, digits: 2 },
+        flow: { symbol: 'mL/s', size: 1e-6, digits: 1 },
+        length: { symbol: 'cm', size: 0.01, digits: 1 }
+    },
+    water: {
+        volume: { symbol: 'mL', size: 1e-6, digits: 0 },
+        pressure: { symbol: 'cm H₂O', size: 98.0665, digits: 1 },
+        flow: { symbol: 'mL/s', size: 1e-6, digits: 1 },
+        length: { symbol: 'cm', size: 0.01, digits: 1 }
+    },
+    imperial: {
+        volume: { symbol: 'fl oz', size: 29.5735295625e-6, digits: 1 }, // US fluid ounce
+        pressure: { symbol: 'psi', size: 6894.757, digits: 3 },
+        flow: { symbol: 'fl oz/s', size: 29.5735295625e-6, digits: 2 },
+        length: { symbol: 'in', size: 0.0254, digits: 1 }
+    }
+};
+
+let current = DEFAULT_UNITS;
+const listeners = new Set();
+
+export function getUnits() {
+    return current;
+}
+
+// A value in SI units, in the current system's unit for `quantity`
+export function convert(quantity, value) {
+    return value / UNIT_SYSTEMS[current][quantity].size;
+}
+
+export function unitSymbol(quantity) {
+    return UNIT_SYSTEMS[current][quantity].symbol;
+}
+
+export function formatQuantity(quantity, value) {
+    const unit = UNIT_SYSTEMS[current][quantity];
+    return `${formatNumber(value / unit.size, unit.digits)} ${unit.symbol}`;
+}
+
+export const formatVolume = m3 => formatQuantity('volume', m3);
+export const formatPressure = pascals => formatQuantity('pressure', pascals);
+export const formatFlow = m3PerSecond => formatQuantity('flow', m3PerSecond);
+export const formatLength = metres => formatQuantity('length', metres);
+
+// Returns a function that unsubscribes the listener
+export function onUnitsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// The saved choice, or metric
+export function detectUnits() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (UNIT_SYSTEMS[saved]) return saved;
+    } catch (error) {
+        // Storage can be disabled; fall back to the default
+    }
+    return DEFAULT_UNITS;
+}
+
+export function setUnits(system, { save = true } = {}) {
+    if (!UNIT_SYSTEMS[system]) throw new Error(`Unknown units "${system}" (expected one of ${Object.keys(UNIT_SYSTEMS).join(', ')})`);
+    current = system;
+    if (save) {
+        try {
+            localStorage.setItem(STORAGE_KEY, system);
+        } catch (error) {
+            // Not remembered for next time, but the readouts still switch
+        }
+    }
+    listeners.forEach(listener => listener(system));
+}
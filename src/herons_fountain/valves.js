@@ -0,0 +1,401 @@
+// Valves on hoses and the hand pump on chamber C: their 3D models, clicking them in
+// the scene, and a panel to place, turn and remove valves and to work the pump.
+// Changes are handed to `onInput` ({ type: 'valve', index, opening, at },
+// { type: 'removeValve', index } or { type: 'pump', action: 'stroke' | 'vent' | 'seal' })
+// so they can be logged for replays; the models follow the simulation's state.
+import * as THREE from 'three';
+import { t, localize, formatNumber, onLocaleChange } from './i18n.js';
+import { formatPressure } from './units.js';
+import { GROUND_Y } from './fountain.js';
+import { SCREEN_LABELS } from './network.js';
+
+// Openings a click steps a valve through, from fully open to shut and round again
+export const VALVE_STEPS = [1, 0.5, 0.25, 0];
+const VALVE_COLORS = { open: 0x66bb6a, partly: 0xffa726, shut: 0xef5350 };
+const CLICK_TOLERANCE = 5; // px the pointer may move between down and up and still count as a click
+const STROKE_FRAMES = 12; // frames the pump handle stays down after a stroke
+
+// The next opening down from `opening`, back to fully open after shut
+export function nextValveStep(opening) {
+    const next = VALVE_STEPS.find(step => step < opening - 1e-9);
+    return next === undefined ? VALVE_STEPS[0] : next;
+}
+
+function valveColor(opening) {
+    if (opening <= 0) return VALVE_COLORS.shut;
+    return opening >= 1 ? VALVE_COLORS.open : VALVE_COLORS.partly;
+}
+
+// Name of a fountain hose in messages and the panel: its pipe, or its two ports by
+// their containers' on-screen letters (`labels`, see Fountain.screenLabels). The pipes
+// between a cascade's stages (P1.1, P2.1, ...) go by their names alone.
+export function hoseName(hose, labels = SCREEN_LABELS) {
+    const { from, fromPort, to, toPort, pipe } = hose.link;
+    if (pipe && pipe !== 'hose') return pipe.includes('.') ? pipe : `${pipe} · ${t(`pipe.${pipe}`)}`;
+    return `${labels[from]}.${fromPort} → ${labels[to]}.${toPort}`;
+}
+
+// The 3D side, owned by a Fountain: a valve model on every hose whose simulated hose has
+// a valve, and the pump standing on the floor beside the chambers with a tube up to C
+export class Fittings {
+    constructor(fountain) {
+        this.fountain = fountain;
+        this.valves = new Map(); // fountain hose -> valve model
+        this.pressFrames = 0; // frames left with the pump handle down
+        this.bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xc9a227, metalness: 0.7, roughness: 0.35 });
+        this.createPump();
+    }
+
+    createValve(hose) {
+        const group = new THREE.Group();
+        // Body along the hose (local x), stem and handwheel on top (local y)
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.13, 0.13, 0.36, 16), this.bodyMaterial);
+        body.rotation.z = Math.PI / 2;
+        const stem = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 0.22, 8), this.bodyMaterial);
+        stem.position.y = 0.2;
+        const wheel = new THREE.Group();
+        wheel.position.y = 0.31;
+        const wheelMaterial = new THREE.MeshStandardMaterial({ color: VALVE_COLORS.open, roughness: 0.5 });
+        const rim = new THREE.Mesh(new THREE.TorusGeometry(0.15, 0.03, 8, 24), wheelMaterial);
+        rim.rotation.x = Math.PI / 2;
+        const spoke = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.03, 0.03), wheelMaterial);
+        wheel.add(rim, spoke);
+        group.add(body, stem, wheel);
+        group.traverse(object => {
+            object.userData.hose = hose;
+            if (object.isMesh) object.castShadow = true;
+        });
+        this.fountain.root.add(group);
+        return { group, wheel, wheelMaterial };
+    }
+
+    removeValve(hose) {
+        const model = this.valves.get(hose);
+        if (!model) return;
+        model.group.parent.remove(model.group);
+        model.group.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+        });
+        model.wheelMaterial.dispose();
+        this.valves.delete(hose);
+    }
+
+    createPump() {
+        const { stack, chamber } = this.fountain.layout;
+        const pump = new THREE.Group();
+        pump.position.set(stack.x + chamber.outerRadius + 1.4, GROUND_Y, 1.2);
+        const metal = new THREE.MeshStandardMaterial({ color: 0x90a4ae, metalness: 0.6, roughness: 0.4 });
+        const base = new THREE.Mesh(new THREE.BoxGeometry(1.0, 0.1, 0.6), new THREE.MeshStandardMaterial({ color: 0x37474f }));
+        base.position.y = 0.05;
+        const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.18, 0.18, 2.4, 20), metal);
+        barrel.position.y = 1.3;
+        // Rod and T-handle ride down on a stroke
+        const handle = new THREE.Group();
+        handle.position.y = 2.5;
+        const rod = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.9, 8), metal);
+        rod.position.y = 0.45;
+        const grip = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.07, 1.0, 12), new THREE.MeshStandardMaterial({ color: 0x8d6e63, roughness: 0.8 }));
+        grip.rotation.z = Math.PI / 2;
+        grip.position.y = 0.9;
+        handle.add(rod, grip);
+        // Vent cap on the barrel, red while held open
+        this.ventMaterial = new THREE.MeshStandardMaterial({ color: 0x607d8b, emissive: 0x000000 });
+        const vent = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 0.14, 12), this.ventMaterial);
+        vent.rotation.z = Math.PI / 2;
+        vent.position.set(-0.24, 0.5, 0);
+        pump.add(base, barrel, handle, vent);
+        [handle, rod, grip].forEach(object => { object.userData.pump = 'stroke'; });
+        vent.userData.pump = 'vent';
+        pump.traverse(object => { if (object.isMesh) object.castShadow = true; });
+        this.fountain.root.add(pump);
+
+        this.tubeMaterial = new THREE.MeshPhysicalMaterial({ color: 0x11161c, metalness: 0.25, roughness: 0.35 });
+        this.pumpTube = new THREE.Mesh(new THREE.BufferGeometry(), this.tubeMaterial);
+        this.fountain.root.add(this.pumpTube);
+        this.pump = { group: pump, handle, vent, outlet: new THREE.Vector3(0, 2.3, 0) };
+    }
+
+    // A stroke shows the handle pushed down for a moment
+    pressHandle() {
+        this.pressFrames = STROKE_FRAMES;
+    }
+
+    // Meshes clicks are tested against
+    getPickTargets() {
+        const valves = [];
+        this.valves.forEach(model => model.group.traverse(object => { if (object.isMesh) valves.push(object); }));
+        const pump = [];
+        this.pump.group.traverse(object => { if (object.isMesh && object.userData.pump) pump.push(object); });
+        return { valves, pump };
+    }
+
+    // Called every frame after the hoses have been rebuilt
+    update() {
+        const fountain = this.fountain;
+        const sim = fountain.simulation;
+        fountain.hoses.forEach(hose => {
+            const opening = hose.link ? hose.link.valve : null;
+            if (opening === null || opening === undefined || !hose.curve) {
+                this.removeValve(hose);
+                return;
+            }
+            let model = this.valves.get(hose);
+            if (!model) {
+                model = this.createValve(hose);
+                this.valves.set(hose, model);
+            }
+            const at = hose.valveAt === undefined ? 0.5 : hose.valveAt;
+            const tangent = hose.curve.getTangentAt(at);
+            // Wheel up, or towards the viewer on a vertical run
+            const up = new THREE.Vector3(0, 1, 0);
+            if (Math.abs(tangent.dot(up)) > 0.95) up.set(0, 0, 1);
+            up.addScaledVector(tangent, -tangent.dot(up)).normalize();
+            model.group.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(tangent, up, new THREE.Vector3().crossVectors(tangent, up)));
+            model.group.position.copy(hose.curve.getPointAt(at));
+            model.wheelMaterial.color.setHex(valveColor(opening));
+            model.wheel.rotation.y = (1 - opening) * Math.PI; // half a turn from open to shut
+        });
+        // Models of hoses that are gone
+        this.valves.forEach((model, hose) => {
+            if (!fountain.hoses.includes(hose)) this.removeValve(hose);
+        });
+
+        // Pump: handle down for a few frames after a stroke (not with reduced motion), vent cap
+        // lit while open, and the tube from the barrel up to the top of C
+        const pressed = this.pressFrames > 0 && !fountain.reducedMotion;
+        this.pump.handle.position.y = pressed ? 1.9 : 2.5;
+        if (this.pressFrames > 0) this.pressFrames--;
+        this.ventMaterial.color.setHex(sim.pump.vent ? 0xef5350 : 0x607d8b);
+        this.ventMaterial.emissive.setHex(sim.pump.vent ? 0x661111 : 0x000000);
+        const start = this.pump.group.position.clone().add(this.pump.outlet);
+        const end = fountain.localPosition(fountain.ports.C.top).add(new THREE.Vector3(0.15, 0.03, 0.15));
+        const mid = new THREE.Vector3((start.x + end.x) / 2, Math.max(start.y, end.y) + 0.4, (start.z + end.z) / 2);
+        this.pumpTube.geometry.dispose();
+        this.pumpTube.geometry = new THREE.TubeGeometry(new THREE.CatmullRomCurve3([start, mid, end]), 32, 0.05, 8, false);
+    }
+}
+
+// Clicks in the scene: a valve steps to its next opening, the pump handle makes a stroke,
+// the vent cap opens or closes the vent, and while placing, a hose gets a valve where it
+// was clicked. Right-click removes a valve.
+export class FittingControls {
+    constructor(fountain, camera, domElement, options = {}) {
+        this.fountain = fountain;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.onInput = options.onInput || (() => true);
+        this.onMessage = options.onMessage || (() => {});
+        this.onPlacingChange = options.onPlacingChange || (() => {});
+        this.placing = false;
+        this.pointerDown = null;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        domElement.addEventListener('pointerdown', e => {
+            if (e.button === 0) this.pointerDown = { x: e.clientX, y: e.clientY };
+        });
+        domElement.addEventListener('pointerup', e => this.handlePointerUp(e));
+    }
+
+    setPlacing(placing) {
+        this.placing = placing;
+        if (placing) this.onMessage(t('message.valvePlace'), 'info');
+        this.onPlacingChange(placing);
+    }
+
+    // Objects under the pointer, nearest first
+    intersect(event, objects) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        return this.raycaster.intersectObjects(objects.filter(o => o.visible), false);
+    }
+
+    handlePointerUp(event) {
+        if (event.button !== 0 || !this.pointerDown) return;
+        const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+        this.pointerDown = null;
+        if (moved > CLICK_TOLERANCE) return; // the camera was being rotated
+        this.handleClick(event);
+    }
+
+    handleClick(event) {
+        const fountain = this.fountain;
+        const targets = fountain.fittings.getPickTargets();
+        const valveHit = this.intersect(event, targets.valves)[0];
+        if (valveHit) {
+            const hose = valveHit.object.userData.hose;
+            const opening = nextValveStep(hose.link.valve);
+            if (this.onInput({ type: 'valve', index: fountain.hoses.indexOf(hose), opening })) {
+                this.onMessage(t('message.valveSet', { hose: hoseName(hose, this.fountain.screenLabels), opening: formatNumber(opening * 100, 0) }), 'info');
+            }
+            return;
+        }
+        const pumpHit = this.intersect(event, targets.pump)[0];
+        if (pumpHit) {
+            const action = pumpHit.object.userData.pump === 'stroke' ? 'stroke' : (fountain.simulation.pump.vent ? 'seal' : 'vent');
+            this.onInput({ type: 'pump', action });
+            return;
+        }
+        if (!this.placing) return;
+        const hoseHit = this.intersect(event, fountain.getPickTargets().hoses)[0];
+        if (!hoseHit) return;
+        const hose = hoseHit.object.userData.hose;
+        const input = { type: 'valve', index: fountain.hoses.indexOf(hose), opening: hose.link.valve ?? 1, at: this.positionAlong(hose, hoseHit.point) };
+        if (this.onInput(input)) this.onMessage(t('message.valveAdded', { hose: hoseName(hose, this.fountain.screenLabels) }), 'success');
+        this.setPlacing(false);
+    }
+
+    // Fraction of the way along a hose nearest a clicked (world) point
+    positionAlong(hose, worldPoint) {
+        const point = this.fountain.root.worldToLocal(worldPoint.clone());
+        let best = 0.5;
+        let bestDistance = Infinity;
+        for (let i = 1; i < 40; i++) {
+            const at = i / 40;
+            const distance = hose.curve.getPointAt(at).distanceTo(point);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = at;
+            }
+        }
+        return Number(best.toFixed(3));
+    }
+
+    // Right-click on a valve takes it off; returns true if one was hit
+    removeValveAt(event) {
+        const hit = this.intersect(event, this.fountain.fittings.getPickTargets().valves)[0];
+        if (!hit) return false;
+        const hose = hit.object.userData.hose;
+        if (this.onInput({ type: 'removeValve', index: this.fountain.hoses.indexOf(hose) })) {
+            this.onMessage(t('message.valveRemoved', { hose: hoseName(hose, this.fountain.screenLabels) }), 'info');
+        }
+        return true;
+    }
+}
+
+// Panel: place a valve, turn or remove each one, and work the pump
+export class ValvePanel {
+    constructor(fountain, controls, options = {}) {
+        this.fountain = fountain;
+        this.controls = controls;
+        this.onInput = options.onInput || (() => true);
+        this.visible = false;
+        this.shownValves = null; // valves in the list, to rebuild it only when they change
+        this.createPanel();
+        onLocaleChange(() => { this.shownValves = null; });
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'valve-panel';
+        panel.style.cssText = `
+            position: fixed; inset-inline-end: 580px; bottom: 20px; width: 260px;
+            background: rgba(40, 32, 16, 0.96); color: #fff3e0; border: 1px solid #a8844a;
+            border-radius: 10px; padding: 12px; box-shadow: 0 8px 24px rgba(0,0,0,0.35);
+            font-size: 11px; display: none; z-index: 998;
+        `;
+        const title = document.createElement('div');
+        title.style.cssText = 'font-weight:600; color:#ffcc80; margin-bottom:8px; font-size:13px';
+        localize(title, 'valves.title');
+        panel.appendChild(title);
+
+        this.placeButton = document.createElement('button');
+        localize(this.placeButton, 'valves.place');
+        this.placeButton.setAttribute('aria-pressed', 'false');
+        this.placeButton.addEventListener('click', () => this.controls.setPlacing(!this.controls.placing));
+        panel.appendChild(this.placeButton);
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'margin:4px 0 8px; opacity:0.75';
+        localize(hint, 'valves.hint');
+        panel.appendChild(hint);
+
+        this.list = document.createElement('div');
+        panel.appendChild(this.list);
+
+        const heading = document.createElement('div');
+        heading.style.cssText = 'font-weight:600; color:#ffcc80; margin:10px 0 4px';
+        localize(heading, 'valves.pump');
+        panel.appendChild(heading);
+        this.pumpStatus = document.createElement('div');
+        this.pumpStatus.style.marginBottom = '6px';
+        panel.appendChild(this.pumpStatus);
+        const stroke = document.createElement('button');
+        localize(stroke, 'valves.stroke');
+        stroke.addEventListener('click', () => this.onInput({ type: 'pump', action: 'stroke' }));
+        this.ventButton = document.createElement('button');
+        this.ventButton.style.marginInlineStart = '6px';
+        this.ventButton.addEventListener('click', () => this.onInput({ type: 'pump', action: this.fountain.simulation.pump.vent ? 'seal' : 'vent' }));
+        panel.append(stroke, this.ventButton);
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.panel.style.display = this.visible ? 'block' : 'none';
+        if (!this.visible && this.controls.placing) this.controls.setPlacing(false);
+    }
+
+    // Follow the simulation: valves also change by clicking them, loading a scenario or replaying a run
+    update() {
+        this.placeButton.setAttribute('aria-pressed', String(this.controls.placing));
+        if (!this.visible) return;
+        const fountain = this.fountain;
+        const sim = fountain.simulation;
+        const valves = fountain.hoses.filter(hose => hose.link && hose.link.valve !== null);
+        const key = valves.map(hose => `${fountain.hoses.indexOf(hose)}:${hose.link.valve}`).join(',');
+        if (key !== this.shownValves) {
+            this.shownValves = key;
+            this.renderList(valves);
+        }
+        this.setText(this.pumpStatus, t('valves.pumpStatus', { strokes: sim.pump.strokes, pressure: formatPressure(sim.airPressures.C) }));
+        this.setText(this.ventButton, t(sim.pump.vent ? 'valves.seal' : 'valves.vent'));
+        this.ventButton.setAttribute('aria-pressed', String(sim.pump.vent));
+    }
+
+    renderList(valves) {
+        this.list.innerHTML = '';
+        if (!valves.length) {
+            const none = document.createElement('div');
+            none.style.opacity = '0.75';
+            none.textContent = t('valves.none');
+            this.list.appendChild(none);
+            return;
+        }
+        valves.forEach(hose => {
+            const index = this.fountain.hoses.indexOf(hose);
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex; gap:6px; align-items:center; margin-bottom:4px';
+            const name = document.createElement('span');
+            name.style.flex = '1';
+            name.textContent = hoseName(hose, this.fountain.screenLabels);
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', t('valves.opening', { hose: hoseName(hose, this.fountain.screenLabels) }));
+            const steps = VALVE_STEPS.includes(hose.link.valve) ? VALVE_STEPS : [...VALVE_STEPS, hose.link.valve].sort((a, b) => b - a);
+            steps.forEach(step => {
+                const option = document.createElement('option');
+                option.value = String(step);
+                option.textContent = step > 0 ? `${formatNumber(step * 100, 0)} %` : t('valves.shut');
+                select.appendChild(option);
+            });
+            select.value = String(hose.link.valve);
+            select.addEventListener('change', () => this.onInput({ type: 'valve', index, opening: Number(select.value) }));
+            const remove = document.createElement('button');
+            remove.textContent = '✕';
+            remove.title = t('valves.remove');
+            remove.setAttribute('aria-label', t('valves.remove'));
+            remove.addEventListener('click', () => this.onInput({ type: 'removeValve', index }));
+            row.append(name, select, remove);
+            this.list.appendChild(row);
+        });
+    }
+
+    setText(element, text) {
+        if (element.textContent !== text) element.textContent = text;
+    }
+}
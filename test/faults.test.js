@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FountainSimulation, noFaults } from '../src/herons_fountain/simulation.js';
+import { validateScenario } from '../src/herons_fountain/scenario.js';
+import { buildNetwork } from '../src/herons_fountain/network.js';
+import { DEFAULT_GEOMETRY } from '../src/herons_fountain/geometry.js';
+
+const STEP = 1 / 60; // s, the app's fixed step
+
+function classic(faults) {
+    const sim = new FountainSimulation();
+    sim.addDefaultHoses();
+    sim.setFaults(faults);
+    return sim;
+}
+
+function run(sim, seconds) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) sim.step(STEP);
+}
+
+// The classic fountain's starting scenario with `faults`
+function withFaults(faults, changes = {}) {
+    return { version: 1, levels: { A: 0.75, B: 1, C: 0.26 }, faults, ...changes };
+}
+
+describe('the fault table', () => {
+    it('has air leaks on sealed vessels, water leaks on all and clogs on the named pipes', () => {
+        assert.deepEqual(noFaults(buildNetwork(DEFAULT_GEOMETRY)), {
+            airLeak: { B: 0, C: 0 },
+            waterLeak: { A: 0, B: 0, C: 0 },
+            clog: { P1: 0, P2: 0, P3: 0 }
+        });
+        const cascade = noFaults(buildNetwork(DEFAULT_GEOMETRY, { stages: 2 }));
+        assert.deepEqual(Object.keys(cascade.clog), ['P1', 'P2.1', 'P1.1', 'P2', 'P3']);
+        assert.deepEqual(Object.keys(cascade.airLeak), ['B1', 'C1', 'B', 'C']);
+    });
+});
+
+describe('scenario faults', () => {
+    it('accepts faults the fountain has', () => {
+        assert.doesNotThrow(() => validateScenario(withFaults({ airLeak: { C: 0.001 }, waterLeak: { A: 0.002 }, clog: { P3: 1 } })));
+    });
+
+    it('refuses unknown faults and targets', () => {
+        assert.throws(() => validateScenario(withFaults({ crack: { A: 1 } })), /unknown fault crack \(expected airLeak, waterLeak, clog\)/);
+        assert.throws(() => validateScenario(withFaults({ airLeak: { A: 0.001 } })), /no airLeak on A \(expected one of B, C\)/);
+        assert.throws(() => validateScenario(withFaults({ clog: { hose: 0.5 } })), /no clog on hose/);
+        assert.throws(() => validateScenario(withFaults({ clog: { toString: 0.5 } })), /no clog on toString/);
+        assert.throws(() => validateScenario(withFaults({ clog: 0.5 })), /faults must map each fault to its targets/);
+    });
+
+    it('refuses negative sizes and clogs over 1', () => {
+        assert.throws(() => validateScenario(withFaults({ waterLeak: { B: -0.001 } })), /waterLeak on B must be zero or more/);
+        assert.throws(() => validateScenario(withFaults({ clog: { P1: 1.5 } })), /clog on P1 must be from 0 to 1/);
+        assert.throws(() => validateScenario(withFaults({ airLeak: { C: '0.001' } })), /airLeak on C must be zero or more/);
+    });
+
+    it('checks a cascade\'s faults against its own pipes', () => {
+        const levels = { A: 0.75, B1: 1, C1: 0.26, B: 1, C: 0.26 };
+        assert.doesNotThrow(() => validateScenario(withFaults({ clog: { 'P2.1': 0.5 } }, { stages: 2, levels })));
+        assert.throws(() => validateScenario(withFaults({ clog: { 'P2.1': 0.5 } })), /no clog on P2\.1/);
+    });
+});
+
+describe('faults in the simulation', () => {
+    it('an air leak in C lets the pressure out', () => {
+        const sound = classic();
+        const leaking = classic({ airLeak: { C: 0.001 } });
+        [sound, leaking].forEach(sim => run(sim, 10));
+        assert.ok(leaking.airPressure < sound.airPressure);
+        assert.ok(leaking.jetHeight < sound.jetHeight);
+        assert.ok(leaking.leakFlows.air.C > 0, 'air flows out of C');
+    });
+
+    it('a water leak loses water, and all of it is accounted for', () => {
+        const sim = classic({ waterLeak: { A: 0.002 } });
+        const total = () => Object.values(sim.volumes).reduce((sum, v) => sum + v, 0);
+        const before = total();
+        run(sim, 10);
+        assert.ok(sim.leakedVolumes.A > 0);
+        assert.equal(sim.leakedVolume, sim.leakedVolumes.A);
+        assert.ok(sim.leakFlows.water.A > 0);
+        assert.ok(Math.abs(total() + sim.leakedVolume + sim.spilledVolume - before) < 1e-12);
+        assert.ok(sim.getEnergy().cycle.loss.leaks > 0);
+    });
+
+    it('a clog narrows its pipe and a full one stops it', () => {
+        const sound = classic();
+        const half = classic({ clog: { P3: 0.5 } });
+        const blocked = classic({ clog: { P3: 1 } });
+        [sound, half, blocked].forEach(sim => run(sim, 5));
+        assert.ok(half.jetFlow > 0 && half.jetFlow < sound.jetFlow);
+        assert.equal(blocked.jetFlow, 0);
+        assert.equal(blocked.waterLevels.B, 1);
+    });
+
+    it('setFault refuses what the table does not have and caps clogs at 1', () => {
+        const sim = classic();
+        assert.throws(() => sim.setFault('airLeak', 'A', 0.001), /Unknown fault: airLeak on A/);
+        assert.throws(() => sim.setFault('waterLeak', 'C', -1), /Invalid waterLeak size/);
+        sim.setFault('clog', 'P1', 2);
+        assert.equal(sim.faults.clog.P1, 1);
+        sim.clearFaults();
+        assert.equal(sim.hasFaults(), false);
+    });
+
+    it('leaks move with their chamber when the pair is flipped', () => {
+        const sim = classic({ airLeak: { C: 0.001 }, waterLeak: { B: 0.002 } });
+        sim.flip();
+        assert.deepEqual(sim.faults.airLeak, { B: 0.001, C: 0 });
+        assert.deepEqual(sim.faults.waterLeak, { A: 0, B: 0, C: 0.002 });
+    });
+});
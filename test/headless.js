@@ -0,0 +1,25 @@
+import { FountainSimulation } from '../src/herons_fountain/simulation.js';
+
+// The part of Fountain that scenarios and replays drive, over a bare simulation
+// (Fountain itself draws with three.js in a browser)
+export function headlessFountain() {
+    const sim = new FountainSimulation();
+    sim.addDefaultHoses();
+    return {
+        simulation: sim,
+        setNozzle: settings => sim.setNozzle(settings),
+        getHoseTopology: () => sim.hoses.map(({ from, fromPort, to, toPort, pipe, valve }) =>
+            (valve === null ? { from, fromPort, to, toPort, pipe } : { from, fromPort, to, toPort, pipe, valve, valveAt: 0.5 })),
+        setHoses: topology => {
+            sim.clearHoses();
+            topology.forEach(h => {
+                const hose = sim.addHose(h.from, h.fromPort, h.to, h.toPort, h.pipe);
+                if (h.valve !== undefined && h.valve !== null) sim.setValve(hose, h.valve);
+            });
+        },
+        setFlipOrientation: orientation => { sim.flipOrientation = orientation % 2; },
+        setFlowIntensity: value => sim.setFlowIntensity(value),
+        capturePrevious: () => {},
+        droplets: { count: 0 } // no particles without a scene
+    };
+}
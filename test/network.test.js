@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNetwork, validateNetwork, INITIAL_LEVELS, MAX_STAGES } from '../src/herons_fountain/network.js';
+import { DEFAULT_GEOMETRY } from '../src/herons_fountain/geometry.js';
+import { FountainSimulation } from '../src/herons_fountain/simulation.js';
+
+const STEP = 1 / 60; // s, the app's fixed step
+
+function run(sim, seconds) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) sim.step(STEP);
+}
+
+function cascade(stages) {
+    const sim = new FountainSimulation({ network: buildNetwork(DEFAULT_GEOMETRY, { stages }) });
+    sim.addDefaultHoses();
+    return sim;
+}
+
+describe('buildNetwork()', () => {
+    it('builds the classic fountain for one stage', () => {
+        const network = validateNetwork(buildNetwork(DEFAULT_GEOMETRY));
+        assert.deepEqual(Object.keys(network.vessels), ['A', 'B', 'C']);
+        assert.deepEqual(network.flip, [['B', 'C']]);
+        assert.deepEqual(network.levels, INITIAL_LEVELS);
+    });
+
+    it('chains the stages of a cascade from the bowl to the nozzle', () => {
+        const network = buildNetwork(DEFAULT_GEOMETRY, { stages: 3 });
+        assert.equal(validateNetwork(network), network);
+        assert.deepEqual(Object.keys(network.vessels), ['A', 'B1', 'C1', 'B2', 'C2', 'B', 'C']);
+        assert.deepEqual(network.flip, [['B1', 'C1'], ['B2', 'C2'], ['B', 'C']]);
+        assert.deepEqual(network.hoses, [
+            ['A', 'drain', 'C1', 'bottom', 'P1'],
+            ['C1', 'top', 'B1', 'top', 'P2.1'],
+            ['B1', 'bottom', 'C2', 'bottom', 'P1.1'],
+            ['C2', 'top', 'B2', 'top', 'P2.2'],
+            ['B2', 'bottom', 'C', 'bottom', 'P1.2'],
+            ['C', 'top', 'B', 'top', 'P2'],
+            ['B', 'bottom', 'A', 'nozzle', 'P3']
+        ]);
+        assert.equal(network.gauge, 'C');
+        assert.equal(network.pump, 'C');
+        assert.deepEqual(network.nozzle, { vessel: 'A', pipe: 'P3' });
+    });
+
+    it('gives every stage the classic chambers, ports, pipes and levels', () => {
+        const classic = buildNetwork(DEFAULT_GEOMETRY);
+        const network = buildNetwork(DEFAULT_GEOMETRY, { stages: MAX_STAGES });
+        assert.deepEqual(network.vessels.A, classic.vessels.A);
+        network.flip.forEach(([upper, lower]) => {
+            assert.deepEqual(network.vessels[upper], classic.vessels.B);
+            assert.deepEqual(network.vessels[lower], classic.vessels.C);
+            assert.equal(network.levels[upper], INITIAL_LEVELS.B);
+            assert.equal(network.levels[lower], INITIAL_LEVELS.C);
+        });
+        assert.equal(network.levels.A, INITIAL_LEVELS.A);
+        for (let s = 1; s < MAX_STAGES; s++) {
+            assert.deepEqual(network.pipes[`P1.${s}`], classic.pipes.P1);
+            assert.deepEqual(network.pipes[`P2.${s}`], classic.pipes.P2);
+        }
+        // Copies, so moving one chamber's port leaves the others alone
+        network.vessels.B1.ports.top = 0;
+        assert.equal(network.vessels.B.ports.top, classic.vessels.B.ports.top);
+    });
+
+    it('refuses stage counts other than 1 to MAX_STAGES', () => {
+        [0, MAX_STAGES + 1, 1.5, '2'].forEach(stages => {
+            assert.throws(() => buildNetwork(DEFAULT_GEOMETRY, { stages }), /Invalid stage count/);
+        });
+    });
+});
+
+describe('validateNetwork()', () => {
+    it('refuses a cascade with a hose to a missing port or pipe', () => {
+        const network = buildNetwork(DEFAULT_GEOMETRY, { stages: 2 });
+        const badPort = { ...network, hoses: [...network.hoses, ['B1', 'nozzle', 'A', 'drain', 'hose']] };
+        assert.throws(() => validateNetwork(badPort), /hose end B1\.nozzle is not a port/);
+        const badPipe = { ...network, hoses: [['C1', 'top', 'B1', 'top', 'P2.7']] };
+        assert.throws(() => validateNetwork(badPipe), /unknown pipe P2\.7/);
+    });
+
+    it('refuses flip pairs of different sizes or with an open vessel', () => {
+        const network = buildNetwork(DEFAULT_GEOMETRY, { stages: 2 });
+        const taller = { ...network.vessels.C1, height: network.vessels.C1.height * 2 };
+        assert.throws(() => validateNetwork({ ...network, vessels: { ...network.vessels, C1: taller } }), /must be the same size/);
+        assert.throws(() => validateNetwork({ ...network, flip: [['A', 'C1']] }), /must be two sealed vessels/);
+    });
+});
+
+describe('a cascade in the simulation', () => {
+    it('starts each chamber at its network level', () => {
+        const sim = cascade(3);
+        assert.deepEqual(sim.keys, ['A', 'B1', 'C1', 'B2', 'C2', 'B', 'C']);
+        const levels = sim.waterLevels;
+        sim.keys.forEach(key => assert.ok(Math.abs(levels[key] - sim.network.levels[key]) < 1e-12, key));
+        // Each receiver's bottom and air ports sit at the same heights as the classic C's
+        const classic = new FountainSimulation();
+        ['C1', 'C2'].forEach(key => ['bottom', 'top'].forEach(port => {
+            assert.equal(sim.portElevation(key, port), classic.portElevation('C', port));
+        }));
+    });
+
+    it('moves water down every stage and drives the jet harder than one stage', () => {
+        const sim = cascade(2);
+        const one = cascade(1);
+        [sim, one].forEach(s => run(s, 10));
+        const levels = sim.waterLevels;
+        assert.ok(levels.C1 > INITIAL_LEVELS.C && levels.B1 < INITIAL_LEVELS.B, 'stage 1 runs');
+        assert.ok(levels.C > INITIAL_LEVELS.C && levels.B < INITIAL_LEVELS.B, 'stage 2 runs');
+        assert.ok(sim.airPressure > one.airPressure);
+        assert.ok(sim.jetHeight > one.jetHeight);
+        assert.equal(sim.referenceHead(), 2 * one.referenceHead());
+    });
+
+    it('turns every pair over at a flip', () => {
+        const sim = cascade(3);
+        run(sim, 5);
+        const before = sim.waterLevels;
+        sim.flip();
+        const after = sim.waterLevels;
+        sim.network.flip.forEach(([upper, lower]) => {
+            assert.equal(after[upper], before[lower]);
+            assert.equal(after[lower], before[upper]);
+        });
+        assert.equal(after.A, before.A);
+    });
+});
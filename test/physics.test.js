@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GRAVITY, ATMOSPHERIC_PRESSURE, boylePressure, hydrostaticPressure, pressureHead,
+    pipeArea, pipeVelocity, pipeFlow, nozzleVelocity, jetHeight
+} from '../src/herons_fountain/physics.js';
+import { FountainSimulation } from '../src/herons_fountain/simulation.js';
+
+const STEP = 1 / 60; // s, the app's fixed step
+const FRICTIONLESS = { bore: 0.008, length: 0.6, friction: 0, minorLoss: 0 };
+
+// Equal to within a relative tolerance
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)), `${actual} is not ${expected}`);
+}
+
+// The classic fountain with its default (frictionless) pipes, run for `seconds`
+function runClassic(seconds) {
+    const sim = new FountainSimulation();
+    sim.addDefaultHoses();
+    const airBefore = sim.airVolume('B') + sim.airVolume('C');
+    for (let i = 0; i < Math.round(seconds / STEP); i++) sim.step(STEP);
+    return { sim, airBefore };
+}
+
+describe('Torricelli outflow', () => {
+    it('is √(2gh) with no friction or minor losses', () => {
+        [0.05, 0.2, 0.5, 1.3].forEach(head => {
+            assertClose(pipeVelocity(head, FRICTIONLESS), Math.sqrt(2 * GRAVITY * head));
+            assertClose(nozzleVelocity(head, FRICTIONLESS, 0.004), Math.sqrt(2 * GRAVITY * head));
+        });
+    });
+
+    it('carries the bore area times that speed', () => {
+        const head = 0.3;
+        assertClose(pipeFlow(head, FRICTIONLESS), Math.PI * 0.008 ** 2 / 4 * Math.sqrt(2 * GRAVITY * head));
+        assertClose(pipeFlow(head, FRICTIONLESS, 0.5), pipeArea(0.008) * 0.5 * Math.sqrt(2 * GRAVITY * head));
+    });
+
+    it('is slowed by friction and minor losses, and stops without head', () => {
+        const rough = { ...FRICTIONLESS, friction: 0.03, minorLoss: 0.5 };
+        assert.ok(pipeVelocity(0.3, rough) < pipeVelocity(0.3, FRICTIONLESS));
+        assertClose(pipeVelocity(0.3, rough), Math.sqrt(2 * GRAVITY * 0.3 / (1 + 0.5 + 0.03 * 0.6 / 0.008)));
+        assert.equal(pipeVelocity(0, FRICTIONLESS), 0);
+        assert.equal(pipeVelocity(-0.1, FRICTIONLESS), 0);
+    });
+});
+
+describe('Boyle\'s law', () => {
+    it('doubles the absolute pressure when the air is squeezed into half the volume', () => {
+        const volume = 0.002;
+        const content = ATMOSPHERIC_PRESSURE * volume;
+        assertClose(boylePressure(content, volume), ATMOSPHERIC_PRESSURE);
+        assertClose(boylePressure(content, volume / 2), 2 * ATMOSPHERIC_PRESSURE);
+        assertClose(boylePressure(content, volume * 0.8), ATMOSPHERIC_PRESSURE / 0.8);
+    });
+
+    it('gives the pressure of the shared air in B and C after water has run into C', () => {
+        const { sim, airBefore } = runClassic(10);
+        const airAfter = sim.airVolume('B') + sim.airVolume('C');
+        assert.ok(airAfter < airBefore, 'the air has been compressed');
+        // Sealed at atmospheric pressure, so p·V = p₀·V₀
+        const expected = ATMOSPHERIC_PRESSURE * airBefore / airAfter - ATMOSPHERIC_PRESSURE;
+        assertClose(sim.airPressure, expected);
+        assertClose(sim.airPressures.B, expected);
+        assertClose(sim.airPressures.C, expected);
+    });
+
+    it('balances a water column of the matching head', () => {
+        [0.1, 0.25, 1].forEach(depth => assertClose(pressureHead(hydrostaticPressure(depth)), depth));
+        assertClose(hydrostaticPressure(0.3), 1000 * GRAVITY * 0.3);
+    });
+});
+
+describe('jet height', () => {
+    it('is v²/2g, so a Torricelli jet rises back to its head', () => {
+        [0.05, 0.2, 0.5].forEach(head => assertClose(jetHeight(pipeVelocity(head, FRICTIONLESS)), head));
+    });
+
+    it('equals the head available at the upright nozzle in the running fountain', () => {
+        const { sim } = runClassic(10);
+        assert.ok(sim.jetHead > 0, 'the jet is running');
+        assertClose(sim.jetHeight, sim.jetHead);
+        assertClose(sim.jetVelocity, Math.sqrt(2 * GRAVITY * sim.jetHead));
+    });
+});
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    RunRecorder, RunPlayer, validateRun, runFromJSON, captureRunState, compareRunState
+} from '../src/herons_fountain/replay.js';
+import { captureScenario, applyScenario } from '../src/herons_fountain/scenario.js';
+import { headlessFountain } from './headless.js';
+
+const STEP = 1 / 60; // s, the app's fixed step
+
+// The inputs of HeronsFountain.applyInput that a headless fountain takes
+function applyInput(fountain, input) {
+    const sim = fountain.simulation;
+    switch (input.type) {
+        case 'flip':
+            sim.flip();
+            break;
+        case 'reset':
+            sim.reset();
+            break;
+        case 'flow':
+            sim.setFlowIntensity(input.value);
+            break;
+        case 'scenario':
+            applyScenario(input.scenario, fountain);
+            break;
+        case 'fault':
+            sim.setFault(input.fault, input.target, input.value);
+            break;
+        case 'pump':
+            if (input.action === 'stroke') sim.pumpStroke();
+            else sim.setPumpVent(input.action === 'vent');
+            break;
+        case 'levels':
+            sim.setLevels(input.levels);
+            break;
+        default:
+            throw new Error(`Not a headless input: ${input.type}`);
+    }
+}
+
+// Record `steps` steps, applying `script[step]` before each, as the app does: from the
+// rounded scenario of a fountain that has already been running for a while
+function record(script, steps) {
+    const fountain = headlessFountain();
+    for (let i = 0; i < 90; i++) fountain.simulation.step(STEP);
+    const initial = captureScenario(fountain);
+    applyScenario(initial, fountain);
+    const recorder = new RunRecorder();
+    recorder.start({ seed: 7, fixedDt: STEP, initial });
+    for (let step = 0; step < steps; step++) {
+        (script[step] || []).forEach(input => {
+            applyInput(fountain, input);
+            recorder.log(input);
+        });
+        fountain.simulation.step(STEP);
+        recorder.tick();
+    }
+    return { run: recorder.stop(captureRunState(fountain)), fountain };
+}
+
+function replay(run) {
+    const fountain = headlessFountain();
+    applyScenario(run.initial, fountain);
+    const player = new RunPlayer(run);
+    while (!player.done) {
+        player.takeDueInputs().forEach(input => applyInput(fountain, input));
+        fountain.simulation.step(run.fixedDt);
+        player.tick();
+    }
+    return fountain;
+}
+
+const SCRIPT = {
+    0: [{ type: 'flow', value: 0.8 }],
+    120: [{ type: 'fault', fault: 'airLeak', target: 'C', value: 0.0005 }],
+    200: [{ type: 'pump', action: 'stroke' }, { type: 'pump', action: 'stroke' }],
+    300: [{ type: 'flip' }],
+    360: [{ type: 'levels', levels: { A: 0.9 } }, { type: 'flow', value: 0.4 }],
+    480: [{ type: 'reset' }, { type: 'flow', value: 1 }]
+};
+
+describe('recording and replaying a run', () => {
+    it('logs each input against the step it arrived before', () => {
+        const { run } = record(SCRIPT, 600);
+        assert.equal(run.steps, 600);
+        assert.deepEqual(run.inputs.map(input => input.step), [0, 120, 200, 200, 300, 360, 360, 480, 480]);
+        assert.deepEqual(run.inputs[4], { step: 300, type: 'flip' });
+    });
+
+    it('ends a replay in exactly the recorded state', () => {
+        const { run, fountain } = record(SCRIPT, 600);
+        // Through a file, as the app saves and loads it
+        const loaded = runFromJSON(JSON.stringify(run));
+        const replayed = replay(loaded);
+        assert.deepEqual(compareRunState(run.final, captureRunState(replayed)), []);
+        assert.deepEqual(replayed.simulation.getStatus(), fountain.simulation.getStatus());
+        assert.deepEqual(replayed.simulation.getState(), fountain.simulation.getState());
+    });
+
+    it('notices a replay that went differently', () => {
+        const { run } = record(SCRIPT, 600);
+        const altered = { ...run, inputs: run.inputs.filter(input => input.type !== 'flip') };
+        assert.ok(compareRunState(run.final, captureRunState(replay(altered))).includes('volumes'));
+    });
+});
+
+describe('validateRun()', () => {
+    const valid = () => record({ 0: [{ type: 'flow', value: 0.5 }] }, 10).run;
+    const withInput = input => ({ ...valid(), inputs: [{ step: 0, ...input }] });
+
+    it('accepts a recorded run', () => {
+        assert.doesNotThrow(() => validateRun(valid()));
+    });
+
+    it('checks the envelope', () => {
+        assert.throws(() => validateRun({ ...valid(), version: 9 }), /Unsupported run version/);
+        assert.throws(() => validateRun({ ...valid(), seed: -1 }), /seed/);
+        assert.throws(() => validateRun({ ...valid(), inputs: [{ step: 11, type: 'flip' }] }), /no valid step/);
+        assert.throws(() => validateRun({ ...valid(), inputs: [{ step: 5, type: 'flip' }, { step: 2, type: 'flip' }] }), /out of order/);
+        assert.throws(() => runFromJSON('{'), /Invalid run file/);
+    });
+
+    it('checks every input\'s fields', () => {
+        assert.throws(() => validateRun(withInput({ type: 'teleport' })), /unknown input type "teleport"/);
+        assert.throws(() => validateRun(withInput({ type: 'flow', value: 2 })), /flow input 0 needs a value from 0 to 1/);
+        assert.throws(() => validateRun(withInput({ type: 'flow' })), /flow input 0/);
+        assert.throws(() => validateRun(withInput({ type: 'connect', from: 'A', fromPort: 'top', to: 'C', toPort: 'bottom' })), /starts at A\.top, which is not a port/);
+        assert.throws(() => validateRun(withInput({ type: 'disconnect', index: -1 })), /needs a hose index/);
+        assert.throws(() => validateRun(withInput({ type: 'disconnectContainer', container: 'Z' })), /unknown container Z/);
+        assert.throws(() => validateRun(withInput({ type: 'fault', fault: 'airLeak', target: 'A', value: 0.001 })), /unknown fault airLeak on A/);
+        assert.throws(() => validateRun(withInput({ type: 'fault', fault: 'clog', target: 'P1', value: 3 })), /has an invalid size/);
+        assert.throws(() => validateRun(withInput({ type: 'flipMode', mode: 'sometimes' })), /needs a mode/);
+        assert.throws(() => validateRun(withInput({ type: 'nozzle', nozzle: { angle: 5 } })), /within their limits/);
+        assert.throws(() => validateRun(withInput({ type: 'valve', index: 0, opening: 1.2 })), /needs an opening/);
+        assert.throws(() => validateRun(withInput({ type: 'pump', action: 'blow' })), /needs an action/);
+        assert.throws(() => validateRun(withInput({ type: 'levels', levels: { A: 'full' } })), /fill fractions/);
+        assert.throws(() => validateRun(withInput({ type: 'scenario', scenario: { version: 1 } })), /has an invalid scenario \(Invalid scenario: missing level for A\)/);
+        assert.throws(() => validateRun({ ...valid(), inputs: [null] }), /input 0 must be an object/);
+    });
+
+    it('accepts every input the app records', () => {
+        const initial = valid().initial;
+        const inputs = [
+            { type: 'flip' }, { type: 'reset' }, { type: 'clearFaults' }, { type: 'flow', value: 0.3 },
+            { type: 'scenario', scenario: initial },
+            { type: 'connect', from: 'A', fromPort: 'drain', to: 'C', toPort: 'bottom' },
+            { type: 'disconnect', index: 0 }, { type: 'disconnectContainer', container: 'B' },
+            { type: 'fault', fault: 'clog', target: 'P3', value: 1 },
+            { type: 'flipMode', mode: 'timed', interval: 30 }, { type: 'flipMode', mode: 'manual' },
+            { type: 'nozzle', nozzle: { angle: 60 } },
+            { type: 'valve', index: 2, opening: 0.5, at: 0.3 }, { type: 'removeValve', index: 2 },
+            { type: 'pump', action: 'stroke' }, { type: 'pump', action: 'vent' }, { type: 'pump', action: 'seal' },
+            { type: 'levels', levels: { A: 0.5, C: 0 } }
+        ];
+        assert.doesNotThrow(() => validateRun({ ...valid(), inputs: inputs.map(input => ({ step: 0, ...input })) }));
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FountainSimulation } from '../src/herons_fountain/simulation.js';
+import {
+    captureScenario, applyScenario, validateScenario, scenarioToJSON, scenarioFromJSON, scenarioToHash, scenarioFromHash
+} from '../src/herons_fountain/scenario.js';
+import { MAX_STAGES } from '../src/herons_fountain/network.js';
+import { headlessFountain } from './headless.js';
+
+const STEP = 1 / 60; // s, the app's fixed step
+
+function run(sim, seconds) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) sim.step(STEP);
+}
+
+// A sound scenario of the classic fountain, with `changes` on top
+function scenario(changes = {}) {
+    return {
+        version: 1,
+        levels: { A: 0.75, B: 1, C: 0.26 },
+        pressure: { B: 0, C: 0 },
+        flowIntensity: 0.25,
+        hoses: [
+            { from: 'A', fromPort: 'drain', to: 'C', toPort: 'bottom', pipe: 'P1' },
+            { from: 'C', fromPort: 'top', to: 'B', toPort: 'top', pipe: 'P2' },
+            { from: 'B', fromPort: 'bottom', to: 'A', toPort: 'nozzle', pipe: 'P3' }
+        ],
+        flipOrientation: 0,
+        ...changes
+    };
+}
+
+describe('validateScenario()', () => {
+    it('accepts a sound scenario', () => {
+        assert.doesNotThrow(() => validateScenario(scenario()));
+    });
+
+    it('refuses hose ends that are not ports', () => {
+        const hoses = [{ from: 'A', fromPort: 'top', to: 'C', toPort: 'bottom', pipe: 'P1' }];
+        assert.throws(() => validateScenario(scenario({ hoses })), /hose end A\.top is not a port/);
+        const toNowhere = [{ from: 'A', fromPort: 'drain', to: 'D', toPort: 'bottom' }];
+        assert.throws(() => validateScenario(scenario({ hoses: toNowhere })), /hose end D\.bottom is not a port/);
+        assert.throws(() => validateScenario(scenario({ hoses: ['A.drain'] })), /each hose must be an object/);
+    });
+
+    it('refuses unknown pipes', () => {
+        const hoses = [{ from: 'A', fromPort: 'drain', to: 'C', toPort: 'bottom', pipe: 'P9' }];
+        assert.throws(() => validateScenario(scenario({ hoses })), /names unknown pipe P9/);
+    });
+
+    it('refuses pressures that are not numbers, below a vacuum or on an open vessel', () => {
+        assert.throws(() => validateScenario(scenario({ pressure: { C: -500000 } })), /pressure on C must be/);
+        assert.throws(() => validateScenario(scenario({ pressure: { B: '5000' } })), /pressure on B must be/);
+        assert.throws(() => validateScenario(scenario({ pressure: { C: NaN } })), /pressure on C must be/);
+        assert.throws(() => validateScenario(scenario({ pressure: { A: 100 } })), /no air pressure on A/);
+        assert.throws(() => validateScenario(scenario({ pressure: 2000 })), /pressure must map/);
+        assert.doesNotThrow(() => validateScenario(scenario({ pressure: { C: -50000 } })));
+    });
+
+    it('refuses a flow outside 0 to 1 and a flip orientation other than 0 or 1', () => {
+        assert.throws(() => validateScenario(scenario({ flowIntensity: 1.5 })), /flowIntensity/);
+        assert.throws(() => validateScenario(scenario({ flowIntensity: '0.5' })), /flowIntensity/);
+        assert.throws(() => validateScenario(scenario({ flipOrientation: 2 })), /flipOrientation/);
+    });
+
+    it('checks a cascade\'s scenario against its stages', () => {
+        const levels = { A: 0.75, B1: 1, C1: 0.26, B: 1, C: 0.26 };
+        assert.doesNotThrow(() => validateScenario(scenario({ stages: 2, levels, pressure: { B1: 0, C1: 0, C: 0 } })));
+        assert.throws(() => validateScenario(scenario({ stages: 2 })), /missing level for B1/);
+        assert.throws(() => validateScenario(scenario({ stages: 2, levels }), new FountainSimulation()), /made for 2 stages but this fountain has 1 stage/);
+        assert.throws(() => validateScenario(scenario({ stages: MAX_STAGES + 1 })), /stages must be/);
+    });
+
+    it('refuses missing levels and other versions', () => {
+        assert.throws(() => validateScenario(scenario({ levels: { A: 0.5, B: 0.5 } })), /missing level for C/);
+        assert.throws(() => validateScenario(scenario({ version: 2 })), /Unsupported scenario version/);
+    });
+});
+
+describe('applyScenario()', () => {
+    it('changes nothing when the scenario is refused', () => {
+        const fountain = headlessFountain();
+        const sim = fountain.simulation;
+        run(sim, 5);
+        const state = sim.getState();
+        const bad = scenario({ levels: { A: 0.1, B: 0.1, C: 0.1 }, pressure: { C: -500000 } });
+        assert.throws(() => applyScenario(bad, fountain));
+        assert.deepEqual(sim.getState(), state);
+    });
+
+    it('round-trips through JSON and a URL hash to the same fountain', () => {
+        const source = headlessFountain();
+        source.simulation.setFlowIntensity(0.6);
+        source.simulation.setFaults({ airLeak: { C: 0.0004 } });
+        run(source.simulation, 8);
+        const saved = captureScenario(source);
+
+        [scenarioFromJSON(scenarioToJSON(saved)), scenarioFromHash(scenarioToHash(saved))].forEach(loaded => {
+            assert.deepEqual(loaded, saved);
+            const copy = headlessFountain();
+            applyScenario(loaded, copy);
+            assert.deepEqual(captureScenario(copy), saved);
+            // The rounded levels and pressures come back within what was saved
+            const status = copy.simulation.getStatus();
+            const expected = source.simulation.getStatus();
+            ['containerA', 'containerB', 'containerC', 'pressurePa'].forEach(key => assert.ok(Math.abs(status[key] - expected[key]) <= 1, key));
+            assert.deepEqual(copy.simulation.getFaults(), source.simulation.getFaults());
+        });
+    });
+
+    it('loads pressures into the sealed chambers', () => {
+        const fountain = headlessFountain();
+        applyScenario(scenario({ pressure: { B: 1500, C: 1500 } }), fountain);
+        ['B', 'C'].forEach(key => assert.ok(Math.abs(fountain.simulation.airPressures[key] - 1500) < 1e-6, key));
+    });
+});
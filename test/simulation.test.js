@@ -0,0 +1,248 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FountainSimulation } from '../src/herons_fountain/simulation.js';
+import { GRAVITY, WATER_DENSITY } from '../src/herons_fountain/physics.js';
+import { buildNetwork } from '../src/herons_fountain/network.js';
+import { DEFAULT_GEOMETRY } from '../src/herons_fountain/geometry.js';
+
+const STEP = 1 / 60; // s, the app's fixed step
+
+// The classic fountain with its default hoses, as the app starts it
+function classic() {
+    const sim = new FountainSimulation();
+    sim.addDefaultHoses();
+    return sim;
+}
+
+function run(sim, seconds) {
+    for (let i = 0; i < Math.round(seconds / STEP); i++) sim.step(STEP);
+}
+
+// Run until the fountain has run itself out (or give up after `limit` s)
+function runOut(sim, limit = 600) {
+    for (let t = 0; t < limit && !sim.shouldAutoFlip(); t += STEP) sim.step(STEP);
+    assert.ok(sim.shouldAutoFlip(), `still running after ${limit} s`);
+}
+
+// All the water there is: in the vessels, leaked and spilled (m³)
+function totalWater(sim) {
+    return Object.values(sim.volumes).reduce((sum, v) => sum + v, 0) + sim.leakedVolume + sim.spilledVolume;
+}
+
+// Energy the books cannot explain, as a fraction of what was lost
+function relativeImbalance(books) {
+    return Math.abs(books.imbalance) / Object.values(books.loss).reduce((sum, v) => sum + v, 0);
+}
+
+describe('FountainSimulation', () => {
+    describe('step()', () => {
+        it('lifts water from the top container through the nozzle into the bowl', () => {
+            const sim = classic();
+            const before = sim.waterLevels;
+            run(sim, 10);
+            assert.ok(sim.airPressure > 0, 'air in C is compressed');
+            assert.ok(sim.jetFlow > 0 && sim.jetVelocity > 0, 'the jet is running');
+            assert.ok(sim.waterLevels.B < before.B, 'the top container drains');
+            assert.ok(sim.waterLevels.C > before.C, 'the air chamber fills');
+            assert.ok(Math.abs(sim.time - 10) < 1e-9);
+        });
+
+        it('neither makes nor loses water', () => {
+            const sim = classic();
+            const before = totalWater(sim);
+            run(sim, 30);
+            assert.ok(Math.abs(totalWater(sim) - before) < 1e-12);
+        });
+
+        it('does nothing while inactive or for a zero step', () => {
+            const sim = classic();
+            const state = sim.getState();
+            sim.step(0);
+            assert.deepEqual(sim.getState(), state);
+            sim.isActive = false;
+            const inactive = sim.getState();
+            sim.step(STEP);
+            assert.deepEqual(sim.getState(), inactive);
+        });
+
+        it('gives the same run for the same inputs', () => {
+            const a = classic();
+            const b = classic();
+            [a, b].forEach(sim => {
+                sim.setFlowIntensity(0.6);
+                run(sim, 20);
+            });
+            assert.deepEqual(a.getState(), b.getState());
+        });
+
+        it('runs the fountain out: the top container empties or the air chamber fills', () => {
+            const sim = classic();
+            sim.setFlowIntensity(1);
+            runOut(sim);
+            const levels = sim.waterLevels;
+            assert.ok(levels.B <= 0.02 || levels.C >= 0.98);
+        });
+    });
+
+    describe('getStatus()', () => {
+        it('reports the starting state with on-screen labels', () => {
+            const status = classic().getStatus();
+            // On screen A is the top container (internal B) and B the bowl (internal A)
+            assert.equal(status.containerA, 100);
+            assert.equal(status.containerB, 75);
+            assert.equal(status.containerC, 26);
+            assert.equal(status.pressure, 0);
+            assert.equal(status.pressurePa, 0);
+            assert.equal(status.jetHeight, 0);
+            assert.equal(status.jetFlow, 0);
+            assert.equal(status.cycle, 1);
+            assert.equal(status.cycleTime, 0);
+            assert.equal(status.isActive, true);
+        });
+
+        it('reports volumes in mL and the jet in mL/s', () => {
+            const sim = classic();
+            run(sim, 10);
+            const status = sim.getStatus();
+            assert.equal(status.volumeA, Number((sim.volumes.B * 1e6).toFixed(1)));
+            assert.equal(status.volumeB, Number((sim.volumes.A * 1e6).toFixed(1)));
+            assert.equal(status.volumeC, Number((sim.volumes.C * 1e6).toFixed(1)));
+            assert.equal(status.jetFlow, Number((sim.jetFlow * 1e6).toFixed(1)));
+            assert.equal(status.pressurePa, Math.round(sim.airPressure));
+            assert.equal(status.cycleTime, 10);
+        });
+
+        it('reports every chamber of a cascade under its on-screen name', () => {
+            const sim = new FountainSimulation({ network: buildNetwork(DEFAULT_GEOMETRY, { stages: 3 }) });
+            sim.addDefaultHoses();
+            run(sim, 10);
+            const status = sim.getStatus();
+            const labels = { A: 'B', B1: 'A1', C1: 'C1', B2: 'A2', C2: 'C2', B: 'A', C: 'C' };
+            Object.entries(labels).forEach(([key, label]) => {
+                assert.equal(status[`container${label}`], Math.round(sim.waterLevels[key] * 100), label);
+                assert.equal(status[`volume${label}`], Number((sim.volumes[key] * 1e6).toFixed(1)), label);
+            });
+            assert.deepEqual(Object.keys(status).filter(key => key.startsWith('container')),
+                ['containerA', 'containerA1', 'containerA2', 'containerB', 'containerC', 'containerC1', 'containerC2']);
+        });
+    });
+
+    describe('flip() and reset()', () => {
+        it('flip swaps the chambers, vents the air and starts a new cycle', () => {
+            const sim = classic();
+            sim.setFlowIntensity(1);
+            runOut(sim);
+            const before = sim.waterLevels;
+            sim.flip();
+            const after = sim.waterLevels;
+            assert.equal(after.B, before.C);
+            assert.equal(after.C, before.B);
+            assert.equal(after.A, before.A);
+            assert.equal(sim.airPressure, 0);
+            assert.equal(sim.flipOrientation, 1);
+            assert.equal(sim.flipCount, 1);
+            assert.equal(sim.cycle.number, 2);
+            assert.equal(sim.cycles.length, 1);
+            assert.equal(sim.cycles[0].trigger, 'manual');
+            assert.equal(sim.isActive, true);
+        });
+
+        it('a second flip turns the pair back', () => {
+            const sim = classic();
+            sim.flip();
+            sim.flip();
+            assert.equal(sim.flipOrientation, 0);
+            assert.equal(sim.flipCount, 2);
+        });
+
+        it('reset restores the starting state but keeps the counters', () => {
+            const sim = classic();
+            const start = sim.getStatus();
+            run(sim, 20);
+            sim.flip();
+            run(sim, 5);
+            sim.reset();
+            assert.deepEqual(sim.getStatus(), start);
+            assert.equal(sim.time, 0);
+            assert.equal(sim.flipOrientation, 0);
+            assert.equal(sim.cycles.length, 0);
+            assert.equal(sim.resetCount, 1);
+            assert.equal(sim.flipCount, 1);
+        });
+
+        it('reset stops the leak flows but keeps the faults', () => {
+            const sim = classic();
+            sim.setFaults({ airLeak: { C: 0.001 }, waterLeak: { A: 0.002 } });
+            run(sim, 5);
+            assert.ok(sim.leakFlows.air.C > 0 && sim.leakFlows.water.A > 0);
+            sim.reset();
+            [...Object.values(sim.leakFlows.air), ...Object.values(sim.leakFlows.water)].forEach(flow => assert.equal(flow, 0));
+            assert.deepEqual(sim.getState().leakFlows, { air: { B: 0, C: 0 }, water: { A: 0, B: 0, C: 0 } });
+            assert.equal(sim.faults.airLeak.C, 0.001);
+        });
+    });
+
+    describe('energy ledger', () => {
+        it('books the head lost in a hose times the volume it carried times ρg', () => {
+            // P1 alone: water falls from the bowl into C and squeezes its air
+            const sim = new FountainSimulation();
+            sim.addHose(...sim.network.hoses.find(hose => hose[4] === 'P1'));
+            const head = sim.portHead('A', 'drain') - sim.portHead('C', 'bottom');
+            const before = sim.volumes.A;
+            sim.step(1 / 240); // one substep
+            const moved = before - sim.volumes.A;
+            assert.ok(moved > 0 && head > 0);
+            const { cycle } = sim.getEnergy();
+            assert.ok(Math.abs(cycle.loss.pipes - WATER_DENSITY * GRAVITY * head * moved) < 1e-12);
+        });
+
+        it('balances while the fountain runs, to within the error of the time step', () => {
+            const sim = classic();
+            run(sim, 30);
+            const { cycle } = sim.getEnergy();
+            assert.ok(cycle.loss.pipes > 0, 'the hoses lose energy');
+            assert.ok(cycle.loss.splash > 0, 'the jet loses energy landing in the bowl');
+            // Stored at the start + work put in − losses = stored now
+            assert.ok(relativeImbalance(cycle) < 1e-3, `unaccounted ${cycle.imbalance} J`);
+            assert.notEqual(cycle.imbalance, 0);
+        });
+
+        it('shows a change nobody booked as unaccounted', () => {
+            const sim = classic();
+            const before = sim.totalEnergy();
+            sim.volumes.A *= 0.5;
+            const { cycle } = sim.getEnergy();
+            assert.ok(cycle.imbalance > 0);
+            assert.ok(Math.abs(cycle.imbalance - (before - sim.totalEnergy())) < 1e-12);
+        });
+
+        it('closes each cycle balanced when the pair is flipped', () => {
+            const sim = classic();
+            sim.setFlowIntensity(1);
+            runOut(sim);
+            sim.flip();
+            assert.ok(relativeImbalance(sim.lastEnergyCycle) < 1e-3);
+            // Lifting the fuller chamber to the top is the next cycle's input
+            assert.ok(sim.getEnergy().cycle.input.flip > 0);
+        });
+
+        it('books a change made through account() on the named side', () => {
+            const sim = classic();
+            const before = sim.totalEnergy();
+            sim.account('input', 'external', () => { sim.volumes.A *= 0.5; });
+            const { cycle } = sim.getEnergy();
+            assert.equal(cycle.input.external, sim.totalEnergy() - before);
+            assert.ok(cycle.input.external < 0);
+            assert.ok(Math.abs(cycle.imbalance) < 1e-9);
+        });
+
+        it('books levels and pressures set by hand as external input', () => {
+            const sim = classic();
+            sim.setLevels({ C: 0.5 });
+            sim.setAirPressures({ C: 2000 });
+            const { cycle } = sim.getEnergy();
+            assert.ok(cycle.input.external > 0);
+            assert.ok(Math.abs(cycle.imbalance) < 1e-9);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseValues, expandGrid, trialSettings, runTrial, runSweep, sweepToTable, SWEEP_COLUMNS
+} from '../src/herons_fountain/sweep.js';
+
+describe('parseValues()', () => {
+    it('reads a comma list', () => {
+        assert.deepEqual(parseValues('0.25,0.5,1'), [0.25, 0.5, 1]);
+        assert.deepEqual(parseValues('3'), [3]);
+    });
+
+    it('reads an inclusive range on round numbers', () => {
+        assert.deepEqual(parseValues('0.1:0.4:0.1'), [0.1, 0.2, 0.3, 0.4]);
+        assert.deepEqual(parseValues('1:2:0.3'), [1, 1.3, 1.6, 1.9]);
+        assert.deepEqual(parseValues('2:2:1'), [2]);
+    });
+
+    it('refuses what is not a number or a range', () => {
+        assert.throws(() => parseValues('0.1,,0.3'), /Invalid value ""/);
+        assert.throws(() => parseValues('a,1'), /Invalid value "a"/);
+        assert.throws(() => parseValues('1:0:0.1'), /Invalid range "1:0:0.1"/);
+        assert.throws(() => parseValues('0:1:0'), /Invalid range/);
+    });
+});
+
+describe('expandGrid()', () => {
+    it('gives every combination, first parameter slowest', () => {
+        assert.deepEqual(expandGrid({ flow: [0.5, 1], stages: [1, 2] }), [
+            { flow: 0.5, stages: 1 }, { flow: 0.5, stages: 2 }, { flow: 1, stages: 1 }, { flow: 1, stages: 2 }
+        ]);
+        assert.deepEqual(expandGrid({}), [{}]);
+    });
+});
+
+describe('trialSettings()', () => {
+    it('sorts a combination into flow, stages, levels and nested geometry', () => {
+        assert.deepEqual(trialSettings({ flow: 0.5, 'levels.C': 0.3, 'geometry.pipes.P3.bore': 0.006, 'geometry.bowl.radius': 0.1 }), {
+            flow: 0.5,
+            levels: { C: 0.3 },
+            geometry: { pipes: { P3: { bore: 0.006 } }, bowl: { radius: 0.1 } }
+        });
+    });
+
+    it('takes the levels of a cascade\'s chambers', () => {
+        const settings = trialSettings({ stages: 3, 'levels.C1': 0.4, 'levels.B2': 0.9, 'levels.A': 0.6 });
+        assert.equal(settings.stages, 3);
+        assert.deepEqual(settings.levels, { C1: 0.4, B2: 0.9, A: 0.6 });
+    });
+
+    it('refuses unknown containers with the valid ones', () => {
+        assert.throws(() => trialSettings({ 'levels.C1': 0.4 }), /Unknown container for levels: C1 \(with 1 stage: A, B, C\)/);
+        assert.throws(() => trialSettings({ stages: 2, 'levels.C2': 0.4 }), /C2 \(with 2 stages: A, B1, C1, B, C\)/);
+        assert.throws(() => trialSettings({ 'levels.C.top': 0.4 }), /Unknown sweep parameter: levels\.C\.top/);
+    });
+
+    it('refuses unknown parameters', () => {
+        assert.throws(() => trialSettings({ speed: 1 }), /Unknown sweep parameter: speed/);
+        assert.throws(() => trialSettings({ geometry: 1 }), /Unknown sweep parameter: geometry/);
+    });
+});
+
+describe('runTrial()', () => {
+    it('measures the fountain through its flips', () => {
+        const row = runTrial({ flow: 1 }, { duration: 600, cycles: 1 });
+        assert.deepEqual(Object.keys(row), ['flow', ...SWEEP_COLUMNS]);
+        assert.equal(row.flow, 1);
+        assert.ok(row.first_flip_s > 0);
+        assert.equal(row.flips, 2);
+        assert.ok(row.cycle_period_s > 0);
+        assert.ok(row.peak_pressure_Pa > 0 && row.peak_jet_m > 0);
+    });
+
+    it('leaves out what never happened', () => {
+        const row = runTrial({ flow: 0.25 }, { duration: 5 });
+        assert.equal(row.first_flip_s, null);
+        assert.equal(row.cycle_period_s, null);
+        assert.equal(row.flips, 0);
+    });
+
+    it('starts a cascade from the levels it is given', () => {
+        const full = runTrial({ stages: 2, flow: 1 }, { duration: 5 });
+        const emptyStage = runTrial({ stages: 2, flow: 1, 'levels.B1': 0 }, { duration: 5 });
+        assert.ok(emptyStage.peak_pressure_Pa < full.peak_pressure_Pa);
+    });
+
+    it('gives the same rows every time', () => {
+        const parameters = { flow: [0.5, 1], stages: [1, 2] };
+        const rows = runSweep(parameters, { duration: 3 });
+        assert.equal(rows.length, 4);
+        assert.deepEqual(runSweep(parameters, { duration: 3 }), rows);
+        assert.match(sweepToTable(rows, ['flow', 'stages', ...SWEEP_COLUMNS]), /^flow {2}stages {2}first_flip_s/);
+    });
+});